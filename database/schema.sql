@@ -5,9 +5,19 @@ CREATE TABLE IF NOT EXISTS games (
     id TEXT PRIMARY KEY,
     room_code TEXT UNIQUE NOT NULL,
     status TEXT DEFAULT 'lobby' CHECK(status IN ('lobby', 'in_progress', 'completed')),
+    mode TEXT DEFAULT 'individual', -- 'individual' or 'teams'
+    scoring_preset TEXT DEFAULT 'classic', -- Scoring rules preset picked in the lobby
+    theme_sources TEXT, -- JSON {packs, ai} picked in the lobby
+    family_friendly INTEGER DEFAULT 0, -- Stricter answer moderation picked in the lobby
     current_round INTEGER DEFAULT 0,
     total_rounds INTEGER DEFAULT 0,
     current_host_id TEXT,
+    current_host_index INTEGER DEFAULT 0,
+    host_rotation_count INTEGER DEFAULT 0,
+    is_sudden_death INTEGER DEFAULT 0,
+    sudden_death_round INTEGER DEFAULT 0,
+    tied_player_ids TEXT, -- JSON array of player IDs in sudden death
+    tied_player_host_index INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     completed_at DATETIME
@@ -23,10 +33,37 @@ CREATE TABLE IF NOT EXISTS players (
     is_connected INTEGER DEFAULT 1,
     session_token TEXT,
     join_order INTEGER,
+    team_id TEXT, -- Team mode only
+    is_kicked INTEGER DEFAULT 0, -- Removed from the main display, can't reconnect
+    is_banned INTEGER DEFAULT 0, -- Kicked and not allowed to join again under this name
+    profile_id TEXT, -- Lifetime profile of the phone that joined (device token)
+    is_bot INTEGER DEFAULT 0, -- Added from the display lobby, played by the server
+    bot_persona TEXT, -- Bot players only: the persona they answer as
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
 );
 
+-- Teams table (team mode; answers and matches reference a team member)
+CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    score INTEGER DEFAULT 0,
+    team_order INTEGER,
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
+);
+
+-- Audience table (spectators; their vote scores are kept apart from player scores)
+CREATE TABLE IF NOT EXISTS audience (
+    id TEXT PRIMARY KEY,
+    game_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    score INTEGER DEFAULT 0,
+    session_token TEXT,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE
+);
+
 -- Rounds table
 CREATE TABLE IF NOT EXISTS rounds (
     id TEXT PRIMARY KEY,
@@ -35,6 +72,12 @@ CREATE TABLE IF NOT EXISTS rounds (
     host_id TEXT NOT NULL,
     theme TEXT,
     phase TEXT DEFAULT 'theme_select' CHECK(phase IN ('theme_select', 'answering', 'matching', 'reveal', 'complete')),
+    phase_ends_at INTEGER, -- Epoch ms when the current phase timer runs out
+    is_sudden_death INTEGER DEFAULT 0,
+    scoreboard TEXT, -- JSON scoreboard at the end of the round (for replays)
+    history_id TEXT, -- The finished game this round was part of (game_history)
+    reveal_order TEXT, -- How the answers were revealed: matched, random, wrongFirst, suspense or hostPicks
+    round_type TEXT DEFAULT 'classic', -- classic (the host matches) or vote (everyone votes on who said it)
     started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     completed_at DATETIME,
     FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
@@ -65,6 +108,20 @@ CREATE TABLE IF NOT EXISTS matches (
     FOREIGN KEY (guessed_player_id) REFERENCES players(id)
 );
 
+-- Votes table (vote rounds: every player's guess at who wrote each answer)
+CREATE TABLE IF NOT EXISTS votes (
+    id TEXT PRIMARY KEY,
+    round_id TEXT NOT NULL,
+    answer_id TEXT NOT NULL,
+    voter_id TEXT NOT NULL,
+    voted_player_id TEXT NOT NULL,
+    is_correct INTEGER DEFAULT 0,
+    FOREIGN KEY (round_id) REFERENCES rounds(id) ON DELETE CASCADE,
+    FOREIGN KEY (answer_id) REFERENCES answers(id),
+    FOREIGN KEY (voter_id) REFERENCES players(id),
+    FOREIGN KEY (voted_player_id) REFERENCES players(id)
+);
+
 -- Game history table (for stats tracking)
 CREATE TABLE IF NOT EXISTS game_history (
     id TEXT PRIMARY KEY,
@@ -74,10 +131,34 @@ CREATE TABLE IF NOT EXISTS game_history (
     winner_score INTEGER,
     player_count INTEGER,
     rounds_played INTEGER,
+    scoring_preset TEXT,
     completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (game_id) REFERENCES games(id)
 );
 
+-- Profiles table (one per phone, linked by a device token the phone keeps; named after its latest player)
+CREATE TABLE IF NOT EXISTS profiles (
+    id TEXT PRIMARY KEY,
+    device_token TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_played_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Profile results table (a profile's finish in each completed game)
+CREATE TABLE IF NOT EXISTS profile_results (
+    id TEXT PRIMARY KEY,
+    profile_id TEXT NOT NULL,
+    history_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    score INTEGER,
+    rank INTEGER,
+    won INTEGER DEFAULT 0,
+    completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (history_id) REFERENCES game_history(id)
+);
+
 -- Theme cache table (for AI-generated themes)
 CREATE TABLE IF NOT EXISTS theme_cache (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -88,7 +169,12 @@ CREATE TABLE IF NOT EXISTS theme_cache (
 
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_players_game_id ON players(game_id);
+CREATE INDEX IF NOT EXISTS idx_teams_game_id ON teams(game_id);
+CREATE INDEX IF NOT EXISTS idx_audience_game_id ON audience(game_id);
 CREATE INDEX IF NOT EXISTS idx_rounds_game_id ON rounds(game_id);
 CREATE INDEX IF NOT EXISTS idx_answers_round_id ON answers(round_id);
 CREATE INDEX IF NOT EXISTS idx_matches_round_id ON matches(round_id);
+CREATE INDEX IF NOT EXISTS idx_votes_round_id ON votes(round_id);
 CREATE INDEX IF NOT EXISTS idx_games_room_code ON games(room_code);
+CREATE INDEX IF NOT EXISTS idx_profile_results_profile_id ON profile_results(profile_id);
+CREATE INDEX IF NOT EXISTS idx_rounds_history_id ON rounds(history_id);
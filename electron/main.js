@@ -3,16 +3,19 @@ const path = require('path');
 // Load environment variables from .env file
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage } = require('electron');
 const { startServer, stopServer, getServerInfo } = require('./server');
 const DatabaseService = require('../services/database');
+const ConfigManager = require('../services/config-manager');
+const SettingsStore = require('../services/settings-store');
 const fs = require('fs');
 
 let mainWindow;
 let serverInfo = null;
 let db = null;
+let settingsStore = null;
 
-// Config file path
+// Shipped config file path (read-only in packaged builds - the user's settings go to userData)
 const configPath = path.join(__dirname, '..', 'config', 'default-config.json');
 
 function createWindow() {
@@ -34,9 +37,23 @@ function createWindow() {
   // Remove menu bar
   mainWindow.setMenuBarVisibility(false);
 
+  // Game master shortcuts: Ctrl/Cmd+P pauses or resumes, Ctrl/Cmd+Plus adds 30 seconds
+  mainWindow.webContents.on('before-input-event', (event, input) => {
+    if (input.type !== 'keyDown' || !(input.control || input.meta)) return;
+    
+    const key = input.key.toLowerCase();
+    if (key === 'p') {
+      event.preventDefault();
+      mainWindow.webContents.send('game-control', 'toggle-pause');
+    } else if (key === '+' || key === '=') {
+      event.preventDefault();
+      mainWindow.webContents.send('game-control', 'extend-time');
+    }
+  });
+
   // Load the main screen from the Express server so CSS/JS paths resolve correctly
   // serverInfo is set before createWindow is called
-  mainWindow.loadURL(`http://localhost:${serverInfo.port}/display`);
+  mainWindow.loadURL(`http://localhost:${serverInfo.port}/display?room=${serverInfo.roomCode}`);
 
   // Open DevTools in development
   if (process.env.NODE_ENV === 'development') {
@@ -67,18 +84,36 @@ async function initializeApp() {
     dialog.showErrorBox('Database Error', 'Failed to initialize the database. The app may not function correctly.');
   }
 
-  // Load config and check for API key
-  let config;
+  // User settings and the API key live in userData (an older version's config file moves its key and changed settings there)
+  settingsStore = new SettingsStore(app.getPath('userData'), safeStorage);
+  settingsStore.migrate(configPath);
+
+  // Load config (defaults, then the config file, the user's settings and environment variables) and check for API key
+  let fileConfig = {};
   try {
-    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    // Override with environment variable if set
-    if (process.env.CLAUDE_API_KEY) {
-      config.apiKey = process.env.CLAUDE_API_KEY;
-    }
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
   } catch (err) {
     console.error('Failed to load config:', err);
-    config = { apiKey: process.env.CLAUDE_API_KEY || '' };
   }
+  const userConfig = settingsStore.load();
+  const apiKey = settingsStore.getApiKey();
+  if (apiKey) {
+    userConfig.apiKey = apiKey;
+  }
+  const configManager = new ConfigManager();
+  const config = configManager.load(fileConfig, userConfig);
+  if (configManager.errors.length > 0) {
+    dialog.showMessageBox({
+      type: 'warning',
+      title: 'Config Problems',
+      message: 'Some settings in the config file were invalid and the defaults are used instead:',
+      detail: configManager.errors.join('\n')
+    });
+  }
+
+  // Theme and sound packs live next to the database in userData
+  config.themePacksDir = path.join(app.getPath('userData'), 'theme-packs');
+  config.soundPacksDir = path.join(app.getPath('userData'), 'sound-packs');
 
   // Start the server (pass database instance)
   try {
@@ -151,9 +186,7 @@ ipcMain.handle('get-server-info', () => {
 
 ipcMain.handle('save-api-key', async (event, apiKey) => {
   try {
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    config.apiKey = apiKey;
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    settingsStore.setApiKey(apiKey);
     
     // Update running server with new API key
     if (serverInfo && serverInfo.updateApiKey) {
@@ -167,17 +200,14 @@ ipcMain.handle('save-api-key', async (event, apiKey) => {
   }
 });
 
+// The user's settings only - they're layered over the shipped config on the next launch
 ipcMain.handle('get-config', () => {
-  try {
-    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
-  } catch (err) {
-    return null;
-  }
+  return settingsStore ? settingsStore.load() : null;
 });
 
 ipcMain.handle('save-config', async (event, newConfig) => {
   try {
-    fs.writeFileSync(configPath, JSON.stringify(newConfig, null, 2));
+    settingsStore.save(newConfig);
     return { success: true };
   } catch (err) {
     return { success: false, error: err.message };
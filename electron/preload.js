@@ -18,6 +18,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Window controls
   toggleFullscreen: () => ipcRenderer.invoke('toggle-fullscreen'),
   
+  // Game controls from keyboard shortcuts ('toggle-pause', 'extend-time')
+  onGameControl: (callback) => ipcRenderer.on('game-control', (event, action) => callback(action)),
+  
   // Remove listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
 });
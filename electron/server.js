@@ -10,10 +10,15 @@ const GameLogic = require('../services/game-logic');
 const RoomManager = require('../services/room-manager');
 const ClaudeService = require('../services/claude-service');
 const ScoreCalculator = require('../services/score-calculator');
+const ThemePackManager = require('../services/theme-pack-manager');
+const SoundPackManager = require('../services/sound-pack-manager');
+const ConfigManager = require('../services/config-manager');
+const GameExporter = require('../services/game-exporter');
 
 let app, server, io;
 let config = {};
-let gameLogic, roomManager, claudeService, scoreCalculator, db;
+let roomManager, scoreCalculator, themePacks, soundPacks, db;
+const exporter = new GameExporter();
 
 // Get local IP address
 function getLocalIP() {
@@ -28,6 +33,14 @@ function getLocalIP() {
   return 'localhost';
 }
 
+// Room code from a query string, or the room opened at startup
+function resolveRoomCode(requested) {
+  if (requested) {
+    return roomManager.getRoom(requested)?.code || null;
+  }
+  return roomManager.getDefaultRoomCode();
+}
+
 // Find available port
 function findAvailablePort(startPort = 3000) {
   return new Promise((resolve, reject) => {
@@ -43,7 +56,8 @@ function findAvailablePort(startPort = 3000) {
 }
 
 async function startServer(appConfig, database) {
-  config = appConfig;
+  // Every setting the game needs is there and in range, whoever started the server
+  config = new ConfigManager().load(appConfig);
   db = database;
   
   app = express();
@@ -55,11 +69,19 @@ async function startServer(appConfig, database) {
     }
   });
 
-  // Initialize services
-  roomManager = new RoomManager(db);
+  // Initialize services - each room gets its own GameLogic and ClaudeService (theme history),
+  // the theme pack library is shared
   scoreCalculator = new ScoreCalculator(config);
-  claudeService = new ClaudeService(config);
-  gameLogic = new GameLogic(io, roomManager, claudeService, scoreCalculator, config, db);
+  themePacks = new ThemePackManager(config.themePacksDir);
+  themePacks.load();
+  soundPacks = new SoundPackManager(config.soundPacksDir);
+  roomManager = new RoomManager(db, {
+    createGame: (roomCode) => new GameLogic(io, roomManager, new ClaudeService(config, themePacks), scoreCalculator, config, db, roomCode),
+    idleTimeout: config.rooms?.idleTimeout,
+    finishedTimeout: config.rooms?.finishedTimeout
+  });
+  roomManager.restoreRooms();
+  roomManager.startCleanup();
 
   // Serve static files
   app.use('/styles', express.static(path.join(__dirname, '..', 'src', 'styles')));
@@ -67,8 +89,10 @@ async function startServer(appConfig, database) {
   app.use('/assets', express.static(path.join(__dirname, '..', 'src', 'assets')));
 
   // Routes
+  // /?room=XXXX&audience=1 joins as a spectator instead of a player
   app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'src', 'views', 'player-phone.html'));
+    const view = req.query.audience ? 'audience-phone.html' : 'player-phone.html';
+    res.sendFile(path.join(__dirname, '..', 'src', 'views', view));
   });
 
   app.get('/host', (req, res) => {
@@ -85,14 +109,22 @@ async function startServer(appConfig, database) {
   });
 
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', roomCode: roomManager.getCurrentRoomCode() });
+    res.json({
+      status: 'ok',
+      roomCode: roomManager.getDefaultRoomCode(),
+      rooms: roomManager.listRooms()
+    });
   });
 
-  // QR Code endpoint
+  // QR Code endpoint (?room=XXXX, defaults to the startup room)
   app.get('/qr', async (req, res) => {
+    const roomCode = resolveRoomCode(req.query.room);
+    if (!roomCode) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
     const localIP = getLocalIP();
     const port = server.address()?.port || config.serverPort;
-    const roomCode = roomManager.getCurrentRoomCode();
     const url = `http://${localIP}:${port}?room=${roomCode}`;
     
     try {
@@ -104,90 +136,412 @@ async function startServer(appConfig, database) {
           light: '#F4E8C1'
         }
       });
-      res.json({ qr: qrDataUrl, url, roomCode: roomManager.getCurrentRoomCode() });
+      res.json({ qr: qrDataUrl, url, roomCode });
     } catch (err) {
       res.status(500).json({ error: 'Failed to generate QR code' });
     }
   });
 
-  // API endpoint for game state
+  // API endpoint for game state (?room=XXXX, defaults to the startup room)
   app.get('/api/game-state', (req, res) => {
-    res.json(gameLogic.getGameState());
+    const game = roomManager.getGame(resolveRoomCode(req.query.room));
+    if (!game) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(game.getGameState());
+  });
+
+  // Finished games, newest first (?limit=N, up to 100)
+  app.get('/api/history', (req, res) => {
+    if (!db) {
+      return res.status(503).json({ error: 'Game history needs the database' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    try {
+      res.json({ games: db.getGameHistory(limit).map(row => db.toHistorySummary(row)) });
+    } catch (err) {
+      console.error('Failed to load game history:', err);
+      res.status(500).json({ error: 'Failed to load game history' });
+    }
+  });
+
+  // One finished game round by round, for the display's replay
+  app.get('/api/history/:id', (req, res) => {
+    if (!db) {
+      return res.status(503).json({ error: 'Game history needs the database' });
+    }
+    try {
+      const replay = db.getGameReplay(req.params.id);
+      if (!replay) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      res.json(replay);
+    } catch (err) {
+      console.error('Failed to load game replay:', err);
+      res.status(500).json({ error: 'Failed to load game replay' });
+    }
+  });
+
+  // A finished game's full record as a download (?format=json|csv|html, the id is from /api/history)
+  app.get('/api/games/:id/export', (req, res) => {
+    if (!db) {
+      return res.status(503).json({ error: 'Game history needs the database' });
+    }
+    const format = req.query.format || 'json';
+    if (!exporter.isFormat(format)) {
+      return res.status(400).json({ error: 'Format must be json, csv or html' });
+    }
+    try {
+      const game = db.getGameReplay(req.params.id);
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      const file = exporter.export(game, format);
+      res.attachment(file.filename);
+      res.set('Content-Type', file.contentType);
+      res.send(file.body);
+    } catch (err) {
+      console.error('Failed to export game:', err);
+      res.status(500).json({ error: 'Failed to export game' });
+    }
+  });
+
+  // Sound packs for the display's settings (dropped-in packs show up without a restart)
+  app.get('/api/sound-packs', (req, res) => {
+    res.json({ packs: soundPacks.list() });
+  });
+
+  // Every cue of a sound pack - a file URL, or the built-in sound's notes for cues the pack leaves out
+  app.get('/api/sound-packs/:id', (req, res) => {
+    const manifest = soundPacks.getManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Sound pack not found' });
+    }
+    res.json(manifest);
+  });
+
+  // A sound pack's audio file (only files its pack.json uses)
+  app.get('/api/sound-packs/:id/files/:file', (req, res) => {
+    const file = soundPacks.getFile(req.params.id, req.params.file);
+    if (!file) {
+      return res.status(404).json({ error: 'Sound file not found' });
+    }
+    res.type(file.contentType);
+    res.sendFile(file.path);
+  });
+
+  // Hall of Fame - lifetime profiles, best first (?limit=N, up to 100)
+  app.get('/api/profiles', (req, res) => {
+    if (!db) {
+      return res.status(503).json({ error: 'Profiles need the database' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    try {
+      res.json({ profiles: db.getProfiles(limit) });
+    } catch (err) {
+      console.error('Failed to load profiles:', err);
+      res.status(500).json({ error: 'Failed to load profiles' });
+    }
+  });
+
+  // One profile's lifetime stats
+  app.get('/api/profiles/:id', (req, res) => {
+    if (!db) {
+      return res.status(503).json({ error: 'Profiles need the database' });
+    }
+    try {
+      const profile = db.getProfile(req.params.id);
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      res.json(profile);
+    } catch (err) {
+      console.error('Failed to load profile:', err);
+      res.status(500).json({ error: 'Failed to load profile' });
+    }
   });
 
   // Socket.io connection handling
+  // Every socket belongs to at most one room (socket.roomCode) and its events go to that room's game
   io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
 
+    // Route an event to the game for this socket's room
+    const withGame = (handler) => (data) => {
+      const game = roomManager.getGame(socket.roomCode);
+      if (!game) {
+        socket.emit('error', { message: 'Not connected to a room' });
+        return;
+      }
+      roomManager.touchRoom(socket.roomCode);
+      handler(game, data);
+    };
+
     // Player joining
-    socket.on('join_room', (data) => {
-      gameLogic.handlePlayerJoin(socket, data);
+    socket.on('join_room', (data = {}) => {
+      const game = roomManager.getGame(data.roomCode);
+      if (!game) {
+        socket.emit('join_error', { message: 'Invalid room code' });
+        return;
+      }
+      roomManager.touchRoom(data.roomCode);
+      game.handlePlayerJoin(socket, data);
+    });
+
+    // Spectator joining - any phase, no player limit
+    socket.on('join_audience', (data = {}) => {
+      const game = roomManager.getGame(data.roomCode);
+      if (!game) {
+        socket.emit('join_error', { message: 'Invalid room code' });
+        return;
+      }
+      roomManager.touchRoom(data.roomCode);
+      game.handleAudienceJoin(socket, data);
     });
 
-    // Host joining
-    socket.on('join_as_display', () => {
-      gameLogic.handleDisplayJoin(socket);
+    // Display joining - /display?room=XXXX rejoins a room, otherwise a new room is opened
+    socket.on('join_as_display', (data = {}) => {
+      let roomCode = roomManager.getRoom(data.roomCode)?.code;
+      if (!roomCode) {
+        if (data.roomCode) {
+          console.log(`Display asked for unknown room ${data.roomCode}, opening a new room`);
+        }
+        roomCode = roomManager.createRoom().roomCode;
+      }
+      roomManager.touchRoom(roomCode);
+      roomManager.getGame(roomCode).handleDisplayJoin(socket, data);
     });
 
     // Host phone joining
-    socket.on('join_as_host_phone', (data) => {
-      gameLogic.handleHostPhoneJoin(socket, data);
+    socket.on('join_as_host_phone', (data = {}) => {
+      const room = roomManager.getRoom(data.roomCode) || roomManager.findRoomByPlayer(data.playerId);
+      if (!room) {
+        socket.emit('error', { message: 'You are not the current host' });
+        return;
+      }
+      roomManager.touchRoom(room.code);
+      room.game.handleHostPhoneJoin(socket, data);
     });
 
-    // Start game
-    socket.on('start_game', () => {
-      gameLogic.handleStartGame(socket);
+    // Switch between individual and team play (lobby)
+    socket.on('set_game_mode', withGame((game, data) => {
+      game.handleSetGameMode(socket, data);
+    }));
+
+    // Pick the scoring rules preset (lobby)
+    socket.on('set_scoring_preset', withGame((game, data) => {
+      game.handleSetScoringPreset(socket, data);
+    }));
+
+    // Pick a game preset - timers, rounds and penalties for this game only (lobby)
+    socket.on('set_game_preset', withGame((game, data) => {
+      game.handleSetGamePreset(socket, data);
+    }));
+
+    // Switch family-friendly answer moderation on or off (lobby)
+    socket.on('set_family_friendly', withGame((game, data) => {
+      game.handleSetFamilyFriendly(socket, data);
+    }));
+
+    // Pick the theme packs (and AI) that feed the theme choices (lobby)
+    socket.on('set_theme_sources', withGame((game, data) => {
+      game.handleSetThemeSources(socket, data);
+    }));
+
+    // Phase timers and rounds per player from the display's settings (lobby, or from the next round)
+    socket.on('update_settings', withGame((game, data) => {
+      game.handleUpdateSettings(socket, data);
+    }));
+
+    // Sound pack for every screen in the room (display's settings)
+    socket.on('set_sound_pack', withGame((game, data = {}) => {
+      game.handleSetSoundPack(socket, soundPacks.has(data.packId) ? data.packId : null);
+    }));
+
+    // Theme pack library - shared by every room, managed from a display's settings
+    const withPackLibrary = (handler) => withGame((game, data = {}) => {
+      if (!game.isDisplaySocket(socket)) {
+        socket.emit('error', { message: 'Theme packs can only be managed from the main screen' });
+        return;
+      }
+      try {
+        handler(data);
+      } catch (err) {
+        socket.emit('error', { message: err.message });
+      }
     });
+    const sendPackList = () => socket.emit('theme_packs_updated', { packs: themePacks.list() });
+
+    socket.on('import_theme_pack', withPackLibrary((data) => {
+      themePacks.import(data.pack);
+      sendPackList();
+    }));
+
+    socket.on('update_theme_pack', withPackLibrary((data) => {
+      themePacks.update(data.id, data.pack);
+      sendPackList();
+    }));
+
+    socket.on('delete_theme_pack', withPackLibrary((data) => {
+      themePacks.remove(data.id);
+      sendPackList();
+    }));
+
+    socket.on('get_theme_pack', withPackLibrary((data) => {
+      socket.emit('theme_pack_data', themePacks.export(data.id));
+    }));
+
+    // Player picks a team (lobby)
+    socket.on('join_team', withGame((game, data) => {
+      game.handleJoinTeam(socket, data);
+    }));
+
+    // Reshuffle teams (lobby)
+    socket.on('shuffle_teams', withGame((game) => {
+      game.handleShuffleTeams(socket);
+    }));
+
+    // Start game
+    socket.on('start_game', withGame((game) => {
+      game.handleStartGame(socket);
+    }));
 
     // Start game from display/main screen
-    socket.on('display_start_game', () => {
-      gameLogic.handleDisplayStartGame(socket);
-    });
+    socket.on('display_start_game', withGame((game) => {
+      game.handleDisplayStartGame(socket);
+    }));
 
     // Request themes
-    socket.on('request_themes', () => {
-      gameLogic.handleRequestThemes(socket);
-    });
+    socket.on('request_themes', withGame((game) => {
+      game.handleRequestThemes(socket);
+    }));
 
     // Host selects theme
-    socket.on('host_select_theme', (data) => {
-      gameLogic.handleThemeSelect(socket, data);
-    });
+    socket.on('host_select_theme', withGame((game, data) => {
+      game.handleThemeSelect(socket, data);
+    }));
 
     // Player submits answer
-    socket.on('submit_answer', (data) => {
-      gameLogic.handleAnswerSubmit(socket, data);
-    });
+    socket.on('submit_answer', withGame((game, data) => {
+      game.handleAnswerSubmit(socket, data);
+    }));
+
+    // Teammate approves the team's proposed answer
+    socket.on('approve_answer', withGame((game) => {
+      game.handleApproveAnswer(socket);
+    }));
+
+    // Spectator votes on who wrote an answer
+    socket.on('audience_vote', withGame((game, data) => {
+      game.handleAudienceVote(socket, data);
+    }));
 
     // Host requests matching data (fallback for missed events)
-    socket.on('request_matching_data', () => {
-      gameLogic.handleRequestMatchingData(socket);
-    });
+    socket.on('request_matching_data', withGame((game) => {
+      game.handleRequestMatchingData(socket);
+    }));
 
     // Host submits matches
-    socket.on('host_submit_matches', (data) => {
-      gameLogic.handleMatchesSubmit(socket, data);
-    });
+    socket.on('host_submit_matches', withGame((game, data) => {
+      game.handleMatchesSubmit(socket, data);
+    }));
+
+    // Player votes on who wrote each answer (vote rounds)
+    socket.on('submit_votes', withGame((game, data) => {
+      game.handleVotesSubmit(socket, data);
+    }));
+
+    // Display finished showing a reveal
+    socket.on('reveal_ack', withGame((game, data) => {
+      game.handleRevealAck(socket, data);
+    }));
+
+    // Host or display moves the reveal on
+    socket.on('next_reveal', withGame((game) => {
+      game.handleNextReveal(socket);
+    }));
+
+    // Host picks the answer to reveal next
+    socket.on('host_pick_reveal', withGame((game, data) => {
+      game.handleRevealPick(socket, data);
+    }));
+
+    // Host vetoes an answer while matching
+    socket.on('veto_answer', withGame((game, data) => {
+      game.handleVetoAnswer(socket, data);
+    }));
+
+    // Player controls on the main display
+    socket.on('kick_player', withGame((game, data) => {
+      game.handleKickPlayer(socket, data);
+    }));
+
+    socket.on('rename_player', withGame((game, data) => {
+      game.handleRenamePlayer(socket, data);
+    }));
+
+    socket.on('reorder_rotation', withGame((game, data) => {
+      game.handleReorderRotation(socket, data);
+    }));
+
+    // Bot players, added from the display's lobby
+    socket.on('add_bot', withGame((game, data) => {
+      game.handleAddBot(socket, data);
+    }));
+
+    // Pause, resume and "+30s" on the main display
+    socket.on('pause_game', withGame((game) => {
+      game.handlePauseGame(socket);
+    }));
+
+    socket.on('resume_game', withGame((game) => {
+      game.handleResumeGame(socket);
+    }));
+
+    socket.on('extend_time', withGame((game) => {
+      game.handleExtendTime(socket);
+    }));
 
     // Request next round
-    socket.on('next_round', () => {
-      gameLogic.handleNextRound(socket);
-    });
+    socket.on('next_round', withGame((game) => {
+      game.handleNextRound(socket);
+    }));
 
     // Play again
-    socket.on('play_again', () => {
-      gameLogic.handlePlayAgain(socket);
-    });
+    socket.on('play_again', withGame((game) => {
+      game.handlePlayAgain(socket);
+    }));
 
     // Disconnect handling
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
-      gameLogic.handleDisconnect(socket);
+      const game = roomManager.getGame(socket.roomCode);
+      if (game) {
+        roomManager.touchRoom(socket.roomCode);
+        game.handleDisconnect(socket);
+      }
     });
 
-    // Reconnection
-    socket.on('reconnect_player', (data) => {
-      gameLogic.handleReconnect(socket, data);
+    // Spectator reconnection
+    socket.on('reconnect_audience', (data = {}) => {
+      const game = roomManager.getGame(data.roomCode);
+      if (!game) {
+        socket.emit('reconnect_failed', { message: 'Session expired' });
+        return;
+      }
+      roomManager.touchRoom(data.roomCode);
+      game.handleAudienceReconnect(socket, data);
+    });
+
+    // Reconnection - older clients don't send their room code, so fall back to a player lookup
+    socket.on('reconnect_player', (data = {}) => {
+      const room = roomManager.getRoom(data.roomCode) || roomManager.findRoomByPlayer(data.playerId);
+      if (!room) {
+        socket.emit('reconnect_failed', { message: 'Session expired' });
+        return;
+      }
+      roomManager.touchRoom(room.code);
+      room.game.handleReconnect(socket, data);
     });
   });
 
@@ -197,7 +551,9 @@ async function startServer(appConfig, database) {
   return new Promise((resolve, reject) => {
     server.listen(port, () => {
       const localIP = getLocalIP();
-      const { roomCode, gameId } = roomManager.createRoom();
+      // Open on a resumed game if there is one, otherwise a fresh room
+      const roomCode = roomManager.getDefaultRoomCode() || roomManager.createRoom().roomCode;
+      const gameId = roomManager.getGameId(roomCode);
       
       const serverInfo = {
         port,
@@ -207,7 +563,7 @@ async function startServer(appConfig, database) {
         gameId,
         updateApiKey: (newKey) => {
           config.apiKey = newKey;
-          claudeService.updateApiKey(newKey);
+          roomManager.forEachGame(game => game.claudeService.updateApiKey(newKey));
         }
       };
       
@@ -219,6 +575,9 @@ async function startServer(appConfig, database) {
 }
 
 function stopServer() {
+  if (roomManager) {
+    roomManager.closeAll();
+  }
   if (server) {
     io.close();
     server.close();
@@ -232,7 +591,8 @@ function getServerInfo() {
   return {
     port: server.address()?.port,
     localIP: getLocalIP(),
-    roomCode: roomManager?.getCurrentRoomCode()
+    roomCode: roomManager?.getDefaultRoomCode(),
+    rooms: roomManager ? roomManager.listRooms() : []
   };
 }
 
@@ -0,0 +1,125 @@
+// Canned lines for when there's no API key, or Claude is too slow - {placeholders} come from the moment
+const FALLBACK_LINES = {
+  reveal: [
+    '{author} pulled the wool right over {host}\'s eyes!',
+    'Plot twist! That was {author} all along!',
+    '{host} said {guess}... the crowd says {author}!',
+    'Oh {host}, you did NOT see that coming!'
+  ],
+  roundSummary: [
+    '{leader} leads the pack on {leaderScore}!',
+    'After round {round}, it\'s {leader} out in front!',
+    '{leader} sits on top with {leaderScore} - can anyone catch up?'
+  ],
+  roundTie: [
+    'Neck and neck! {leader} all on {leaderScore}!',
+    'Nothing between {leader} - it\'s anyone\'s game!'
+  ],
+  hostRoast: [
+    'Zero for {host}! Do you even know these people?',
+    '{host} went 0 for {total} - time to make some new friends!',
+    'A big round of nothing for {host}!'
+  ]
+};
+
+// What the announcer is reacting to, for the prompt
+const MOMENTS = {
+  reveal: 'The host just guessed an answer wrong and the real author was revealed. React to the surprise.',
+  roundSummary: 'The round just ended. Sum up the standings and hype the race for the lead.',
+  hostRoast: 'The host just matched every answer wrong and scored nothing. Give them a playful roast.'
+};
+
+/**
+ * Announcer - Short game show announcer lines for the display's lower third
+ * Claude writes them (from the round's theme and answers) within config.announcer's token budget and timeout;
+ * without an API key, or when Claude fails or is too slow, a canned line is used instead.
+ */
+class Announcer {
+  constructor(config, claudeService = null) {
+    this.config = config.announcer || {};
+    this.claudeService = claudeService;
+  }
+
+  /**
+   * Whether the announcer speaks at all
+   */
+  isEnabled() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * A line for a moment in the game
+   * @param {string} event - 'reveal', 'roundSummary' or 'hostRoast'
+   * @param {Object} context - {theme, host, answers: [{answer, author}], familyFriendly} plus the moment's own details:
+   *   reveal {answer, author, guess}, roundSummary {round, totalRounds, scoreboard}, hostRoast {total}
+   * @returns {Promise<Object>} {event, text, source} - source is 'ai' or 'canned'
+   */
+  async announce(event, context) {
+    if (this.config.ai !== false && this.claudeService) {
+      const text = await this.claudeService.generateAnnouncerLine(this.buildPrompt(event, context), {
+        maxTokens: this.config.maxTokens,
+        timeout: this.config.timeout * 1000
+      });
+      const line = this.clean(text);
+      if (line) return { event, text: line, source: 'ai' };
+    }
+    return { event, text: this.getFallbackLine(event, context), source: 'canned' };
+  }
+
+  /**
+   * A canned line with the moment's names and scores filled in
+   */
+  getFallbackLine(event, context) {
+    const leaders = this.getLeaders(context.scoreboard);
+    const lines = event === 'roundSummary' && leaders.length > 1 ? FALLBACK_LINES.roundTie : FALLBACK_LINES[event];
+    const values = {
+      host: context.host,
+      author: context.author,
+      guess: context.guess,
+      round: context.round,
+      total: context.total,
+      leader: leaders.map(l => l.name).join(' and '),
+      leaderScore: leaders[0]?.score
+    };
+
+    const line = lines[Math.floor(Math.random() * lines.length)];
+    return line.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? '');
+  }
+
+  /**
+   * Prompt for one line, with the round's theme and answers as context
+   */
+  buildPrompt(event, context) {
+    const answers = (context.answers || []).map(a => `- "${a.answer}" (by ${a.author})`).join('\n');
+    const details = {
+      reveal: `The host, ${context.host}, guessed ${context.guess} wrote "${context.answer}" - it was ${context.author}.`,
+      roundSummary: `Round ${context.round} of ${context.totalRounds}. Scores: ${(context.scoreboard || []).map(s => `${s.name} ${s.score}`).join(', ')}.`,
+      hostRoast: `The host, ${context.host}, got 0 of ${context.total} answers right.`
+    }[event];
+
+    return `You are the announcer of "Know Your Crowd", a party game show on a TV. Each round one host picks a theme, everyone else answers it, and the host guesses who wrote each answer.
+
+Theme: ${context.theme}
+Answers:
+${answers || '- (none)'}
+
+${MOMENTS[event]}
+${details}
+
+Reply with ONE punchy announcer line, at most 20 words, no quotes or emojis.${context.familyFriendly ? ' Keep it family friendly - children are watching.' : ' Keep it playful, never mean.'}`;
+  }
+
+  // First line of Claude's reply, without wrapping quotes - null if there's nothing usable
+  clean(text) {
+    if (!text) return null;
+    const line = text.trim().split('\n')[0].trim().replace(/^["']|["']$/g, '');
+    return line.length > 0 && line.length <= 200 ? line : null;
+  }
+
+  // Everyone on the top score
+  getLeaders(scoreboard = []) {
+    return scoreboard.filter(s => s.score === scoreboard[0]?.score);
+  }
+}
+
+module.exports = Announcer;
@@ -0,0 +1,102 @@
+// Common swear words blocked in family-friendly mode (config.moderation.blocklist adds more)
+const FAMILY_BLOCKLIST = [
+  'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock', 'crap',
+  'cunt', 'damn', 'dick', 'dickhead', 'dumbass', 'fuck', 'fucker', 'jackass', 'motherfucker', 'piss',
+  'prick', 'pussy', 'shit', 'slut', 'twat', 'wank', 'wanker', 'whore'
+];
+
+// Look-alike characters people use to sneak words past a filter
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+/**
+ * AnswerModerator - Checks answers before they can reach the TV
+ * Words on config.moderation.blocklist are always filtered; family-friendly mode adds common
+ * swear words and (with an API key) asks Claude about anything the word lists don't catch.
+ * Offending answers are masked ("s***") or rejected, per config.moderation.action.
+ */
+class AnswerModerator {
+  constructor(config, claudeService = null) {
+    this.config = config.moderation || {};
+    this.claudeService = claudeService;
+    this.customBlocklist = (this.config.blocklist || []).map(word => this.normalize(String(word)).trim()).filter(Boolean);
+  }
+
+  /**
+   * Moderate one answer
+   * @param {string} answer - Trimmed answer text
+   * @param {Object} options - {familyFriendly, theme}
+   * @returns {Promise<Object>} {answer, masked, rejected, reason} - answer is the text to use
+   */
+  async moderate(answer, { familyFriendly = false, theme = '' } = {}) {
+    const blocked = this.findBlockedWords(answer, familyFriendly);
+
+    if (blocked.length > 0) {
+      if (this.config.action === 'reject') {
+        return { answer, masked: false, rejected: true, reason: 'That answer has words that aren\'t allowed - try another' };
+      }
+      return { answer: this.mask(answer, blocked), masked: true, rejected: false, reason: null };
+    }
+
+    // Nothing to mask in what the classifier flags, so it's always a rejection
+    if (familyFriendly && this.config.aiClassifier !== false && this.claudeService) {
+      const unsafe = await this.claudeService.classifyAnswer(answer, theme);
+      if (unsafe) {
+        return { answer, masked: false, rejected: true, reason: 'Keep it family friendly - try another answer' };
+      }
+    }
+
+    return { answer, masked: false, rejected: false, reason: null };
+  }
+
+  /**
+   * Where blocked words appear in an answer
+   * @returns {Array} [{start, end}] character ranges, in order
+   */
+  findBlockedWords(answer, familyFriendly = false) {
+    const words = familyFriendly ? [...FAMILY_BLOCKLIST, ...this.customBlocklist] : this.customBlocklist;
+    if (words.length === 0) return [];
+
+    // Look-alikes are swapped one character for one, so ranges line up with the original text
+    const text = this.normalize(answer);
+    const ranges = [];
+
+    words.forEach(word => {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?:s|es|ed|er|ers|ing|in)?(?![\\p{L}\\p{N}])`, 'gu');
+      for (const match of text.matchAll(pattern)) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    });
+
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Hide everything but the first letter of each blocked word
+   */
+  mask(answer, ranges) {
+    const chars = answer.split('');
+    ranges.forEach(({ start, end }) => {
+      for (let i = start + 1; i < end; i++) {
+        chars[i] = '*';
+      }
+    });
+    return chars.join('');
+  }
+
+  /**
+   * Lower case with look-alikes swapped, one character for one
+   * ("!" only inside a word, so "sh!t" is caught but "wow!" isn't changed)
+   */
+  normalize(text) {
+    return text
+      .split('')
+      .map((c, i, chars) => {
+        if (c === '!') return /[a-z]/i.test(chars[i + 1] || '') ? 'i' : c;
+        return LOOKALIKES[c] || (c.toLowerCase().length === 1 ? c.toLowerCase() : c);
+      })
+      .join('');
+  }
+}
+
+module.exports = AnswerModerator;
@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * AudienceManager - Spectators and their live votes
+ * Spectators live in the game state ({id, name, score, ...}) next to the players but never
+ * count towards the player limit, host rotation or player scores. While the host matches,
+ * each spectator may vote on who wrote each answer; votes are kept as
+ * spectatorId -> {answerIndex: competitorId} for the current round only.
+ */
+class AudienceManager {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Whether spectators may join at all
+   */
+  isEnabled() {
+    return this.config.audience?.enabled !== false;
+  }
+
+  /**
+   * Points a spectator earns for each vote that names the right author
+   */
+  getPointsPerVote() {
+    return this.config.audience?.pointsPerCorrectVote ?? 1;
+  }
+
+  /**
+   * Create a spectator record
+   * @param {string} name
+   * @param {string} socketId
+   */
+  createSpectator(name, socketId) {
+    return {
+      id: uuidv4(),
+      socketId,
+      name: name.trim().substring(0, 20),
+      score: 0,
+      isConnected: true,
+      sessionToken: uuidv4()
+    };
+  }
+
+  /**
+   * Record (or change) a spectator's vote for one answer
+   */
+  recordVote(votes, spectatorId, answerIndex, competitorId) {
+    votes[spectatorId] = { ...votes[spectatorId], [answerIndex]: competitorId };
+    return votes[spectatorId];
+  }
+
+  /**
+   * Forget every vote for one answer (the host vetoed it)
+   */
+  clearVotes(votes, answerIndex) {
+    Object.values(votes).forEach(v => {
+      delete v[answerIndex];
+    });
+  }
+
+  /**
+   * Number of spectators who have voted on at least one answer
+   */
+  countVoters(votes) {
+    return Object.values(votes).filter(v => Object.keys(v).length > 0).length;
+  }
+
+  /**
+   * How the audience did on one answer
+   * @param {Object} votes - spectatorId -> {answerIndex: competitorId}
+   * @param {number} answerIndex - Index in the shuffled answers
+   * @param {string} actualId - Who really wrote it
+   * @returns {Object|null} {votes, correct, accuracy} (accuracy in percent), null without votes
+   */
+  tallyAnswer(votes, answerIndex, actualId) {
+    const guesses = Object.values(votes)
+      .map(v => v[answerIndex])
+      .filter(Boolean);
+    if (guesses.length === 0) return null;
+
+    const correct = guesses.filter(id => id === actualId).length;
+    return {
+      votes: guesses.length,
+      correct,
+      accuracy: Math.round((correct / guesses.length) * 100)
+    };
+  }
+
+  /**
+   * Award points for every correct vote
+   * @param {Array} audience - Spectators (scores are updated in place)
+   * @param {Object} votes - spectatorId -> {answerIndex: competitorId}
+   * @param {Array} matchingAnswers - Shuffled answers [{index, playerId}]
+   */
+  scoreVotes(audience, votes, matchingAnswers = []) {
+    const points = this.getPointsPerVote();
+
+    audience.forEach(spectator => {
+      Object.entries(votes[spectator.id] || {}).forEach(([answerIndex, competitorId]) => {
+        const answer = matchingAnswers[answerIndex];
+        if (answer && answer.playerId === competitorId) {
+          spectator.score += points;
+        }
+      });
+    });
+  }
+
+  /**
+   * Best spectators first
+   * @returns {Array} [{id, name, score}]
+   */
+  getLeaderboard(audience, limit = 5) {
+    return [...audience]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(s => ({ id: s.id, name: s.name, score: s.score }));
+  }
+}
+
+module.exports = AudienceManager;
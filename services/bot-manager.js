@@ -0,0 +1,271 @@
+// Bot personas - how each one answers (style is for Claude, answers are its own canned ones)
+const BOT_PERSONAS = {
+  joker: {
+    name: 'Chuckles',
+    description: 'Silly answers and terrible puns',
+    style: 'a class clown who answers with silly jokes and puns',
+    answers: ['A rubber chicken', 'Whoopee cushions', 'Dad jokes', 'Clown shoes', 'Pun night', 'Banana peels', 'Knock knock jokes', 'Googly eyes']
+  },
+  nerd: {
+    name: 'Byte',
+    description: 'Nerdy, precise and into sci-fi',
+    style: 'a nerd who loves science, space, video games and sci-fi, and is very precise',
+    answers: ['Star Trek', 'Quantum physics', 'Mechanical keyboards', 'Dungeons & Dragons', 'The periodic table', 'Lego Technic', 'A telescope', 'Spreadsheets']
+  },
+  romantic: {
+    name: 'Rosie',
+    description: 'Dramatic and sentimental',
+    style: 'a hopeless romantic who makes everything sound dramatic and heartfelt',
+    answers: ['Sunsets in Paris', 'Love letters', 'Red roses', 'Candlelit dinners', 'The Notebook', 'Slow dancing', 'Handwritten poems', 'Rainy walks']
+  },
+  grump: {
+    name: 'Grumbles',
+    description: 'Sarcastic and hard to impress',
+    style: 'a sarcastic grump who is hard to impress and complains about everything',
+    answers: ['Silence', 'Staying home', 'Nothing, honestly', 'Early nights', 'Plain toast', 'Mondays', 'Queues', 'Small talk']
+  },
+  kid: {
+    name: 'Pip',
+    description: 'Answers like an excited eight-year-old',
+    style: 'an excited eight-year-old who loves animals, sweets and cartoons',
+    answers: ['Dinosaurs', 'Chocolate cake', 'Trampolines', 'Puppies', 'Bouncy castles', 'Cartoons', 'Slime', 'Unicorns']
+  }
+};
+
+// Canned answers for common theme topics, picked by keywords in the theme
+const TOPIC_ANSWERS = [
+  { keywords: /food|snack|pizza|ice cream|drink|restaurant|meal|breakfast|dessert|cook/i,
+    answers: ['Pizza', 'Sushi', 'Cheese on toast', 'Tacos', 'Chocolate', 'Instant noodles', 'Pancakes', 'Crisps'] },
+  { keywords: /song|music|karaoke|album|band|singer|dance/i,
+    answers: ['Bohemian Rhapsody', 'Mr. Brightside', 'Dancing Queen', 'Wonderwall', 'Africa by Toto', 'Take On Me'] },
+  { keywords: /movie|film|show|tv|series|book|character|cartoon/i,
+    answers: ['The Office', 'Shrek', 'Harry Potter', 'Friends', 'Jurassic Park', 'The Lord of the Rings'] },
+  { keywords: /vacation|holiday|travel|place|city|country|destination|trip|era/i,
+    answers: ['Japan', 'Iceland', 'New York', 'A beach in Greece', 'The Moon', 'Ancient Rome'] },
+  { keywords: /superpower|could|would|if you/i,
+    answers: ['Teleporting', 'Flying', 'Reading minds', 'Talking to animals', 'Stopping time', 'Being invisible'] },
+  { keywords: /fear|habit|talent|trait|flag|ick|secret/i,
+    answers: ['Spiders', 'Snoring', 'Juggling', 'Talking to myself', 'Being late', 'Whistling'] },
+  { keywords: /app|phone|emoji|google|tiktok|meme|internet/i,
+    answers: ['The crying laughing emoji', 'Duolingo', 'Cat videos', 'Maps', 'The weather app', 'Group chats'] }
+];
+
+// Words too common to tell players apart by
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'you', 'your', 'are', 'was', 'have', 'not', 'but']);
+
+/**
+ * BotManager - Personas and decisions for bot players
+ * Bots answer in their persona's style (Claude with an API key, canned answers otherwise) and host by
+ * matching each answer to whoever's earlier answers it sounds most like - or by asking Claude.
+ * They only ever see what a phone would: anonymous answers while matching, and authors once revealed.
+ */
+class BotManager {
+  constructor(config, claudeService = null) {
+    this.config = config.bots || {};
+    this.claudeService = claudeService;
+    this.revealedAnswers = {}; // competitorId -> answers they wrote in earlier rounds
+    this.usedAnswers = new Set(); // Canned answers given this round (no two bots give the same one)
+  }
+
+  /**
+   * Play by another config (a game preset picked in the lobby)
+   */
+  useConfig(config) {
+    this.config = config.bots || {};
+  }
+
+  /**
+   * Personas for the lobby picker
+   * @returns {Array} [{id, name, description}]
+   */
+  listPersonas() {
+    return Object.entries(BOT_PERSONAS).map(([id, persona]) => ({
+      id,
+      name: persona.name,
+      description: persona.description
+    }));
+  }
+
+  /**
+   * Whether a persona with this id exists
+   */
+  hasPersona(personaId) {
+    return Object.prototype.hasOwnProperty.call(BOT_PERSONAS, personaId);
+  }
+
+  /**
+   * A persona by id (the first one for an unknown id)
+   */
+  getPersona(personaId) {
+    return BOT_PERSONAS[personaId] || Object.values(BOT_PERSONAS)[0];
+  }
+
+  /**
+   * How long a bot "thinks" before acting - config.bots.minThink to maxThink seconds,
+   * but never more than half the time the phase allows
+   * @returns {number} Milliseconds
+   */
+  getThinkTime(phaseSeconds = Infinity) {
+    const min = this.config.minThink ?? 2;
+    const max = Math.max(min, this.config.maxThink ?? 8);
+    const seconds = min + Math.random() * (max - min);
+    return Math.min(seconds, phaseSeconds / 2) * 1000;
+  }
+
+  /**
+   * A new round - canned answers can be used again
+   */
+  startRound() {
+    this.usedAnswers.clear();
+  }
+
+  /**
+   * Remember who wrote what once it's revealed, for matching in later rounds
+   * @param {Array} results - The round's results [{answer, actualPlayer: {id}}]
+   */
+  rememberRound(results) {
+    results.forEach(r => {
+      if (!r.actualPlayer || !r.answer || r.answer === '[No Answer]') return;
+      this.revealedAnswers[r.actualPlayer.id] = [...(this.revealedAnswers[r.actualPlayer.id] || []), r.answer];
+    });
+  }
+
+  /**
+   * A host bot picks one of the offered themes
+   */
+  pickTheme(themes) {
+    return themes[Math.floor(Math.random() * themes.length)];
+  }
+
+  /**
+   * An answer to the theme in the persona's style
+   * @param {Object} options - {familyFriendly, canned: true to skip Claude (after a rejected answer)}
+   * @returns {Promise<string>}
+   */
+  async writeAnswer(personaId, theme, { familyFriendly = false, canned = false } = {}) {
+    const persona = this.getPersona(personaId);
+
+    if (!canned && this.config.ai !== false && this.claudeService) {
+      const reply = await this.claudeService.generateBotReply(`You are playing "Know Your Crowd", a party game. Answer this theme as ${persona.style}.
+
+Theme: ${theme}
+
+Reply with ONLY your answer, 1 to 4 words, no quotes.${familyFriendly ? ' Keep it family friendly.' : ''}`, { maxTokens: 20, timeout: (this.config.timeout ?? 6) * 1000 });
+      const answer = reply?.trim().split('\n')[0].trim().replace(/^["']+|["'.]+$/g, '').substring(0, 100);
+      if (answer) return answer;
+    }
+
+    return this.getCannedAnswer(persona, theme);
+  }
+
+  /**
+   * A canned answer for the theme's topic (or the persona's own), not yet given this round
+   */
+  getCannedAnswer(persona, theme = '') {
+    const topic = TOPIC_ANSWERS.find(t => t.keywords.test(theme));
+    const pool = topic ? [...topic.answers, ...persona.answers.slice(0, 2)] : persona.answers;
+    const fresh = pool.filter(answer => !this.usedAnswers.has(answer));
+    const answer = (fresh.length > 0 ? fresh : pool)[Math.floor(Math.random() * (fresh.length || pool.length))];
+
+    this.usedAnswers.add(answer);
+    return answer;
+  }
+
+  /**
+   * A host bot's guesses
+   * @param {Object} matchingData - {answers: [{index, answer}], players: [{id, name, isBot, botPersona}]}
+   * @returns {Promise<Array>} [{answerIndex, playerId}] - one answer per player
+   */
+  async makeMatches(theme, matchingData) {
+    const answers = matchingData.answers.filter(a => !a.rewriting);
+    const candidates = matchingData.players;
+
+    let guesses = {};
+    if (this.config.ai !== false && this.claudeService) {
+      guesses = await this.askClaudeToMatch(theme, answers, candidates);
+    }
+    return this.assignMatches(answers, candidates, guesses);
+  }
+
+  /**
+   * Claude's guesses, as answerIndex -> playerId (empty if it couldn't help)
+   */
+  async askClaudeToMatch(theme, answers, candidates) {
+    const players = candidates.map(c => {
+      const earlier = this.revealedAnswers[c.id] || [];
+      const persona = c.isBot ? ` (a bot playing ${this.getPersona(c.botPersona).style})` : '';
+      return `- ${c.name}${persona}${earlier.length > 0 ? `, earlier answers: ${earlier.slice(-5).join(', ')}` : ''}`;
+    }).join('\n');
+
+    const reply = await this.claudeService.generateBotReply(`You are the host in "Know Your Crowd", a party game. Guess who wrote each answer to the theme "${theme}".
+
+Players:
+${players}
+
+Answers:
+${answers.map(a => `${a.index}: ${a.answer}`).join('\n')}
+
+Each player wrote exactly one answer. Reply with one line per answer as "number: player name", nothing else.`, { maxTokens: 150, timeout: (this.config.timeout ?? 6) * 1000 });
+
+    const guesses = {};
+    (reply || '').split('\n').forEach(line => {
+      const match = line.match(/^\s*(\d+)\s*[:\-.]\s*(.+?)\s*$/);
+      const player = match && candidates.find(c => c.name.toLowerCase() === match[2].toLowerCase());
+      if (player) guesses[match[1]] = player.id;
+    });
+    return guesses;
+  }
+
+  /**
+   * Pair every answer with a different player: Claude's guesses first, then the closest
+   * match with each player's earlier answers, then whoever is left
+   */
+  assignMatches(answers, candidates, guesses = {}) {
+    const matches = [];
+    const openAnswers = [...answers];
+    const openPlayers = [...candidates];
+    const take = (answer, player) => {
+      matches.push({ answerIndex: answer.index, playerId: player.id });
+      openAnswers.splice(openAnswers.indexOf(answer), 1);
+      openPlayers.splice(openPlayers.indexOf(player), 1);
+    };
+
+    answers.forEach(answer => {
+      const player = openPlayers.find(p => p.id === guesses[answer.index]);
+      if (player) take(answer, player);
+    });
+
+    // Strongest likenesses first; ties (and players with nothing to go on) are shuffled
+    const pairs = openAnswers
+      .flatMap(answer => openPlayers.map(player => ({ answer, player, score: this.getLikeness(answer.answer, player) + Math.random() * 0.01 })))
+      .sort((a, b) => b.score - a.score);
+    pairs.forEach(({ answer, player }) => {
+      if (openAnswers.includes(answer) && openPlayers.includes(player)) take(answer, player);
+    });
+
+    return matches;
+  }
+
+  /**
+   * How much an answer sounds like a player: words shared with their earlier answers,
+   * and a bot persona's own canned answers
+   */
+  getLikeness(answer, player) {
+    const known = [...(this.revealedAnswers[player.id] || [])];
+    if (player.isBot) known.push(...this.getPersona(player.botPersona).answers);
+
+    const words = this.getWords(answer);
+    return known.reduce((score, earlier) => {
+      if (earlier.toLowerCase() === answer.toLowerCase()) return score + 3;
+      const shared = this.getWords(earlier).filter(word => words.includes(word));
+      return score + shared.length;
+    }, 0);
+  }
+
+  // Lower-case words of three letters or more, without the common ones
+  getWords(text) {
+    return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+  }
+}
+
+module.exports = BotManager;
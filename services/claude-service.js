@@ -1,13 +1,17 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const ThemeGenerator = require('./theme-generator');
+const ThemePackManager = require('./theme-pack-manager');
 
 /**
  * ClaudeService - Handles AI theme generation using Claude Haiku
  * Uses ThemeGenerator for session tracking and dynamic prompt seeding
  */
 class ClaudeService {
-  constructor(config) {
+  constructor(config, themePacks = null) {
     this.config = config;
+    this.themePacks = themePacks; // ThemePackManager with the user's packs (shared by all rooms)
+    this.useAI = true;
+    this.usesCustomPacks = false;
     this.apiKey = config.apiKey;
     this.client = null;
     this.themeCache = [];
@@ -44,6 +48,25 @@ class ClaudeService {
     console.log('[ClaudeService] Session reset - theme tracking cleared');
   }
 
+  /**
+   * Pick where themes come from: theme packs (the built-in themes are the 'builtin' pack) and/or AI
+   * @param {Object} sources - {packs: [packId], ai: boolean}
+   * @returns {Object|null} The sources in use (unknown packs dropped), null if nothing is left to use
+   */
+  setThemeSources({ packs = [ThemePackManager.BUILT_IN_PACK_ID], ai = true } = {}) {
+    const builtInId = ThemePackManager.BUILT_IN_PACK_ID;
+    const selected = [...new Set(packs)].filter(id => id === builtInId || this.themePacks?.get(id));
+    if (selected.length === 0 && !ai) return null;
+
+    const customPacks = selected.filter(id => id !== builtInId).map(id => this.themePacks.get(id));
+    this.themeGenerator.usePacks(customPacks, selected.includes(builtInId) || customPacks.length === 0);
+    this.useAI = !!ai;
+    this.usesCustomPacks = customPacks.length > 0;
+    this.resetSession();
+
+    return { packs: selected, ai: this.useAI };
+  }
+
   initializeClient() {
     try {
       this.client = new Anthropic({
@@ -94,10 +117,27 @@ Return ONLY the 3 themes, one per line, no numbering, bullets, or quotes.`;
   }
 
   /**
-   * Generate 3 unique themes for the current round
-   * Uses dynamic prompts seeded by ThemeGenerator for guaranteed variety
+   * Generate 3 unique themes for the current round from the selected sources
+   * With AI and custom packs both selected, one of the three comes from the packs
    */
   async generateThemes() {
+    if (!this.useAI) {
+      return this.getFallbackThemes();
+    }
+
+    const themes = await this.generateAIThemes();
+    if (this.usesCustomPacks && this.client) {
+      const [packTheme] = this.sessionManager.getThemes(1).filter(t => !themes.includes(t));
+      if (packTheme) themes.splice(themes.length - 1, 1, packTheme);
+    }
+    return themes;
+  }
+
+  /**
+   * Generate 3 unique AI themes
+   * Uses dynamic prompts seeded by ThemeGenerator for guaranteed variety
+   */
+  async generateAIThemes() {
     // Try to use cached themes first (these are already unique)
     if (this.themeCache.length >= 3) {
       const themes = this.themeCache.splice(0, 3);
@@ -207,6 +247,92 @@ Return ONLY the 10 themes, one per line, no numbering, bullets, or quotes.`
     }
   }
 
+  /**
+   * Ask Claude whether an answer is fine to show at a family party
+   * @param {string} answer - The player's answer
+   * @param {string} theme - The round's theme, for context
+   * @returns {Promise<boolean|null>} true if it isn't family friendly, null without an API client or on error
+   */
+  async classifyAnswer(answer, theme = '') {
+    if (!this.client) return null;
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: 5,
+        temperature: 0,
+        messages: [
+          {
+            role: 'user',
+            content: `You moderate a party game played with children in the room. Players answer a theme and their answers are shown on a TV.
+
+Theme: ${theme}
+Answer: ${answer}
+
+Is this answer family friendly (no swearing, sexual content, slurs, hate or graphic violence)? Reply with only SAFE or UNSAFE.`
+          }
+        ]
+      }, { timeout: 5000 });
+
+      return response.content[0].text.trim().toUpperCase().startsWith('UNSAFE');
+    } catch (err) {
+      console.error('Error classifying answer with Claude:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Write one line for the game show announcer
+   * @param {string} prompt - The moment to react to, with the round's theme and answers
+   * @param {Object} options - {maxTokens, timeout} (timeout in ms, no retries - a late line is no use)
+   * @returns {Promise<string|null>} The reply, null without an API client, on error or timeout
+   */
+  async generateAnnouncerLine(prompt, { maxTokens = 60, timeout = 4000 } = {}) {
+    if (!this.client) return null;
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature: 1,
+        messages: [
+          { role: 'user', content: prompt }
+        ]
+      }, { timeout, maxRetries: 0 });
+
+      return response.content[0].text;
+    } catch (err) {
+      console.error('Error generating announcer line with Claude:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Let a bot player answer a theme or guess who wrote what
+   * @param {string} prompt - The bot's persona and what it has to decide
+   * @param {Object} options - {maxTokens, timeout} (timeout in ms, no retries - the bot falls back instead)
+   * @returns {Promise<string|null>} The reply, null without an API client, on error or timeout
+   */
+  async generateBotReply(prompt, { maxTokens = 50, timeout = 6000 } = {}) {
+    if (!this.client) return null;
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature: 0.9,
+        messages: [
+          { role: 'user', content: prompt }
+        ]
+      }, { timeout, maxRetries: 0 });
+
+      return response.content[0].text;
+    } catch (err) {
+      console.error('Error generating bot reply with Claude:', err);
+      return null;
+    }
+  }
+
   /**
    * Get fallback themes when API is unavailable
    * Uses session manager to guarantee no repeats within a game
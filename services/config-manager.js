@@ -0,0 +1,256 @@
+/**
+ * Config schema - every setting the game can't run without, with its type, range and default
+ * Anything missing or out of range falls back to the default (and is reported).
+ * Each field can also be set from an environment variable: KYC_ plus its path, e.g. KYC_TIMERS_ANSWERING.
+ */
+const CONFIG_SCHEMA = {
+  minPlayers: { type: 'integer', min: 2, max: 20, default: 3 },
+  maxPlayers: { type: 'integer', min: 3, max: 50, default: 10 },
+  rotations: { type: 'integer', min: 1, max: 10, default: 1 },
+  timers: {
+    themeSelection: { type: 'number', min: 1, max: 600, default: 15 },
+    answering: { type: 'number', min: 1, max: 600, default: 60 },
+    matching: { type: 'number', min: 1, max: 600, default: 90 },
+    reveal: { type: 'number', min: 0, max: 60, default: 5 },
+    roundEnd: { type: 'number', min: 0, max: 120, default: 10 }
+  },
+  reveal: {
+    maxWait: { type: 'number', min: 1, max: 120, default: 15 },
+    intro: { type: 'number', min: 0, max: 60, default: 5 }
+  },
+  penalties: {
+    noSubmission: { type: 'integer', min: -100, max: 0, default: -3 }
+  },
+  bonuses: {
+    perfectRound: { type: 'integer', min: 0, max: 100, default: 3 },
+    bluff: { type: 'integer', min: 0, max: 100, default: 0 },
+    mostBlamed: { type: 'integer', min: 0, max: 100, default: 0 },
+    correctVote: { type: 'integer', min: 0, max: 100, default: 1 },
+    fooledVoter: { type: 'integer', min: 0, max: 100, default: 1 }
+  },
+  announcer: {
+    timeout: { type: 'number', min: 1, max: 15, default: 4 },
+    maxTokens: { type: 'integer', min: 20, max: 200, default: 60 }
+  },
+  bots: {
+    minThink: { type: 'number', min: 0, max: 60, default: 2 },
+    maxThink: { type: 'number', min: 0, max: 120, default: 8 },
+    timeout: { type: 'number', min: 1, max: 30, default: 6 }
+  }
+};
+
+/**
+ * Game presets - overrides a lobby can pick for one game, on top of the app's config
+ * More can be added under config.presets ({name, description, overrides}).
+ */
+const CONFIG_PRESETS = {
+  quick: {
+    name: 'Quick Game',
+    description: 'Short timers and a fast reveal',
+    overrides: { timers: { themeSelection: 10, answering: 30, matching: 45, reveal: 3, roundEnd: 5 } }
+  },
+  marathon: {
+    name: 'Marathon',
+    description: 'Everyone hosts three times, with more time to think',
+    overrides: { rotations: 3, timers: { answering: 90, matching: 120 } }
+  },
+  kids: {
+    name: 'Kids',
+    description: 'Extra time, no penalty for a missing answer and family-friendly answers',
+    overrides: {
+      timers: { answering: 90, matching: 120 },
+      penalties: { noSubmission: 0 },
+      moderation: { familyFriendly: true }
+    }
+  }
+};
+
+/**
+ * ConfigManager - Loads, validates and layers the game configuration
+ * Layers, lowest first: schema defaults, the shipped config file, the user's settings, environment variables.
+ */
+class ConfigManager {
+  /**
+   * @param {Object} config - An already loaded config (presets are layered on top of it)
+   * @param {Object} env - Environment variables (process.env)
+   */
+  constructor(config = null, env = process.env) {
+    this.config = config;
+    this.env = env;
+    this.errors = [];
+  }
+
+  /**
+   * Build the config the app runs with
+   * @param {Object} fileConfig - Parsed config file
+   * @param {Object} userConfig - The user's own settings (SettingsStore)
+   * @returns {Object} Config with every schema field present and in range (problems are in this.errors)
+   */
+  load(fileConfig = {}, userConfig = {}) {
+    const merged = [fileConfig, userConfig, this.readEnv()]
+      .reduce((config, layer) => this.merge(config, layer), this.getDefaults());
+    const { config, errors } = this.validate(merged);
+
+    this.config = config;
+    this.errors = errors;
+    errors.forEach(error => console.warn(`[Config] ${error}`));
+    return config;
+  }
+
+  /**
+   * Defaults for every schema field
+   */
+  getDefaults(schema = CONFIG_SCHEMA) {
+    const defaults = {};
+    for (const [key, field] of Object.entries(schema)) {
+      defaults[key] = this.isField(field) ? field.default : this.getDefaults(field);
+    }
+    return defaults;
+  }
+
+  /**
+   * Schema fields set through environment variables (KYC_TIMERS_ANSWERING=30), plus CLAUDE_API_KEY
+   */
+  readEnv(schema = CONFIG_SCHEMA, path = []) {
+    const config = {};
+    if (path.length === 0 && this.env.CLAUDE_API_KEY) {
+      config.apiKey = this.env.CLAUDE_API_KEY;
+    }
+
+    for (const [key, field] of Object.entries(schema)) {
+      if (this.isField(field)) {
+        const value = this.env[this.getEnvName([...path, key])];
+        if (value !== undefined && value !== '') {
+          config[key] = Number(value);
+        }
+      } else {
+        const nested = this.readEnv(field, [...path, key]);
+        if (Object.keys(nested).length > 0) {
+          config[key] = nested;
+        }
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Environment variable for a schema path - ['timers', 'roundEnd'] -> KYC_TIMERS_ROUND_END
+   */
+  getEnvName(path) {
+    return 'KYC_' + path.map(key => key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+  }
+
+  /**
+   * Check a config against the schema
+   * @returns {Object} {config, errors} - a copy with bad values replaced by their defaults
+   */
+  validate(config) {
+    const errors = [];
+    const checked = this.checkFields(config, CONFIG_SCHEMA, [], errors);
+
+    if (checked.minPlayers > checked.maxPlayers) {
+      errors.push(`minPlayers (${checked.minPlayers}) is more than maxPlayers (${checked.maxPlayers}) - using ${CONFIG_SCHEMA.minPlayers.default} and ${CONFIG_SCHEMA.maxPlayers.default}`);
+      checked.minPlayers = CONFIG_SCHEMA.minPlayers.default;
+      checked.maxPlayers = CONFIG_SCHEMA.maxPlayers.default;
+    }
+
+    return { config: checked, errors };
+  }
+
+  /**
+   * Presets for the lobby picker
+   * @returns {Array} [{id, name, description}]
+   */
+  listPresets() {
+    return Object.entries(this.getPresets()).map(([id, preset]) => ({
+      id,
+      name: preset.name || id,
+      description: preset.description || ''
+    }));
+  }
+
+  /**
+   * Whether a preset with this id exists
+   */
+  hasPreset(presetId) {
+    return Object.prototype.hasOwnProperty.call(this.getPresets(), presetId);
+  }
+
+  /**
+   * A preset by id
+   * @returns {Object|null} {name, description, overrides}
+   */
+  getPreset(presetId) {
+    return this.hasPreset(presetId) ? this.getPresets()[presetId] : null;
+  }
+
+  /**
+   * Config for one game with a preset on top - the loaded config is left as it is
+   * @param {string|null} presetId - null for the plain config
+   * @returns {Object} A validated copy that shares nothing with the loaded config
+   */
+  forPreset(presetId) {
+    const preset = this.getPreset(presetId);
+    const merged = this.merge(this.config, preset?.overrides || {});
+    const { config, errors } = this.validate(merged);
+    errors.forEach(error => console.warn(`[Config] Preset ${presetId}: ${error}`));
+    return structuredClone(config);
+  }
+
+  // Built-in presets, plus any custom ones from config.presets
+  getPresets() {
+    return { ...CONFIG_PRESETS, ...this.config?.presets };
+  }
+
+  // Copy of a config section with every schema field checked (non-schema keys pass through untouched)
+  checkFields(config, schema, path, errors) {
+    const checked = { ...config };
+
+    for (const [key, field] of Object.entries(schema)) {
+      const name = [...path, key].join('.');
+      if (!this.isField(field)) {
+        const section = config[key];
+        if (section !== undefined && (typeof section !== 'object' || section === null || Array.isArray(section))) {
+          errors.push(`${name} should be an object - using the defaults`);
+        }
+        const isObject = section && typeof section === 'object' && !Array.isArray(section);
+        checked[key] = this.checkFields(isObject ? section : {}, field, [...path, key], errors);
+        continue;
+      }
+
+      const value = config[key];
+      if (value === undefined) {
+        checked[key] = field.default;
+      } else if (!this.isValid(value, field)) {
+        errors.push(`${name} should be ${field.type === 'integer' ? 'a whole number' : 'a number'} from ${field.min} to ${field.max} (got ${JSON.stringify(value)}) - using ${field.default}`);
+        checked[key] = field.default;
+      }
+    }
+    return checked;
+  }
+
+  // Whether a value has the field's type and is in its range
+  isValid(value, field) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    if (field.type === 'integer' && !Number.isInteger(value)) return false;
+    return value >= field.min && value <= field.max;
+  }
+
+  // Schema leaves have a type, sections don't
+  isField(entry) {
+    return typeof entry.type === 'string';
+  }
+
+  // Deep merge of plain objects - arrays and values in the layer replace what's there
+  merge(base, layer) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(layer || {})) {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      const baseIsObject = merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+      merged[key] = isObject && baseIsObject ? this.merge(merged[key], value) : value;
+    }
+    return merged;
+  }
+}
+
+module.exports = ConfigManager;
@@ -5,7 +5,7 @@ const { v4: uuidv4 } = require('uuid');
 
 /**
  * Database Service - SQLite persistence for Know Your Crowd
- * Handles all database operations for games, players, rounds, answers, matches, and history
+ * Handles all database operations for games, players, rounds, answers, matches, votes and history
  */
 class DatabaseService {
   constructor(dbPath) {
@@ -31,6 +31,7 @@ class DatabaseService {
 
       // Execute schema
       this.executeSchema();
+      this.migrate();
 
       console.log(`Database initialized at: ${this.dbPath}`);
       return true;
@@ -51,6 +52,73 @@ class DatabaseService {
     this.db.exec(schema);
   }
 
+  /**
+   * Add columns introduced after a database was first created
+   * (CREATE TABLE IF NOT EXISTS leaves existing tables untouched)
+   */
+  migrate() {
+    const columns = {
+      games: {
+        mode: "TEXT DEFAULT 'individual'",
+        scoring_preset: "TEXT DEFAULT 'classic'",
+        game_preset: 'TEXT',
+        theme_sources: 'TEXT',
+        family_friendly: 'INTEGER DEFAULT 0',
+        current_host_index: 'INTEGER DEFAULT 0',
+        host_rotation_count: 'INTEGER DEFAULT 0',
+        is_sudden_death: 'INTEGER DEFAULT 0',
+        sudden_death_round: 'INTEGER DEFAULT 0',
+        tied_player_ids: 'TEXT',
+        tied_player_host_index: 'INTEGER DEFAULT 0'
+      },
+      players: {
+        team_id: 'TEXT',
+        is_kicked: 'INTEGER DEFAULT 0',
+        is_banned: 'INTEGER DEFAULT 0',
+        profile_id: 'TEXT',
+        is_bot: 'INTEGER DEFAULT 0',
+        bot_persona: 'TEXT'
+      },
+      rounds: {
+        phase_ends_at: 'INTEGER',
+        phase_time_limit: 'INTEGER',
+        is_sudden_death: 'INTEGER DEFAULT 0',
+        scoreboard: 'TEXT',
+        history_id: 'TEXT',
+        reveal_order: 'TEXT',
+        round_type: "TEXT DEFAULT 'classic'"
+      },
+      game_history: {
+        scoring_preset: 'TEXT'
+      }
+    };
+
+    const added = [];
+    for (const [table, tableColumns] of Object.entries(columns)) {
+      const existing = this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+      for (const [column, definition] of Object.entries(tableColumns)) {
+        if (!existing.includes(column)) {
+          this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+          added.push(`${table}.${column}`);
+        }
+      }
+    }
+
+    // Rounds played before replays existed belong to the first game of theirs that finished after them
+    if (added.includes('rounds.history_id')) {
+      this.db.exec(`
+        UPDATE rounds SET history_id = (
+          SELECT h.id FROM game_history h
+          WHERE h.game_id = rounds.game_id AND h.completed_at >= rounds.started_at
+          ORDER BY h.completed_at ASC
+          LIMIT 1
+        )
+        WHERE completed_at IS NOT NULL
+      `);
+    }
+  }
+
   /**
    * Close database connection
    */
@@ -80,14 +148,19 @@ class DatabaseService {
    * Update game status and current round
    */
   updateGame(gameId, updates) {
-    const allowedFields = ['status', 'current_round', 'current_host_id'];
+    const allowedFields = [
+      'status', 'mode', 'scoring_preset', 'game_preset', 'theme_sources', 'family_friendly', 'current_round', 'total_rounds', 'current_host_id', 'current_host_index',
+      'host_rotation_count', 'is_sudden_death', 'sudden_death_round', 'tied_player_ids',
+      'tied_player_host_index'
+    ];
     const fields = [];
     const values = [];
 
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
         fields.push(`${key} = ?`);
-        values.push(value);
+        // Convert boolean to integer for SQLite
+        values.push(typeof value === 'boolean' ? (value ? 1 : 0) : value);
       }
     }
 
@@ -134,6 +207,19 @@ class DatabaseService {
     return stmt.get(gameId);
   }
 
+  /**
+   * Get games that were still being played when the app last stopped
+   */
+  getInProgressGames() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM games
+      WHERE status = 'in_progress'
+      ORDER BY updated_at DESC
+    `);
+
+    return stmt.all();
+  }
+
   /**
    * Delete old games (older than specified days)
    */
@@ -154,8 +240,9 @@ class DatabaseService {
    */
   addPlayer(gameId, player) {
     const stmt = this.db.prepare(`
-      INSERT INTO players (id, game_id, name, score, is_host, is_connected, session_token, join_order)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO players (id, game_id, name, score, is_host, is_connected, session_token, join_order, profile_id,
+        is_bot, bot_persona)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     stmt.run(
@@ -166,7 +253,10 @@ class DatabaseService {
       player.isHost ? 1 : 0,
       player.isConnected ? 1 : 0,
       player.sessionToken,
-      player.joinOrder
+      player.joinOrder,
+      player.profileId || null,
+      player.isBot ? 1 : 0,
+      player.botPersona || null
     );
   }
 
@@ -174,7 +264,7 @@ class DatabaseService {
    * Update player data
    */
   updatePlayer(playerId, updates) {
-    const allowedFields = ['name', 'score', 'is_host', 'is_connected'];
+    const allowedFields = ['name', 'score', 'is_host', 'is_connected', 'team_id', 'join_order', 'is_kicked', 'is_banned'];
     const fields = [];
     const values = [];
 
@@ -200,7 +290,7 @@ class DatabaseService {
   }
 
   /**
-   * Get all players for a game
+   * Get all players for a game (kicked players included)
    */
   getPlayers(gameId) {
     const stmt = this.db.prepare(`
@@ -227,6 +317,100 @@ class DatabaseService {
     updateMany(players);
   }
 
+  // ==================== TEAM OPERATIONS ====================
+
+  /**
+   * Replace a game's teams and record each player's team
+   */
+  saveTeams(gameId, teams) {
+    const deleteStmt = this.db.prepare('DELETE FROM teams WHERE game_id = ?');
+    const insertStmt = this.db.prepare(`
+      INSERT INTO teams (id, game_id, name, score, team_order)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const playerStmt = this.db.prepare('UPDATE players SET team_id = ? WHERE id = ?');
+
+    const saveAll = this.db.transaction((teamList) => {
+      deleteStmt.run(gameId);
+      teamList.forEach((team, index) => {
+        insertStmt.run(team.id, gameId, team.name, team.score || 0, index);
+        team.playerIds.forEach(playerId => playerStmt.run(team.id, playerId));
+      });
+    });
+
+    saveAll(teams);
+  }
+
+  /**
+   * Get all teams for a game
+   */
+  getTeams(gameId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM teams
+      WHERE game_id = ?
+      ORDER BY team_order ASC
+    `);
+
+    return stmt.all(gameId);
+  }
+
+  /**
+   * Bulk update all team scores
+   */
+  updateTeamScores(teams) {
+    const stmt = this.db.prepare('UPDATE teams SET score = ? WHERE id = ?');
+
+    const updateMany = this.db.transaction((teamList) => {
+      for (const team of teamList) {
+        stmt.run(team.score, team.id);
+      }
+    });
+
+    updateMany(teams);
+  }
+
+  // ==================== AUDIENCE OPERATIONS ====================
+
+  /**
+   * Add a spectator to a game
+   */
+  addSpectator(gameId, spectator) {
+    const stmt = this.db.prepare(`
+      INSERT INTO audience (id, game_id, name, score, session_token)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(spectator.id, gameId, spectator.name, spectator.score || 0, spectator.sessionToken);
+  }
+
+  /**
+   * Get all spectators for a game
+   */
+  getAudience(gameId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM audience
+      WHERE game_id = ?
+      ORDER BY joined_at ASC
+    `);
+
+    return stmt.all(gameId);
+  }
+
+  /**
+   * Bulk update all spectator scores
+   */
+  updateAudienceScores(audience) {
+    const stmt = this.db.prepare('UPDATE audience SET score = ? WHERE id = ?');
+
+    const updateMany = this.db.transaction((spectators) => {
+      for (const spectator of spectators) {
+        stmt.run(spectator.score, spectator.id);
+      }
+    });
+
+    updateMany(audience);
+  }
+
   // ==================== ROUND OPERATIONS ====================
 
   /**
@@ -248,7 +432,7 @@ class DatabaseService {
    * Update round data
    */
   updateRound(roundId, updates) {
-    const allowedFields = ['theme', 'phase'];
+    const allowedFields = ['theme', 'phase', 'phase_ends_at', 'phase_time_limit', 'reveal_order', 'round_type'];
     const fields = [];
     const values = [];
 
@@ -274,15 +458,16 @@ class DatabaseService {
 
   /**
    * Complete a round
+   * @param {Object} replay - {scoreboard, isSuddenDeath} kept for game replays
    */
-  completeRound(roundId) {
+  completeRound(roundId, { scoreboard = null, isSuddenDeath = false } = {}) {
     const stmt = this.db.prepare(`
       UPDATE rounds
-      SET phase = 'complete', completed_at = datetime('now')
+      SET phase = 'complete', completed_at = datetime('now'), scoreboard = ?, is_sudden_death = ?
       WHERE id = ?
     `);
     
-    stmt.run(roundId);
+    stmt.run(scoreboard ? JSON.stringify(scoreboard) : null, isSuddenDeath ? 1 : 0, roundId);
   }
 
   /**
@@ -297,6 +482,21 @@ class DatabaseService {
     return stmt.get(gameId, roundNumber);
   }
 
+  /**
+   * Get the most recently created round for a game
+   * (round numbers repeat when a room plays again, so order by insertion)
+   */
+  getLatestRound(gameId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM rounds
+      WHERE game_id = ?
+      ORDER BY rowid DESC
+      LIMIT 1
+    `);
+
+    return stmt.get(gameId);
+  }
+
   /**
    * Get all rounds for a game
    */
@@ -315,9 +515,8 @@ class DatabaseService {
   /**
    * Save a player's answer
    */
-  saveAnswer(roundId, playerId, answer, penaltyApplied = false) {
-    const answerId = uuidv4();
-    
+  saveAnswer(roundId, playerId, answer, penaltyApplied = false, answerId = uuidv4()) {
+
     const stmt = this.db.prepare(`
       INSERT INTO answers (id, round_id, player_id, answer, penalty_applied, submitted_at)
       VALUES (?, ?, ?, ?, ?, datetime('now'))
@@ -327,6 +526,14 @@ class DatabaseService {
     return answerId;
   }
 
+  /**
+   * Delete an answer (vetoed by the host)
+   */
+  deleteAnswer(answerId) {
+    const stmt = this.db.prepare('DELETE FROM answers WHERE id = ?');
+    stmt.run(answerId);
+  }
+
   /**
    * Get all answers for a round
    */
@@ -336,7 +543,7 @@ class DatabaseService {
       FROM answers a
       JOIN players p ON a.player_id = p.id
       WHERE a.round_id = ?
-      ORDER BY a.submitted_at ASC
+      ORDER BY a.submitted_at ASC, a.rowid ASC
     `);
     
     return stmt.all(roundId);
@@ -353,9 +560,8 @@ class DatabaseService {
     
     const insertMany = this.db.transaction((answerList) => {
       for (const answer of answerList) {
-        const answerId = uuidv4();
         stmt.run(
-          answerId,
+          answer.id || uuidv4(),
           roundId,
           answer.playerId,
           answer.answer,
@@ -403,6 +609,7 @@ class DatabaseService {
       JOIN answers a ON m.answer_id = a.id
       JOIN players p ON m.guessed_player_id = p.id
       WHERE m.round_id = ?
+      ORDER BY m.rowid ASC
     `);
     
     return stmt.all(roundId);
@@ -410,11 +617,9 @@ class DatabaseService {
 
   /**
    * Bulk save matches for a round
+   * @param {Array} matches - [{answerId, guessedPlayerId, isCorrect}]
    */
   saveMatches(roundId, matches) {
-    // Get all answers for this round first
-    const answers = this.getAnswers(roundId);
-    
     const stmt = this.db.prepare(`
       INSERT INTO matches (id, round_id, answer_id, guessed_player_id, is_correct)
       VALUES (?, ?, ?, ?, ?)
@@ -422,36 +627,66 @@ class DatabaseService {
     
     const insertMany = this.db.transaction((matchList) => {
       for (const match of matchList) {
-        const matchId = uuidv4();
-        // Find the answer_id based on the answer index
-        const answerId = answers[match.answerIndex]?.id;
-        
-        if (answerId) {
-          stmt.run(
-            matchId,
-            roundId,
-            answerId,
-            match.guessedPlayerId,
-            match.isCorrect ? 1 : 0
-          );
-        }
+        stmt.run(
+          uuidv4(),
+          roundId,
+          match.answerId,
+          match.guessedPlayerId,
+          match.isCorrect ? 1 : 0
+        );
       }
     });
 
     insertMany(matches);
   }
 
+  // ==================== VOTE OPERATIONS ====================
+
+  /**
+   * Bulk save a vote round's votes
+   * @param {Array} votes - [{answerId, voterId, votedPlayerId, isCorrect}]
+   */
+  saveVotes(roundId, votes) {
+    const stmt = this.db.prepare(`
+      INSERT INTO votes (id, round_id, answer_id, voter_id, voted_player_id, is_correct)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    
+    const insertMany = this.db.transaction((voteList) => {
+      for (const vote of voteList) {
+        stmt.run(uuidv4(), roundId, vote.answerId, vote.voterId, vote.votedPlayerId, vote.isCorrect ? 1 : 0);
+      }
+    });
+
+    insertMany(votes);
+  }
+
+  /**
+   * Get all votes for a round
+   */
+  getVotes(roundId) {
+    const stmt = this.db.prepare(`
+      SELECT v.*, a.answer, a.player_id as actual_player_id
+      FROM votes v
+      JOIN answers a ON v.answer_id = a.id
+      WHERE v.round_id = ?
+      ORDER BY v.rowid ASC
+    `);
+    
+    return stmt.all(roundId);
+  }
+
   // ==================== GAME HISTORY OPERATIONS ====================
 
   /**
    * Save completed game to history
    */
-  saveGameHistory(gameId, winnerData, playerCount, roundsPlayed) {
+  saveGameHistory(gameId, winnerData, playerCount, roundsPlayed, scoringPreset = null) {
     const historyId = uuidv4();
     
     const stmt = this.db.prepare(`
-      INSERT INTO game_history (id, game_id, winner_id, winner_name, winner_score, player_count, rounds_played, completed_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO game_history (id, game_id, winner_id, winner_name, winner_score, player_count, rounds_played, scoring_preset, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     `);
     
     stmt.run(
@@ -461,25 +696,144 @@ class DatabaseService {
       winnerData?.name || null,
       winnerData?.score || null,
       playerCount,
-      roundsPlayed
+      roundsPlayed,
+      scoringPreset
     );
     
+    // The game's rounds so far were this game (a room that plays again starts its rounds after this)
+    this.db.prepare('UPDATE rounds SET history_id = ? WHERE game_id = ? AND history_id IS NULL').run(historyId, gameId);
+    
     return historyId;
   }
 
   /**
-   * Get game history (recent games)
+   * Get game history (recent games), with each game's mode and how many of its rounds can be replayed
    */
   getGameHistory(limit = 50) {
     const stmt = this.db.prepare(`
-      SELECT * FROM game_history
-      ORDER BY completed_at DESC
+      SELECT h.*, g.mode,
+        (SELECT COUNT(*) FROM rounds r WHERE r.history_id = h.id AND r.completed_at IS NOT NULL) as replay_rounds
+      FROM game_history h
+      LEFT JOIN games g ON h.game_id = g.id
+      ORDER BY h.completed_at DESC, h.rowid DESC
       LIMIT ?
     `);
     
     return stmt.all(limit);
   }
 
+  /**
+   * A finished game round by round, for the display's replay
+   * @returns {Object|null} {id, completedAt, mode, winnerName, winnerScore, playerCount, roundsPlayed, scoringPreset,
+   *   rounds: [{roundNumber, isSuddenDeath, hostId, hostName, theme, revealOrder, roundType,
+   *     matches: [{answer, authorName, guessedName, isCorrect}], scoreboard}]}
+   * A vote round's matches are the crowd's picks, each with its votes: [{name, count}]
+   */
+  getGameReplay(historyId) {
+    const game = this.db.prepare(`
+      SELECT h.*, g.mode FROM game_history h
+      LEFT JOIN games g ON h.game_id = g.id
+      WHERE h.id = ?
+    `).get(historyId);
+    if (!game) return null;
+    
+    const rounds = this.db.prepare(`
+      SELECT r.*, p.name as host_name
+      FROM rounds r
+      LEFT JOIN players p ON r.host_id = p.id
+      WHERE r.history_id = ? AND r.completed_at IS NOT NULL
+      ORDER BY r.rowid ASC
+    `).all(historyId);
+    
+    const matchesStmt = this.db.prepare(`
+      SELECT a.answer, author.name as author_name, guessed.name as guessed_name, m.is_correct
+      FROM matches m
+      JOIN answers a ON m.answer_id = a.id
+      JOIN players author ON a.player_id = author.id
+      JOIN players guessed ON m.guessed_player_id = guessed.id
+      WHERE m.round_id = ?
+      ORDER BY m.rowid ASC
+    `);
+    
+    return {
+      ...this.toHistorySummary(game),
+      replayRounds: rounds.length,
+      rounds: rounds.map(round => ({
+        roundNumber: round.round_number,
+        isSuddenDeath: !!round.is_sudden_death,
+        hostId: round.host_id,
+        hostName: round.host_name,
+        theme: round.theme,
+        revealOrder: round.reveal_order || 'matched', // Not kept for games played before reveal orders
+        roundType: round.round_type || 'classic',
+        matches: round.round_type === 'vote' ? this.getCrowdPicks(round.id) : matchesStmt.all(round.id).map(m => ({
+          answer: m.answer,
+          authorName: m.author_name,
+          guessedName: m.guessed_name,
+          isCorrect: !!m.is_correct
+        })),
+        scoreboard: round.scoreboard ? JSON.parse(round.scoreboard) : null // Not kept for games played before replays
+      }))
+    };
+  }
+
+  /**
+   * The crowd's pick for each answer of a vote round - whoever got the most votes ('Split vote' on a tie)
+   * @returns {Array} [{answer, authorName, guessedName, isCorrect, votes: [{name, count}]}]
+   */
+  getCrowdPicks(roundId) {
+    const answers = this.db.prepare(`
+      SELECT a.id, a.answer, author.name as author_name
+      FROM answers a
+      JOIN players author ON a.player_id = author.id
+      WHERE a.round_id = ? AND a.penalty_applied = 0
+      ORDER BY a.rowid ASC
+    `).all(roundId);
+    const votes = this.db.prepare(`
+      SELECT v.answer_id, voted.name as voted_name
+      FROM votes v
+      JOIN players voted ON v.voted_player_id = voted.id
+      WHERE v.round_id = ?
+    `).all(roundId);
+    
+    return answers.map(a => {
+      const counts = {};
+      votes.filter(v => v.answer_id === a.id).forEach(v => {
+        counts[v.voted_name] = (counts[v.voted_name] || 0) + 1;
+      });
+      const tally = Object.entries(counts)
+        .map(([name, count]) => ({ name, count }))
+        .sort((x, y) => y.count - x.count);
+      const isSplit = tally.length > 1 && tally[0].count === tally[1].count;
+      const pick = tally.length > 0 && !isSplit ? tally[0].name : null;
+      
+      return {
+        answer: a.answer,
+        authorName: a.author_name,
+        guessedName: pick || (isSplit ? 'Split vote' : 'No votes'),
+        isCorrect: pick === a.author_name,
+        votes: tally
+      };
+    });
+  }
+
+  /**
+   * Turn a game_history row into the summary the history screen lists
+   */
+  toHistorySummary(row) {
+    return {
+      id: row.id,
+      completedAt: row.completed_at,
+      mode: row.mode || 'individual',
+      winnerName: row.winner_name,
+      winnerScore: row.winner_score,
+      playerCount: row.player_count,
+      roundsPlayed: row.rounds_played,
+      scoringPreset: row.scoring_preset,
+      replayRounds: row.replay_rounds
+    };
+  }
+
   /**
    * Get stats for a specific player name (across all games)
    */
@@ -496,6 +850,142 @@ class DatabaseService {
     return stmt.get(playerName);
   }
 
+  // ==================== PROFILE OPERATIONS ====================
+
+  /**
+   * Find the profile for a phone's device token, creating it the first time
+   * The profile takes the name the player joined with most recently
+   * @returns {string} Profile ID
+   */
+  saveProfile(deviceToken, name) {
+    const existing = this.db.prepare('SELECT id FROM profiles WHERE device_token = ?').get(deviceToken);
+    
+    if (existing) {
+      this.db.prepare(`
+        UPDATE profiles SET name = ?, last_played_at = datetime('now') WHERE id = ?
+      `).run(name, existing.id);
+      return existing.id;
+    }
+    
+    const profileId = uuidv4();
+    this.db.prepare(`
+      INSERT INTO profiles (id, device_token, name, created_at, last_played_at)
+      VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    `).run(profileId, deviceToken, name);
+    return profileId;
+  }
+
+  /**
+   * The device token behind a profile (only for the server's own checks - never sent to clients)
+   * @returns {string|null}
+   */
+  getProfileDeviceToken(profileId) {
+    const row = this.db.prepare('SELECT device_token FROM profiles WHERE id = ?').get(profileId);
+    return row ? row.device_token : null;
+  }
+
+  /**
+   * Record how each profile finished a completed game
+   * @param {Array} results - [{profileId, playerId, score, rank, won}]
+   */
+  saveProfileResults(historyId, results) {
+    const stmt = this.db.prepare(`
+      INSERT INTO profile_results (id, profile_id, history_id, player_id, score, rank, won, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `);
+    
+    const insertMany = this.db.transaction((resultList) => {
+      for (const result of resultList) {
+        stmt.run(uuidv4(), result.profileId, historyId, result.playerId, result.score, result.rank, result.won ? 1 : 0);
+      }
+    });
+
+    insertMany(results);
+  }
+
+  /**
+   * Lifetime stats for one profile (never includes the device token)
+   * @returns {Object|null} {id, name, gamesPlayed, wins, winRate, bestScore, hostAccuracy,
+   *   correctMatches, totalMatches, fooledHost, favouriteThemes, lastPlayedAt}
+   */
+  getProfile(profileId) {
+    const row = this.db.prepare(`${this.profileStatsQuery()} WHERE p.id = ?`).get(profileId);
+    return row ? this.toProfileStats(row) : null;
+  }
+
+  /**
+   * Profiles with at least one finished game, best first (most wins, then win rate, then games played)
+   */
+  getProfiles(limit = 20) {
+    const rows = this.db.prepare(`
+      SELECT * FROM (${this.profileStatsQuery()})
+      WHERE games_played > 0
+      ORDER BY wins DESC, CAST(wins AS REAL) / games_played DESC, games_played DESC, name ASC
+      LIMIT ?
+    `).all(limit);
+    
+    return rows.map(row => this.toProfileStats(row));
+  }
+
+  /**
+   * Per-profile totals across every game its players took part in
+   * Host accuracy counts the host's matches; fooling the host counts the player's real answers the host got wrong
+   */
+  profileStatsQuery() {
+    return `
+      SELECT
+        p.id,
+        p.name,
+        p.last_played_at,
+        (SELECT COUNT(*) FROM profile_results r WHERE r.profile_id = p.id) as games_played,
+        (SELECT COALESCE(SUM(r.won), 0) FROM profile_results r WHERE r.profile_id = p.id) as wins,
+        (SELECT MAX(r.score) FROM profile_results r WHERE r.profile_id = p.id) as best_score,
+        (SELECT COUNT(*) FROM matches m
+          JOIN rounds rd ON m.round_id = rd.id
+          JOIN players pl ON rd.host_id = pl.id
+          WHERE pl.profile_id = p.id) as total_matches,
+        (SELECT COALESCE(SUM(m.is_correct), 0) FROM matches m
+          JOIN rounds rd ON m.round_id = rd.id
+          JOIN players pl ON rd.host_id = pl.id
+          WHERE pl.profile_id = p.id) as correct_matches,
+        (SELECT COUNT(*) FROM matches m
+          JOIN answers a ON m.answer_id = a.id
+          JOIN players pl ON a.player_id = pl.id
+          WHERE pl.profile_id = p.id AND m.is_correct = 0 AND a.penalty_applied = 0) as fooled_host
+      FROM profiles p
+    `;
+  }
+
+  /**
+   * Turn a profileStatsQuery row into profile stats, with the themes the profile picked most as host
+   */
+  toProfileStats(row) {
+    const favouriteThemes = this.db.prepare(`
+      SELECT rd.theme, COUNT(*) as times
+      FROM rounds rd
+      JOIN players pl ON rd.host_id = pl.id
+      WHERE pl.profile_id = ? AND rd.theme IS NOT NULL
+      GROUP BY rd.theme
+      ORDER BY times DESC, MAX(rd.started_at) DESC
+      LIMIT 3
+    `).all(row.id);
+    
+    return {
+      id: row.id,
+      name: row.name,
+      gamesPlayed: row.games_played,
+      wins: row.wins,
+      winRate: row.games_played ? Math.round(row.wins / row.games_played * 100) : 0,
+      bestScore: row.best_score,
+      hostAccuracy: row.total_matches ? Math.round(row.correct_matches / row.total_matches * 100) : null,
+      correctMatches: row.correct_matches,
+      totalMatches: row.total_matches,
+      fooledHost: row.fooled_host,
+      favouriteThemes: favouriteThemes.map(t => t.theme),
+      lastPlayedAt: row.last_played_at
+    };
+  }
+
   // ==================== UTILITY OPERATIONS ====================
 
   /**
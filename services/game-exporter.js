@@ -0,0 +1,215 @@
+/**
+ * Export formats - what each one is served as
+ */
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const CSV_COLUMNS = ['record', 'round', 'sudden_death', 'host', 'theme', 'name', 'answer', 'host_guess', 'correct', 'points', 'score'];
+
+/**
+ * GameExporter - Turns a finished game (DatabaseService.getGameReplay) into a file to download or share
+ * json is the full record, csv has a row per answer and per score change, html is a recap page that works on its own.
+ */
+class GameExporter {
+  /**
+   * Whether a format can be exported
+   */
+  isFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+  }
+
+  /**
+   * Export a finished game
+   * @param {Object} game - A game from DatabaseService.getGameReplay
+   * @param {string} format - 'json', 'csv' or 'html'
+   * @returns {Object} {body, contentType, filename}
+   */
+  export(game, format) {
+    const record = this.buildRecord(game);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const body = {
+      json: () => JSON.stringify(record, null, 2),
+      csv: () => this.toCsv(record),
+      html: () => this.toHtml(record)
+    }[format]();
+
+    const date = (record.completedAt || '').slice(0, 10) || 'game';
+    return { body, contentType, filename: `know-your-crowd-${date}.${extension}` };
+  }
+
+  /**
+   * The full game record: final standings, everyone who played, and every round with its answers,
+   * the host's guesses and what each player (or team) scored
+   * Games played before replays existed have no scores per round (scores: null)
+   */
+  buildRecord(game) {
+    const finalScores = [...game.rounds].reverse().find(r => r.scoreboard)?.scoreboard || null;
+
+    const rounds = game.rounds.map((round, index) => {
+      const previous = index > 0 ? game.rounds[index - 1].scoreboard : [];
+      return {
+        roundNumber: round.roundNumber,
+        isSuddenDeath: round.isSuddenDeath,
+        host: round.hostName,
+        theme: round.theme,
+        revealOrder: round.revealOrder,
+        roundType: round.roundType, // In a vote round the "host guess" is the crowd's pick
+        answers: round.matches.map(m => ({
+          answer: m.answer,
+          author: m.authorName,
+          hostGuess: m.guessedName,
+          isCorrect: m.isCorrect
+        })),
+        scores: round.scoreboard && previous ? round.scoreboard.map(entry => ({
+          name: entry.name,
+          points: entry.score - (previous.find(p => p.id === entry.id)?.score || 0),
+          score: entry.score
+        })) : null
+      };
+    });
+
+    const standings = finalScores ? finalScores.map(entry => ({
+      rank: finalScores.filter(e => e.score > entry.score).length + 1,
+      name: entry.name,
+      score: entry.score,
+      ...(entry.members && { members: entry.members })
+    })) : [];
+
+    // Everyone on the final scoreboard, then anyone who only shows up in the rounds (left early, or an older game)
+    const players = [
+      ...standings.flatMap(s => s.members || [s.name]),
+      ...game.rounds.flatMap(r => [r.hostName, ...r.matches.map(m => m.authorName)])
+    ].filter((name, i, names) => name && names.indexOf(name) === i);
+
+    return {
+      id: game.id,
+      completedAt: game.completedAt,
+      mode: game.mode,
+      scoringPreset: game.scoringPreset,
+      winner: { name: game.winnerName, score: game.winnerScore },
+      roundsPlayed: game.roundsPlayed,
+      players,
+      standings,
+      rounds
+    };
+  }
+
+  /**
+   * CSV with a row per answer (record "answer"), per score change (record "score")
+   * and per final standing (record "final")
+   */
+  toCsv(record) {
+    const rows = [CSV_COLUMNS];
+
+    record.rounds.forEach(round => {
+      const roundCells = [round.roundNumber, round.isSuddenDeath ? 'yes' : 'no', round.host, round.theme];
+      round.answers.forEach(a => {
+        rows.push(['answer', ...roundCells, a.author, a.answer, a.hostGuess, a.isCorrect ? 'yes' : 'no', '', '']);
+      });
+      (round.scores || []).forEach(s => {
+        rows.push(['score', ...roundCells, s.name, '', '', '', s.points, s.score]);
+      });
+    });
+
+    record.standings.forEach(s => {
+      rows.push(['final', '', '', '', '', s.name, '', '', '', '', s.score]);
+    });
+
+    return rows.map(row => row.map(cell => this.toCsvCell(cell)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * A recap page in the gameshow colours, with everything inline so it can be sent around as one file
+   */
+  toHtml(record) {
+    const esc = (text) => this.escapeHtml(text);
+    const when = record.completedAt ? esc(record.completedAt.replace('T', ' ').slice(0, 16)) : '';
+
+    const standings = record.standings.map(s => `
+      <li><span class="rank">${s.rank}</span>
+        <span class="name">${esc(s.name)}${s.members ? `<small>${esc(s.members.join(', '))}</small>` : ''}</span>
+        <span class="score">${s.score}</span></li>`).join('');
+
+    const rounds = record.rounds.map(round => `
+    <section class="round">
+      <h3>${round.isSuddenDeath ? '⚡ Sudden death' : `Round ${round.roundNumber}`} · ${esc(round.host)} hosts</h3>
+      <p class="theme">"${esc(round.theme || '?')}"</p>
+      <table>
+        <tr><th>Answer</th><th>Written by</th><th>${round.roundType === 'vote' ? 'Crowd guessed' : 'Host guessed'}</th></tr>${round.answers.map(a => `
+        <tr class="${a.isCorrect ? 'correct' : 'wrong'}"><td>${esc(a.answer)}</td><td>${esc(a.author)}</td>
+          <td>${a.isCorrect ? '✓' : '✗'} ${esc(a.hostGuess)}</td></tr>`).join('')}
+      </table>${round.scores ? `
+      <p class="deltas">${round.scores.map(s => `${esc(s.name)} <b>${s.points > 0 ? '+' : ''}${s.points}</b> (${s.score})`).join(' · ')}</p>` : ''}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Know Your Crowd - ${esc(record.winner.name || 'Game')} wins</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'Roboto', 'Helvetica Neue', sans-serif; color: #1A1A2E; padding: 1.5rem 1rem;
+      background: linear-gradient(180deg, #0F0F23 0%, #16213E 100%); min-height: 100vh; }
+    main { max-width: 720px; margin: 0 auto; }
+    h1, h2, h3 { font-family: 'Bebas Neue', 'Impact', sans-serif; letter-spacing: 0.05em; font-weight: normal; }
+    header { text-align: center; color: #FFFFFF; margin-bottom: 1.5rem; }
+    header h1 { font-size: 3rem; color: #FFD700; text-shadow: 0 0 20px rgba(255, 215, 0, 0.6); }
+    .winner { background: #FFFFFF; border: 4px solid #FFD700; border-radius: 12px; padding: 1rem; margin-top: 1rem; }
+    .winner h2 { font-size: 2.5rem; color: #E63946; }
+    .panel, .round { background: #FFFFFF; border-radius: 12px; padding: 1rem; margin-bottom: 1rem; box-shadow: 0 6px 0 rgba(0, 0, 0, 0.3); }
+    .panel h3, .round h3 { font-size: 1.6rem; color: #1A1A2E; }
+    ol { list-style: none; }
+    ol li { display: flex; align-items: center; gap: 0.75rem; padding: 0.5rem 0; border-bottom: 1px solid #E9ECEF; }
+    .rank { font-family: 'Bebas Neue', 'Impact', sans-serif; font-size: 1.5rem; color: #FF6B35; width: 2rem; }
+    .name { flex: 1; font-weight: bold; }
+    .name small { display: block; font-weight: normal; color: #6C757D; }
+    .score { font-family: 'Bebas Neue', 'Impact', sans-serif; font-size: 1.5rem; }
+    .theme { font-style: italic; color: #6C757D; margin-bottom: 0.5rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #E9ECEF; }
+    tr.correct td:last-child { color: #00A352; }
+    tr.wrong td:last-child { color: #FF1744; }
+    .deltas { margin-top: 0.5rem; font-size: 0.9rem; color: #6C757D; }
+    footer { text-align: center; color: #6C757D; font-size: 0.8rem; }
+  </style>
+</head>
+<body>
+  <main>
+    <header>
+      <h1>Know Your Crowd</h1>
+      <p>${when} · ${record.players.length} players · ${record.roundsPlayed} rounds${record.mode === 'teams' ? ' · Teams' : ''}</p>
+      <div class="winner"><h2>🏆 ${esc(record.winner.name || 'No winner')}</h2><p>${record.winner.score ?? 0} points</p></div>
+    </header>
+    ${standings ? `<section class="panel"><h3>Final Standings</h3><ol>${standings}</ol></section>` : ''}${rounds}
+    <footer>Played with Know Your Crowd</footer>
+  </main>
+</body>
+</html>
+`;
+  }
+
+  // Quote cells that need it, and stop answers starting with = + - @ being run as spreadsheet formulas
+  toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = GameExporter;
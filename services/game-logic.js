@@ -1,44 +1,103 @@
 const { v4: uuidv4 } = require('uuid');
+const StateProjector = require('./state-projector');
+const TeamManager = require('./team-manager');
+const AudienceManager = require('./audience-manager');
+const AnswerModerator = require('./answer-moderator');
+const PlayerManager = require('./player-manager');
+const LateJoinManager = require('./late-join-manager');
+const PhaseScheduler = require('./phase-scheduler');
+const ConfigManager = require('./config-manager');
+const Announcer = require('./announcer');
+const BotManager = require('./bot-manager');
+const RevealOrderer = require('./reveal-orderer');
+const VoteManager = require('./vote-manager');
 
 /**
  * GameLogic - Core game state management
  * Handles all game phases, player interactions, and state transitions
  */
 class GameLogic {
-  constructor(io, roomManager, claudeService, scoreCalculator, config, db = null) {
+  constructor(io, roomManager, claudeService, scoreCalculator, config, db = null, roomCode = null) {
     this.io = io;
+    this.roomCode = roomCode;
     this.roomManager = roomManager;
     this.claudeService = claudeService;
     this.scoreCalculator = scoreCalculator;
-    this.config = config;
+    this.roomConfig = structuredClone(config); // The app's config with the display's settings (made without a preset) on top
+    this.config = structuredClone(config); // This game's own copy, with the lobby's preset and settings on top
+    this.configManager = new ConfigManager(this.roomConfig);
     this.db = db;
+    this.projector = new StateProjector();
+    this.bots = new BotManager(this.config, claudeService);
+    this.useConfigInHelpers();
+    this.revealOrderer = new RevealOrderer();
+    this.voteManager = new VoteManager();
+    this.botSockets = new Map(); // Stand-in sockets for bot players: socketId -> socket
+    this.playerManager = new PlayerManager();
     
     // Game state
     this.gameState = this.createInitialState();
+    this.gameState.themeSources = this.claudeService.setThemeSources(this.config.themes) ||
+      this.claudeService.setThemeSources();
     this.currentRoundId = null; // Track current round ID in database
-    this.timers = {};
+    this.scheduler = new PhaseScheduler(); // Phase timers and reveal steps - paused together
+    this.timerLengths = {}; // timerName -> seconds the countdown shows as full
+    this.EXTEND_TIME_SECONDS = 30; // "+30s" on the display
     this.displaySocket = null;
     this.hostPhoneSocket = null;
     
     // Track pending disconnects (for reconnection grace period)
-    this.disconnectTimers = {};
     this.RECONNECT_GRACE_PERIOD = 15000; // 15 seconds to reconnect
+    
+    // Allowed ranges for the display's settings modal [min, max]
+    this.SETTINGS_LIMITS = {
+      themeSelection: [5, 120],
+      answering: [10, 600],
+      matching: [10, 600],
+      rotations: [1, 5]
+    };
+    
+    // How the reveal moves on to the next answer:
+    // display - once the display says it has finished showing it (or after reveal.maxWait)
+    // timer - after timers.reveal, whatever the display is doing
+    // manual - when the host or the display taps Next
+    this.REVEAL_PACINGS = ['display', 'timer', 'manual'];
   }
 
   createInitialState() {
     return {
-      roomCode: null,
+      roomCode: this.roomCode,
       players: [],
+      lateJoiners: [], // Players who joined mid-game, waiting for the next round to start
+      mode: 'individual', // individual, teams
+      scoringPreset: this.scoreCalculator.getDefaultPreset(), // Scoring rules preset picked in the lobby
+      gamePreset: null, // Config preset (timers, rounds, penalties) picked in the lobby, null for the app's config
+      themeSources: null, // {packs: [packId], ai} feeding the theme choices, picked in the lobby
+      familyFriendly: !!(this.config.moderation || {}).familyFriendly, // Stricter answer moderation, picked in the lobby
+      soundPack: 'builtin', // Sound pack every screen in the room plays, picked in the display's settings
+      teams: [], // Team mode: [{id, name, playerIds, score}]
+      teamProposals: {}, // Team mode: teamId -> answer waiting for a teammate's approval
+      audience: [], // Spectators: [{id, name, score, isConnected, sessionToken}] - no player limit
+      audienceVotes: {}, // spectatorId -> {answerIndex: competitorId} for the current round
+      roundType: 'classic', // classic (the host matches) or vote (everyone votes on who said it)
+      votes: {}, // Vote rounds: voterId -> {answerIndex: competitorId}
+      rewrites: {}, // competitorId -> matching slot waiting for a new answer after a host veto
+      vetoesUsed: 0, // Host vetoes so far this round
+      scoreEvents: [], // This round's itemised scoring [{competitorId, points, rule, reason}]
+      hostScore: null, // This round's host summary {score, correctMatches, totalMatches, isPerfect}
       currentRound: 0,
       totalRounds: 0,
-      phase: 'lobby', // lobby, theme_select, answering, matching, reveal, round_end, game_over, sudden_death
+      phase: 'lobby', // lobby, theme_select, answering, matching (or voting), reveal, round_end, game_over, sudden_death
+      isPaused: false, // The display paused the game - every timer and reveal step is frozen
+      pendingSettings: null, // {timers, rotations, revealPacing, revealOrder, roundMix} changed mid-game, applied as the next round starts
       currentHostIndex: 0,
       currentHost: null,
       selectedTheme: null,
       themes: [],
       answers: [],
       matches: [],
-      roundResults: [],
+      roundResults: [], // In reveal order
+      revealOrder: 'matched', // This round's reveal order strategy (RevealOrderer.STRATEGIES)
       revealIndex: 0,
       hostRotationCount: 0,
       isSuddenDeath: false,
@@ -49,54 +108,193 @@ class GameLogic {
     };
   }
 
+  // Public game state (display view) - never includes answer authorship before the reveal
   getGameState() {
-    // Build shuffled answers for matching phase (consistent order)
-    const shuffledAnswers = this.gameState.phase === 'matching' || this.gameState.matchingAnswers
-      ? (this.gameState.matchingAnswers || this.gameState.answers.map((a, index) => ({
-          index,
-          answer: a.answer
-        })))
-      : [];
-
     return {
-      ...this.gameState,
-      players: this.gameState.players.map(p => ({
-        id: p.id,
-        name: p.name,
-        score: p.score,
-        isHost: p.isHost,
-        isConnected: p.isConnected,
-        hasSubmitted: this.gameState.answers.some(a => a.playerId === p.id)
-      })),
-      // Include phase-specific data for reconnection
-      themes: this.gameState.themes,
-      selectedTheme: this.gameState.selectedTheme,
-      shuffledAnswers: shuffledAnswers,
-      matchingPlayers: this.gameState.players
-        .filter(p => !p.isHost)
-        .map(p => ({ id: p.id, name: p.name }))
+      ...this.projector.forDisplay(this.gameState),
+      scoringPresets: this.scoreCalculator.listPresets(),
+      gamePresets: this.configManager.listPresets(),
+      themePacks: this.claudeService.themePacks?.list() || [],
+      botPersonas: this.bots.listPersonas(),
+      settings: this.getSettings()
     };
   }
 
-  // Get current host player
+  // Whether teams rather than individual players are competing
+  isTeamMode() {
+    return this.gameState.mode === 'teams';
+  }
+
+  // Whoever takes turns hosting, answers and scores - players, or teams in team mode
+  getCompetitors() {
+    return this.isTeamMode() ? this.gameState.teams : this.gameState.players;
+  }
+
+  // The competitor a player plays for (their team in team mode)
+  getCompetitorOf(player) {
+    if (!this.isTeamMode()) return player;
+    return this.gameState.teams.find(t => t.id === player.teamId) || null;
+  }
+
+  // Players who make up a competitor (every member of a team)
+  getMembers(competitor) {
+    if (!this.isTeamMode()) return [competitor];
+    return this.gameState.players.filter(p => competitor.playerIds.includes(p.id));
+  }
+
+  // Competitor ID -> a player ID the database can reference (teams are stored against their first member)
+  toPlayerId(competitorId) {
+    if (!this.isTeamMode()) return competitorId;
+    const team = this.gameState.teams.find(t => t.id === competitorId);
+    return team ? team.playerIds[0] : competitorId;
+  }
+
+  // Player ID from the database -> the competitor they played for
+  toCompetitorId(playerId) {
+    if (!this.isTeamMode()) return playerId;
+    const player = this.gameState.players.find(p => p.id === playerId);
+    return player && player.teamId ? player.teamId : playerId;
+  }
+
+  // Get current host (a player, or a team in team mode)
   getCurrentHost() {
-    if (this.gameState.players.length === 0) return null;
-    const hostIndex = this.gameState.currentHostIndex % this.gameState.players.length;
-    return this.gameState.players[hostIndex];
+    const competitors = this.getCompetitors();
+    if (competitors.length === 0) return null;
+    const hostIndex = this.gameState.currentHostIndex % competitors.length;
+    return competitors[hostIndex];
+  }
+
+  // Mark the hosting competitor - in team mode every member of the hosting team is a host
+  markHost(host) {
+    this.gameState.teams.forEach(t => {
+      t.isHost = t.id === host.id;
+    });
+    this.gameState.players.forEach(p => {
+      p.isHost = p.id === host.id || (!!p.teamId && p.teamId === host.id);
+    });
+  }
+
+  // Send an event to every member of a competitor; returns how many sockets it reached
+  emitToMembers(competitor, event, data) {
+    let sent = 0;
+    this.getMembers(competitor).forEach(member => {
+      const socket = this.getPlayerSocket(member.id);
+      if (socket) {
+        socket.emit(event, data);
+        sent++;
+      }
+    });
+    return sent;
+  }
+
+  // Standings for round_end and game_over - team totals (with members) in team mode
+  getScoreboard() {
+    return this.getCompetitors()
+      .map(c => {
+        const entry = { id: c.id, name: c.name, score: c.score, isBot: !!c.isBot };
+        if (this.isTeamMode()) {
+          entry.members = this.getMembers(c).map(p => p.name);
+        }
+        return entry;
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // What each player (or team) gained or lost this round, with the score events behind it
+  getScoreDeltas() {
+    return this.getCompetitors().map(c => {
+      const events = this.gameState.scoreEvents
+        .filter(e => e.competitorId === c.id)
+        .map(({ rule, points, reason }) => ({ rule, points, reason }));
+      
+      return {
+        id: c.id,
+        name: c.name,
+        delta: this.scoreCalculator.sumPoints(events),
+        events
+      };
+    });
+  }
+
+  // Add score events to the competitors they're for and keep them for the round end breakdown
+  applyScoreEvents(events) {
+    const competitors = this.getCompetitors();
+    events.forEach(event => {
+      const competitor = competitors.find(c => c.id === event.competitorId);
+      if (competitor) {
+        competitor.score += event.points;
+      }
+    });
+    this.gameState.scoreEvents.push(...events);
+  }
+
+  // What the scoring rules see of the current round
+  getRoundForScoring() {
+    return {
+      hostId: this.getCurrentHost()?.id,
+      answers: this.gameState.answers,
+      results: this.gameState.roundResults,
+      votes: this.voteManager.listVotes(this.gameState.votes, this.gameState.matchingAnswers || []),
+      answeringStartedAt: this.gameState.answeringStartedAt
+    };
+  }
+
+  // Best spectators for round_end and game_over (empty when the leaderboard is off or nobody watches)
+  getAudienceLeaderboard() {
+    if (this.config.audience?.leaderboard === false) return [];
+    return this.audienceManager.getLeaderboard(this.gameState.audience);
+  }
+
+  // Whether a player belongs to this room (queued late joiners included)
+  hasPlayer(playerId) {
+    return [...this.gameState.players, ...this.gameState.lateJoiners].some(p => p.id === playerId);
+  }
+
+  // Whether anyone (display, player or spectator) is still connected to this room - bots don't count
+  hasConnectedClients() {
+    const displayConnected = !!(this.displaySocket && this.displaySocket.connected);
+    return displayConnected ||
+      this.gameState.players.some(p => p.isConnected && !p.isBot) ||
+      this.gameState.audience.some(s => s.isConnected);
+  }
+
+  // Whether this room's game has ended
+  isFinished() {
+    return this.gameState.phase === 'game_over';
+  }
+
+  // Stop all timers when the room is closed
+  destroy() {
+    this.scheduler.cancelAll();
+    this.displaySocket = null;
+    this.hostPhoneSocket = null;
+  }
+
+  // Whether a socket is one of this room's displays
+  isDisplaySocket(socket) {
+    return socket.rooms.has(`${this.roomCode}:display`);
+  }
+
+  // Another display still connected to this room (when the current one leaves)
+  findDisplaySocket() {
+    const displayIds = this.io.sockets.adapter.rooms.get(`${this.roomCode}:display`) || new Set();
+    for (const socketId of displayIds) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket && socket.connected) return socket;
+    }
+    return null;
   }
 
   // Handle display (TV/main screen) connection
-  handleDisplayJoin(socket) {
+  // revealAcks: the display sends reveal_ack when it has finished showing each reveal
+  handleDisplayJoin(socket, data = {}) {
     this.displaySocket = socket;
-    socket.join('display');
-    
-    const roomCode = this.roomManager.getCurrentRoomCode();
-    this.gameState.roomCode = roomCode;
+    socket.acksReveals = !!data.revealAcks;
+    socket.roomCode = this.roomCode;
+    socket.join(`${this.roomCode}:display`);
     
     // Join the room so display receives all room broadcasts (timer_update, phase_changed, etc.)
-    if (roomCode) {
-      socket.join(roomCode);
-    }
+    socket.join(this.roomCode);
     
     socket.emit('game_state', this.getGameState());
   }
@@ -108,8 +306,12 @@ class GameLogic {
     
     if (player && player.isHost) {
       this.hostPhoneSocket = socket;
-      socket.join('host_phone');
-      socket.emit('host_confirmed', { player, gameState: this.getGameState() });
+      socket.roomCode = this.roomCode;
+      socket.join(`${this.roomCode}:host_phone`);
+      socket.emit('host_confirmed', {
+        player: this.projector.projectSelf(player),
+        gameState: this.projector.forHost(this.gameState)
+      });
     } else {
       socket.emit('error', { message: 'You are not the current host' });
     }
@@ -125,25 +327,31 @@ class GameLogic {
       return;
     }
     
-    // Check if game already in progress
-    if (this.gameState.phase !== 'lobby') {
+    // Players the display banned can't come back from the same phone, whatever name they pick
+    if (this.playerManager.isBanned(data.deviceToken)) {
+      socket.emit('join_error', { message: 'You are banned from this game' });
+      return;
+    }
+    
+    // Mid-game joins wait for the next round (unless late joining is switched off)
+    const isLateJoin = this.gameState.phase !== 'lobby';
+    if (isLateJoin && !this.lateJoinManager.isEnabled()) {
       socket.emit('join_error', { message: 'Game already in progress' });
       return;
     }
     
-    // Check max players
-    if (this.gameState.players.length >= this.config.maxPlayers) {
+    // Check max players (queued late joiners count too)
+    if (this.gameState.players.length + this.gameState.lateJoiners.length >= this.getMaxPlayers()) {
       socket.emit('join_error', { message: 'Room is full' });
       return;
     }
     
     // Check for duplicate names and append number if needed
     let playerName = name.trim().substring(0, 20);
-    const existingNames = this.gameState.players.map(p => p.name.toLowerCase());
     let nameCounter = 1;
     let baseName = playerName;
     
-    while (existingNames.includes(playerName.toLowerCase())) {
+    while (this.isNameTaken(playerName)) {
       nameCounter++;
       playerName = `${baseName}(${nameCounter})`;
     }
@@ -154,14 +362,29 @@ class GameLogic {
       socketId: socket.id,
       name: playerName,
       score: 0,
-      isHost: this.gameState.players.length === 0, // First player is initial host
+      isHost: !isLateJoin && this.gameState.players.length === 0, // First player is initial host
       isConnected: true,
       joinOrder: this.gameState.players.length,
-      sessionToken: uuidv4()
+      sessionToken: uuidv4(),
+      teamId: null,
+      deviceToken: typeof data.deviceToken === 'string' ? data.deviceToken : null, // For bans - never sent to clients
+      profileId: this.saveProfileToDb(data.deviceToken, playerName),
+      isBot: !!socket.isBot, // Bot players answer and host from the server (see addBot)
+      botPersona: socket.botPersona || null
     };
     
+    if (isLateJoin) {
+      this.queueLateJoiner(socket, player);
+      return;
+    }
+    
     this.gameState.players.push(player);
     
+    // Team mode: start on the smallest team (the player can switch in the lobby)
+    if (this.isTeamMode()) {
+      this.teamManager.assignToSmallestTeam(this.gameState.teams, player);
+    }
+    
     if (player.isHost) {
       this.gameState.currentHost = player;
     }
@@ -169,34 +392,496 @@ class GameLogic {
     // Join socket room
     socket.join(this.gameState.roomCode);
     socket.playerId = player.id;
+    socket.roomCode = this.roomCode;
     
     // Save player to database
     this.savePlayerToDb(player);
     
     // Send confirmation to player
     socket.emit('room_joined', {
-      player,
-      players: this.gameState.players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost })),
-      roomCode: this.gameState.roomCode
+      player: this.projector.projectSelf(player),
+      players: this.gameState.players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost, isBot: !!p.isBot })),
+      roomCode: this.gameState.roomCode,
+      mode: this.gameState.mode,
+      teams: this.projector.projectTeams(this.gameState),
+      soundPack: this.gameState.soundPack
     });
     
     // Notify all clients
     this.io.to(this.gameState.roomCode).emit('player_joined', {
-      player: { id: player.id, name: player.name, isHost: player.isHost },
-      players: this.gameState.players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost })),
+      player: { id: player.id, name: player.name, isHost: player.isHost, isBot: !!player.isBot },
+      players: this.gameState.players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost, isBot: !!p.isBot })),
       canStart: this.gameState.players.length >= this.config.minPlayers
     });
     
+    if (this.isTeamMode()) {
+      this.broadcastTeams();
+    }
+    
     // Update display
     if (this.displaySocket) {
       this.displaySocket.emit('game_state', this.getGameState());
     }
   }
 
+  // Hold a mid-game joiner until the next round starts (their phone gets no room events until then)
+  // Also puts a queued player's phone back on the waiting screen when they reconnect
+  queueLateJoiner(socket, player) {
+    if (!this.gameState.lateJoiners.includes(player)) {
+      this.gameState.lateJoiners.push(player);
+    }
+    socket.playerId = player.id;
+    socket.roomCode = this.roomCode;
+    
+    socket.emit('room_joined', {
+      player: this.projector.projectSelf(player),
+      players: this.gameState.players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost, isBot: !!p.isBot })),
+      roomCode: this.gameState.roomCode,
+      mode: this.gameState.mode,
+      teams: this.projector.projectTeams(this.gameState),
+      soundPack: this.gameState.soundPack,
+      lateJoin: this.getLateJoinStatus()
+    });
+    
+    console.log(`[GameLogic] ${player.name} is waiting to join room ${this.roomCode}`);
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+  
+  // What a queued late joiner is waiting for - a tie-break or a finished game only lets them in for the next game
+  getLateJoinStatus() {
+    return {
+      nextGame: this.gameState.isSuddenDeath || this.gameState.phase === 'game_over'
+    };
+  }
+  
+  // Bring queued late joiners in as a round starts (never in sudden death - they wait for the next game)
+  // Players take a place in the host rotation and a catch-up score; in team mode they join the smallest team
+  admitLateJoiners() {
+    const joiners = this.gameState.lateJoiners;
+    if (joiners.length === 0 || this.gameState.isSuddenDeath) return;
+    
+    this.gameState.lateJoiners = [];
+    const roundsBefore = this.gameState.totalRounds;
+    const catchUpScore = this.lateJoinManager.getCatchUpScore(this.getCompetitors());
+    
+    joiners.forEach((player, index) => {
+      if (this.isTeamMode()) {
+        this.gameState.players.push(player);
+        this.teamManager.assignToSmallestTeam(this.gameState.teams, player);
+      } else {
+        player.score = catchUpScore;
+        this.addToRotation(player, index);
+      }
+      this.getPlayerSocket(player.id)?.join(this.gameState.roomCode);
+    });
+    
+    this.saveJoinOrder();
+    joiners.forEach(player => this.savePlayerToDb(player));
+    if (this.isTeamMode()) {
+      this.saveTeamsToDb();
+    }
+    this.updateGameInDb({ total_rounds: this.gameState.totalRounds });
+    
+    console.log(`[GameLogic] ${joiners.map(p => p.name).join(', ')} joined room ${this.roomCode} - now ${this.gameState.totalRounds} rounds`);
+    
+    // Announce the newcomers with the new round count and scoreboard
+    this.io.to(this.gameState.roomCode).emit('late_joiners_admitted', {
+      joined: joiners.map(p => ({ id: p.id, name: p.name, score: p.score, teamId: p.teamId || null })),
+      totalRounds: this.gameState.totalRounds,
+      roundsAdded: this.gameState.totalRounds - roundsBefore,
+      scoreboard: this.getScoreboard(),
+      players: this.projector.projectPlayers(this.gameState),
+      mode: this.gameState.mode,
+      teams: this.projector.projectTeams(this.gameState)
+    });
+  }
+  
+  // Put a late joiner in the host rotation - after everyone else, or (placement 'next') straight after the current host
+  // They host each time the competitor before them does, so the round count grows by that many turns
+  addToRotation(player, queuePosition = 0) {
+    const players = this.gameState.players;
+    const count = players.length;
+    const hostIndex = this.gameState.currentHostIndex % count;
+    const position = this.lateJoinManager.getPlacement() === 'next' ? hostIndex + 1 + queuePosition : count;
+    const roundsLeft = this.gameState.totalRounds - this.gameState.currentRound;
+    
+    this.gameState.totalRounds += this.playerManager.countTurnsLeft(position - 1, hostIndex, count, roundsLeft, true);
+    players.splice(position, 0, player);
+  }
+  
+  // Most players a room takes - team mode allows bigger groups
+  getMaxPlayers() {
+    if (this.isTeamMode() && this.config.teams?.maxPlayers) {
+      return this.config.teams.maxPlayers;
+    }
+    return this.config.maxPlayers;
+  }
+
+  // Whether a socket may change lobby settings (a display, or the lobby host)
+  canManageLobby(socket) {
+    if (this.isDisplaySocket(socket)) return true;
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    return !!player && player.isHost;
+  }
+
+  // Switch between individual and team play (lobby only)
+  handleSetGameMode(socket, data = {}) {
+    if (!this.canManageLobby(socket)) {
+      socket.emit('error', { message: 'Only the host can change the game mode' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'The game mode can only be changed in the lobby' });
+      return;
+    }
+    
+    if (data.mode === 'teams') {
+      // Everyone is shuffled onto teams straight away; players can switch afterwards
+      const teamCount = data.teamCount || this.teamManager.defaultTeamCount(this.gameState.players.length);
+      this.gameState.mode = 'teams';
+      this.gameState.teams = this.teamManager.createTeams(teamCount);
+      this.teamManager.shuffleTeams(this.gameState.teams, this.gameState.players);
+    } else if (data.mode === 'individual') {
+      if (this.gameState.players.length > this.config.maxPlayers) {
+        socket.emit('error', { message: `Too many players for individual play (max ${this.config.maxPlayers})` });
+        return;
+      }
+      this.gameState.mode = 'individual';
+      this.gameState.teams = [];
+      this.gameState.players.forEach(p => {
+        p.teamId = null;
+      });
+    } else {
+      socket.emit('error', { message: 'Unknown game mode' });
+      return;
+    }
+    
+    this.broadcastTeams();
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Pick the scoring rules preset (lobby only)
+  handleSetScoringPreset(socket, data = {}) {
+    if (!this.canManageLobby(socket)) {
+      socket.emit('error', { message: 'Only the host can change the scoring' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'The scoring can only be changed in the lobby' });
+      return;
+    }
+    
+    if (!this.scoreCalculator.hasPreset(data.preset)) {
+      socket.emit('error', { message: 'Unknown scoring preset' });
+      return;
+    }
+    
+    this.gameState.scoringPreset = data.preset;
+    this.io.to(this.gameState.roomCode).emit('scoring_updated', { preset: data.preset });
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Pick a config preset ("Quick Game", "Marathon", "Kids") for this game only (lobby only)
+  handleSetGamePreset(socket, data = {}) {
+    if (!this.canManageLobby(socket)) {
+      socket.emit('error', { message: 'Only the host can change the game preset' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'The game preset can only be changed in the lobby' });
+      return;
+    }
+    
+    const presetId = data.preset || null;
+    if (presetId && !this.configManager.hasPreset(presetId)) {
+      socket.emit('error', { message: 'Unknown game preset' });
+      return;
+    }
+    
+    this.useGamePreset(presetId);
+    this.io.to(this.gameState.roomCode).emit('moderation_updated', { familyFriendly: this.gameState.familyFriendly });
+    this.emitSettings();
+  }
+
+  // Play this game with a preset on top of the room's config (null for the room's config as it is)
+  // The display's settings stay where the preset doesn't set its own; settings made under a preset go with it
+  useGamePreset(presetId) {
+    this.gameState.gamePreset = presetId;
+    this.config = presetId ? this.configManager.forPreset(presetId) : structuredClone(this.roomConfig);
+    this.useConfigInHelpers();
+    
+    // A preset may switch family-friendly moderation on (or off) - otherwise the lobby's choice stands
+    const familyFriendly = this.configManager.getPreset(presetId)?.overrides?.moderation?.familyFriendly;
+    if (familyFriendly !== undefined) {
+      this.gameState.familyFriendly = !!familyFriendly;
+    }
+  }
+
+  // Give the helpers that read the config this game's config (the bots keep what they've learned)
+  useConfigInHelpers() {
+    this.teamManager = new TeamManager(this.config);
+    this.audienceManager = new AudienceManager(this.config);
+    this.moderator = new AnswerModerator(this.config, this.claudeService);
+    this.announcer = new Announcer(this.config, this.claudeService);
+    this.lateJoinManager = new LateJoinManager(this.config);
+    this.bots.useConfig(this.config);
+  }
+
+  // Pick which theme packs (and whether AI) feed the theme choices (lobby only)
+  handleSetThemeSources(socket, data = {}) {
+    if (!this.canManageLobby(socket)) {
+      socket.emit('error', { message: 'Only the host can change the themes' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'The themes can only be changed in the lobby' });
+      return;
+    }
+    
+    const sources = this.claudeService.setThemeSources({
+      packs: Array.isArray(data.packs) ? data.packs : [],
+      ai: !!data.ai
+    });
+    if (!sources) {
+      socket.emit('error', { message: 'Pick at least one theme pack or AI themes' });
+      return;
+    }
+    
+    this.gameState.themeSources = sources;
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Switch family-friendly moderation on or off (lobby only)
+  handleSetFamilyFriendly(socket, data = {}) {
+    if (!this.canManageLobby(socket)) {
+      socket.emit('error', { message: 'Only the host can change the moderation' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'The moderation can only be changed in the lobby' });
+      return;
+    }
+    
+    this.gameState.familyFriendly = !!data.enabled;
+    this.io.to(this.gameState.roomCode).emit('moderation_updated', { familyFriendly: this.gameState.familyFriendly });
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Switch the sound pack every screen in the room plays (any time)
+  // packId is null when the server's sound pack folder has no such pack
+  handleSetSoundPack(socket, packId) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Only the main display can change the sound pack' });
+      return;
+    }
+    
+    if (!packId) {
+      socket.emit('error', { message: 'That sound pack is missing or broken' });
+      return;
+    }
+    
+    this.gameState.soundPack = packId;
+    this.io.to(this.gameState.roomCode).emit('sound_pack_changed', { soundPack: packId });
+  }
+
+  // Display changes the phase timers, rounds per player and how the reveal goes
+  // Applied straight away in the lobby, or as the next round starts during a game
+  handleUpdateSettings(socket, data = {}) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Only the main display can change the settings' });
+      return;
+    }
+    
+    const settings = this.validateSettings(data);
+    if (!settings) {
+      socket.emit('error', { message: 'Invalid settings' });
+      return;
+    }
+    
+    if (['lobby', 'game_over'].includes(this.gameState.phase)) {
+      this.applySettings(settings);
+    } else {
+      this.gameState.pendingSettings = settings;
+      this.emitSettings();
+    }
+  }
+
+  // Whole-second timers and rotations within SETTINGS_LIMITS and a known reveal pacing, reveal order and round mix,
+  // or null - missing fields keep their current value
+  validateSettings(data) {
+    const current = this.getSettings();
+    const timers = { ...current.timers, ...(data.timers || {}) };
+    const settings = {
+      timers: {},
+      rotations: Number(data.rotations ?? current.rotations),
+      revealPacing: data.revealPacing ?? current.revealPacing,
+      revealOrder: data.revealOrder ?? current.revealOrder,
+      roundMix: data.roundMix ?? current.roundMix
+    };
+    
+    for (const name of Object.keys(current.timers)) {
+      settings.timers[name] = Number(timers[name]);
+    }
+    
+    const values = { ...settings.timers, rotations: settings.rotations };
+    const valid = Object.entries(values).every(([name, value]) => {
+      const [min, max] = this.SETTINGS_LIMITS[name];
+      return Number.isInteger(value) && value >= min && value <= max;
+    });
+    return valid && this.REVEAL_PACINGS.includes(settings.revealPacing) &&
+      RevealOrderer.STRATEGIES.includes(settings.revealOrder) &&
+      VoteManager.ROUND_MIXES.includes(settings.roundMix) ? settings : null;
+  }
+
+  // Settings the display can change - pending ones show as well, so the modal keeps what was picked
+  getSettings() {
+    return {
+      timers: {
+        themeSelection: this.config.timers.themeSelection,
+        answering: this.config.timers.answering,
+        matching: this.config.timers.matching
+      },
+      rotations: this.config.rotations,
+      revealPacing: this.getRevealPacing(),
+      revealOrder: this.getRevealOrder(),
+      roundMix: this.getRoundMix(),
+      pending: this.gameState.pendingSettings,
+      preset: this.gameState.gamePreset
+    };
+  }
+
+  // Put new settings into the config (and the room's, without a preset, so a preset picked later keeps them);
+  // mid-game, the rounds left grow or shrink by a turn per competitor per rotation
+  applySettings(settings) {
+    const rotationsBefore = this.config.rotations;
+    const configs = this.gameState.gamePreset ? [this.config] : [this.config, this.roomConfig];
+    configs.forEach(config => {
+      Object.assign(config.timers, settings.timers);
+      config.rotations = settings.rotations;
+      config.reveal = { ...config.reveal, pacing: settings.revealPacing, order: settings.revealOrder };
+      config.rounds = { ...config.rounds, mix: settings.roundMix };
+    });
+    this.gameState.pendingSettings = null;
+    
+    if (this.gameState.currentRound > 0 && this.gameState.phase !== 'game_over' && !this.gameState.isSuddenDeath) {
+      const rounds = this.gameState.totalRounds + this.getCompetitors().length * (settings.rotations - rotationsBefore);
+      this.gameState.totalRounds = Math.max(this.gameState.currentRound, rounds);
+      this.updateGameInDb({ total_rounds: this.gameState.totalRounds });
+    }
+    
+    console.log(`[GameLogic] Room ${this.roomCode} settings: ${JSON.stringify(settings)}`);
+    this.emitSettings();
+  }
+
+  // Tell every device about the settings (and round count) they now play with
+  emitSettings() {
+    this.io.to(this.gameState.roomCode).emit('settings_updated', {
+      ...this.getSettings(),
+      totalRounds: this.gameState.totalRounds
+    });
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Player picks a team in the lobby
+  handleJoinTeam(socket, data = {}) {
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+    
+    if (!this.isTeamMode() || this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'Teams can only be changed in the lobby' });
+      return;
+    }
+    
+    const team = this.gameState.teams.find(t => t.id === data.teamId);
+    if (!team) {
+      socket.emit('error', { message: 'Team not found' });
+      return;
+    }
+    
+    this.teamManager.movePlayer(this.gameState.teams, player, team);
+    this.broadcastTeams();
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Reshuffle everyone onto even teams
+  handleShuffleTeams(socket) {
+    if (!this.canManageLobby(socket)) {
+      socket.emit('error', { message: 'Only the host can shuffle teams' });
+      return;
+    }
+    
+    if (!this.isTeamMode() || this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'Teams can only be changed in the lobby' });
+      return;
+    }
+    
+    this.teamManager.shuffleTeams(this.gameState.teams, this.gameState.players);
+    this.broadcastTeams();
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Send the current mode and team rosters to everyone in the room
+  broadcastTeams() {
+    this.io.to(this.gameState.roomCode).emit('teams_updated', {
+      mode: this.gameState.mode,
+      teams: this.projector.projectTeams(this.gameState)
+    });
+  }
+
+  // Team mode: drop empty teams and check there are enough to play
+  // Returns false (after telling the socket why) if the game can't start
+  prepareTeams(socket) {
+    if (!this.isTeamMode()) return true;
+    
+    const teams = this.teamManager.withoutEmptyTeams(this.gameState.teams);
+    const minTeams = this.teamManager.getMinTeams();
+    if (teams.length < minTeams) {
+      socket.emit('error', { message: `Need at least ${minTeams} teams with players to start` });
+      return false;
+    }
+    
+    this.gameState.teams = teams;
+    this.saveTeamsToDb();
+    return true;
+  }
+
   // Handle start game from display (main screen)
   handleDisplayStartGame(socket) {
-    // Only the display can start the game this way
-    if (socket !== this.displaySocket) {
+    // Only a display for this room can start the game this way
+    if (!this.isDisplaySocket(socket)) {
       socket.emit('error', { message: 'Only the main display can start the game' });
       return;
     }
@@ -207,19 +892,26 @@ class GameLogic {
       return;
     }
     
+    if (!this.prepareTeams(socket)) return;
+    
     // Ensure display socket is in the room (in case it connected before room was created)
     if (this.gameState.roomCode && this.displaySocket) {
       this.displaySocket.join(this.gameState.roomCode);
     }
     
     // Initialize game
-    this.gameState.totalRounds = this.gameState.players.length * this.config.rotations;
+    this.gameState.totalRounds = this.getCompetitors().length * this.config.rotations;
     this.gameState.currentRound = 1;
     this.gameState.hostRotationCount = 0;
     
     // Update game in database
     this.updateGameInDb({
       status: 'in_progress',
+      mode: this.gameState.mode,
+      scoring_preset: this.gameState.scoringPreset,
+      game_preset: this.gameState.gamePreset,
+      theme_sources: JSON.stringify(this.gameState.themeSources),
+      family_friendly: this.gameState.familyFriendly,
       total_rounds: this.gameState.totalRounds,
       current_round: 1
     });
@@ -251,14 +943,21 @@ class GameLogic {
       return;
     }
     
+    if (!this.prepareTeams(socket)) return;
+    
     // Initialize game
-    this.gameState.totalRounds = this.gameState.players.length * this.config.rotations;
+    this.gameState.totalRounds = this.getCompetitors().length * this.config.rotations;
     this.gameState.currentRound = 1;
     this.gameState.hostRotationCount = 0;
     
     // Update game in database
     this.updateGameInDb({
       status: 'in_progress',
+      mode: this.gameState.mode,
+      scoring_preset: this.gameState.scoringPreset,
+      game_preset: this.gameState.gamePreset,
+      theme_sources: JSON.stringify(this.gameState.themeSources),
+      family_friendly: this.gameState.familyFriendly,
       total_rounds: this.gameState.totalRounds,
       current_round: 1
     });
@@ -273,38 +972,68 @@ class GameLogic {
     this.startThemeSelection();
   }
 
+  // The room's round mix (VoteManager.ROUND_MIXES), 'classic' if the config has something else
+  getRoundMix() {
+    const mix = (this.config.rounds || {}).mix;
+    return VoteManager.ROUND_MIXES.includes(mix) ? mix : 'classic';
+  }
+
+  // This round's type under the round mix - teams and sudden death always play hosted rounds
+  getRoundType() {
+    if (this.isTeamMode() || this.gameState.isSuddenDeath) return 'classic';
+    return this.voteManager.getRoundType(this.getRoundMix(), this.gameState.currentRound);
+  }
+
   // Start theme selection phase
   async startThemeSelection() {
     this.gameState.phase = 'theme_select';
     this.gameState.selectedTheme = null;
     this.gameState.answers = [];
+    this.gameState.teamProposals = {};
+    this.gameState.audienceVotes = {};
+    this.gameState.votes = {};
+    this.gameState.rewrites = {};
+    this.gameState.vetoesUsed = 0;
+    this.gameState.scoreEvents = [];
+    this.gameState.hostScore = null;
+    this.gameState.matchingAnswers = null;
     this.gameState.matches = [];
     this.gameState.roundResults = [];
     
+    // Players who joined mid-game come in now
+    this.admitLateJoiners();
+    
     // Update current host
     const host = this.getCurrentHost();
     this.gameState.currentHost = host;
+    this.gameState.roundType = this.getRoundType();
     
     // Create round in database
-    this.createRoundInDb(this.gameState.currentRound, host.id);
+    this.createRoundInDb(this.gameState.currentRound, this.toPlayerId(host.id));
+    this.updateRoundInDb({ round_type: this.gameState.roundType });
     
-    // Update game current_round and current_host_id
+    // Save game progress - enough to resume this round after a restart
     this.updateGameInDb({
       current_round: this.gameState.currentRound,
-      current_host_id: host.id
+      current_host_id: host.id,
+      current_host_index: this.gameState.currentHostIndex,
+      host_rotation_count: this.gameState.hostRotationCount,
+      is_sudden_death: this.gameState.isSuddenDeath,
+      sudden_death_round: this.gameState.suddenDeathRound,
+      tied_player_ids: JSON.stringify(this.gameState.tiedPlayerIds),
+      tied_player_host_index: this.gameState.tiedPlayerHostIndex
     });
     
     // Mark host status
-    this.gameState.players.forEach(p => {
-      p.isHost = p.id === host.id;
-    });
+    this.markHost(host);
     
     // Notify all about phase change
     this.io.to(this.gameState.roomCode).emit('phase_changed', {
       phase: 'theme_select',
       currentHost: { id: host.id, name: host.name },
       currentRound: this.gameState.currentRound,
-      totalRounds: this.gameState.totalRounds
+      totalRounds: this.gameState.totalRounds,
+      roundType: this.gameState.roundType
     });
     
     // Update display
@@ -312,6 +1041,11 @@ class GameLogic {
       this.displaySocket.emit('game_state', this.getGameState());
     }
     
+    await this.offerThemes(host);
+  }
+
+  // Generate themes, send them to the host and start the selection timer
+  async offerThemes(host, timeLimit = this.config.timers.themeSelection) {
     // Generate themes
     try {
       this.gameState.themes = await this.claudeService.generateThemes();
@@ -320,11 +1054,11 @@ class GameLogic {
       this.gameState.themes = this.claudeService.getFallbackThemes();
     }
     
-    // Send themes to host
-    const hostSocket = this.getPlayerSocket(host.id);
-    if (hostSocket) {
-      hostSocket.emit('themes_generated', { themes: this.gameState.themes });
-    }
+    // The host may have been removed (and the round restarted) while the themes were generated
+    if (this.gameState.phase !== 'theme_select' || this.getCurrentHost() !== host) return;
+    
+    // Send themes to host (every member of a hosting team)
+    this.emitToMembers(host, 'themes_generated', { themes: this.gameState.themes });
     
     // Start timer
     this.startTimer('themeSelection', () => {
@@ -332,7 +1066,7 @@ class GameLogic {
       if (!this.gameState.selectedTheme && this.gameState.themes.length > 0) {
         this.selectTheme(this.gameState.themes[0]);
       }
-    });
+    }, timeLimit);
   }
 
   // Handle theme request
@@ -377,10 +1111,11 @@ class GameLogic {
     this.startAnsweringPhase();
   }
 
-  // Start answering phase
-  startAnsweringPhase() {
+  // Start answering phase (answers were cleared when the round started)
+  startAnsweringPhase(timeLimit = this.config.timers.answering) {
     this.gameState.phase = 'answering';
-    this.gameState.answers = [];
+    // When answering opened (earlier than now for a restored round) - for speed bonuses
+    this.gameState.answeringStartedAt = Date.now() - (this.config.timers.answering - timeLimit) * 1000;
     
     // Update round phase in database
     this.updateRoundInDb({ phase: 'answering' });
@@ -391,7 +1126,7 @@ class GameLogic {
     this.io.to(this.gameState.roomCode).emit('phase_changed', {
       phase: 'answering',
       theme: this.gameState.selectedTheme,
-      timeLimit: this.config.timers.answering,
+      timeLimit,
       currentHost: { id: host.id, name: host.name }
     });
     
@@ -403,59 +1138,172 @@ class GameLogic {
     // Start timer
     this.startTimer('answering', () => {
       this.endAnsweringPhase();
-    });
+    }, timeLimit);
+    
+    this.startBotAnswers();
+  }
+
+  // Why a player can't send an answer right now (null if they can)
+  // A competitor whose answer the host vetoed can answer again while the host matches
+  getAnswerBlocker(player) {
+    if (!player) return 'Player not found';
+    
+    const competitor = this.getCompetitorOf(player);
+    if (this.gameState.phase !== 'answering' && !(competitor && this.isRewriting(competitor))) {
+      return 'Not in answering phase';
+    }
+    
+    // Host doesn't answer
+    if (player.isHost) return 'Host does not submit an answer';
+    if (!competitor) return 'You are not on a team';
+    
+    // Check if already submitted
+    if (this.gameState.answers.some(a => a.playerId === competitor.id)) return 'Already submitted';
+    
+    return null;
   }
 
-  // Handle answer submission
-  handleAnswerSubmit(socket, data) {
+  // Handle answer submission - answers are moderated before anyone else sees them
+  async handleAnswerSubmit(socket, data) {
     const playerId = socket.playerId;
     const player = this.gameState.players.find(p => p.id === playerId);
     
-    if (!player) {
-      socket.emit('error', { message: 'Player not found' });
+    const blocker = this.getAnswerBlocker(player);
+    if (blocker) {
+      socket.emit('error', { message: blocker });
       return;
     }
     
-    if (this.gameState.phase !== 'answering') {
-      socket.emit('error', { message: 'Not in answering phase' });
+    // Validate answer
+    const text = String(data.answer || '').trim().substring(0, 100);
+    
+    if (!text) {
+      socket.emit('error', { message: 'Answer cannot be empty' });
       return;
     }
     
-    // Host doesn't answer
-    if (player.isHost) {
-      socket.emit('error', { message: 'Host does not submit an answer' });
+    const moderated = await this.moderator.moderate(text, {
+      familyFriendly: this.gameState.familyFriendly,
+      theme: this.gameState.selectedTheme
+    });
+    
+    // The round may have moved on while the answer was being checked
+    const lateBlocker = this.getAnswerBlocker(player);
+    if (lateBlocker) {
+      socket.emit('error', { message: lateBlocker });
       return;
     }
     
-    // Check if already submitted
-    if (this.gameState.answers.some(a => a.playerId === playerId)) {
-      socket.emit('error', { message: 'Already submitted' });
+    if (moderated.rejected) {
+      socket.emit('answer_rejected', { message: moderated.reason });
       return;
     }
     
-    // Validate answer
-    const answer = data.answer.trim().substring(0, 100);
+    const answer = moderated.answer;
+    const competitor = this.getCompetitorOf(player);
     
-    if (!answer) {
-      socket.emit('error', { message: 'Answer cannot be empty' });
+    // Team mode: the answer is only a proposal until a teammate approves it
+    // (a player whose teammates have all dropped out answers alone)
+    if (this.isTeamMode() && this.getMembers(competitor).some(p => p.id !== player.id && p.isConnected)) {
+      this.proposeTeamAnswer(competitor, player, answer);
       return;
     }
     
-    // Store answer
-    this.gameState.answers.push({
-      playerId,
-      playerName: player.name,
+    this.submitAnswer(competitor, player, answer);
+  }
+
+  // Team mode: share a proposed answer with the proposer's teammates only
+  // A new proposal from any teammate replaces the previous one
+  proposeTeamAnswer(team, player, answer) {
+    this.gameState.teamProposals[team.id] = {
+      answer,
+      proposedBy: { id: player.id, name: player.name }
+    };
+    
+    this.emitToMembers(team, 'team_proposal', this.gameState.teamProposals[team.id]);
+  }
+
+  // Team mode: a teammate approves the team's proposed answer, which submits it
+  handleApproveAnswer(socket) {
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    
+    if (!player || !this.isTeamMode()) {
+      socket.emit('error', { message: 'Only team players can approve answers' });
+      return;
+    }
+    
+    const team = this.getCompetitorOf(player);
+    if (this.gameState.phase !== 'answering' && !(team && this.isRewriting(team))) {
+      socket.emit('error', { message: 'Not in answering phase' });
+      return;
+    }
+    
+    const proposal = team ? this.gameState.teamProposals[team.id] : null;
+    
+    if (!proposal) {
+      socket.emit('error', { message: 'No answer to approve' });
+      return;
+    }
+    
+    if (proposal.proposedBy.id === player.id) {
+      socket.emit('error', { message: 'A teammate has to approve your answer' });
+      return;
+    }
+    
+    const proposer = this.gameState.players.find(p => p.id === proposal.proposedBy.id) || player;
+    this.submitAnswer(team, proposer, proposal.answer);
+  }
+
+  // Store a finished answer and move the round on - a rewrite fills the host's vetoed slot
+  submitAnswer(competitor, submittedBy, answer) {
+    if (this.isRewriting(competitor)) {
+      this.fillRewrite(competitor, this.storeAnswer(competitor, submittedBy, answer));
+    } else {
+      this.storeAnswer(competitor, submittedBy, answer);
+      this.updateSubmissionProgress();
+    }
+  }
+
+  // Record a competitor's answer and confirm it to them (every member of a team)
+  storeAnswer(competitor, submittedBy, answer) {
+    delete this.gameState.teamProposals[competitor.id];
+    
+    const storedAnswer = {
+      id: uuidv4(),
+      playerId: competitor.id,
+      playerName: competitor.name,
+      submittedBy: submittedBy.id,
       answer,
       timestamp: Date.now()
-    });
+    };
+    this.gameState.answers.push(storedAnswer);
+    this.saveAnswerToDb(storedAnswer);
     
     // Confirm submission
-    socket.emit('answer_submitted', { answer });
-    
-    // Notify about submission progress
-    const nonHostPlayers = this.gameState.players.filter(p => !p.isHost);
+    this.emitToMembers(competitor, 'answer_submitted', { answer });
+    return storedAnswer;
+  }
+
+  // Store a placeholder answer for a competitor who didn't answer in time, so the host can still match them
+  storeEmptyAnswer(competitor) {
+    const emptyAnswer = {
+      id: uuidv4(),
+      playerId: competitor.id,
+      playerName: competitor.name,
+      submittedBy: this.toPlayerId(competitor.id),
+      answer: '[No Answer]',
+      timestamp: Date.now(),
+      penalty: true
+    };
+    this.gameState.answers.push(emptyAnswer);
+    this.saveAnswerToDb(emptyAnswer);
+    return emptyAnswer;
+  }
+
+  // Tell everyone how many answers are in, and move on once all of them are
+  updateSubmissionProgress() {
     const submittedCount = this.gameState.answers.length;
-    const totalToSubmit = nonHostPlayers.length;
+    const totalToSubmit = this.getCompetitors().filter(c => !c.isHost).length;
     
     this.io.to(this.gameState.roomCode).emit('submission_progress', {
       submitted: submittedCount,
@@ -476,79 +1324,75 @@ class GameLogic {
 
   // End answering phase
   endAnsweringPhase() {
-    // Apply penalty to players who didn't submit
-    const nonHostPlayers = this.gameState.players.filter(p => !p.isHost);
+    // Team answers still waiting for approval when time runs out are submitted as they are
+    Object.entries(this.gameState.teamProposals).forEach(([teamId, proposal]) => {
+      const team = this.gameState.teams.find(t => t.id === teamId);
+      const proposer = this.gameState.players.find(p => p.id === proposal.proposedBy.id);
+      if (team && proposer && !this.gameState.answers.some(a => a.playerId === teamId)) {
+        this.storeAnswer(team, proposer, proposal.answer);
+      }
+    });
+    this.gameState.teamProposals = {};
+    
+    // Players (or teams) who didn't submit get an empty answer for matching
+    const nonHostCompetitors = this.getCompetitors().filter(c => !c.isHost);
+    const missed = [];
     
-    nonHostPlayers.forEach(player => {
-      const hasSubmitted = this.gameState.answers.some(a => a.playerId === player.id);
+    nonHostCompetitors.forEach(competitor => {
+      const hasSubmitted = this.gameState.answers.some(a => a.playerId === competitor.id);
       
       if (!hasSubmitted) {
-        // Apply penalty
-        player.score += this.config.penalties.noSubmission;
-        
         // Add empty answer for matching
-        this.gameState.answers.push({
-          playerId: player.id,
-          playerName: player.name,
-          answer: '[No Answer]',
-          timestamp: Date.now(),
-          penalty: true
+        this.storeEmptyAnswer(competitor);
+        missed.push(competitor);
+      }
+    });
+    
+    // Apply the preset's penalty for missing answers, if it has one
+    const penalties = this.scoreCalculator.scoreStage('answering', this.getRoundForScoring(), this.gameState.scoringPreset, this.config);
+    this.applyScoreEvents(penalties);
+    
+    // Notify player (every member of a team)
+    missed.forEach(competitor => {
+      const penalty = this.scoreCalculator.sumPoints(penalties, competitor.id);
+      if (penalty !== 0) {
+        this.emitToMembers(competitor, 'penalty_applied', {
+          penalty,
+          reason: 'No answer submitted'
         });
-        
-        // Notify player
-        const socket = this.getPlayerSocket(player.id);
-        if (socket) {
-          socket.emit('penalty_applied', {
-            penalty: this.config.penalties.noSubmission,
-            reason: 'No answer submitted'
-          });
-        }
       }
     });
     
-    // Save all answers and penalty scores to database
-    this.saveAnswersToDb();
+    // Save penalty scores to database (answers are saved as they arrive)
     this.saveScoresToDb();
     
-    // Start matching phase
-    this.startMatchingPhase();
+    // The host matches the answers, or everyone votes on them
+    if (this.gameState.roundType === 'vote') {
+      this.startVotingPhase();
+    } else {
+      this.startMatchingPhase();
+    }
   }
 
   // Start matching phase
-  startMatchingPhase() {
+  startMatchingPhase(timeLimit = this.config.timers.matching) {
     this.gameState.phase = 'matching';
     
     // Update round phase in database
     this.updateRoundInDb({ phase: 'matching' });
     
     const host = this.getCurrentHost();
+    this.shuffleAnswers();
     
-    // Shuffle answers for display and store for reconnection
-    const shuffledAnswers = [...this.gameState.answers]
-      .sort(() => Math.random() - 0.5)
-      .map((a, index) => ({
-        index,
-        answer: a.answer,
-        playerId: a.playerId // Store for result calculation
-      }));
-    
-    // Store shuffled answers for reconnecting players
-    this.gameState.matchingAnswers = shuffledAnswers;
-    
-    // Prepare matching data payload
-    const matchingData = {
-      answers: shuffledAnswers,
-      players: this.gameState.players
-        .filter(p => !p.isHost)
-        .map(p => ({ id: p.id, name: p.name }))
-    };
+    // Prepare matching data payload - authorship stays on the server until the reveal
+    const matchingData = this.projector.forMatching(this.gameState);
     
     // Notify all about phase change
     this.io.to(this.gameState.roomCode).emit('phase_changed', {
       phase: 'matching',
-      answers: shuffledAnswers,
+      answers: matchingData.answers,
       players: matchingData.players,
-      timeLimit: this.config.timers.matching,
+      timeLimit,
       currentHost: { id: host.id, name: host.name }
     });
     
@@ -557,22 +1401,40 @@ class GameLogic {
       this.displaySocket.emit('matching_phase_start', matchingData);
     }
     
-    // Send matching data to host player - with fallback broadcast
-    const hostSocket = this.getPlayerSocket(host.id);
-    if (hostSocket) {
-      console.log(`[GameLogic] Sending matching_phase_start to host ${host.name} via direct socket`);
-      hostSocket.emit('matching_phase_start', matchingData);
+    // Send matching data to host player (every member of a hosting team) - with fallback broadcast
+    if (this.emitToMembers(host, 'matching_phase_start', matchingData) > 0) {
+      console.log(`[GameLogic] Sent matching_phase_start to host ${host.name} via direct socket`);
     } else {
       // Fallback: broadcast to room and let client-side filter
       console.warn(`[GameLogic] Host socket not found for ${host.name}, broadcasting matching_phase_start to room`);
       this.io.to(this.gameState.roomCode).emit('matching_phase_start', matchingData);
     }
     
+    // Spectators vote on the same anonymous answers while the host matches
+    this.io.to(`${this.gameState.roomCode}:audience`).emit('audience_voting_start', {
+      ...matchingData,
+      timeLimit
+    });
+    
     // Start timer
     this.startTimer('matching', () => {
       // Auto-submit random matches if host doesn't submit
       this.autoSubmitMatches();
-    });
+    }, timeLimit);
+  }
+
+  // Shuffle the round's answers for matching (or voting)
+  // Stored with their authors server-side for scoring and reconnection
+  shuffleAnswers() {
+    this.gameState.matchingAnswers = [...this.gameState.answers]
+      .sort(() => Math.random() - 0.5)
+      .map((a, index) => ({
+        index,
+        answer: a.answer,
+        playerId: a.playerId, // Store for result calculation
+        answerId: a.id,
+        penalty: !!a.penalty
+      }));
   }
 
   // Handle request for matching data (fallback for missed events)
@@ -597,17 +1459,107 @@ class GameLogic {
     }
     
     // Send the matching data
-    const matchingData = {
-      answers: this.gameState.matchingAnswers || [],
-      players: this.gameState.players
-        .filter(p => !p.isHost)
-        .map(p => ({ id: p.id, name: p.name }))
-    };
+    const matchingData = this.projector.forMatching(this.gameState);
     
     console.log(`[GameLogic] Sending matching data to ${player.name}: ${matchingData.answers.length} answers, ${matchingData.players.length} players`);
     socket.emit('matching_phase_start', matchingData);
   }
 
+  // Whether a competitor is rewriting an answer the host vetoed
+  isRewriting(competitor) {
+    return this.gameState.phase === 'matching' && this.gameState.rewrites[competitor.id] !== undefined;
+  }
+
+  // Host vetoes an answer while matching: it leaves the TV and its author writes a new one
+  handleVetoAnswer(socket, data = {}) {
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    
+    if (!player || !player.isHost) {
+      socket.emit('error', { message: 'Only the host can veto answers' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'matching') {
+      socket.emit('error', { message: 'Not in matching phase' });
+      return;
+    }
+    
+    const moderation = this.config.moderation || {};
+    if (this.gameState.vetoesUsed >= (moderation.vetoesPerRound ?? 2)) {
+      socket.emit('error', { message: 'No vetoes left this round' });
+      return;
+    }
+    
+    const answerIndex = parseInt(data.answerIndex, 10);
+    const slot = (this.gameState.matchingAnswers || [])[answerIndex];
+    const author = slot ? this.getCompetitors().find(c => c.id === slot.playerId) : null;
+    
+    if (!slot || slot.penalty || slot.rewriting || slot.removed || !author) {
+      socket.emit('error', { message: 'That answer can\'t be vetoed' });
+      return;
+    }
+    
+    this.gameState.vetoesUsed++;
+    
+    // Drop the answer everywhere so it can't reach the TV again; the slot keeps its index
+    // so the host's other matches and the audience's other votes stay as they are
+    this.gameState.answers = this.gameState.answers.filter(a => a.id !== slot.answerId);
+    this.deleteAnswerFromDb(slot.answerId);
+    Object.assign(slot, { answer: '', answerId: null, rewriting: true });
+    this.gameState.rewrites[author.id] = answerIndex;
+    this.audienceManager.clearVotes(this.gameState.audienceVotes, answerIndex);
+    
+    // More time to rewrite the answer and match it
+    this.extendTimer('matching', moderation.vetoExtraTime || 30);
+    
+    this.emitToMembers(author, 'answer_vetoed', {
+      theme: this.gameState.selectedTheme,
+      timeLimit: this.getTimeLeft('matching')
+    });
+    this.broadcastMatchingAnswers();
+  }
+
+  // Put a rewritten answer into the vetoed slot
+  fillRewrite(competitor, storedAnswer) {
+    const slot = this.gameState.matchingAnswers[this.gameState.rewrites[competitor.id]];
+    delete this.gameState.rewrites[competitor.id];
+    
+    slot.answer = storedAnswer.answer;
+    slot.answerId = storedAnswer.id;
+    slot.penalty = !!storedAnswer.penalty;
+    delete slot.rewriting;
+    
+    this.broadcastMatchingAnswers();
+  }
+
+  // Time's up on rewrites: use a team's waiting proposal, or no answer
+  closeRewrites() {
+    Object.keys(this.gameState.rewrites).forEach(competitorId => {
+      const competitor = this.getCompetitors().find(c => c.id === competitorId);
+      const proposal = this.gameState.teamProposals[competitorId];
+      const proposer = proposal && this.gameState.players.find(p => p.id === proposal.proposedBy.id);
+      
+      if (!competitor) {
+        delete this.gameState.rewrites[competitorId];
+      } else if (proposer) {
+        this.fillRewrite(competitor, this.storeAnswer(competitor, proposer, proposal.answer));
+      } else {
+        this.fillRewrite(competitor, this.storeEmptyAnswer(competitor));
+      }
+    });
+  }
+
+  // Send the current matching answers to the host, the display and the audience
+  broadcastMatchingAnswers() {
+    const matchingData = this.projector.forMatching(this.gameState);
+    
+    this.emitToMembers(this.getCurrentHost(), 'matching_answers_updated', matchingData);
+    if (this.displaySocket) {
+      this.displaySocket.emit('matching_answers_updated', matchingData);
+    }
+    this.io.to(`${this.gameState.roomCode}:audience`).emit('matching_answers_updated', matchingData);
+  }
+
   // Handle matches submission from host
   handleMatchesSubmit(socket, data) {
     const playerId = socket.playerId;
@@ -623,33 +1575,174 @@ class GameLogic {
       return;
     }
     
-    this.clearTimer('matching');
-    this.gameState.matches = data.matches;
+    if (Object.keys(this.gameState.rewrites).length > 0) {
+      socket.emit('error', { message: 'Wait for the vetoed answer to be rewritten' });
+      return;
+    }
     
-    // Save matches to database
-    this.saveMatchesToDb();
+    const { matches, error } = this.checkMatches(data.matches);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+    
+    this.clearTimer('matching');
+    this.gameState.matches = matches;
     
     // Start reveal phase
     this.startRevealPhase();
   }
 
+  // Check the host's matches against the round - each answer matched at most once, to a competitor other than the host
+  // Returns {matches} or {error} (answers left out aren't matched)
+  checkMatches(matches) {
+    if (!Array.isArray(matches)) return { error: 'Invalid matches' };
+    
+    const slots = (this.gameState.matchingAnswers || []).map(a => a.index);
+    const guessable = this.getCompetitors().filter(c => !c.isHost).map(c => c.id);
+    const matched = new Set();
+    
+    for (const match of matches) {
+      const answerIndex = match?.answerIndex;
+      if (!Number.isInteger(answerIndex) || !slots.includes(answerIndex) || matched.has(answerIndex)) {
+        return { error: 'Invalid matches' };
+      }
+      if (!guessable.includes(match.playerId)) return { error: 'Invalid matches' };
+      matched.add(answerIndex);
+    }
+    return { matches: matches.map(({ answerIndex, playerId }) => ({ answerIndex, playerId })) };
+  }
+
   // Auto-submit random matches if host times out
   autoSubmitMatches() {
-    const shuffledAnswers = [...this.gameState.answers].sort(() => Math.random() - 0.5);
-    const players = this.gameState.players.filter(p => !p.isHost);
+    this.closeRewrites();
     
-    this.gameState.matches = players.map((player, index) => ({
-      playerId: player.id,
-      answerIndex: index % shuffledAnswers.length
-    }));
+    // Answers of players removed mid-round keep their slot but can't be matched
+    const openSlots = (this.gameState.matchingAnswers || [])
+      .filter(a => !a.removed)
+      .sort(() => Math.random() - 0.5);
+    const competitors = this.getCompetitors().filter(c => !c.isHost);
     
-    // Save auto-generated matches to database
-    this.saveMatchesToDb();
+    this.gameState.matches = openSlots.length === 0 ? [] : competitors.map((competitor, index) => ({
+      playerId: competitor.id,
+      answerIndex: openSlots[index % openSlots.length].index
+    }));
     
     this.startRevealPhase();
   }
 
-  // Start reveal phase
+  // Vote rounds: everyone votes on who wrote each answer but their own, from the same shuffle the host would match
+  startVotingPhase(timeLimit = this.config.timers.matching) {
+    this.gameState.phase = 'voting';
+    
+    // Saved as matching - a restart tells the two apart by the round's type
+    this.updateRoundInDb({ phase: 'matching' });
+    
+    const host = this.getCurrentHost();
+    this.shuffleAnswers();
+    
+    // Every answer that can be voted on (without authors) for the display
+    const votingData = this.getVotingData(null);
+    this.io.to(this.gameState.roomCode).emit('phase_changed', {
+      phase: 'voting',
+      answers: votingData.answers,
+      players: votingData.players,
+      timeLimit,
+      currentHost: { id: host.id, name: host.name },
+      roundType: 'vote'
+    });
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+    
+    // Time's up: whoever hasn't voted sits this one out
+    this.startTimer('voting', () => {
+      this.startRevealPhase();
+    }, timeLimit);
+    
+    this.sendBallots(timeLimit);
+    this.updateVotingProgress();
+  }
+
+  // Send every voter who hasn't voted yet their own ballot (again after someone left mid-vote)
+  sendBallots(timeLimit = this.getTimeLeft('voting')) {
+    this.getVoters()
+      .filter(voter => !this.gameState.votes[voter.id])
+      .forEach(voter => {
+        this.emitToMembers(voter, 'voting_start', { ...this.getVotingData(voter.id), timeLimit });
+      });
+  }
+
+  // Answers and authors a voter can vote on (every answer that can be voted on for a null voter)
+  getVotingData(voterId) {
+    return this.projector.forVoting(
+      this.gameState,
+      this.voteManager.getBallotAnswers(this.gameState.matchingAnswers, voterId)
+    );
+  }
+
+  // Competitors with at least one answer to vote on
+  getVoters() {
+    return this.getCompetitors().filter(c =>
+      this.voteManager.getBallotAnswers(this.gameState.matchingAnswers, c.id).length > 0
+    );
+  }
+
+  // Handle a player's votes - one ballot each, answers left out aren't voted on
+  handleVotesSubmit(socket, data = {}) {
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    const voter = player && this.getCompetitorOf(player);
+    
+    if (!voter) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'voting') {
+      socket.emit('error', { message: 'Not in voting phase' });
+      return;
+    }
+    
+    if (this.gameState.votes[voter.id]) {
+      socket.emit('error', { message: 'Already voted' });
+      return;
+    }
+    
+    const { ballot, error } = this.voteManager.checkBallot(
+      data.votes, this.gameState.matchingAnswers, voter.id, this.getCompetitors()
+    );
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+    
+    this.gameState.votes[voter.id] = ballot;
+    socket.emit('votes_submitted', { count: Object.keys(ballot).length });
+    this.updateVotingProgress();
+  }
+
+  // Tell everyone how many have voted, and move on to the reveal once all of them have
+  updateVotingProgress() {
+    const voters = this.getVoters();
+    const voted = voters.filter(v => this.gameState.votes[v.id]).length;
+    
+    this.io.to(this.gameState.roomCode).emit('voting_progress', {
+      voted,
+      total: voters.length
+    });
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+    
+    if (voted >= voters.length) {
+      this.clearTimer('voting');
+      this.startRevealPhase();
+    }
+  }
+
+  // Start reveal phase - the host's matches or the crowd's votes, revealed one answer at a time
   startRevealPhase() {
     this.gameState.phase = 'reveal';
     this.gameState.revealIndex = 0;
@@ -657,47 +1750,152 @@ class GameLogic {
     // Update round phase in database
     this.updateRoundInDb({ phase: 'reveal' });
     
+    if (this.gameState.roundType === 'vote') {
+      this.resolveVotes();
+    } else {
+      this.resolveMatches();
+    }
+    
+    this.beginReveals();
+  }
+
+  // Work out the crowd's pick for every answer and score the votes
+  resolveVotes() {
+    this.gameState.roundResults = this.voteManager.calculateRoundResults(
+      this.gameState.votes,
+      this.gameState.matchingAnswers || [],
+      this.getCompetitors()
+    );
+    
+    this.applyScoreEvents(this.scoreVotes());
+    this.orderReveals(this.getRevealOrder());
+    
+    this.saveVotesToDb();
+    this.saveScoresToDb();
+  }
+
+  // Work out the host's results, how the audience voted, and score the round
+  resolveMatches() {
+    // Matches for answers whose authors were removed mid-round don't count
+    this.gameState.matches = (this.gameState.matches || []).filter(match =>
+      !(this.gameState.matchingAnswers || [])[match.answerIndex]?.removed
+    );
+    
     // Calculate results using matchingAnswers (shuffled) so index lookup is correct
     // The host matched against shuffled indices, so we need to use the shuffled array
     this.gameState.roundResults = this.scoreCalculator.calculateRoundResults(
       this.gameState.matches,
       this.gameState.matchingAnswers || this.gameState.answers,
-      this.gameState.players
+      this.getCompetitors()
     );
     
-    // Update host score
-    const hostScoreResult = this.scoreCalculator.calculateHostScore(
+    // How the audience voted on each answer, and their points (kept apart from player scores)
+    const matchingAnswers = this.gameState.matchingAnswers || [];
+    this.gameState.roundResults.forEach(result => {
+      result.audience = this.audienceManager.tallyAnswer(
+        this.gameState.audienceVotes, result.answerIndex, result.actualPlayerId
+      );
+    });
+    this.audienceManager.scoreVotes(this.gameState.audience, this.gameState.audienceVotes, matchingAnswers);
+    this.gameState.audience.forEach(spectator => {
+      this.io.sockets.sockets.get(spectator.socketId)?.emit('audience_score', { score: spectator.score });
+    });
+    
+    // Score the round with the preset's rules (the audience tallies count towards bluffs)
+    // before the reveal order is applied - streaks count in the order the host matched
+    this.applyScoreEvents(this.scoreMatches());
+    this.orderReveals(this.getRevealOrder());
+    
+    // Save matches and updated scores to database
+    this.saveMatchesToDb();
+    this.saveScoresToDb();
+    this.saveAudienceScoresToDb();
+  }
+
+  // Run the preset's rules over the host's matches and summarise the host's round
+  // Returns the score events without applying them
+  scoreMatches() {
+    const events = this.scoreCalculator.scoreStage('reveal', this.getRoundForScoring(), this.gameState.scoringPreset, this.config);
+    this.gameState.hostScore = this.scoreCalculator.calculateHostScore(
       this.gameState.roundResults,
-      this.config.bonuses.perfectRound
+      events,
+      this.getCurrentHost().id
     );
-    
+    return events;
+  }
+
+  // Score a vote round's votes with the preset's vote rules
+  // The round's summary is the crowd's: how many answers the majority got right, and the host's own points
+  scoreVotes() {
+    const events = this.scoreCalculator.scoreStage('vote', this.getRoundForScoring(), this.gameState.scoringPreset, this.config);
+    this.gameState.hostScore = {
+      ...this.scoreCalculator.calculateHostScore(this.gameState.roundResults, events, this.getCurrentHost().id),
+      isPerfect: false
+    };
+    return events;
+  }
+
+  // Who made this round's guesses, for the suspense order - the host, or the whole crowd in a vote round
+  getGuesserId() {
+    return this.gameState.roundType === 'vote' ? 'crowd' : this.getCurrentHost().id;
+  }
+
+  // Put the round's results in reveal order and record the strategy with the round
+  orderReveals(strategy) {
     const host = this.getCurrentHost();
-    host.score += hostScoreResult.score;
     
-    // Save updated scores to database
-    this.saveScoresToDb();
+    // A bot can't pick from a phone - its answers come in its matching order
+    this.gameState.revealOrder = strategy === 'hostPicks' && host.isBot ? 'matched' : strategy;
+    this.gameState.roundResults = this.revealOrderer.order(this.gameState.roundResults, this.gameState.revealOrder, this.getGuesserId());
+    this.updateRoundInDb({ reveal_order: this.gameState.revealOrder });
+  }
+
+  // The room's reveal order strategy (RevealOrderer.STRATEGIES), 'matched' if the config has something else
+  getRevealOrder() {
+    const order = (this.config.reveal || {}).order;
+    return RevealOrderer.STRATEGIES.includes(order) ? order : 'matched';
+  }
+
+  // Answers the host can pick to reveal next (hostPicks order only), in the order everyone saw them while matching
+  getRevealChoices(fromIndex) {
+    if (this.gameState.revealOrder !== 'hostPicks') return null;
+    return this.gameState.roundResults.slice(fromIndex)
+      .map(r => ({ answerIndex: r.answerIndex, answer: r.answer }))
+      .sort((a, b) => a.answerIndex - b.answerIndex);
+  }
+
+  // Show the host's guesses, then reveal each answer's author in turn
+  beginReveals() {
+    const host = this.getCurrentHost();
     
     // Emit matches summary for display before revealing
+    // Only the host's guesses - each actual author goes out with its own reveal_result
+    // (in the order the answers were matched in, so the summary doesn't give the reveal order away)
     this.io.to(this.gameState.roomCode).emit('matches_submitted', {
-      matches: this.gameState.roundResults.map(r => ({
-        answer: r.answer,
-        guessedPlayer: r.guessedPlayer,
-        actualPlayer: r.actualPlayer
-      })),
-      host: { name: host.name }
+      matches: [...this.gameState.roundResults]
+        .sort((a, b) => a.answerIndex - b.answerIndex)
+        .map(r => ({
+          answer: r.answer,
+          guessedPlayer: r.guessedPlayer
+        })),
+      host: { name: host.name },
+      roundType: this.gameState.roundType // In a vote round the guesses are the crowd's picks
     });
     
     // Notify about reveal phase starting
     this.io.to(this.gameState.roomCode).emit('phase_changed', {
       phase: 'reveal',
       totalReveals: this.gameState.roundResults.length,
-      currentHost: { id: host.id, name: host.name }
+      currentHost: { id: host.id, name: host.name },
+      ...this.getRevealPacingInfo(),
+      introSeconds: this.config.reveal.intro,
+      revealOrder: this.gameState.revealOrder,
+      roundType: this.gameState.roundType,
+      choices: this.getRevealChoices(0)
     });
     
-    // Delay before starting reveals (show matches summary for 5 seconds)
-    setTimeout(() => {
-      this.revealNextMatch();
-    }, 5000);
+    // The host's guesses stay up before the first answer (reveal step -1)
+    this.waitForNextReveal(this.config.reveal.intro);
   }
 
   // Reveal next match
@@ -717,43 +1915,153 @@ class GameLogic {
       guessedPlayer: result.guessedPlayer,
       actualPlayer: result.actualPlayer,
       answer: result.answer,
-      isCorrect: result.isCorrect
+      isCorrect: result.isCorrect,
+      answerIndex: result.answerIndex,
+      audience: result.audience || null,
+      votes: result.votes || null, // Vote rounds: {votes, correct, tally: [{id, name, count}]}
+      revealSeconds: this.config.timers.reveal, // How long the display shows it at least
+      ...this.getRevealPacingInfo(),
+      revealOrder: this.gameState.revealOrder,
+      choices: this.getRevealChoices(this.gameState.revealIndex + 1)
     });
     
+    // The announcer reacts to the first answer the host got wrong this round
+    const earlier = this.gameState.roundResults.slice(0, this.gameState.revealIndex);
+    if (this.gameState.roundType !== 'vote' && !result.isCorrect && earlier.every(r => r.isCorrect)) {
+      this.announce('reveal', {
+        answer: result.answer,
+        author: result.actualPlayer.name,
+        guess: result.guessedPlayer.name,
+        answers: earlier.concat(result).map(r => ({ answer: r.answer, author: r.actualPlayer.name }))
+      });
+    }
+    
     this.gameState.revealIndex++;
+    this.waitForNextReveal(this.config.timers.reveal);
+  }
+
+  // The room's reveal pacing (REVEAL_PACINGS), 'display' if the config has something else
+  getRevealPacing() {
+    const pacing = (this.config.reveal || {}).pacing;
+    return this.REVEAL_PACINGS.includes(pacing) ? pacing : 'display';
+  }
+
+  // How the current reveal step moves on, for the display and the host's phone
+  // maxWait is how long the server waits for the display's reveal_ack (null if it doesn't wait for one)
+  // When the host picks each answer the reveal waits for their pick, as in manual pacing
+  getRevealPacingInfo() {
+    const pacing = this.gameState.revealOrder === 'hostPicks' ? 'manual' : this.getRevealPacing();
+    return {
+      pacing,
+      maxWait: pacing === 'display' && this.hasAckingDisplay() ? this.config.reveal.maxWait : null
+    };
+  }
+
+  // Whether a display that sends reveal_ack is watching the room (older displays don't)
+  hasAckingDisplay() {
+    const displays = this.io.sockets.adapter.rooms.get(`${this.roomCode}:display`) || new Set();
+    return [...displays].some(id => this.io.sockets.sockets.get(id)?.acksReveals);
+  }
+
+  // Move on from the reveal step just shown: after holdSeconds, after the display's ack (up to reveal.maxWait),
+  // or only when someone taps Next
+  waitForNextReveal(holdSeconds) {
+    const { pacing, maxWait } = this.getRevealPacingInfo();
+    if (pacing === 'manual') {
+      this.scheduler.cancel('revealNext');
+      return;
+    }
+    
+    this.scheduler.schedule('revealNext', () => {
+      this.revealNextMatch();
+    }, (maxWait ?? holdSeconds) * 1000);
+  }
+
+  // The display finished showing a reveal step - index is the reveal's index, -1 for the host's guesses
+  handleRevealAck(socket, data = {}) {
+    if (!this.isDisplaySocket(socket) || this.gameState.phase !== 'reveal' || this.getRevealPacingInfo().pacing !== 'display') return;
+    
+    // A late ack for a step that has already moved on
+    if (data.index !== this.gameState.revealIndex - 1) return;
+    
+    // Straight away (or as soon as the game is resumed)
+    this.scheduler.schedule('revealNext', () => {
+      this.revealNextMatch();
+    }, 0);
+  }
+
+  // The host or the display moves the reveal on (any pacing - in manual pacing it's the only way)
+  handleNextReveal(socket) {
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    if (!this.isDisplaySocket(socket) && !player?.isHost) {
+      socket.emit('error', { message: 'Only the host or the main display can move the reveal on' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'reveal') {
+      socket.emit('error', { message: 'Not in reveal phase' });
+      return;
+    }
+    
+    this.scheduler.schedule('revealNext', () => {
+      this.revealNextMatch();
+    }, 0);
+  }
+
+  // The host picks which answer is revealed next (hostPicks reveal order)
+  handleRevealPick(socket, data = {}) {
+    const player = this.gameState.players.find(p => p.id === socket.playerId);
+    if (!player?.isHost) {
+      socket.emit('error', { message: 'Only the host can pick the next reveal' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'reveal' || this.gameState.revealOrder !== 'hostPicks') {
+      socket.emit('error', { message: 'Not picking reveals' });
+      return;
+    }
+    
+    const results = this.gameState.roundResults;
+    const picked = results.slice(this.gameState.revealIndex).find(r => r.answerIndex === data.answerIndex);
+    if (!picked) {
+      socket.emit('error', { message: 'That answer has already been revealed' });
+      return;
+    }
     
-    // Schedule next reveal
-    setTimeout(() => {
+    // Move it up to be the next reveal
+    results.splice(results.indexOf(picked), 1);
+    results.splice(this.gameState.revealIndex, 0, picked);
+    this.scheduler.schedule('revealNext', () => {
       this.revealNextMatch();
-    }, this.config.timers.reveal * 1000);
+    }, 0);
   }
 
   // Start round end phase
   startRoundEnd() {
     this.gameState.phase = 'round_end';
+    this.completeRoundInDb();
     
-    // Get scoreboard
-    const scoreboard = this.gameState.players
-      .map(p => ({ id: p.id, name: p.name, score: p.score }))
-      .sort((a, b) => b.score - a.score);
+    // Get scoreboard (team totals in team mode)
+    const scoreboard = this.getScoreboard();
     
     // Calculate next host
-    const nextHostIndex = (this.gameState.currentHostIndex + 1) % this.gameState.players.length;
-    const nextHost = this.gameState.players[nextHostIndex];
-    
-    const hostScoreResult = this.scoreCalculator.calculateHostScore(
-      this.gameState.roundResults,
-      this.config.bonuses.perfectRound
-    );
+    const competitors = this.getCompetitors();
+    const nextHostIndex = (this.gameState.currentHostIndex + 1) % competitors.length;
+    const nextHost = competitors[nextHostIndex];
     
     // Emit round end
     this.io.to(this.gameState.roomCode).emit('round_end', {
+      mode: this.gameState.mode,
       scoreboard,
       currentHost: { id: this.gameState.currentHost.id, name: this.gameState.currentHost.name },
-      hostScore: hostScoreResult,
+      hostScore: this.gameState.hostScore,
+      scoreDeltas: this.getScoreDeltas(),
+      scoringPreset: this.gameState.scoringPreset,
+      roundType: this.gameState.roundType, // In a vote round hostScore sums up the crowd's picks
       nextHost: { id: nextHost.id, name: nextHost.name },
       currentRound: this.gameState.currentRound,
-      totalRounds: this.gameState.totalRounds
+      totalRounds: this.gameState.totalRounds,
+      audienceLeaderboard: this.getAudienceLeaderboard()
     });
     
     // Update display
@@ -761,30 +2069,72 @@ class GameLogic {
       this.displaySocket.emit('game_state', this.getGameState());
     }
     
+    // Bots remember who wrote what for the next rounds, and suspense reveals how each host (or the crowd) did
+    this.bots.rememberRound(this.gameState.roundResults);
+    this.revealOrderer.rememberRound(this.getGuesserId(), this.gameState.roundResults);
+    
+    // A host who scored nothing gets roasted, otherwise the announcer sums up the standings
+    const hostScore = this.gameState.hostScore;
+    const answers = this.gameState.roundResults.map(r => ({ answer: r.answer, author: r.actualPlayer.name }));
+    if (this.gameState.roundType !== 'vote' && hostScore && hostScore.totalMatches > 0 && hostScore.score <= 0) {
+      this.announce('hostRoast', { answers, total: hostScore.totalMatches });
+    } else {
+      this.announce('roundSummary', {
+        answers,
+        scoreboard,
+        round: this.gameState.currentRound,
+        totalRounds: this.gameState.totalRounds
+      });
+    }
+    
     // Start timer for next round
     this.startTimer('roundEnd', () => {
       this.handleNextRound();
     });
   }
 
+  // Send an announcer line to the display's lower third
+  // Never holds up the game - a line that arrives after its round has moved on is dropped
+  announce(event, context) {
+    if (!this.announcer.isEnabled()) return;
+    
+    const round = this.gameState.currentRound;
+    this.announcer.announce(event, {
+      ...context,
+      theme: this.gameState.selectedTheme,
+      host: this.gameState.currentHost?.name,
+      familyFriendly: this.gameState.familyFriendly
+    })
+      .then(line => {
+        if (this.gameState.currentRound !== round) return;
+        this.io.to(this.gameState.roomCode).emit('announcer_line', { ...line, round });
+      })
+      .catch(err => console.error('Announcer failed:', err));
+  }
+
   // Handle next round
   handleNextRound(socket = null) {
     this.clearTimer('roundEnd');
     
+    // Settings changed during the round take effect now, before checking whether the game is over
+    if (this.gameState.pendingSettings) {
+      this.applySettings(this.gameState.pendingSettings);
+    }
+    
     // If in sudden death, check for winner after each round
     if (this.gameState.isSuddenDeath) {
       // Move to next tied player for hosting
       this.gameState.tiedPlayerHostIndex++;
       
       // Check if all tied players have hosted once (completed a full SD round)
-      const tiedPlayersList = this.gameState.players.filter(p => p.isTiedPlayer);
+      const tiedPlayersList = this.getCompetitors().filter(p => p.isTiedPlayer);
       if (this.gameState.tiedPlayerHostIndex >= tiedPlayersList.length) {
         // All tied players have hosted - increment SD round counter and check for winner
         this.gameState.suddenDeathRound++;
         this.gameState.tiedPlayerHostIndex = 0;
         
         // Get current scores of tied players only
-        const tiedScores = this.gameState.players
+        const tiedScores = this.getCompetitors()
           .filter(p => p.isTiedPlayer)
           .map(p => ({ id: p.id, name: p.name, score: p.score }))
           .sort((a, b) => b.score - a.score);
@@ -799,12 +2149,12 @@ class GameLogic {
         }
         
         // Still tied - continue to next SD round
-        log(`Sudden Death Round ${this.gameState.suddenDeathRound}: Still tied - ${stillTied.map(p => p.name).join(', ')}`);
+        console.log(`Sudden Death Round ${this.gameState.suddenDeathRound}: Still tied - ${stillTied.map(p => p.name).join(', ')}`);
       }
       
       // Find next tied player to host
       const nextTiedPlayer = tiedPlayersList[this.gameState.tiedPlayerHostIndex];
-      this.gameState.currentHostIndex = this.gameState.players.findIndex(p => p.id === nextTiedPlayer.id);
+      this.gameState.currentHostIndex = this.getCompetitors().findIndex(p => p.id === nextTiedPlayer.id);
       
       this.gameState.currentRound++;
       this.startThemeSelection();
@@ -817,8 +2167,8 @@ class GameLogic {
       return;
     }
     
-    // Rotate host
-    this.gameState.currentHostIndex = (this.gameState.currentHostIndex + 1) % this.gameState.players.length;
+    // Rotate host (by team in team mode)
+    this.gameState.currentHostIndex = (this.gameState.currentHostIndex + 1) % this.getCompetitors().length;
     
     // Check if completed a full rotation
     if (this.gameState.currentHostIndex === 0) {
@@ -833,10 +2183,8 @@ class GameLogic {
 
   // End game
   endGame() {
-    // Get final scoreboard
-    const scoreboard = this.gameState.players
-      .map(p => ({ id: p.id, name: p.name, score: p.score }))
-      .sort((a, b) => b.score - a.score);
+    // Get final scoreboard (team totals in team mode)
+    const scoreboard = this.getScoreboard();
     
     const highestScore = scoreboard[0].score;
     const tiedPlayers = scoreboard.filter(p => p.score === highestScore);
@@ -851,16 +2199,22 @@ class GameLogic {
     this.gameState.phase = 'game_over';
     const winner = scoreboard[0];
     
+    // A game can end while paused (the last players were removed) - nothing is left to resume
+    this.setPaused(false);
+    
     // Complete game in database and save to history
     this.updateGameInDb({ status: 'completed' });
-    this.saveGameHistoryToDb(winner);
+    const historyId = this.saveGameHistoryToDb(winner);
     
     // Emit game over
     this.io.to(this.gameState.roomCode).emit('game_over', {
+      mode: this.gameState.mode,
       winner,
       scoreboard,
       wasSuddenDeath: this.gameState.isSuddenDeath,
-      suddenDeathRounds: this.gameState.suddenDeathRound
+      suddenDeathRounds: this.gameState.suddenDeathRound,
+      audienceLeaderboard: this.getAudienceLeaderboard(),
+      historyId // For exporting the results (null without a database)
     });
     
     // Update display
@@ -880,20 +2234,24 @@ class GameLogic {
     this.gameState.suddenDeathPlayers = tiedPlayers;
     this.gameState.tiedPlayerIds = tiedPlayerIds;
     
-    // Keep ALL players in the game (non-tied players still answer)
+    // Keep ALL players (or teams) in the game (non-tied ones still answer)
     // But mark who is tied for host rotation logic
-    this.gameState.players.forEach(p => {
+    const competitors = this.getCompetitors();
+    competitors.forEach(p => {
       p.isTiedPlayer = tiedPlayerIds.includes(p.id);
     });
     
     // Find index of first tied player to start hosting
-    this.gameState.currentHostIndex = this.gameState.players.findIndex(p => p.isTiedPlayer);
+    this.gameState.currentHostIndex = competitors.findIndex(p => p.isTiedPlayer);
     this.gameState.tiedPlayerHostIndex = 0; // Track which tied player is hosting
-    
+
+    // Sudden death rounds are numbered on from the last regular round
+    this.gameState.currentRound++;
+
     // Emit sudden death start event
     this.io.to(this.gameState.roomCode).emit('sudden_death_start', {
       tiedPlayers: this.gameState.suddenDeathPlayers,
-      message: `${tiedPlayers.length} players tied at ${tiedPlayers[0].score} points!`,
+      message: `${tiedPlayers.length} ${this.isTeamMode() ? 'teams' : 'players'} tied at ${tiedPlayers[0].score} points!`,
       round: this.gameState.suddenDeathRound
     });
     
@@ -903,7 +2261,7 @@ class GameLogic {
     }
     
     // Start sudden death with first tied player as host
-    setTimeout(() => {
+    this.scheduler.schedule('suddenDeathIntro', () => {
       this.startThemeSelection();
     }, 5000); // 5 second delay to show sudden death announcement
   }
@@ -917,27 +2275,466 @@ class GameLogic {
       isHost: p.joinOrder === 0
     }));
     
+    // Team mode keeps its teams, scoring, themes and moderation for the next game, and the audience stays to watch
+    const { mode, scoringPreset, gamePreset, themeSources, familyFriendly, soundPack, teams, audience, lateJoiners } = this.gameState;
+    
     this.gameState = this.createInitialState();
     this.gameState.players = players;
-    this.gameState.roomCode = this.roomManager.getCurrentRoomCode();
     this.gameState.currentHost = players[0];
+    this.gameState.mode = mode;
+    this.gameState.scoringPreset = scoringPreset;
+    this.gameState.gamePreset = gamePreset;
+    this.gameState.themeSources = themeSources;
+    this.gameState.familyFriendly = familyFriendly;
+    this.gameState.soundPack = soundPack;
+    this.gameState.teams = teams.map(t => ({ ...t, score: 0, isHost: false, isTiedPlayer: false }));
+    this.gameState.audience = audience.map(s => ({ ...s, score: 0 }));
+    
+    // Anyone who joined during the last game is in the lobby for this one
+    lateJoiners.forEach(player => {
+      player.joinOrder = players.length;
+      players.push(player);
+      if (this.isTeamMode()) {
+        this.teamManager.assignToSmallestTeam(this.gameState.teams, player);
+      }
+      this.savePlayerToDb(player);
+      this.getPlayerSocket(player.id)?.join(this.gameState.roomCode);
+    });
     
     // Reset Claude service session to clear used theme tracking
     this.claudeService.resetSession();
     
+    // Back to the lobby in the database too, so this room is not resumed after a restart
+    this.updateGameInDb({ status: 'lobby', current_round: 0 });
+    this.saveScoresToDb();
+    this.saveAudienceScoresToDb();
+    
     // Notify all
     this.io.to(this.gameState.roomCode).emit('game_reset', {
-      players: players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost }))
+      players: players.map(p => ({ id: p.id, name: p.name, isHost: p.isHost, isBot: !!p.isBot })),
+      mode: this.gameState.mode,
+      teams: this.projector.projectTeams(this.gameState)
     });
     
     // Update display
     if (this.displaySocket) {
       this.displaySocket.emit('game_state', this.getGameState());
     }
-  }
-
-  // Handle disconnect
-  handleDisconnect(socket) {
+  }
+
+  // Display pauses the game - every timer and reveal step stops where it is
+  handlePauseGame(socket) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Only the main display can pause the game' });
+      return;
+    }
+    
+    if (['lobby', 'game_over'].includes(this.gameState.phase)) {
+      socket.emit('error', { message: 'The game isn\'t running' });
+      return;
+    }
+    
+    this.setPaused(true);
+  }
+
+  // Display resumes the game - everything carries on with the time it had left
+  handleResumeGame(socket) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Only the main display can resume the game' });
+      return;
+    }
+    
+    this.setPaused(false);
+  }
+
+  // Freeze or unfreeze every scheduled step and tell every device
+  setPaused(paused) {
+    if (this.gameState.isPaused === paused) return;
+    
+    if (paused) {
+      this.scheduler.pause();
+    } else {
+      this.scheduler.resume();
+    }
+    this.gameState.isPaused = paused;
+    
+    const timerName = this.getPhaseTimerName();
+    if (timerName && this.scheduler.has(timerName)) {
+      this.savePhaseEndsAt(timerName);
+      this.emitTimerUpdate(timerName);
+    }
+    
+    console.log(`[GameLogic] Room ${this.roomCode} ${paused ? 'paused' : 'resumed'}`);
+    
+    // Every phone and the TV show (or hide) the paused overlay
+    this.io.to(this.gameState.roomCode).emit('game_paused', { paused, phase: this.gameState.phase });
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Display gives the current phase more time ("+30s"), paused or not
+  handleExtendTime(socket) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Only the main display can add time' });
+      return;
+    }
+    
+    const timerName = this.getPhaseTimerName();
+    if (!timerName || !this.extendTimer(timerName, this.EXTEND_TIME_SECONDS)) {
+      socket.emit('error', { message: 'There is no timer to extend' });
+      return;
+    }
+    
+    // A vetoed author rewriting their answer gets the extra time too
+    if (timerName === 'matching') {
+      Object.keys(this.gameState.rewrites).forEach(competitorId => {
+        const author = this.getCompetitors().find(c => c.id === competitorId);
+        if (author) {
+          this.emitToMembers(author, 'answer_vetoed', {
+            theme: this.gameState.selectedTheme,
+            timeLimit: this.getTimeLeft('matching')
+          });
+        }
+      });
+    }
+  }
+
+  // The timer that ends the current phase
+  getPhaseTimerName() {
+    const timerNames = {
+      theme_select: 'themeSelection',
+      answering: 'answering',
+      matching: 'matching',
+      voting: 'voting',
+      round_end: 'roundEnd'
+    };
+    return timerNames[this.gameState.phase] || null;
+  }
+
+  // Display removes a player - a kicked player can't reconnect, a banned one can't join again either
+  handleKickPlayer(socket, data = {}) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Players can only be managed from the main screen' });
+      return;
+    }
+    
+    const queued = this.gameState.lateJoiners.find(p => p.id === data.playerId);
+    const player = queued || this.gameState.players.find(p => p.id === data.playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+    
+    const ban = !!data.ban;
+    this.playerManager.block(player, { ban });
+    this.updatePlayerInDb(player.id, { is_kicked: true, is_banned: ban });
+    
+    this.scheduler.cancel(`grace:${player.id}`);
+    
+    // Their phone goes back to the join screen and stops getting room events
+    const playerSocket = this.getPlayerSocket(player.id);
+    if (playerSocket) {
+      playerSocket.emit('kicked', {
+        message: ban ? 'You were banned from this game' : 'You were removed from this game'
+      });
+      playerSocket.leave(this.gameState.roomCode);
+      playerSocket.playerId = null;
+      playerSocket.roomCode = null;
+    }
+    
+    console.log(`[GameLogic] ${player.name} was ${ban ? 'banned' : 'kicked'} from room ${this.roomCode}`);
+    
+    // Someone still waiting to join just leaves the queue
+    if (queued) {
+      this.gameState.lateJoiners = this.gameState.lateJoiners.filter(p => p !== queued);
+      this.broadcastPlayers();
+      return;
+    }
+    
+    this.removePlayer(player);
+  }
+
+  // Whether a player in the game or waiting to join already goes by a name
+  isNameTaken(name, exceptPlayerId = null) {
+    return this.playerManager.isNameTaken([...this.gameState.players, ...this.gameState.lateJoiners], name, exceptPlayerId);
+  }
+
+  // Display renames a player (same rules as joining, but a taken name is refused rather than numbered)
+  handleRenamePlayer(socket, data = {}) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Players can only be managed from the main screen' });
+      return;
+    }
+    
+    const player = this.gameState.players.find(p => p.id === data.playerId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+    
+    const name = this.playerManager.cleanName(data.name);
+    if (!name) {
+      socket.emit('error', { message: 'Please enter a name' });
+      return;
+    }
+    
+    if (this.isNameTaken(name, player.id)) {
+      socket.emit('error', { message: 'That name is already taken' });
+      return;
+    }
+    
+    player.name = name;
+    this.updatePlayerInDb(player.id, { name });
+    
+    // Outside team mode the player is the competitor, so their answers and tie carry the name too
+    if (!this.isTeamMode()) {
+      this.gameState.answers
+        .filter(a => a.playerId === player.id)
+        .forEach(a => {
+          a.playerName = name;
+        });
+      this.gameState.suddenDeathPlayers
+        .filter(p => p.id === player.id)
+        .forEach(p => {
+          p.name = name;
+        });
+    }
+    
+    this.broadcastPlayers();
+  }
+
+  // Display changes the hosting order
+  // Mid-game only competitors who haven't hosted yet this rotation can move, so nobody hosts twice in a row
+  handleReorderRotation(socket, data = {}) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Players can only be managed from the main screen' });
+      return;
+    }
+    
+    if (this.gameState.isSuddenDeath || this.gameState.phase === 'game_over') {
+      socket.emit('error', { message: 'The rotation can\'t be changed now' });
+      return;
+    }
+    
+    const competitors = this.getCompetitors();
+    const ordered = this.playerManager.reorder(competitors, data.order);
+    if (!ordered) {
+      socket.emit('error', { message: `The new order must list every ${this.isTeamMode() ? 'team' : 'player'} once` });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      const hosted = competitors.slice(0, this.gameState.currentHostIndex % competitors.length + 1);
+      if (hosted.some((c, index) => ordered[index] !== c)) {
+        socket.emit('error', { message: 'Only those who haven\'t hosted yet this rotation can move' });
+        return;
+      }
+    }
+    
+    if (this.isTeamMode()) {
+      this.gameState.teams = ordered;
+      if (this.gameState.phase !== 'lobby') {
+        this.saveTeamsToDb();
+      }
+    } else {
+      this.gameState.players = ordered;
+      this.saveJoinOrder();
+      if (this.gameState.phase === 'lobby') {
+        this.setLobbyHost();
+      }
+    }
+    
+    this.broadcastPlayers();
+  }
+
+  // Take a player out of the room - in team mode their team only leaves the game once it's empty
+  removePlayer(player) {
+    const competitor = this.getCompetitorOf(player);
+    
+    if (this.isTeamMode()) {
+      this.teamManager.removePlayer(this.gameState.teams, player);
+      this.gameState.players = this.gameState.players.filter(p => p.id !== player.id);
+      
+      if (competitor && this.gameState.teamProposals[competitor.id]?.proposedBy.id === player.id) {
+        delete this.gameState.teamProposals[competitor.id];
+      }
+      // Empty teams stay in the lobby (they're dropped when the game starts)
+      if (competitor && competitor.playerIds.length === 0 && this.gameState.phase !== 'lobby') {
+        this.removeCompetitor(competitor);
+      }
+    } else {
+      this.removeCompetitor(player);
+    }
+    
+    this.saveJoinOrder();
+    if (this.gameState.phase === 'lobby') {
+      this.setLobbyHost();
+    }
+    
+    this.broadcastPlayers();
+  }
+
+  // Take a competitor out of the host rotation and the current round
+  // Turns they still had to host come off the total, and a round they were hosting starts again with the next host
+  removeCompetitor(competitor) {
+    const competitors = this.getCompetitors();
+    const removedIndex = competitors.indexOf(competitor);
+    if (removedIndex === -1) return;
+    
+    const { phase, isSuddenDeath } = this.gameState;
+    const count = competitors.length;
+    const hostIndex = this.gameState.currentHostIndex % count;
+    const host = competitors[hostIndex];
+    const wasHost = removedIndex === hostIndex && phase !== 'lobby';
+    // The round they were hosting hasn't been played (a sudden death intro counts as their round)
+    const cutShort = wasHost && ['theme_select', 'answering', 'matching', 'voting', 'sudden_death'].includes(phase);
+    
+    if (isSuddenDeath) {
+      const tiedIndex = competitors.filter(c => c.isTiedPlayer).indexOf(competitor);
+      if (tiedIndex !== -1) {
+        // Their place in the tied rotation goes; the next turn is whoever came after them
+        this.gameState.tiedPlayerIds = this.gameState.tiedPlayerIds.filter(id => id !== competitor.id);
+        this.gameState.suddenDeathPlayers = this.gameState.suddenDeathPlayers.filter(p => p.id !== competitor.id);
+        if (tiedIndex <= this.gameState.tiedPlayerHostIndex) {
+          this.gameState.tiedPlayerHostIndex--;
+        }
+      }
+    } else if (!['lobby', 'game_over'].includes(phase)) {
+      this.gameState.totalRounds -= this.playerManager.countTurnsLeft(
+        removedIndex, hostIndex, count,
+        this.gameState.totalRounds - this.gameState.currentRound, cutShort
+      );
+    }
+    
+    competitors.splice(removedIndex, 1);
+    this.gameState.matchingAnswers?.forEach(slot => {
+      if (slot.playerId === competitor.id) this.dropMatchingSlot(slot);
+    });
+    this.gameState.answers
+      .filter(a => a.playerId === competitor.id)
+      .forEach(a => this.deleteAnswerFromDb(a.id));
+    this.gameState.answers = this.gameState.answers.filter(a => a.playerId !== competitor.id);
+    delete this.gameState.teamProposals[competitor.id];
+    delete this.gameState.rewrites[competitor.id];
+    delete this.gameState.votes[competitor.id];
+    
+    if (['lobby', 'game_over'].includes(phase)) return;
+    
+    // Keep the rotation on track: the same host, or (if they left) whoever was due next
+    if (!wasHost) {
+      this.gameState.currentHostIndex = competitors.indexOf(host);
+    } else if (cutShort) {
+      this.gameState.currentHostIndex = removedIndex % competitors.length;
+    } else {
+      // Their round is being revealed - the next round moves on one place from here
+      this.gameState.currentHostIndex = (removedIndex - 1 + competitors.length) % competitors.length;
+    }
+    this.updateGameInDb({
+      total_rounds: this.gameState.totalRounds,
+      current_host_index: this.gameState.currentHostIndex,
+      tied_player_ids: JSON.stringify(this.gameState.tiedPlayerIds),
+      tied_player_host_index: this.gameState.tiedPlayerHostIndex
+    });
+    
+    const tooFewLeft = competitors.length < 2 || (isSuddenDeath && this.gameState.tiedPlayerIds.length < 2);
+    if (tooFewLeft || cutShort) {
+      this.scheduler.cancelAll();
+    }
+    
+    if (tooFewLeft) {
+      this.endGame();
+    } else if (cutShort && isSuddenDeath) {
+      this.handleNextRound();
+    } else if (cutShort) {
+      if (this.gameState.currentRound > this.gameState.totalRounds) {
+        this.endGame();
+      } else {
+        this.startThemeSelection();
+      }
+    } else if (phase === 'answering') {
+      // One fewer answer to wait for - may end the phase
+      this.updateSubmissionProgress();
+    } else if (phase === 'voting') {
+      // One fewer voter to wait for - may end the phase; anyone still voting gets a ballot without them
+      this.updateVotingProgress();
+      if (this.gameState.phase === 'voting') {
+        this.sendBallots();
+      }
+    }
+  }
+
+  // A removed competitor's answer leaves matching; the slot keeps its index so the host's other matches stay put
+  dropMatchingSlot(slot) {
+    Object.assign(slot, { answer: '', answerId: null, removed: true });
+    delete slot.rewriting;
+    this.audienceManager.clearVotes(this.gameState.audienceVotes, slot.index);
+  }
+
+  // Keep join order in step with the player list (the rotation order, and who hosts the lobby after play again)
+  saveJoinOrder() {
+    this.gameState.players.forEach((p, index) => {
+      if (p.joinOrder !== index) {
+        p.joinOrder = index;
+        this.updatePlayerInDb(p.id, { join_order: index });
+      }
+    });
+  }
+
+  // In the lobby the first player in the list is the host
+  setLobbyHost() {
+    const [first] = this.gameState.players;
+    this.gameState.players.forEach(p => {
+      if (p.isHost !== (p === first)) {
+        p.isHost = p === first;
+        this.updatePlayerInDb(p.id, { is_host: p.isHost });
+      }
+    });
+    this.gameState.currentHost = first || null;
+  }
+
+  // Send everyone the player list after the display changed it (names, order, who's left)
+  broadcastPlayers() {
+    this.io.to(this.gameState.roomCode).emit('players_updated', {
+      players: this.projector.projectPlayers(this.gameState),
+      mode: this.gameState.mode,
+      teams: this.projector.projectTeams(this.gameState),
+      canStart: this.gameState.players.length >= this.config.minPlayers
+    });
+    
+    // The host and the audience match against the player list
+    if (this.gameState.phase === 'matching') {
+      this.broadcastMatchingAnswers();
+    }
+    
+    if (this.displaySocket) {
+      this.displaySocket.emit('game_state', this.getGameState());
+    }
+  }
+
+  // Handle disconnect
+  handleDisconnect(socket) {
+    if (socket === this.displaySocket) {
+      this.displaySocket = this.findDisplaySocket();
+      return;
+    }
+    
+    const spectator = this.gameState.audience.find(s => s.socketId === socket.id);
+    if (spectator) {
+      spectator.isConnected = false;
+      this.broadcastAudience();
+      return;
+    }
+    
+    const queued = this.gameState.lateJoiners.find(p => p.socketId === socket.id);
+    if (queued) {
+      queued.isConnected = false;
+      if (this.displaySocket) {
+        this.displaySocket.emit('game_state', this.getGameState());
+      }
+      return;
+    }
+    
     const player = this.gameState.players.find(p => p.socketId === socket.id);
     
     if (player) {
@@ -952,17 +2749,13 @@ class GameLogic {
       
       // If host disconnected during their turn, start grace period timer
       // Don't auto-progress immediately - give them time to reconnect (e.g., page refresh)
+      // (on the scheduler, so it waits while the game is paused)
       if (player.isHost && ['theme_select', 'matching'].includes(this.gameState.phase)) {
-        // Clear any existing grace period timer for this player
-        if (this.disconnectTimers[player.id]) {
-          clearTimeout(this.disconnectTimers[player.id]);
-        }
-        
-        // Set grace period timer - only auto-progress if they don't reconnect
-        this.disconnectTimers[player.id] = setTimeout(() => {
-          // Check if still disconnected
-          const currentPlayer = this.gameState.players.find(p => p.id === player.id);
-          if (currentPlayer && !currentPlayer.isConnected) {
+        // Set grace period timer (replacing any earlier one) - only auto-progress if they don't reconnect
+        this.scheduler.schedule(`grace:${player.id}`, () => {
+          // Check if still disconnected (and, in team mode, no teammate is left to take over)
+          const hostStillConnected = this.gameState.players.some(p => p.isHost && p.isConnected);
+          if (!hostStillConnected) {
             console.log(`Host ${player.name} did not reconnect within grace period, auto-progressing`);
             
             // Auto-progress the phase
@@ -972,7 +2765,6 @@ class GameLogic {
               this.autoSubmitMatches();
             }
           }
-          delete this.disconnectTimers[player.id];
         }, this.RECONNECT_GRACE_PERIOD);
       }
       
@@ -992,37 +2784,41 @@ class GameLogic {
     
     if (player) {
       // Clear any pending disconnect timer
-      if (this.disconnectTimers[player.id]) {
-        clearTimeout(this.disconnectTimers[player.id]);
-        delete this.disconnectTimers[player.id];
+      if (this.scheduler.has(`grace:${player.id}`)) {
+        this.scheduler.cancel(`grace:${player.id}`);
         console.log(`Player ${player.name} reconnected within grace period`);
       }
       
       player.isConnected = true;
       player.socketId = socket.id;
       socket.playerId = player.id;
+      socket.roomCode = this.roomCode;
       socket.join(this.gameState.roomCode);
       
-      // Get player's submitted answer if any
-      const playerAnswer = this.gameState.answers.find(a => a.playerId === player.id);
-      
-      // Build reconnection data with phase-specific information
-      const reconnectData = {
-        player,
-        gameState: this.getGameState(),
-        // Include player's own submitted answer
-        submittedAnswer: playerAnswer ? playerAnswer.answer : null,
-        // Include themes for host during theme selection
-        themes: player.isHost ? this.gameState.themes : null
-      };
+      // Build reconnection data scoped to what this player may see
+      // (own answer, themes if hosting, no authorship before the reveal)
+      const reconnectData = this.projector.forReconnect(this.gameState, player);
       
       socket.emit('reconnected', reconnectData);
       
       // If host reconnected during matching phase, send matching data
       if (player.isHost && this.gameState.phase === 'matching') {
-        socket.emit('matching_phase_start', {
-          answers: this.gameState.matchingAnswers || [],
-          players: this.gameState.players.filter(p => !p.isHost).map(p => ({ id: p.id, name: p.name }))
+        socket.emit('matching_phase_start', this.projector.forMatching(this.gameState));
+      }
+      
+      // Still has to vote - their ballot again
+      const voter = this.getCompetitorOf(player);
+      if (this.gameState.phase === 'voting' && voter && !this.gameState.votes[voter.id] &&
+        this.getVoters().includes(voter)) {
+        socket.emit('voting_start', { ...this.getVotingData(voter.id), timeLimit: this.getTimeLeft('voting') });
+      }
+      
+      // Still has a vetoed answer to rewrite
+      const competitor = this.getCompetitorOf(player);
+      if (competitor && this.isRewriting(competitor)) {
+        socket.emit('answer_vetoed', {
+          theme: this.gameState.selectedTheme,
+          timeLimit: this.getTimeLeft('matching')
         });
       }
       
@@ -1036,11 +2832,270 @@ class GameLogic {
       if (this.displaySocket) {
         this.displaySocket.emit('game_state', this.getGameState());
       }
+    } else if (this.gameState.lateJoiners.some(p => p.id === playerId && p.sessionToken === sessionToken)) {
+      // Still waiting to join - back to the waiting screen
+      const queued = this.gameState.lateJoiners.find(p => p.id === playerId);
+      queued.isConnected = true;
+      queued.socketId = socket.id;
+      this.queueLateJoiner(socket, queued);
+    } else if (this.playerManager.isSessionBlocked(sessionToken)) {
+      socket.emit('reconnect_failed', { message: 'You were removed from this game', kicked: true });
     } else {
       socket.emit('reconnect_failed', { message: 'Session expired' });
     }
   }
 
+  // Handle spectator joining - any phase, no player limit
+  handleAudienceJoin(socket, data) {
+    const { name, roomCode } = data;
+    
+    if (!this.roomManager.validateRoom(roomCode)) {
+      socket.emit('join_error', { message: 'Invalid room code' });
+      return;
+    }
+    
+    if (!this.audienceManager.isEnabled()) {
+      socket.emit('join_error', { message: 'This room has no audience' });
+      return;
+    }
+    
+    if (!name || !name.trim()) {
+      socket.emit('join_error', { message: 'Please enter your name' });
+      return;
+    }
+    
+    const spectator = this.audienceManager.createSpectator(name, socket.id);
+    this.gameState.audience.push(spectator);
+    this.saveSpectatorToDb(spectator);
+    
+    this.joinAudienceRoom(socket, spectator);
+    socket.emit('audience_joined', {
+      spectator: this.projector.projectSpectator(spectator),
+      gameState: this.projector.forAudience(this.gameState, spectator.id)
+    });
+    
+    this.sendAudienceVoting(socket);
+    this.broadcastAudience();
+  }
+
+  // Handle spectator reconnection (page reload)
+  handleAudienceReconnect(socket, data) {
+    const { sessionToken, spectatorId } = data;
+    const spectator = this.gameState.audience.find(s =>
+      s.id === spectatorId && s.sessionToken === sessionToken
+    );
+    
+    if (!spectator) {
+      socket.emit('reconnect_failed', { message: 'Session expired' });
+      return;
+    }
+    
+    spectator.isConnected = true;
+    spectator.socketId = socket.id;
+    
+    this.joinAudienceRoom(socket, spectator);
+    socket.emit('audience_reconnected', {
+      spectator: this.projector.projectSpectator(spectator),
+      gameState: this.projector.forAudience(this.gameState, spectator.id)
+    });
+    
+    this.sendAudienceVoting(socket);
+    this.broadcastAudience();
+  }
+
+  // Spectators get every room broadcast plus the audience-only voting events
+  joinAudienceRoom(socket, spectator) {
+    socket.spectatorId = spectator.id;
+    socket.roomCode = this.roomCode;
+    socket.join(this.gameState.roomCode);
+    socket.join(`${this.gameState.roomCode}:audience`);
+  }
+
+  // A spectator arriving mid-matching can still vote
+  sendAudienceVoting(socket) {
+    if (this.gameState.phase !== 'matching') return;
+    
+    socket.emit('audience_voting_start', this.projector.forMatching(this.gameState));
+  }
+
+  // Handle a spectator's vote on who wrote an answer (may be changed until the host submits)
+  handleAudienceVote(socket, data = {}) {
+    const spectator = this.gameState.audience.find(s => s.id === socket.spectatorId);
+    
+    if (!spectator) {
+      socket.emit('error', { message: 'Only the audience can vote' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'matching') {
+      socket.emit('error', { message: 'Voting is closed' });
+      return;
+    }
+    
+    const answerIndex = parseInt(data.answerIndex, 10);
+    const answer = (this.gameState.matchingAnswers || [])[answerIndex];
+    const competitor = this.getCompetitors().find(c => c.id === data.playerId && !c.isHost);
+    
+    if (!answer || answer.removed || !competitor) {
+      socket.emit('error', { message: 'Invalid vote' });
+      return;
+    }
+    
+    const votes = this.audienceManager.recordVote(this.gameState.audienceVotes, spectator.id, answerIndex, competitor.id);
+    socket.emit('audience_vote_recorded', { votes });
+    
+    this.broadcastAudience();
+  }
+
+  // Tell the display how many spectators are watching and how many have voted
+  broadcastAudience() {
+    if (this.displaySocket) {
+      this.displaySocket.emit('audience_updated', {
+        audienceSize: this.gameState.audience.filter(s => s.isConnected).length,
+        voters: this.audienceManager.countVoters(this.gameState.audienceVotes)
+      });
+    }
+  }
+
+  // ==================== BOT PLAYERS ====================
+
+  // Display adds a bot player to the lobby - it joins like a phone would, under its persona's name
+  handleAddBot(socket, data = {}) {
+    if (!this.isDisplaySocket(socket)) {
+      socket.emit('error', { message: 'Bots can only be added from the main screen' });
+      return;
+    }
+    
+    if (this.gameState.phase !== 'lobby') {
+      socket.emit('error', { message: 'Bots can only join in the lobby' });
+      return;
+    }
+    
+    // No persona picked: the first one not playing yet
+    const playing = this.gameState.players.filter(p => p.isBot).map(p => p.botPersona);
+    const personas = this.bots.listPersonas();
+    const personaId = this.bots.hasPersona(data.persona)
+      ? data.persona
+      : (personas.find(p => !playing.includes(p.id)) || personas[0]).id;
+    
+    const botSocket = this.createBotSocket(personaId);
+    this.handlePlayerJoin(botSocket, { name: this.bots.getPersona(personaId).name, roomCode: this.roomCode });
+    
+    if (!botSocket.playerId) {
+      this.botSockets.delete(botSocket.id);
+      socket.emit('error', { message: botSocket.lastError || 'The bot could not join' });
+      return;
+    }
+    
+    console.log(`[GameLogic] Bot ${personaId} joined room ${this.roomCode}`);
+  }
+
+  // A stand-in socket for a bot player - whatever the game sends its "phone" is handled by handleBotEvent
+  createBotSocket(personaId) {
+    const socket = {
+      id: `bot-${uuidv4()}`,
+      isBot: true,
+      botPersona: personaId,
+      connected: true,
+      join() {},
+      leave() {},
+      emit: (event, data) => this.handleBotEvent(socket, event, data)
+    };
+    this.botSockets.set(socket.id, socket);
+    return socket;
+  }
+
+  // What a bot does with an event sent to it - the same handlers a phone's events go through
+  handleBotEvent(socket, event, data = {}) {
+    const bot = this.gameState.players.find(p => p.id === socket.playerId);
+    
+    switch (event) {
+      case 'join_error':
+      case 'error':
+        socket.lastError = data.message;
+        console.warn(`[GameLogic] Bot ${bot ? bot.name : socket.botPersona}: ${data.message}`);
+        break;
+      case 'themes_generated':
+        this.scheduleBot(bot, () => this.handleThemeSelect(socket, { theme: this.bots.pickTheme(data.themes) }));
+        break;
+      case 'matching_phase_start':
+        this.scheduleBot(bot, async () => {
+          const matches = await this.bots.makeMatches(this.gameState.selectedTheme, data);
+          if (this.gameState.phase === 'matching' && bot.isHost) {
+            this.handleMatchesSubmit(socket, { matches });
+          }
+        });
+        break;
+      case 'voting_start':
+        // The same guesswork as hosting, over the answers it may vote on
+        this.scheduleBot(bot, async () => {
+          const votes = await this.bots.makeMatches(this.gameState.selectedTheme, data);
+          if (this.gameState.phase === 'voting' && !this.gameState.votes[bot.id]) {
+            this.handleVotesSubmit(socket, { votes });
+          }
+        });
+        break;
+      case 'answer_vetoed':
+      case 'answer_rejected':
+        // Claude's answer wasn't wanted - try a canned one
+        this.scheduleBot(bot, () => this.writeBotAnswer(socket, bot, { canned: true }));
+        break;
+      case 'team_proposal':
+        if (data.proposedBy.id !== bot.id) {
+          this.scheduleBot(bot, () => this.handleApproveAnswer(socket));
+        }
+        break;
+      case 'kicked':
+        this.scheduler.cancel(`bot:${socket.playerId}`);
+        this.botSockets.delete(socket.id);
+        break;
+    }
+  }
+
+  // Run a bot's move after it "thinks" - at most half the time left on the phase's timer
+  // A bot has one move waiting at a time, and pausing the game pauses it too
+  scheduleBot(bot, move) {
+    if (!bot) return;
+    
+    const timerName = { theme_select: 'themeSelection', answering: 'answering', matching: 'matching', voting: 'voting' }[this.gameState.phase];
+    const timeLeft = this.scheduler.has(timerName)
+      ? this.scheduler.getTimeLeft(timerName) / 1000
+      : this.config.timers[timerName];
+    
+    this.scheduler.schedule(`bot:${bot.id}`, () => {
+      Promise.resolve(move()).catch(err => console.error(`Bot ${bot.name} failed:`, err));
+    }, this.bots.getThinkTime(timeLeft));
+  }
+
+  // Bots answer the new theme - in team mode one bot per team writes, its teammates approve
+  startBotAnswers() {
+    this.bots.startRound();
+    
+    const writing = new Set();
+    this.gameState.players
+      .filter(p => p.isBot && !this.getAnswerBlocker(p))
+      .forEach(bot => {
+        const competitor = this.getCompetitorOf(bot);
+        if (writing.has(competitor.id)) return;
+        writing.add(competitor.id);
+        this.scheduleBot(bot, () => this.writeBotAnswer(this.getPlayerSocket(bot.id), bot));
+      });
+  }
+
+  // A bot writes an answer in its persona's style and sends it in like a phone
+  async writeBotAnswer(socket, bot, options = {}) {
+    if (!socket || this.getAnswerBlocker(bot)) return;
+    
+    const answer = await this.bots.writeAnswer(bot.botPersona, this.gameState.selectedTheme, {
+      ...options,
+      familyFriendly: this.gameState.familyFriendly
+    });
+    
+    // The round may have moved on while Claude was writing
+    if (this.getAnswerBlocker(bot)) return;
+    await this.handleAnswerSubmit(socket, { answer });
+  }
+
   // ==================== DATABASE PERSISTENCE METHODS ====================
 
   /**
@@ -1049,7 +3104,7 @@ class GameLogic {
   savePlayerToDb(player) {
     if (!this.db) return;
     
-    const gameId = this.roomManager.getCurrentGameId();
+    const gameId = this.roomManager.getGameId(this.roomCode);
     if (!gameId) return;
     
     try {
@@ -1078,7 +3133,7 @@ class GameLogic {
   updateGameInDb(updates) {
     if (!this.db) return;
     
-    const gameId = this.roomManager.getCurrentGameId();
+    const gameId = this.roomManager.getGameId(this.roomCode);
     if (!gameId) return;
     
     try {
@@ -1094,7 +3149,7 @@ class GameLogic {
   createRoundInDb(roundNumber, hostId, theme = null) {
     if (!this.db) return null;
     
-    const gameId = this.roomManager.getCurrentGameId();
+    const gameId = this.roomManager.getGameId(this.roomCode);
     if (!gameId) return null;
     
     try {
@@ -1120,15 +3175,30 @@ class GameLogic {
   }
 
   /**
-   * Save all answers for current round
+   * Save one answer for current round (as it arrives, so a restart doesn't lose it)
    */
-  saveAnswersToDb() {
+  saveAnswerToDb(answer) {
     if (!this.db || !this.currentRoundId) return;
     
     try {
-      this.db.saveAnswers(this.currentRoundId, this.gameState.answers);
+      // Team answers are stored against the teammate who wrote them
+      const playerId = answer.submittedBy || answer.playerId;
+      this.db.saveAnswer(this.currentRoundId, playerId, answer.answer, !!answer.penalty, answer.id);
+    } catch (error) {
+      console.error('Failed to save answer to database:', error);
+    }
+  }
+
+  /**
+   * Remove an answer the host vetoed
+   */
+  deleteAnswerFromDb(answerId) {
+    if (!this.db) return;
+    
+    try {
+      this.db.deleteAnswer(answerId);
     } catch (error) {
-      console.error('Failed to save answers to database:', error);
+      console.error('Failed to delete answer from database:', error);
     }
   }
 
@@ -1138,13 +3208,53 @@ class GameLogic {
   saveMatchesToDb() {
     if (!this.db || !this.currentRoundId) return;
     
+    // Host matched against shuffled indices - store them against the answer rows
+    const matchingAnswers = this.gameState.matchingAnswers || [];
+    const matches = this.gameState.matches
+      .map(match => {
+        const answer = matchingAnswers[match.answerIndex];
+        if (!answer || !answer.answerId || !match.playerId) return null;
+        return {
+          answerId: answer.answerId,
+          guessedPlayerId: this.toPlayerId(match.playerId),
+          isCorrect: match.playerId === answer.playerId
+        };
+      })
+      .filter(Boolean);
+    
     try {
-      this.db.saveMatches(this.currentRoundId, this.gameState.matches);
+      this.db.saveMatches(this.currentRoundId, matches);
     } catch (error) {
       console.error('Failed to save matches to database:', error);
     }
   }
 
+  /**
+   * Save a vote round's votes against the answer rows
+   */
+  saveVotesToDb() {
+    if (!this.db || !this.currentRoundId) return;
+    
+    const matchingAnswers = this.gameState.matchingAnswers || [];
+    const votes = Object.entries(this.gameState.votes).flatMap(([voterId, ballot]) =>
+      Object.entries(ballot)
+        .map(([answerIndex, votedId]) => ({ answer: matchingAnswers[answerIndex], votedId }))
+        .filter(({ answer }) => answer && answer.answerId)
+        .map(({ answer, votedId }) => ({
+          answerId: answer.answerId,
+          voterId,
+          votedPlayerId: votedId,
+          isCorrect: votedId === answer.playerId
+        }))
+    );
+    
+    try {
+      this.db.saveVotes(this.currentRoundId, votes);
+    } catch (error) {
+      console.error('Failed to save votes to database:', error);
+    }
+  }
+
   /**
    * Save player scores to database
    */
@@ -1153,11 +3263,59 @@ class GameLogic {
     
     try {
       this.db.updatePlayerScores(this.gameState.players);
+      if (this.isTeamMode()) {
+        this.db.updateTeamScores(this.gameState.teams);
+      }
     } catch (error) {
       console.error('Failed to save scores to database:', error);
     }
   }
 
+  /**
+   * Save a spectator to database
+   */
+  saveSpectatorToDb(spectator) {
+    if (!this.db) return;
+    
+    const gameId = this.roomManager.getGameId(this.roomCode);
+    if (!gameId) return;
+    
+    try {
+      this.db.addSpectator(gameId, spectator);
+    } catch (error) {
+      console.error('Failed to save spectator to database:', error);
+    }
+  }
+
+  /**
+   * Save audience scores to database (separate from player scores)
+   */
+  saveAudienceScoresToDb() {
+    if (!this.db || this.gameState.audience.length === 0) return;
+    
+    try {
+      this.db.updateAudienceScores(this.gameState.audience);
+    } catch (error) {
+      console.error('Failed to save audience scores to database:', error);
+    }
+  }
+
+  /**
+   * Save team rosters when a team game starts
+   */
+  saveTeamsToDb() {
+    if (!this.db) return;
+    
+    const gameId = this.roomManager.getGameId(this.roomCode);
+    if (!gameId) return;
+    
+    try {
+      this.db.saveTeams(gameId, this.gameState.teams);
+    } catch (error) {
+      console.error('Failed to save teams to database:', error);
+    }
+  }
+
   /**
    * Complete current round in database
    */
@@ -1165,7 +3323,10 @@ class GameLogic {
     if (!this.db || !this.currentRoundId) return;
     
     try {
-      this.db.completeRound(this.currentRoundId);
+      this.db.completeRound(this.currentRoundId, {
+        scoreboard: this.getScoreboard(),
+        isSuddenDeath: this.gameState.isSuddenDeath
+      });
     } catch (error) {
       console.error('Failed to complete round in database:', error);
     }
@@ -1173,72 +3334,371 @@ class GameLogic {
 
   /**
    * Save game to history
+   * @returns {string|null} History ID
    */
   saveGameHistoryToDb(winner) {
-    if (!this.db) return;
+    if (!this.db) return null;
     
-    const gameId = this.roomManager.getCurrentGameId();
-    if (!gameId) return;
+    const gameId = this.roomManager.getGameId(this.roomCode);
+    if (!gameId) return null;
     
     try {
-      this.db.saveGameHistory(
+      const historyId = this.db.saveGameHistory(
         gameId,
         winner,
         this.gameState.players.length,
-        this.gameState.currentRound
+        this.gameState.currentRound,
+        this.gameState.scoringPreset
       );
+      this.saveProfileResultsToDb(historyId, winner);
+      return historyId;
     } catch (error) {
       console.error('Failed to save game history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Link a player to the lifetime profile of their phone's device token
+   * @returns {string|null} Profile ID (null without a database or a usable token)
+   */
+  saveProfileToDb(deviceToken, name) {
+    if (!this.db) return null;
+    if (typeof deviceToken !== 'string' || deviceToken.length < 8 || deviceToken.length > 100) return null;
+    
+    try {
+      return this.db.saveProfile(deviceToken, name);
+    } catch (error) {
+      console.error('Failed to save profile to database:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record each profiled player's finish (their team's in team mode)
+   */
+  saveProfileResultsToDb(historyId, winner) {
+    const scoreboard = this.getScoreboard();
+    const results = this.gameState.players
+      .filter(p => p.profileId)
+      .map(p => {
+        const entry = scoreboard.find(c => c.id === (this.isTeamMode() ? p.teamId : p.id));
+        return entry && {
+          profileId: p.profileId,
+          playerId: p.id,
+          score: entry.score,
+          rank: scoreboard.filter(c => c.score > entry.score).length + 1,
+          won: entry.id === winner.id
+        };
+      })
+      .filter(Boolean);
+    if (results.length === 0) return;
+    
+    try {
+      this.db.saveProfileResults(historyId, results);
+    } catch (error) {
+      console.error('Failed to save profile results:', error);
+    }
+  }
+
+  /**
+   * Rebuild this room's game from the database after a restart and resume its phase
+   * Players rejoin through reconnect_player with their saved session tokens
+   * @returns {boolean} Whether there was a game to restore
+   */
+  restoreFromDb() {
+    if (!this.db) return false;
+    
+    const gameId = this.roomManager.getGameId(this.roomCode);
+    const game = gameId ? this.db.getGameById(gameId) : null;
+    if (!game) return false;
+    
+    const tiedPlayerIds = JSON.parse(game.tied_player_ids || '[]');
+    const savedPlayers = this.db.getPlayers(gameId);
+    
+    // Kicked players stay blocked after a restart (a ban's device is found through the player's profile)
+    savedPlayers
+      .filter(p => p.is_kicked)
+      .forEach(p => this.playerManager.block({
+        sessionToken: p.session_token,
+        deviceToken: p.is_banned && p.profile_id ? this.db.getProfileDeviceToken(p.profile_id) : null
+      }, { ban: !!p.is_banned }));
+    
+    const players = savedPlayers.filter(p => !p.is_kicked).map(p => ({
+      id: p.id,
+      socketId: null,
+      name: p.name,
+      score: p.score,
+      isHost: false,
+      isConnected: false, // Until they reconnect
+      joinOrder: p.join_order,
+      sessionToken: p.session_token,
+      teamId: p.team_id || null,
+      profileId: p.profile_id || null,
+      isBot: !!p.is_bot,
+      botPersona: p.bot_persona || null,
+      isTiedPlayer: tiedPlayerIds.includes(p.id)
+    }));
+    if (players.length === 0) return false;
+    
+    // Bots are back straight away, on new stand-in sockets
+    players.filter(p => p.isBot).forEach(p => {
+      const socket = this.createBotSocket(p.botPersona);
+      socket.playerId = p.id;
+      socket.roomCode = this.roomCode;
+      p.socketId = socket.id;
+      p.isConnected = true;
+    });
+    
+    const mode = game.mode || 'individual';
+    const scoringPreset = this.scoreCalculator.hasPreset(game.scoring_preset)
+      ? game.scoring_preset
+      : this.scoreCalculator.getDefaultPreset();
+    this.useGamePreset(this.configManager.hasPreset(game.game_preset) ? game.game_preset : null);
+    const themeSources = (game.theme_sources && this.claudeService.setThemeSources(JSON.parse(game.theme_sources))) ||
+      this.gameState.themeSources;
+    const teams = mode === 'teams'
+      ? this.db.getTeams(gameId).map(t => ({
+        id: t.id,
+        name: t.name,
+        playerIds: players.filter(p => p.teamId === t.id).map(p => p.id),
+        score: t.score,
+        isTiedPlayer: tiedPlayerIds.includes(t.id)
+      }))
+      : [];
+    
+    // Spectators rejoin through reconnect_audience (their votes for an unfinished round are lost)
+    const audience = this.db.getAudience(gameId).map(s => ({
+      id: s.id,
+      socketId: null,
+      name: s.name,
+      score: s.score,
+      isConnected: false,
+      sessionToken: s.session_token
+    }));
+    
+    Object.assign(this.gameState, {
+      players,
+      mode,
+      scoringPreset,
+      themeSources,
+      familyFriendly: !!game.family_friendly,
+      teams,
+      audience,
+      currentRound: game.current_round,
+      totalRounds: game.total_rounds,
+      currentHostIndex: game.current_host_index || 0,
+      hostRotationCount: game.host_rotation_count || 0,
+      isSuddenDeath: !!game.is_sudden_death,
+      suddenDeathRound: game.sudden_death_round || 0,
+      suddenDeathPlayers: (mode === 'teams' ? teams : players)
+        .filter(p => p.isTiedPlayer)
+        .map(p => ({ id: p.id, name: p.name, score: p.score })),
+      tiedPlayerIds,
+      tiedPlayerHostIndex: game.tied_player_host_index || 0
+    });
+    
+    const host = this.getCurrentHost();
+    this.gameState.currentHost = host;
+    this.markHost(host);
+    
+    // Crashed before the first round was written - just start it
+    const round = this.db.getLatestRound(gameId);
+    if (!round) {
+      this.startThemeSelection();
+      return true;
+    }
+    
+    this.currentRoundId = round.id;
+    this.gameState.selectedTheme = round.theme;
+    this.gameState.roundType = round.round_type || 'classic';
+    this.gameState.answers = this.db.getAnswers(round.id).map(a => {
+      const competitorId = this.toCompetitorId(a.player_id);
+      return {
+        id: a.id,
+        playerId: competitorId,
+        playerName: this.getCompetitors().find(c => c.id === competitorId)?.name || a.player_name,
+        submittedBy: a.player_id,
+        answer: a.answer,
+        timestamp: Date.parse(`${a.submitted_at}Z`),
+        penalty: !!a.penalty_applied
+      };
+    });
+    
+    console.log(`[GameLogic] Restoring room ${this.roomCode}: round ${this.gameState.currentRound} (${round.phase})`);
+    
+    const timeLimit = timerName => this.getRestoredTimeLimit(timerName, round.phase_ends_at, round.phase_time_limit);
+    
+    switch (round.phase) {
+      case 'theme_select':
+        this.gameState.phase = 'theme_select';
+        this.offerThemes(host, timeLimit('themeSelection'));
+        break;
+      case 'answering': {
+        const totalToSubmit = this.getCompetitors().filter(c => !c.isHost).length;
+        if (this.gameState.answers.length >= totalToSubmit) {
+          this.endAnsweringPhase();
+        } else {
+          this.startAnsweringPhase(timeLimit('answering'));
+        }
+        break;
+      }
+      case 'matching':
+        // An answer the host vetoed and that wasn't rewritten yet comes back as no answer
+        this.getCompetitors()
+          .filter(c => !c.isHost && !this.gameState.answers.some(a => a.playerId === c.id))
+          .forEach(c => this.storeEmptyAnswer(c));
+        // A vote round's voting is saved as matching; ballots aren't saved until the reveal, so everyone votes again
+        if (this.gameState.roundType === 'vote') {
+          this.startVotingPhase(timeLimit('matching'));
+        } else {
+          this.startMatchingPhase(timeLimit('matching'));
+        }
+        break;
+      case 'reveal':
+        // Scores were saved when the reveal started - replay the reveals without rescoring
+        this.restoreRoundResults(round.id);
+        this.orderReveals(round.reveal_order || this.getRevealOrder());
+        this.gameState.phase = 'reveal';
+        this.gameState.revealIndex = 0;
+        this.beginReveals();
+        break;
+      default:
+        this.restoreRoundResults(round.id);
+        this.startRoundEnd();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Rebuild the host's guesses (or a vote round's votes) and their results for a round from saved matches
+   */
+  restoreRoundResults(roundId) {
+    this.gameState.matchingAnswers = this.gameState.answers.map((a, index) => ({
+      index,
+      answer: a.answer,
+      playerId: a.playerId,
+      answerId: a.id,
+      penalty: a.penalty
+    }));
+    
+    if (this.gameState.roundType === 'vote') {
+      this.restoreVoteResults(roundId);
+      return;
     }
+    
+    const savedMatches = this.db.getMatches(roundId);
+    this.gameState.matches = savedMatches.map(m => ({
+      answerIndex: this.gameState.matchingAnswers.findIndex(a => a.answerId === m.answer_id),
+      playerId: this.toCompetitorId(m.guessed_player_id)
+    }));
+    this.gameState.roundResults = this.scoreCalculator.calculateRoundResults(
+      this.gameState.matches,
+      this.gameState.matchingAnswers,
+      this.getCompetitors()
+    );
+    
+    // Already added to the saved scores - only needed again for the round_end breakdown
+    // (audience votes and answering times aren't saved, so bonuses that depend on them may differ)
+    this.gameState.scoreEvents = [
+      ...this.scoreCalculator.scoreStage('answering', this.getRoundForScoring(), this.gameState.scoringPreset, this.config),
+      ...this.scoreMatches()
+    ];
+  }
+
+  /**
+   * Rebuild a vote round's ballots and the crowd's picks from saved votes
+   */
+  restoreVoteResults(roundId) {
+    this.gameState.votes = {};
+    this.db.getVotes(roundId).forEach(v => {
+      const answerIndex = this.gameState.matchingAnswers.findIndex(a => a.answerId === v.answer_id);
+      this.gameState.votes[v.voter_id] = { ...this.gameState.votes[v.voter_id], [answerIndex]: v.voted_player_id };
+    });
+    this.gameState.roundResults = this.voteManager.calculateRoundResults(
+      this.gameState.votes,
+      this.gameState.matchingAnswers,
+      this.getCompetitors()
+    );
+    
+    // Already added to the saved scores - only needed again for the round_end breakdown
+    this.gameState.scoreEvents = [
+      ...this.scoreCalculator.scoreStage('answering', this.getRoundForScoring(), this.gameState.scoringPreset, this.config),
+      ...this.scoreVotes()
+    ];
+  }
+
+  /**
+   * Seconds left on a restored phase timer - at least the reconnect grace period
+   * so players have time to rejoin, never more than the full timer (with any time the display added)
+   */
+  getRestoredTimeLimit(timerName, phaseEndsAt, savedTimeLimit) {
+    const fullTime = Math.max(this.config.timers[timerName], savedTimeLimit || 0);
+    if (!phaseEndsAt) return fullTime;
+    
+    const remaining = Math.ceil((phaseEndsAt - Date.now()) / 1000);
+    return Math.min(fullTime, Math.max(remaining, this.RECONNECT_GRACE_PERIOD / 1000));
   }
 
   // ==================== END DATABASE METHODS ====================
 
   // Helper: Get socket for player
   getPlayerSocket(playerId) {
-    const player = this.gameState.players.find(p => p.id === playerId);
+    const player = [...this.gameState.players, ...this.gameState.lateJoiners].find(p => p.id === playerId);
     if (!player) return null;
     
-    return this.io.sockets.sockets.get(player.socketId);
+    return this.botSockets.get(player.socketId) || this.io.sockets.sockets.get(player.socketId);
   }
 
-  // Timer management
-  startTimer(timerName, callback) {
-    this.clearTimer(timerName);
-    
-    const duration = this.config.timers[timerName] * 1000;
-    const startTime = Date.now();
+  // Timer management (seconds defaults to the configured length, shorter when resuming)
+  // Timers run on the scheduler, so pausing the game stops them too
+  startTimer(timerName, callback, seconds = this.config.timers[timerName]) {
+    // An extended timer can run longer than its configured length
+    this.timerLengths[timerName] = Math.max(this.config.timers[timerName] || 0, seconds);
+    
+    this.scheduler.schedule(timerName, callback, seconds * 1000, {
+      // Broadcast timer updates
+      onTick: () => this.emitTimerUpdate(timerName)
+    });
     
-    const totalSeconds = this.config.timers[timerName];
+    // Remember when this phase ends so a restart can resume with the time left
+    this.savePhaseEndsAt(timerName);
+  }
 
-    // Broadcast timer updates
-    this.timers[`${timerName}_interval`] = setInterval(() => {
-      const elapsed = Date.now() - startTime;
-      const remaining = Math.max(0, Math.ceil((duration - elapsed) / 1000));
-      
-      this.io.to(this.gameState.roomCode).emit('timer_update', {
-        phase: timerName,
-        remaining,
-        totalSeconds
-      });
-    }, 1000);
-    
-    // Main timer
-    this.timers[timerName] = setTimeout(() => {
-      this.clearTimer(timerName);
-      callback();
-    }, duration);
+  // Send a timer's countdown to everyone in the room
+  emitTimerUpdate(timerName) {
+    this.io.to(this.gameState.roomCode).emit('timer_update', {
+      phase: timerName,
+      remaining: this.getTimeLeft(timerName),
+      totalSeconds: this.timerLengths[timerName]
+    });
+  }
+
+  // Store when a timer runs out and how long it runs, extensions included
+  // (no end while paused - a restart then gives the phase its full time)
+  savePhaseEndsAt(timerName) {
+    const endsAt = this.scheduler.isPaused() ? null : Date.now() + this.scheduler.getTimeLeft(timerName);
+    this.updateRoundInDb({ phase_ends_at: endsAt, phase_time_limit: this.timerLengths[timerName] });
+  }
+
+  // Seconds left on a running timer
+  getTimeLeft(timerName) {
+    return Math.ceil(this.scheduler.getTimeLeft(timerName) / 1000);
+  }
+
+  // Add time to a running timer
+  extendTimer(timerName, extraSeconds) {
+    if (!this.scheduler.extend(timerName, extraSeconds * 1000)) return false;
+    
+    this.timerLengths[timerName] = Math.max(this.timerLengths[timerName] || 0, this.getTimeLeft(timerName));
+    this.savePhaseEndsAt(timerName);
+    this.emitTimerUpdate(timerName);
+    return true;
   }
 
   clearTimer(timerName) {
-    if (this.timers[timerName]) {
-      clearTimeout(this.timers[timerName]);
-      delete this.timers[timerName];
-    }
-    if (this.timers[`${timerName}_interval`]) {
-      clearInterval(this.timers[`${timerName}_interval`]);
-      delete this.timers[`${timerName}_interval`];
-    }
+    this.scheduler.cancel(timerName);
   }
 }
 
@@ -0,0 +1,45 @@
+/**
+ * LateJoinManager - Rules for players who join a game already in progress
+ * Late joiners wait in a queue (gameState.lateJoiners) and come in as the next round starts.
+ * In individual play they take a place in the host rotation and start on a catch-up score;
+ * in team mode they join the smallest team, which keeps its place and score.
+ */
+class LateJoinManager {
+  constructor(config) {
+    this.config = config.lateJoin || {};
+  }
+
+  /**
+   * Whether players may join once the game has started
+   */
+  isEnabled() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * Where late joiners go in the host rotation
+   * @returns {string} 'end' (after everyone else) or 'next' (straight after the current host)
+   */
+  getPlacement() {
+    return this.config.placement === 'next' ? 'next' : 'end';
+  }
+
+  /**
+   * Score a late joiner starts on
+   * @param {Array} competitors - Everyone already playing ({score})
+   * @returns {number} From config.lateJoin.catchUpScore: 'lowest', 'average', 'zero' or a fixed number
+   */
+  getCatchUpScore(competitors) {
+    const rule = this.config.catchUpScore ?? 'lowest';
+    if (typeof rule === 'number') return rule;
+
+    const scores = competitors.map(c => c.score);
+    if (scores.length === 0 || rule === 'zero') return 0;
+    if (rule === 'average') {
+      return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    }
+    return Math.min(...scores);
+  }
+}
+
+module.exports = LateJoinManager;
@@ -0,0 +1,122 @@
+/**
+ * PhaseScheduler - Every delayed step of a game (phase timers, reveal steps, sudden death intro)
+ * Jobs are named; scheduling a name again replaces its job. Pausing freezes every job with
+ * the time it has left, and jobs scheduled while paused wait for the resume.
+ * A job may tick once a second with the time it has left (for countdowns on the phones and TV).
+ */
+class PhaseScheduler {
+  constructor() {
+    this.jobs = {}; // name -> {callback, onTick, remaining, endsAt, timeout, interval}
+    this.paused = false;
+  }
+
+  /**
+   * Run a callback after a delay
+   * @param {string} name - Replaces any job already scheduled under this name
+   * @param {Function} callback
+   * @param {number} delayMs
+   * @param {Object} options - {onTick(remainingMs)} called every second while the job runs
+   */
+  schedule(name, callback, delayMs, { onTick = null } = {}) {
+    this.cancel(name);
+    this.jobs[name] = { callback, onTick, remaining: Math.max(0, delayMs), endsAt: null, timeout: null, interval: null };
+    if (!this.paused) {
+      this.run(name);
+    }
+  }
+
+  /**
+   * Stop a job without running it
+   */
+  cancel(name) {
+    const job = this.jobs[name];
+    if (!job) return;
+    this.stop(job);
+    delete this.jobs[name];
+  }
+
+  /**
+   * Stop every job (the room is closing, or the game ended early)
+   */
+  cancelAll() {
+    Object.keys(this.jobs).forEach(name => this.cancel(name));
+  }
+
+  /**
+   * Whether a job is waiting to run
+   */
+  has(name) {
+    return !!this.jobs[name];
+  }
+
+  /**
+   * Milliseconds until a job runs (frozen while paused), 0 if there is no such job
+   */
+  getTimeLeft(name) {
+    const job = this.jobs[name];
+    if (!job) return 0;
+    return job.endsAt ? Math.max(0, job.endsAt - Date.now()) : job.remaining;
+  }
+
+  /**
+   * Push a job back
+   * @returns {boolean} false if there is no such job
+   */
+  extend(name, extraMs) {
+    const job = this.jobs[name];
+    if (!job) return false;
+    this.schedule(name, job.callback, this.getTimeLeft(name) + extraMs, { onTick: job.onTick });
+    return true;
+  }
+
+  /**
+   * Freeze every job with the time it has left
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    Object.values(this.jobs).forEach(job => {
+      job.remaining = Math.max(0, job.endsAt - Date.now());
+      job.endsAt = null;
+      this.stop(job);
+    });
+  }
+
+  /**
+   * Carry on every frozen job where it stopped
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    Object.keys(this.jobs).forEach(name => this.run(name));
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  // Start a job's countdown from the time it has left
+  run(name) {
+    const job = this.jobs[name];
+    job.endsAt = Date.now() + job.remaining;
+
+    if (job.onTick) {
+      job.interval = setInterval(() => job.onTick(this.getTimeLeft(name)), 1000);
+    }
+
+    job.timeout = setTimeout(() => {
+      this.cancel(name);
+      job.callback();
+    }, job.remaining);
+  }
+
+  // Clear a job's Node timers
+  stop(job) {
+    clearTimeout(job.timeout);
+    clearInterval(job.interval);
+    job.timeout = null;
+    job.interval = null;
+  }
+}
+
+module.exports = PhaseScheduler;
@@ -0,0 +1,83 @@
+/**
+ * PlayerManager - Rules behind the main display's player controls (kick, ban, rename, reorder)
+ * A kicked player's session token can't reconnect; a ban also stops their phone (its device token)
+ * from joining again - never their network address, which every phone on the party's Wi-Fi shares.
+ * Blocks last as long as the room. Players themselves live in the game state - this class only
+ * keeps the block lists and checks names and orders.
+ */
+class PlayerManager {
+  constructor() {
+    this.blockedSessions = new Set();
+    this.bannedDevices = new Set();
+  }
+
+  /**
+   * Stop a removed player coming back
+   * @param {Object} player - {sessionToken, deviceToken}
+   * @param {Object} options - {ban} - a ban also blocks the device
+   */
+  block(player, { ban = false } = {}) {
+    this.blockedSessions.add(player.sessionToken);
+    if (ban && player.deviceToken) {
+      this.bannedDevices.add(player.deviceToken);
+    }
+  }
+
+  /**
+   * Whether a session belongs to a player who was kicked
+   */
+  isSessionBlocked(sessionToken) {
+    return !!sessionToken && this.blockedSessions.has(sessionToken);
+  }
+
+  /**
+   * Whether a phone joining with this device token is banned
+   */
+  isBanned(deviceToken) {
+    return !!deviceToken && this.bannedDevices.has(deviceToken);
+  }
+
+  /**
+   * A name as players may have it: trimmed, at most 20 characters (empty if nothing is left)
+   */
+  cleanName(name) {
+    return String(name || '').trim().substring(0, 20);
+  }
+
+  /**
+   * Whether another player already goes by a name (ignoring case)
+   */
+  isNameTaken(players, name, exceptPlayerId = null) {
+    return players.some(p => p.id !== exceptPlayerId && p.name.toLowerCase() === name.toLowerCase());
+  }
+
+  /**
+   * A list put in the order of the given ids
+   * @returns {Array|null} null unless ids names every item exactly once
+   */
+  reorder(list, ids) {
+    if (!Array.isArray(ids) || ids.length !== list.length || new Set(ids).size !== ids.length) return null;
+    const ordered = ids.map(id => list.find(item => item.id === id));
+    return ordered.every(Boolean) ? ordered : null;
+  }
+
+  /**
+   * Hosting turns a competitor still had when they leave
+   * The host index moves one place a round, wrapping around the competitors
+   * @param {number} competitorIndex - The leaving competitor's place in the rotation
+   * @param {number} hostIndex - Current host's place
+   * @param {number} competitorCount - Competitors before anyone leaves
+   * @param {number} roundsLeft - Rounds still to come after the current one
+   * @param {boolean} includeCurrent - Whether the current round is still to be played
+   * @returns {number}
+   */
+  countTurnsLeft(competitorIndex, hostIndex, competitorCount, roundsLeft, includeCurrent) {
+    let turns = 0;
+    for (let i = includeCurrent ? 0 : 1; i <= roundsLeft; i++) {
+      if ((hostIndex + i) % competitorCount === competitorIndex) turns++;
+    }
+    return turns;
+  }
+}
+
+module.exports = PlayerManager;
@@ -0,0 +1,73 @@
+/**
+ * RevealOrderer - The order a round's answers are revealed in
+ * Strategies: the host's own matching order, random, wrong guesses first, suspense
+ * (the least expected outcome last), or the host picking each next answer from their phone.
+ * Suspense goes by how often each host got each author wrong in earlier rounds of this game.
+ */
+class RevealOrderer {
+  constructor() {
+    this.guesses = {}; // hostId -> authorId -> {right, wrong} from earlier rounds
+  }
+
+  /**
+   * Results in the order they should be revealed
+   * @param {Array} results - The round's results in the host's matching order [{actualPlayerId, isCorrect}]
+   * @param {string} strategy - One of RevealOrderer.STRATEGIES ('hostPicks' keeps the host's order to pick from)
+   * @param {string} hostId - The competitor hosting the round
+   * @returns {Array} A new array
+   */
+  order(results, strategy, hostId) {
+    switch (strategy) {
+      case 'random':
+        return this.shuffle(results);
+      case 'wrongFirst':
+        return [...results.filter(r => !r.isCorrect), ...results.filter(r => r.isCorrect)];
+      case 'suspense':
+        return results
+          .map((result, index) => ({ result, index, surprise: this.getSurprise(hostId, result) }))
+          .sort((a, b) => a.surprise - b.surprise || a.index - b.index)
+          .map(entry => entry.result);
+      default:
+        return [...results];
+    }
+  }
+
+  /**
+   * How unexpected a result is, 0 to 1: a right guess about an author the host usually gets wrong
+   * (or the other way round) is a surprise; with nothing to go on it's 0.5
+   */
+  getSurprise(hostId, result) {
+    const { right = 0, wrong = 0 } = (this.guesses[hostId] || {})[result.actualPlayerId] || {};
+    const wrongRate = (wrong + 1) / (right + wrong + 2);
+    return result.isCorrect ? wrongRate : 1 - wrongRate;
+  }
+
+  /**
+   * Remember how the host did on each author once the round is over
+   * @param {string} hostId
+   * @param {Array} results - The round's results [{actualPlayerId, isCorrect, isNoAnswer}]
+   */
+  rememberRound(hostId, results) {
+    const byAuthor = this.guesses[hostId] = this.guesses[hostId] || {};
+    results.forEach(r => {
+      if (r.isNoAnswer) return;
+      const tally = byAuthor[r.actualPlayerId] = byAuthor[r.actualPlayerId] || { right: 0, wrong: 0 };
+      tally[r.isCorrect ? 'right' : 'wrong']++;
+    });
+  }
+
+  // Fisher-Yates on a copy
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+// matched: the host's own order, hostPicks: the host taps the next answer on their phone
+RevealOrderer.STRATEGIES = ['matched', 'random', 'wrongFirst', 'suspense', 'hostPicks'];
+
+module.exports = RevealOrderer;
@@ -1,14 +1,25 @@
 const { v4: uuidv4 } = require('uuid');
 
 /**
- * RoomManager - Handles room code generation and validation
+ * RoomManager - Registry of live rooms, one GameLogic per room code
+ * The rooms Map is the source of truth: a room code is valid only while it is in the Map
  */
 class RoomManager {
-  constructor(db = null) {
+  /**
+   * @param {Object} db - DatabaseService (optional)
+   * @param {Object} options
+   * @param {Function} options.createGame - (roomCode) => GameLogic for a new room
+   * @param {number} options.idleTimeout - Minutes a room may sit with nobody connected
+   * @param {number} options.finishedTimeout - Minutes a finished game is kept once everyone has left
+   */
+  constructor(db = null, options = {}) {
     this.db = db;
-    this.currentRoom = null;
-    this.currentGameId = null;
-    this.rooms = new Map(); // Keep in-memory for quick lookups
+    this.createGame = options.createGame || null;
+    this.idleTimeout = (options.idleTimeout || 30) * 60 * 1000;
+    this.finishedTimeout = (options.finishedTimeout || 10) * 60 * 1000;
+    this.rooms = new Map(); // roomCode -> { code, gameId, game, createdAt, lastActivityAt, status }
+    this.defaultRoomCode = null; // Room opened by the app window at startup
+    this.cleanupInterval = null;
   }
 
   /**
@@ -19,46 +30,53 @@ class RoomManager {
     let code;
     let attempts = 0;
     const maxAttempts = 100;
-    
+
     do {
       code = '';
       for (let i = 0; i < 4; i++) {
         code += chars.charAt(Math.floor(Math.random() * chars.length));
       }
       attempts++;
-      
+
       // Check both in-memory and database
       const existsInMemory = this.rooms.has(code);
       const existsInDb = this.db ? this.db.getGameByRoomCode(code) : null;
-      
+
       if (!existsInMemory && !existsInDb) {
         break;
       }
-      
+
       if (attempts >= maxAttempts) {
         throw new Error('Failed to generate unique room code');
       }
     } while (true);
-    
+
     return code;
   }
 
   /**
-   * Create a new room
+   * Create a new room with its own game instance
    */
   createRoom(totalRounds = 0) {
     const roomCode = this.generateRoomCode();
     const gameId = uuidv4();
-    
-    this.currentRoom = {
+    const now = Date.now();
+
+    const room = {
       code: roomCode,
-      createdAt: Date.now(),
+      gameId,
+      game: null,
+      createdAt: now,
+      lastActivityAt: now,
       status: 'active'
     };
-    
-    this.currentGameId = gameId;
-    this.rooms.set(roomCode, this.currentRoom);
-    
+
+    this.rooms.set(roomCode, room);
+
+    if (!this.defaultRoomCode) {
+      this.defaultRoomCode = roomCode;
+    }
+
     // Save to database
     if (this.db) {
       try {
@@ -67,99 +85,252 @@ class RoomManager {
         console.error('Failed to save game to database:', error);
       }
     }
-    
+
+    // Game is created after the room is registered so it can look up its own game ID
+    if (this.createGame) {
+      room.game = this.createGame(roomCode);
+    }
+
+    console.log(`[RoomManager] Created room ${roomCode} (${this.rooms.size} active)`);
+
     return { roomCode, gameId };
   }
 
   /**
-   * Get current room code
+   * Bring back rooms whose games were in progress when the app last stopped
+   * The most recently played one becomes the default room
+   * @returns {Array} Codes of the restored rooms
+   */
+  restoreRooms() {
+    if (!this.db || !this.createGame) return [];
+
+    let games = [];
+    try {
+      games = this.db.getInProgressGames();
+    } catch (error) {
+      console.error('Failed to load in-progress games from database:', error);
+      return [];
+    }
+
+    const restored = [];
+    for (const saved of games) {
+      const now = Date.now();
+      const room = {
+        code: saved.room_code,
+        gameId: saved.id,
+        game: null,
+        createdAt: now,
+        lastActivityAt: now,
+        status: 'active'
+      };
+      this.rooms.set(room.code, room);
+
+      try {
+        room.game = this.createGame(room.code);
+        if (!room.game.restoreFromDb()) {
+          throw new Error('No players to restore');
+        }
+        if (!this.defaultRoomCode) {
+          this.defaultRoomCode = room.code;
+        }
+        restored.push(room.code);
+      } catch (error) {
+        // Don't try again on every startup
+        console.error(`Failed to restore room ${room.code}:`, error);
+        this.closeRoom(room.code);
+      }
+    }
+
+    if (restored.length > 0) {
+      console.log(`[RoomManager] Restored ${restored.length} in-progress room(s): ${restored.join(', ')}`);
+    }
+    return restored;
+  }
+
+  /**
+   * Normalize user-entered room codes
+   */
+  normalizeCode(code) {
+    if (!code || typeof code !== 'string') return null;
+    return code.toUpperCase().trim();
+  }
+
+  /**
+   * Get the room opened at startup (null once it has been closed)
+   */
+  getDefaultRoomCode() {
+    return this.rooms.has(this.defaultRoomCode) ? this.defaultRoomCode : null;
+  }
+
+  /**
+   * Get a room record by code
+   */
+  getRoom(code) {
+    return this.rooms.get(this.normalizeCode(code)) || null;
+  }
+
+  /**
+   * Get the game instance for a room
+   */
+  getGame(code) {
+    const room = this.getRoom(code);
+    return room ? room.game : null;
+  }
+
+  /**
+   * Get the database game ID for a room
+   */
+  getGameId(code) {
+    const room = this.getRoom(code);
+    return room ? room.gameId : null;
+  }
+
+  /**
+   * Find the room a player belongs to
    */
-  getCurrentRoomCode() {
-    return this.currentRoom?.code || null;
+  findRoomByPlayer(playerId) {
+    if (!playerId) return null;
+
+    for (const room of this.rooms.values()) {
+      if (room.game && room.game.hasPlayer(playerId)) {
+        return room;
+      }
+    }
+    return null;
   }
 
   /**
-   * Get current game ID
+   * Record activity in a room so it is not cleaned up while in use
    */
-  getCurrentGameId() {
-    return this.currentGameId;
+  touchRoom(code) {
+    const room = this.getRoom(code);
+    if (room) {
+      room.lastActivityAt = Date.now();
+    }
   }
 
   /**
    * Validate a room code
    */
   validateRoom(code) {
-    if (!code || typeof code !== 'string') return false;
-    
-    const normalizedCode = code.toUpperCase().trim();
-    
-    // Check if it's the current active room
-    if (this.currentRoom && this.currentRoom.code === normalizedCode) {
-      return true;
-    }
-    
-    // Check in-memory map
-    if (this.rooms.has(normalizedCode)) {
-      return true;
+    const room = this.getRoom(code);
+    return !!room && room.status === 'active';
+  }
+
+  /**
+   * Close a room and stop its game
+   */
+  closeRoom(code) {
+    const room = this.getRoom(code);
+    if (!room) return false;
+
+    room.status = 'closed';
+    room.closedAt = Date.now();
+
+    if (room.game) {
+      room.game.destroy();
     }
-    
-    // Check database as fallback
+
+    this.rooms.delete(room.code);
+
+    // Update database
     if (this.db) {
-      const game = this.db.getGameByRoomCode(normalizedCode);
-      return game && game.status !== 'completed';
+      try {
+        this.db.completeGame(room.gameId);
+      } catch (error) {
+        console.error('Failed to close game in database:', error);
+      }
     }
-    
-    return false;
+
+    console.log(`[RoomManager] Closed room ${room.code} (${this.rooms.size} active)`);
+    return true;
   }
 
   /**
-   * Close a room
+   * Close rooms nobody is connected to: finished games after finishedTimeout,
+   * anything else after idleTimeout
+   * @returns {Array} Codes of the rooms that were closed
    */
-  closeRoom(code) {
-    if (this.rooms.has(code)) {
-      const room = this.rooms.get(code);
-      room.status = 'closed';
-      room.closedAt = Date.now();
-      
-      if (this.currentRoom && this.currentRoom.code === code) {
-        this.currentRoom = null;
+  cleanupInactiveRooms(now = Date.now()) {
+    const closed = [];
+
+    for (const room of [...this.rooms.values()]) {
+      if (room.game && room.game.hasConnectedClients()) continue;
+
+      const idleFor = now - room.lastActivityAt;
+      const isFinished = room.game && room.game.isFinished();
+      const timeout = isFinished ? this.finishedTimeout : this.idleTimeout;
+
+      if (idleFor >= timeout) {
+        this.closeRoom(room.code);
+        closed.push(room.code);
       }
-      
-      // Update database
-      if (this.db && this.currentGameId) {
-        try {
-          this.db.completeGame(this.currentGameId);
-        } catch (error) {
-          console.error('Failed to close game in database:', error);
-        }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Periodically close inactive rooms
+   */
+  startCleanup(intervalMs = 60 * 1000) {
+    this.stopCleanup();
+    this.cleanupInterval = setInterval(() => this.cleanupInactiveRooms(), intervalMs);
+  }
+
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
+  /**
+   * Stop every room's game (server shutdown)
+   */
+  closeAll() {
+    this.stopCleanup();
+    for (const room of this.rooms.values()) {
+      if (room.game) {
+        room.game.destroy();
       }
-      
-      return true;
     }
-    return false;
+    this.rooms.clear();
   }
 
   /**
-   * Clean up old rooms (older than 7 days) - delegates to database cleanup
+   * Iterate over every live game instance
    */
-  cleanupOldRooms() {
-    const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-    
-    // Clean up in-memory rooms
-    for (const [code, room] of this.rooms.entries()) {
-      if (room.createdAt < sevenDaysAgo) {
-        this.rooms.delete(code);
+  forEachGame(callback) {
+    for (const room of this.rooms.values()) {
+      if (room.game) {
+        callback(room.game, room.code);
       }
     }
-    
-    // Database cleanup happens on app startup in main.js
   }
 
   /**
    * Get room info
    */
   getRoomInfo(code) {
-    return this.rooms.get(code) || null;
+    const room = this.getRoom(code);
+    if (!room) return null;
+
+    return {
+      code: room.code,
+      createdAt: room.createdAt,
+      lastActivityAt: room.lastActivityAt,
+      status: room.status,
+      phase: room.game ? room.game.gameState.phase : null,
+      playerCount: room.game ? room.game.gameState.players.length : 0
+    };
+  }
+
+  /**
+   * Summary of all live rooms
+   */
+  listRooms() {
+    return [...this.rooms.keys()].map(code => this.getRoomInfo(code));
   }
 }
 
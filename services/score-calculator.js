@@ -1,3 +1,124 @@
+/**
+ * Scoring rules - each turns a round into score events {competitorId, points, reason}
+ * Presets list the rules they use with their options ({rule: 'perCorrect', points: 1});
+ * results are the host's matches in the order they were made, votes are a vote round's single votes.
+ */
+const SCORING_RULES = {
+  // Host: points for every correct match
+  perCorrect: {
+    stage: 'reveal',
+    score({ hostId, results }, { points = 1 }) {
+      const correct = results.filter(r => r.isCorrect).length;
+      if (correct === 0) return [];
+      return [{ competitorId: hostId, points: correct * points, reason: `${correct} correct ${correct === 1 ? 'match' : 'matches'}` }];
+    }
+  },
+
+  // Host: bonus when every match is correct
+  perfectBonus: {
+    stage: 'reveal',
+    score({ hostId, results }, { points = 3 }) {
+      const isPerfect = results.length > 0 && results.every(r => r.isCorrect);
+      return isPerfect ? [{ competitorId: hostId, points, reason: 'Perfect round' }] : [];
+    }
+  },
+
+  // Host: correct matches in a row count double, triple... (up to max times)
+  streak: {
+    stage: 'reveal',
+    score({ hostId, results }, { points = 1, max = 3 }) {
+      let run = 0;
+      let best = 0;
+      let extra = 0;
+      results.forEach(r => {
+        run = r.isCorrect ? run + 1 : 0;
+        best = Math.max(best, run);
+        extra += Math.max(0, Math.min(run, max) - 1) * points;
+      });
+      return extra ? [{ competitorId: hostId, points: extra, reason: `Streak of ${best} in a row` }] : [];
+    }
+  },
+
+  // Authors: bonus for answering within the first few seconds
+  // (skipped when the answering start time is unknown, e.g. after a restart)
+  speedBonus: {
+    stage: 'reveal',
+    score({ answers, answeringStartedAt }, { points = 1, withinSeconds = 20 }) {
+      if (!answeringStartedAt) return [];
+      return answers
+        .filter(a => !a.penalty && a.timestamp - answeringStartedAt <= withinSeconds * 1000)
+        .map(a => ({ competitorId: a.playerId, points, reason: 'Quick answer' }));
+    }
+  },
+
+  // Authors: points for each answer the host got wrong, plus a bonus for the one wrong
+  // answer that fooled the most people (the host plus any audience members who voted wrong).
+  // When two or more wrong answers fooled the same, highest number of people nobody gets the bonus.
+  bluff: {
+    stage: 'reveal',
+    score({ results }, { points = 1, mostBlamed = 0 }) {
+      const bluffs = results.filter(r => !r.isCorrect && !r.isNoAnswer);
+      const events = bluffs.map(r => ({ competitorId: r.actualPlayerId, points, reason: 'Fooled the host' }));
+      
+      if (mostBlamed && bluffs.length > 0) {
+        const fooledCount = r => 1 + (r.audience ? r.audience.votes - r.audience.correct : 0);
+        const mostFooled = Math.max(...bluffs.map(fooledCount));
+        const leaders = bluffs.filter(r => fooledCount(r) === mostFooled);
+        
+        // Only a clear winner - with a tie no single answer was the most blamed
+        if (leaders.length === 1) {
+          events.push({ competitorId: leaders[0].actualPlayerId, points: mostBlamed, reason: 'Most blamed answer' });
+        }
+      }
+      
+      return events;
+    }
+  },
+
+  // Vote rounds - voters: points for every vote that names the right author
+  correctVote: {
+    stage: 'vote',
+    score({ votes = [] }, { points = 1 }) {
+      return countBy(votes.filter(v => v.isCorrect), 'voterId')
+        .map(([voterId, count]) => ({ competitorId: voterId, points: count * points, reason: `${count} correct ${count === 1 ? 'vote' : 'votes'}` }));
+    }
+  },
+
+  // Vote rounds - authors: points for every voter who named someone else
+  fooledVoter: {
+    stage: 'vote',
+    score({ votes = [] }, { points = 1 }) {
+      return countBy(votes.filter(v => !v.isCorrect), 'authorId')
+        .map(([authorId, count]) => ({ competitorId: authorId, points: count * points, reason: `Fooled ${count} ${count === 1 ? 'voter' : 'voters'}` }));
+    }
+  },
+
+  // Authors: penalty for not answering before time runs out
+  lateAnswer: {
+    stage: 'answering',
+    score({ answers }, { points = -3 }) {
+      return answers
+        .filter(a => a.penalty)
+        .map(a => ({ competitorId: a.playerId, points, reason: 'No answer submitted' }));
+    }
+  }
+};
+
+// Vote rules for presets that don't list any (custom presets written before vote rounds)
+const DEFAULT_VOTE_RULES = [
+  { rule: 'correctVote', points: 1 },
+  { rule: 'fooledVoter', points: 1 }
+];
+
+// [key, count] for each distinct value of item[key]
+function countBy(items, key) {
+  const counts = {};
+  items.forEach(item => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+  });
+  return Object.entries(counts);
+}
+
 /**
  * ScoreCalculator - Handles all scoring logic for the game
  */
@@ -9,8 +130,8 @@ class ScoreCalculator {
   /**
    * Calculate results for a round
    * @param {Array} matches - Host's guesses [{playerId, answerIndex}]
-   * @param {Array} shuffledAnswers - The shuffled answers array shown to host [{index, answer, playerId}]
-   * @param {Array} players - All players
+   * @param {Array} shuffledAnswers - The shuffled answers array shown to host [{index, answer, playerId, penalty}]
+   * @param {Array} players - All players (the teams in team mode - anything with id and name)
    * @returns {Array} Results for each match
    */
   calculateRoundResults(matches, shuffledAnswers, players) {
@@ -33,6 +154,8 @@ class ScoreCalculator {
           actualPlayerId: actualAnswer.playerId,
           actualPlayer: actualPlayer ? { id: actualPlayer.id, name: actualPlayer.name } : null,
           answer: actualAnswer.answer,
+          answerIndex: match.answerIndex,
+          isNoAnswer: !!actualAnswer.penalty,
           isCorrect: match.playerId === actualAnswer.playerId
         });
       }
@@ -42,32 +165,148 @@ class ScoreCalculator {
   }
 
   /**
-   * Calculate host's score for the round
+   * Built-in presets, plus any custom ones from config.scoring.presets
+   * Classic keeps the values from config.bonuses and config.penalties (bluff points are off unless config.bonuses turns them on)
+   * @param {Object} config - A game's own config (a game preset can change the bonuses and penalties)
+   * @returns {Object} presetId -> {name, description, rules: [{rule, ...options}]}
+   */
+  getPresets(config = this.config) {
+    const bonuses = config.bonuses || {};
+    const penalties = config.penalties || {};
+    
+    return {
+      classic: {
+        name: 'Classic',
+        description: 'Points for every correct match and a perfect round bonus',
+        rules: [
+          { rule: 'perCorrect', points: 1 },
+          { rule: 'perfectBonus', points: bonuses.perfectRound ?? 3 },
+          { rule: 'bluff', points: bonuses.bluff ?? 0, mostBlamed: bonuses.mostBlamed ?? 0 },
+          { rule: 'correctVote', points: bonuses.correctVote ?? 1 },
+          { rule: 'fooledVoter', points: bonuses.fooledVoter ?? 1 },
+          { rule: 'lateAnswer', points: penalties.noSubmission ?? -3 }
+        ]
+      },
+      cutthroat: {
+        name: 'Cutthroat',
+        description: 'Match streaks multiply, fooling the host pays double and missing an answer hurts',
+        rules: [
+          { rule: 'perCorrect', points: 1 },
+          { rule: 'streak', points: 1, max: 3 },
+          { rule: 'perfectBonus', points: 5 },
+          { rule: 'bluff', points: 2, mostBlamed: 3 },
+          { rule: 'correctVote', points: 1 },
+          { rule: 'fooledVoter', points: 2 },
+          { rule: 'lateAnswer', points: -5 }
+        ]
+      },
+      casual: {
+        name: 'Casual',
+        description: 'Quick answers earn a bonus and nobody loses points',
+        rules: [
+          { rule: 'perCorrect', points: 1 },
+          { rule: 'perfectBonus', points: 2 },
+          { rule: 'speedBonus', points: 1, withinSeconds: 20 },
+          { rule: 'bluff', points: 1, mostBlamed: 0 },
+          { rule: 'correctVote', points: 1 },
+          { rule: 'fooledVoter', points: 1 }
+        ]
+      },
+      ...config.scoring?.presets
+    };
+  }
+
+  /**
+   * Presets for the lobby picker
+   * @returns {Array} [{id, name, description}]
+   */
+  listPresets() {
+    return Object.entries(this.getPresets()).map(([id, preset]) => ({
+      id,
+      name: preset.name || id,
+      description: preset.description || ''
+    }));
+  }
+
+  /**
+   * Whether a preset with this id exists
+   */
+  hasPreset(presetId) {
+    return Object.prototype.hasOwnProperty.call(this.getPresets(), presetId);
+  }
+
+  /**
+   * Preset used when the lobby doesn't pick one
+   */
+  getDefaultPreset() {
+    const configured = this.config.scoring?.preset;
+    return configured && this.hasPreset(configured) ? configured : 'classic';
+  }
+
+  /**
+   * Run one stage of a preset's rules
+   * Rules for the 'answering' stage run when answering ends (missing answers), 'reveal' rules
+   * when the host's matches are in and 'vote' rules when a vote round's votes are in.
+   * @param {string} stage - 'answering', 'reveal' or 'vote'
+   * @param {Object} round - {hostId, answers, results, votes, answeringStartedAt}
+   * @param {string} presetId
+   * @param {Object} config - The game's config
+   * @returns {Array} Score events [{competitorId, points, rule, reason}]
+   */
+  scoreStage(stage, round, presetId, config = this.config) {
+    const presets = this.getPresets(config);
+    const preset = presets[presetId] || presets.classic;
+    const events = [];
+    const hasVoteRules = preset.rules.some(options => SCORING_RULES[options.rule]?.stage === 'vote');
+    const rules = stage === 'vote' && !hasVoteRules ? DEFAULT_VOTE_RULES : preset.rules;
+    
+    rules.forEach(options => {
+      const rule = SCORING_RULES[options.rule];
+      if (!rule) {
+        console.warn(`[ScoreCalculator] Unknown scoring rule "${options.rule}" in preset ${presetId}`);
+        return;
+      }
+      if (rule.stage !== stage) return;
+      
+      rule.score(round, options)
+        .filter(event => event.points !== 0)
+        .forEach(event => events.push({ ...event, rule: options.rule }));
+    });
+    
+    return events;
+  }
+
+  /**
+   * Summarise the host's round for the reveal and round end screens
    * @param {Array} results - Round results
-   * @param {number} perfectBonus - Bonus for perfect round
-   * @returns {Object} {score, correctMatches, isPerfect}
+   * @param {Array} events - The round's score events
+   * @param {string} hostId
+   * @returns {Object} {score, correctMatches, totalMatches, isPerfect}
    */
-  calculateHostScore(results, perfectBonus = 3) {
+  calculateHostScore(results, events, hostId) {
     const correctMatches = results.filter(r => r.isCorrect).length;
     const totalMatches = results.length;
-    const isPerfect = correctMatches === totalMatches && totalMatches > 0;
-    
-    let score = correctMatches;
-    if (isPerfect) {
-      score += perfectBonus;
-    }
     
     return {
-      score,
+      score: this.sumPoints(events, hostId),
       correctMatches,
       totalMatches,
-      isPerfect
+      isPerfect: correctMatches === totalMatches && totalMatches > 0
     };
   }
 
+  /**
+   * Total points in a list of score events, optionally for one competitor only
+   */
+  sumPoints(events, competitorId = null) {
+    return events
+      .filter(e => competitorId === null || e.competitorId === competitorId)
+      .reduce((sum, e) => sum + e.points, 0);
+  }
+
   /**
    * Calculate score breakdown for display
-   * @param {Array} players - All players with scores
+   * @param {Array} players - All players (or teams) with scores
    * @returns {Array} Sorted scoreboard
    */
   getScoreboard(players) {
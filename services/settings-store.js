@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER_API_KEY = 'YOUR_ANTHROPIC_API_KEY_HERE';
+
+// Settings older versions saved into (or had users edit in) the shipped config file, as they shipped them
+// Only values that differ from these were changed by the user
+const LEGACY_DEFAULTS = {
+  serverPort: 0,
+  minPlayers: 3,
+  maxPlayers: 10,
+  rotations: 1,
+  timers: { themeSelection: 15, answering: 60, matching: 90, reveal: 5, roundEnd: 10 },
+  themes: { packs: ['builtin'], ai: true }
+};
+
+/**
+ * SettingsStore - The user's own settings, kept in the app's userData folder
+ * settings.json holds only what the user changed (it's layered over the shipped config);
+ * the API key lives on its own in api-key.json, encrypted with Electron's safeStorage when
+ * the system supports it, and readable by the user's account only either way.
+ */
+class SettingsStore {
+  /**
+   * @param {string} dir - Folder to keep the files in (app.getPath('userData'))
+   * @param {Object} safeStorage - Electron's safeStorage, or null to store the key unencrypted
+   */
+  constructor(dir, safeStorage = null) {
+    this.settingsPath = path.join(dir, 'settings.json');
+    this.apiKeyPath = path.join(dir, 'api-key.json');
+    this.safeStorage = safeStorage;
+  }
+
+  /**
+   * The user's settings ({} before anything is saved)
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.settingsPath)) return {};
+      return JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load settings:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Replace the user's settings (an API key in them goes to the key file instead)
+   */
+  save(settings) {
+    const { apiKey, ...rest } = settings || {};
+    if (apiKey !== undefined) {
+      this.setApiKey(apiKey);
+    }
+    this.writeFile(this.settingsPath, JSON.stringify(rest, null, 2));
+  }
+
+  /**
+   * The saved API key, or '' if there isn't one
+   */
+  getApiKey() {
+    try {
+      if (!fs.existsSync(this.apiKeyPath)) return '';
+      const stored = JSON.parse(fs.readFileSync(this.apiKeyPath, 'utf8'));
+      if (!stored.encrypted) return stored.value || '';
+      if (!this.canEncrypt()) {
+        console.error('Failed to read API key: it was encrypted and encryption is not available');
+        return '';
+      }
+      return this.safeStorage.decryptString(Buffer.from(stored.value, 'base64'));
+    } catch (error) {
+      console.error('Failed to read API key:', error.message);
+      return '';
+    }
+  }
+
+  /**
+   * Save the API key (an empty key removes it)
+   */
+  setApiKey(apiKey) {
+    if (!apiKey) {
+      fs.rmSync(this.apiKeyPath, { force: true });
+      return;
+    }
+
+    const stored = this.canEncrypt()
+      ? { encrypted: true, value: this.safeStorage.encryptString(apiKey).toString('base64') }
+      : { encrypted: false, value: apiKey };
+    this.writeFile(this.apiKeyPath, JSON.stringify(stored));
+  }
+
+  /**
+   * Move what an older version kept in the shipped config file to userData (first run after updating):
+   * the settings the user changed there (see LEGACY_DEFAULTS) go to settings.json when there isn't one
+   * yet, so the next update can't overwrite them, and an API key goes to the key store.
+   * Only an older version's file has an apiKey entry (even an empty one) - the entry is then removed
+   * when the file can be written to, so this runs once. A fresh install's file has none and is left alone.
+   * @param {string} legacyConfigPath - config/default-config.json
+   * @returns {boolean} Whether anything was moved
+   */
+  migrate(legacyConfigPath) {
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(legacyConfigPath, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+    if (!('apiKey' in legacy)) return false;
+
+    const { apiKey, ...shipped } = legacy;
+    const settingsMoved = this.migrateSettings(shipped);
+    const keyMoved = !!apiKey && apiKey !== PLACEHOLDER_API_KEY && !this.getApiKey();
+    if (keyMoved) {
+      this.setApiKey(apiKey);
+      console.log('[SettingsStore] Moved the API key out of the shipped config file');
+    }
+
+    try {
+      fs.writeFileSync(legacyConfigPath, JSON.stringify(shipped, null, 2));
+    } catch (error) {
+      console.warn('[SettingsStore] Could not remove the API key from the shipped config file:', error.message);
+    }
+    return settingsMoved || keyMoved;
+  }
+
+  // Copy the settings the user changed in the old file to settings.json, unless there are saved settings already
+  migrateSettings(legacy) {
+    if (fs.existsSync(this.settingsPath)) return false;
+
+    const settings = {};
+    Object.entries(LEGACY_DEFAULTS).forEach(([key, shipped]) => {
+      const changes = this.findChanges(legacy[key], shipped);
+      if (changes !== undefined) settings[key] = changes;
+    });
+    if (Object.keys(settings).length === 0) return false;
+
+    this.writeFile(this.settingsPath, JSON.stringify(settings, null, 2));
+    console.log(`[SettingsStore] Moved ${Object.keys(settings).join(', ')} out of the shipped config file`);
+    return true;
+  }
+
+  // A value as changed from how it shipped - only the changed fields of a section, undefined if nothing changed
+  findChanges(value, shipped) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    if (value === undefined || same(value, shipped)) return undefined;
+
+    const isSection = v => v && typeof v === 'object' && !Array.isArray(v);
+    if (!isSection(value) || !isSection(shipped)) return value;
+    return Object.fromEntries(Object.entries(value).filter(([key, field]) => !same(field, shipped[key])));
+  }
+
+  // Whether the key can be encrypted on this system
+  canEncrypt() {
+    return !!this.safeStorage && this.safeStorage.isEncryptionAvailable();
+  }
+
+  // Write a file only the user can read, creating its folder if needed
+  writeFile(filePath, contents) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents, { mode: 0o600 });
+    fs.chmodSync(filePath, 0o600);
+  }
+}
+
+module.exports = SettingsStore;
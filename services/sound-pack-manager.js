@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_PACK_ID = 'builtin';
+const MANIFEST_FILE = 'pack.json';
+const AUDIO_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.webm': 'audio/webm'
+};
+
+/**
+ * Sound cues - every sound the game plays, and when
+ * Music loops until the game moves on; sound effects play once.
+ */
+const SOUND_CUES = {
+  join: { type: 'sfx', description: 'A player joins the lobby' },
+  timerWarning: { type: 'sfx', description: 'A timer is down to its last 10 seconds' },
+  timeUp: { type: 'sfx', description: 'A timer runs out' },
+  correct: { type: 'sfx', description: 'The host matched an answer correctly' },
+  wrong: { type: 'sfx', description: 'The host got an answer wrong' },
+  perfectRound: { type: 'sfx', description: 'The host matched every answer' },
+  suddenDeath: { type: 'sfx', description: 'A tie goes to sudden death' },
+  winner: { type: 'sfx', description: 'The winner is announced' },
+  lobbyMusic: { type: 'music', description: 'Loops in the lobby' },
+  thinkingMusic: { type: 'music', description: 'Loops while players answer and the host matches' }
+};
+
+/**
+ * The built-in pack - synthesised in the browser, so it needs no files
+ * notes: [[frequency in Hz (0 for a rest), seconds], ...] played one after another
+ */
+const BUILT_IN_SOUNDS = {
+  join: { wave: 'triangle', notes: [[660, 0.08], [880, 0.14]] },
+  timerWarning: { wave: 'square', notes: [[880, 0.1], [0, 0.1], [880, 0.1]] },
+  timeUp: { wave: 'sawtooth', notes: [[220, 0.6]] },
+  correct: { wave: 'triangle', notes: [[784, 0.1], [1047, 0.25]] },
+  wrong: { wave: 'square', notes: [[196, 0.18], [147, 0.35]] },
+  perfectRound: { wave: 'triangle', notes: [[523, 0.1], [659, 0.1], [784, 0.1], [1047, 0.4]] },
+  suddenDeath: { wave: 'sawtooth', notes: [[110, 0.25], [0, 0.05], [110, 0.25], [0, 0.05], [82, 0.6]] },
+  winner: { wave: 'triangle', notes: [[523, 0.15], [523, 0.15], [523, 0.15], [698, 0.5], [880, 0.2], [1047, 0.6]] },
+  lobbyMusic: { wave: 'sine', notes: [[262, 0.3], [330, 0.3], [392, 0.3], [523, 0.3], [392, 0.3], [330, 0.3], [294, 0.3], [392, 0.3]] },
+  thinkingMusic: { wave: 'sine', notes: [[196, 0.25], [0, 0.25], [247, 0.25], [0, 0.25], [220, 0.25], [0, 0.25], [262, 0.25], [0, 0.25]] }
+};
+
+/**
+ * SoundPackManager - Sound packs for the display and phones
+ * A pack is a folder in the sound pack folder (the app's userData) with a pack.json -
+ * {name, description, sounds: {cue: file}} - and its audio files next to it. Packs are read
+ * each time they're listed, so one dropped in shows up without a restart. Any cue a pack
+ * leaves out plays the built-in sound.
+ */
+class SoundPackManager {
+  constructor(packDir = null) {
+    this.packDir = packDir;
+  }
+
+  /**
+   * Packs for the display's settings, the built-in sounds first (broken packs are skipped)
+   * @returns {Array} [{id, name, description, cues, builtIn}] - cues the pack has its own sound for
+   */
+  list() {
+    const builtIn = {
+      id: BUILT_IN_PACK_ID,
+      name: 'Game Show Synth',
+      description: 'The sounds that come with the game',
+      cues: Object.keys(BUILT_IN_SOUNDS),
+      builtIn: true
+    };
+
+    return [builtIn, ...this.readPackIds().map(id => {
+      try {
+        const pack = this.readPack(id);
+        return { id, name: pack.name, description: pack.description, cues: Object.keys(pack.sounds), builtIn: false };
+      } catch (error) {
+        console.error(`Failed to load sound pack ${id}:`, error.message);
+        return null;
+      }
+    }).filter(Boolean)];
+  }
+
+  /**
+   * Whether a pack can be picked
+   */
+  has(id) {
+    return this.list().some(pack => pack.id === id);
+  }
+
+  /**
+   * What a client loads: every cue, as a file URL or the built-in notes
+   * @returns {Object|null} {id, name, sounds: {cue: {type, url} or {type, wave, notes}}} - null for an unknown or broken pack
+   */
+  getManifest(id) {
+    let pack = { name: 'Game Show Synth', sounds: {} };
+    if (id !== BUILT_IN_PACK_ID) {
+      try {
+        pack = this.readPack(id);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const sounds = {};
+    Object.entries(SOUND_CUES).forEach(([cue, { type }]) => {
+      const file = pack.sounds[cue];
+      sounds[cue] = file
+        ? { type, url: `/api/sound-packs/${encodeURIComponent(id)}/files/${encodeURIComponent(file)}` }
+        : { type, ...BUILT_IN_SOUNDS[cue] };
+    });
+
+    return { id, name: pack.name, sounds };
+  }
+
+  /**
+   * An audio file of a pack - only files its pack.json uses
+   * @returns {Object|null} {path, contentType}
+   */
+  getFile(id, file) {
+    try {
+      const pack = this.readPack(id);
+      if (!Object.values(pack.sounds).includes(file)) return null;
+      return { path: path.resolve(this.packDir, id, file), contentType: AUDIO_TYPES[path.extname(file).toLowerCase()] };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read and check a pack's pack.json
+   * @returns {Object} {name, description, sounds: {cue: file}}
+   * @throws {Error} If the pack is missing or invalid
+   */
+  readPack(id) {
+    if (!this.packDir || !this.isPackId(id)) {
+      throw new Error('No such sound pack');
+    }
+
+    const folder = path.join(this.packDir, id);
+    const data = JSON.parse(fs.readFileSync(path.join(folder, MANIFEST_FILE), 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('pack.json must be a JSON object');
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim().substring(0, 40) : '';
+    if (!name) {
+      throw new Error('A sound pack needs a name');
+    }
+
+    // Only known cues, and only audio files right in the pack's folder
+    const sounds = {};
+    Object.entries(data.sounds || {}).forEach(([cue, file]) => {
+      if (!SOUND_CUES[cue] || typeof file !== 'string') return;
+      if (file !== path.basename(file) || !AUDIO_TYPES[path.extname(file).toLowerCase()]) return;
+      if (fs.existsSync(path.join(folder, file))) {
+        sounds[cue] = file;
+      }
+    });
+
+    if (Object.keys(sounds).length === 0) {
+      throw new Error('A sound pack needs at least one sound file');
+    }
+
+    return {
+      name,
+      description: typeof data.description === 'string' ? data.description.trim().substring(0, 200) : '',
+      sounds
+    };
+  }
+
+  // Folders in the pack folder that look like packs
+  readPackIds() {
+    if (!this.packDir) return [];
+
+    try {
+      fs.mkdirSync(this.packDir, { recursive: true });
+      return fs.readdirSync(this.packDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && this.isPackId(entry.name))
+        .map(entry => entry.name);
+    } catch (error) {
+      console.error('Failed to read sound pack folder:', error);
+      return [];
+    }
+  }
+
+  // Folder names a pack id can be (never the built-in id, never a path)
+  isPackId(id) {
+    return typeof id === 'string' && id !== BUILT_IN_PACK_ID && /^[a-z0-9][a-z0-9_-]{0,39}$/i.test(id);
+  }
+}
+
+SoundPackManager.BUILT_IN_PACK_ID = BUILT_IN_PACK_ID;
+SoundPackManager.SOUND_CUES = SOUND_CUES;
+
+module.exports = SoundPackManager;
@@ -0,0 +1,312 @@
+/**
+ * StateProjector - Builds per-audience views of the game state
+ * The server keeps the full state (including who wrote each answer); clients only
+ * ever receive one of these projections. Authorship is withheld until the reveal.
+ */
+class StateProjector {
+  constructor() {
+    // Phases in which the current round's authorship has been revealed
+    this.revealedPhases = ['reveal', 'round_end', 'sudden_death', 'game_over'];
+  }
+
+  /**
+   * Whether answer authorship for the current round may be shown to clients
+   * @param {Object} gameState - Full server-side game state
+   * @returns {boolean}
+   */
+  isAuthorshipRevealed(gameState) {
+    return this.revealedPhases.includes(gameState.phase);
+  }
+
+  /**
+   * Strip authorship from shuffled answers
+   * @param {Array} matchingAnswers - Shuffled answers [{index, answer, playerId}]
+   * @returns {Array} [{index, answer, rewriting}] - rewriting while a vetoed answer is being replaced
+   * (answers of players removed mid-round are left out; the rest keep their index)
+   */
+  anonymizeAnswers(matchingAnswers = []) {
+    return matchingAnswers
+      .map((a, index) => ({
+        index: a.index !== undefined ? a.index : index,
+        answer: a.answer,
+        rewriting: !!a.rewriting
+      }))
+      .filter((a, index) => !matchingAnswers[index].removed);
+  }
+
+  /**
+   * Shuffled answers as a given game state allows them to be seen
+   * (mid-reveal only the answers already revealed carry their author)
+   */
+  projectAnswers(gameState) {
+    const matchingAnswers = gameState.matchingAnswers || [];
+
+    if (!this.isAuthorshipRevealed(gameState)) {
+      return this.anonymizeAnswers(matchingAnswers);
+    }
+
+    const isRevealed = this.getRevealedAnswerCheck(gameState);
+    return matchingAnswers
+      .map((a, index) => ({
+        index: a.index !== undefined ? a.index : index,
+        answer: a.answer,
+        ...(isRevealed(a.index !== undefined ? a.index : index) && { playerId: a.playerId })
+      }))
+      .filter((a, index) => !matchingAnswers[index].removed);
+  }
+
+  /**
+   * Whether an answer's author has been shown on screen - every answer once the reveal is over
+   * @returns {Function} answerIndex -> boolean
+   */
+  getRevealedAnswerCheck(gameState) {
+    if (gameState.phase !== 'reveal') return () => true;
+
+    const revealed = (gameState.roundResults || [])
+      .slice(0, gameState.revealIndex)
+      .map(r => r.answerIndex);
+    return answerIndex => revealed.includes(answerIndex);
+  }
+
+  /**
+   * Players, or teams in team mode - whoever hosts, answers and scores
+   */
+  getCompetitors(gameState) {
+    return gameState.mode === 'teams' ? gameState.teams : gameState.players;
+  }
+
+  /**
+   * The answer a player's side has submitted this round (their team's in team mode)
+   */
+  findOwnAnswer(gameState, player) {
+    if (!player) return null;
+    const competitorId = gameState.mode === 'teams' ? player.teamId : player.id;
+    return gameState.answers.find(a => a.playerId === competitorId) || null;
+  }
+
+  /**
+   * Public player fields (never socket IDs or session tokens)
+   */
+  projectPlayers(gameState) {
+    return gameState.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      score: p.score,
+      isHost: p.isHost,
+      isBot: !!p.isBot,
+      isConnected: p.isConnected,
+      teamId: p.teamId || null,
+      hasSubmitted: !!this.findOwnAnswer(gameState, p),
+      hasVoted: !!(gameState.votes || {})[p.id]
+    }));
+  }
+
+  /**
+   * Team rosters and totals (empty outside team mode)
+   */
+  projectTeams(gameState) {
+    return (gameState.teams || []).map(t => ({
+      id: t.id,
+      name: t.name,
+      score: t.score,
+      isHost: !!t.isHost,
+      hasSubmitted: gameState.answers.some(a => a.playerId === t.id),
+      players: gameState.players
+        .filter(p => t.playerIds.includes(p.id))
+        .map(p => ({ id: p.id, name: p.name, isBot: !!p.isBot, isConnected: p.isConnected }))
+    }));
+  }
+
+  /**
+   * A player's own record, as sent back to that player only
+   */
+  projectSelf(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      score: player.score,
+      isHost: player.isHost,
+      isConnected: player.isConnected,
+      joinOrder: player.joinOrder,
+      teamId: player.teamId || null,
+      sessionToken: player.sessionToken,
+      profileId: player.profileId || null
+    };
+  }
+
+  /**
+   * A spectator's own record, as sent back to that spectator only
+   */
+  projectSpectator(spectator) {
+    return {
+      id: spectator.id,
+      name: spectator.name,
+      score: spectator.score,
+      sessionToken: spectator.sessionToken
+    };
+  }
+
+  /**
+   * Reveal results that have already been shown on screen
+   */
+  projectRoundResults(gameState) {
+    if (!this.isAuthorshipRevealed(gameState)) return [];
+
+    const results = gameState.roundResults || [];
+    const visibleCount = gameState.phase === 'reveal' ? gameState.revealIndex : results.length;
+
+    return results.slice(0, visibleCount).map(r => ({
+      answer: r.answer,
+      guessedPlayer: r.guessedPlayer,
+      actualPlayer: r.actualPlayer,
+      isCorrect: r.isCorrect,
+      audience: r.audience || null,
+      votes: r.votes || null
+    }));
+  }
+
+  /**
+   * Fields every audience may see
+   */
+  buildBaseView(gameState) {
+    const host = gameState.currentHost;
+
+    return {
+      roomCode: gameState.roomCode,
+      phase: gameState.phase,
+      isPaused: !!gameState.isPaused,
+      mode: gameState.mode,
+      scoringPreset: gameState.scoringPreset,
+      gamePreset: gameState.gamePreset,
+      themeSources: gameState.themeSources,
+      familyFriendly: gameState.familyFriendly,
+      soundPack: gameState.soundPack,
+      currentRound: gameState.currentRound,
+      totalRounds: gameState.totalRounds,
+      roundType: gameState.roundType,
+      currentHostIndex: gameState.currentHostIndex,
+      currentHost: host ? { id: host.id, name: host.name } : null,
+      selectedTheme: gameState.selectedTheme,
+      revealIndex: gameState.revealIndex,
+      hostRotationCount: gameState.hostRotationCount,
+      isSuddenDeath: gameState.isSuddenDeath,
+      suddenDeathPlayers: gameState.suddenDeathPlayers,
+      suddenDeathRound: gameState.suddenDeathRound,
+      tiedPlayerIds: gameState.tiedPlayerIds,
+      players: this.projectPlayers(gameState),
+      teams: this.projectTeams(gameState),
+      lateJoiners: (gameState.lateJoiners || []).map(p => ({ id: p.id, name: p.name, isConnected: p.isConnected })),
+      audienceSize: (gameState.audience || []).filter(s => s.isConnected).length,
+      shuffledAnswers: this.projectAnswers(gameState),
+      roundResults: this.projectRoundResults(gameState),
+      matchingPlayers: this.getCompetitors(gameState)
+        .filter(p => !p.isHost)
+        .map(p => ({ id: p.id, name: p.name }))
+    };
+  }
+
+  /**
+   * View for the main display (TV)
+   */
+  forDisplay(gameState) {
+    return this.buildBaseView(gameState);
+  }
+
+  /**
+   * View for the current host - adds the theme choices
+   */
+  forHost(gameState) {
+    return {
+      ...this.buildBaseView(gameState),
+      themes: gameState.themes
+    };
+  }
+
+  /**
+   * An answer waiting for approval - only ever shown to the proposer's own team
+   */
+  findTeamProposal(gameState, player) {
+    if (!player || !player.teamId || !gameState.teamProposals) return null;
+    return gameState.teamProposals[player.teamId] || null;
+  }
+
+  /**
+   * View for a regular player - adds only their own answer (and their team's proposal)
+   */
+  forPlayer(gameState, playerId) {
+    const player = gameState.players.find(p => p.id === playerId);
+    const ownAnswer = this.findOwnAnswer(gameState, player);
+
+    return {
+      ...this.buildBaseView(gameState),
+      submittedAnswer: ownAnswer ? ownAnswer.answer : null,
+      teamProposal: this.findTeamProposal(gameState, player)
+    };
+  }
+
+  /**
+   * View for a player's own socket (host or not)
+   */
+  forViewer(gameState, player) {
+    if (player && player.isHost) {
+      return this.forHost(gameState);
+    }
+    return this.forPlayer(gameState, player ? player.id : null);
+  }
+
+  /**
+   * View for a spectator - the public view plus their own votes this round
+   */
+  forAudience(gameState, spectatorId) {
+    return {
+      ...this.buildBaseView(gameState),
+      audienceVotes: (gameState.audienceVotes || {})[spectatorId] || {}
+    };
+  }
+
+  /**
+   * Payload for a reconnecting player
+   * The player's own record (including session token) is only ever sent back to them
+   */
+  forReconnect(gameState, player) {
+    const ownAnswer = this.findOwnAnswer(gameState, player);
+
+    return {
+      player: this.projectSelf(player),
+      gameState: this.forViewer(gameState, player),
+      submittedAnswer: ownAnswer ? ownAnswer.answer : null,
+      teamProposal: this.findTeamProposal(gameState, player),
+      themes: player.isHost ? gameState.themes : null,
+      hasVoted: !!(gameState.votes || {})[player.id]
+    };
+  }
+
+  /**
+   * Matching data for the host's matching screen
+   */
+  forMatching(gameState) {
+    return {
+      answers: this.anonymizeAnswers(gameState.matchingAnswers || []),
+      players: this.getCompetitors(gameState)
+        .filter(p => !p.isHost)
+        .map(p => ({ id: p.id, name: p.name, isBot: !!p.isBot, botPersona: p.botPersona || null }))
+    };
+  }
+
+  /**
+   * Ballot for a vote round - the answers a voter may vote on and whoever wrote them
+   * @param {Array} ballotAnswers - Shuffled answers with authors (never sent as they are)
+   */
+  forVoting(gameState, ballotAnswers) {
+    const authorIds = ballotAnswers.map(a => a.playerId);
+
+    return {
+      answers: this.anonymizeAnswers(ballotAnswers),
+      players: this.getCompetitors(gameState)
+        .filter(p => authorIds.includes(p.id))
+        .map(p => ({ id: p.id, name: p.name, isBot: !!p.isBot, botPersona: p.botPersona || null }))
+    };
+  }
+}
+
+module.exports = StateProjector;
@@ -0,0 +1,114 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * TeamManager - Team roster rules for team mode
+ * Teams live in the game state ({id, name, playerIds, score}); this class only
+ * builds and rearranges them. Each player's teamId mirrors the roster.
+ */
+class TeamManager {
+  constructor(config) {
+    this.config = config;
+    this.teamNames = [
+      'Red Team', 'Blue Team', 'Green Team', 'Yellow Team',
+      'Purple Team', 'Orange Team', 'Pink Team', 'Teal Team'
+    ];
+  }
+
+  /**
+   * Smallest number of teams a game can start with (one hosts, the rest answer)
+   */
+  getMinTeams() {
+    return this.config.teams?.minTeams || 3;
+  }
+
+  /**
+   * Largest number of teams (one per team name)
+   */
+  getMaxTeams() {
+    return this.teamNames.length;
+  }
+
+  /**
+   * Number of teams to split a lobby into when nobody asked for a specific count
+   * @param {number} playerCount
+   * @returns {number}
+   */
+  defaultTeamCount(playerCount) {
+    const teamSize = this.config.teams?.teamSize || 2;
+    const count = Math.ceil(playerCount / teamSize);
+    return Math.min(this.getMaxTeams(), Math.max(this.getMinTeams(), count));
+  }
+
+  /**
+   * Create empty teams
+   * @param {number} count - Clamped between the minimum and maximum team count
+   * @returns {Array} [{id, name, playerIds, score}]
+   */
+  createTeams(count) {
+    const teamCount = Math.min(this.getMaxTeams(), Math.max(this.getMinTeams(), parseInt(count, 10) || this.getMinTeams()));
+
+    return this.teamNames.slice(0, teamCount).map(name => ({
+      id: uuidv4(),
+      name,
+      playerIds: [],
+      score: 0
+    }));
+  }
+
+  /**
+   * Team a player is on
+   */
+  getTeamOf(teams, playerId) {
+    return teams.find(t => t.playerIds.includes(playerId)) || null;
+  }
+
+  /**
+   * Move a player onto a team (off any team they were on)
+   */
+  movePlayer(teams, player, team) {
+    this.removePlayer(teams, player);
+    team.playerIds.push(player.id);
+    player.teamId = team.id;
+  }
+
+  /**
+   * Take a player off their team
+   */
+  removePlayer(teams, player) {
+    teams.forEach(t => {
+      t.playerIds = t.playerIds.filter(id => id !== player.id);
+    });
+    player.teamId = null;
+  }
+
+  /**
+   * Put a player on the team with the fewest members
+   */
+  assignToSmallestTeam(teams, player) {
+    const smallest = teams.reduce((min, t) => (t.playerIds.length < min.playerIds.length ? t : min), teams[0]);
+    this.movePlayer(teams, player, smallest);
+    return smallest;
+  }
+
+  /**
+   * Shuffle every player onto evenly sized teams
+   */
+  shuffleTeams(teams, players) {
+    teams.forEach(t => {
+      t.playerIds = [];
+    });
+
+    [...players]
+      .sort(() => Math.random() - 0.5)
+      .forEach(player => this.assignToSmallestTeam(teams, player));
+  }
+
+  /**
+   * Teams that have at least one member
+   */
+  withoutEmptyTeams(teams) {
+    return teams.filter(t => t.playerIds.length > 0);
+  }
+}
+
+module.exports = TeamManager;
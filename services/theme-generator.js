@@ -148,6 +148,38 @@ class ThemeGenerator {
     return Array.from(themes);
   }
 
+  /**
+   * Draw themes from a selection of theme packs instead of (or as well as) the built-in lists
+   * Session managers created afterwards use the merged pool
+   * @param {Array} packs - Theme packs {templates, categories, prompts}
+   * @param {boolean} includeBuiltIn - Keep the built-in themes in the pool
+   */
+  usePacks(packs = [], includeBuiltIn = true) {
+    const themes = new Set(includeBuiltIn ? this.generateThemePool() : []);
+
+    packs.forEach(pack => {
+      this.generatePackThemes(pack).forEach(theme => themes.add(theme));
+    });
+
+    // Never leave the pool empty - fall back to the built-in themes
+    this.themePool = themes.size > 0 ? Array.from(themes) : this.generateThemePool();
+  }
+
+  /**
+   * Every theme a pack can make: its prompts plus each template with each category
+   */
+  generatePackThemes(pack) {
+    const themes = [...pack.prompts];
+
+    pack.templates.forEach(template => {
+      pack.categories.forEach(category => {
+        themes.push(this.fillTemplate(template, { category }));
+      });
+    });
+
+    return themes;
+  }
+
   /**
    * Fill a template with values
    */
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_PACK_ID = 'builtin';
+const RATINGS = ['family', 'teen', 'adult'];
+const MAX_ENTRIES = 500;
+
+/**
+ * ThemePackManager - User-authored theme decks, one JSON file per pack
+ * A pack is {name, description, rating, templates, categories, prompts}; templates use a
+ * {category} placeholder filled from the pack's own categories. Packs are kept in the app's
+ * userData folder (in memory only when no folder is configured). The built-in themes from
+ * ThemeGenerator show up as the read-only 'builtin' pack.
+ */
+class ThemePackManager {
+  constructor(packDir = null) {
+    this.packDir = packDir;
+    this.packs = new Map(); // id -> pack
+  }
+
+  /**
+   * Read every pack in the pack folder (bad files are skipped)
+   */
+  load() {
+    if (!this.packDir) return;
+
+    try {
+      fs.mkdirSync(this.packDir, { recursive: true });
+    } catch (error) {
+      console.error('Failed to create theme pack folder:', error);
+      return;
+    }
+
+    fs.readdirSync(this.packDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(this.packDir, file), 'utf8'));
+          const id = path.basename(file, '.json');
+          this.packs.set(id, { id, ...this.validate(data) });
+        } catch (error) {
+          console.error(`Failed to load theme pack ${file}:`, error.message);
+        }
+      });
+
+    console.log(`[ThemePackManager] Loaded ${this.packs.size} theme pack(s) from ${this.packDir}`);
+  }
+
+  /**
+   * Check a pack and tidy it up
+   * @param {Object} data - Pack as imported or edited
+   * @returns {Object} {name, description, rating, templates, categories, prompts}
+   * @throws {Error} With a message fit to show the user
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('A theme pack must be a JSON object');
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim().substring(0, 40) : '';
+    if (!name) {
+      throw new Error('A theme pack needs a name');
+    }
+
+    const rating = data.rating || 'family';
+    if (!RATINGS.includes(rating)) {
+      throw new Error(`Content rating must be one of: ${RATINGS.join(', ')}`);
+    }
+
+    const list = (field) => {
+      const value = data[field] || [];
+      if (!Array.isArray(value)) {
+        throw new Error(`"${field}" must be a list`);
+      }
+      if (value.length > MAX_ENTRIES) {
+        throw new Error(`"${field}" can have at most ${MAX_ENTRIES} entries`);
+      }
+      return [...new Set(value
+        .filter(entry => typeof entry === 'string')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0 && entry.length < 100))];
+    };
+
+    const templates = list('templates');
+    const categories = list('categories');
+    const prompts = list('prompts');
+
+    if (templates.some(t => !t.includes('{category}'))) {
+      throw new Error('Every template needs a {category} placeholder');
+    }
+    if (templates.length > 0 && categories.length === 0) {
+      throw new Error('Templates need at least one category');
+    }
+    if (prompts.length === 0 && templates.length === 0) {
+      throw new Error('A theme pack needs prompts or templates');
+    }
+
+    return {
+      name,
+      description: typeof data.description === 'string' ? data.description.trim().substring(0, 200) : '',
+      rating,
+      templates,
+      categories,
+      prompts
+    };
+  }
+
+  /**
+   * Packs for the settings screen, the built-in themes first
+   * @returns {Array} [{id, name, description, rating, themeCount, builtIn}]
+   */
+  list() {
+    const builtIn = {
+      id: BUILT_IN_PACK_ID,
+      name: 'Classic Themes',
+      description: 'The themes that come with the game',
+      rating: 'family',
+      themeCount: null,
+      builtIn: true
+    };
+
+    return [builtIn, ...[...this.packs.values()].map(pack => ({
+      id: pack.id,
+      name: pack.name,
+      description: pack.description,
+      rating: pack.rating,
+      themeCount: pack.prompts.length + pack.templates.length * pack.categories.length,
+      builtIn: false
+    }))];
+  }
+
+  /**
+   * Whether a pack id can be picked (the built-in pack included)
+   */
+  has(id) {
+    return id === BUILT_IN_PACK_ID || this.packs.has(id);
+  }
+
+  /**
+   * A user pack by id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.packs.get(id) || null;
+  }
+
+  /**
+   * Add a pack (an id is made from its name)
+   * @returns {Object} The saved pack
+   * @throws {Error} If the pack is invalid
+   */
+  import(data) {
+    const pack = this.validate(data);
+    const id = this.createId(pack.name);
+    return this.save({ id, ...pack });
+  }
+
+  /**
+   * Replace a user pack's contents
+   * @throws {Error} If the pack doesn't exist or the new contents are invalid
+   */
+  update(id, data) {
+    if (!this.packs.has(id)) {
+      throw new Error('Theme pack not found');
+    }
+    return this.save({ id, ...this.validate(data) });
+  }
+
+  /**
+   * Delete a user pack
+   * @throws {Error} If the pack doesn't exist
+   */
+  remove(id) {
+    if (!this.packs.has(id)) {
+      throw new Error('Theme pack not found');
+    }
+    this.packs.delete(id);
+
+    if (this.packDir) {
+      fs.rmSync(this.getPackPath(id), { force: true });
+    }
+  }
+
+  /**
+   * A pack as a shareable file
+   * @returns {Object} {filename, pack} - pack without its local id
+   * @throws {Error} If the pack doesn't exist
+   */
+  export(id) {
+    const pack = this.packs.get(id);
+    if (!pack) {
+      throw new Error('Theme pack not found');
+    }
+    return { filename: `${id}.json`, pack: this.validate(pack) };
+  }
+
+  /**
+   * Keep a pack in memory and write it to the pack folder
+   */
+  save(pack) {
+    if (this.packDir) {
+      const { id, ...contents } = pack;
+      fs.mkdirSync(this.packDir, { recursive: true });
+      fs.writeFileSync(this.getPackPath(id), JSON.stringify(contents, null, 2));
+    }
+    this.packs.set(pack.id, pack);
+    return pack;
+  }
+
+  /**
+   * File name friendly id from a pack name, unique among the loaded packs
+   */
+  createId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 40) || 'pack';
+    let id = base;
+    let counter = 2;
+    while (this.has(id)) {
+      id = `${base}-${counter++}`;
+    }
+    return id;
+  }
+
+  getPackPath(id) {
+    return path.join(this.packDir, `${id}.json`);
+  }
+}
+
+ThemePackManager.BUILT_IN_PACK_ID = BUILT_IN_PACK_ID;
+
+module.exports = ThemePackManager;
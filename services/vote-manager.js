@@ -0,0 +1,113 @@
+/**
+ * VoteManager - Majority vote ("Who said it?") rounds
+ * Instead of the host matching every answer, every player votes on who wrote each answer
+ * but their own; the crowd's pick for an answer is whoever got the most votes. Ballots are kept
+ * as voterId -> {answerIndex: competitorId} for the current round only, like the audience's votes.
+ */
+class VoteManager {
+  /**
+   * The type of a round under a round mix
+   * @param {string} mix - One of VoteManager.ROUND_MIXES
+   * @param {number} roundNumber - 1 for the first round
+   * @returns {string} 'classic' or 'vote'
+   */
+  getRoundType(mix, roundNumber) {
+    switch (mix) {
+      case 'vote':
+        return 'vote';
+      case 'alternate':
+        return roundNumber % 2 === 0 ? 'vote' : 'classic';
+      default:
+        return 'classic';
+    }
+  }
+
+  /**
+   * Answers a voter can vote on: every real answer that isn't their own
+   * @param {Array} matchingAnswers - Shuffled answers [{index, playerId, penalty, removed}]
+   */
+  getBallotAnswers(matchingAnswers, voterId) {
+    return (matchingAnswers || []).filter(a => !a.removed && !a.penalty && a.playerId !== voterId);
+  }
+
+  /**
+   * Check a voter's ballot against the answers they may vote on
+   * @param {Array} picks - [{answerIndex, playerId}] (answers left out are simply not voted on)
+   * @param {Array} competitors - Everyone playing (anything with id)
+   * @returns {Object} {ballot: {answerIndex: competitorId}} or {error}
+   */
+  checkBallot(picks, matchingAnswers, voterId, competitors) {
+    if (!Array.isArray(picks)) return { error: 'Invalid votes' };
+
+    const answers = this.getBallotAnswers(matchingAnswers, voterId);
+    const authors = answers.map(a => a.playerId).filter(id => competitors.some(c => c.id === id));
+    const ballot = {};
+
+    for (const pick of picks) {
+      const answerIndex = parseInt(pick?.answerIndex, 10);
+      if (!answers.some(a => a.index === answerIndex)) return { error: 'You can\'t vote on that answer' };
+      if (!authors.includes(pick.playerId)) return { error: 'You can\'t vote for that player' };
+      ballot[answerIndex] = pick.playerId;
+    }
+    return { ballot };
+  }
+
+  /**
+   * Every answer that was voted on, with how the votes went
+   * @param {Object} votes - voterId -> {answerIndex: competitorId}
+   * @param {Array} matchingAnswers - Shuffled answers [{index, answer, playerId, penalty, removed}]
+   * @param {Array} competitors - Everyone playing (anything with id and name)
+   * @returns {Array} Round results in answer order, shaped like the host's: the crowd's pick is the
+   *   guessedPlayer (nobody when the vote was split or empty), plus
+   *   votes: {votes, correct, tally: [{id, name, count}]} with the most voted first
+   */
+  calculateRoundResults(votes, matchingAnswers, competitors) {
+    const ballots = Object.values(votes);
+
+    return this.getBallotAnswers(matchingAnswers, null)
+      .map(slot => {
+        const actualPlayer = competitors.find(c => c.id === slot.playerId);
+        if (!actualPlayer) return null;
+
+        const tally = competitors
+          .map(c => ({ id: c.id, name: c.name, count: ballots.filter(b => b[slot.index] === c.id).length }))
+          .filter(t => t.count > 0)
+          .sort((a, b) => b.count - a.count);
+        const total = tally.reduce((sum, t) => sum + t.count, 0);
+        const correct = tally.find(t => t.id === slot.playerId)?.count || 0;
+        const isSplit = tally.length > 1 && tally[0].count === tally[1].count;
+        const pick = tally.length > 0 && !isSplit ? tally[0] : null;
+
+        return {
+          guessedPlayerId: pick ? pick.id : null,
+          guessedPlayer: pick ? { id: pick.id, name: pick.name } : { id: null, name: isSplit ? 'Split vote' : 'No votes' },
+          actualPlayerId: slot.playerId,
+          actualPlayer: { id: actualPlayer.id, name: actualPlayer.name },
+          answer: slot.answer,
+          answerIndex: slot.index,
+          isNoAnswer: false,
+          isCorrect: !!pick && pick.id === slot.playerId,
+          votes: { votes: total, correct, tally }
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Every single vote, for the scoring rules
+   * @returns {Array} [{voterId, authorId, isCorrect}]
+   */
+  listVotes(votes, matchingAnswers) {
+    return Object.entries(votes).flatMap(([voterId, ballot]) =>
+      Object.entries(ballot)
+        .map(([answerIndex, competitorId]) => ({ slot: matchingAnswers[answerIndex], competitorId }))
+        .filter(({ slot }) => slot && !slot.removed)
+        .map(({ slot, competitorId }) => ({ voterId, authorId: slot.playerId, isCorrect: competitorId === slot.playerId }))
+    );
+  }
+}
+
+// classic: every round is hosted, vote: every round is a vote, alternate: every other round is a vote
+VoteManager.ROUND_MIXES = ['classic', 'vote', 'alternate'];
+
+module.exports = VoteManager;
@@ -0,0 +1,445 @@
+/**
+ * Audience Phone Script - Spectator view for Know Your Crowd
+ * Spectators follow the game and vote on who wrote each answer while the host matches
+ */
+(function() {
+  const ui = new UIController();
+  let socket;
+  let spectator = null;
+  let gameState = null;
+
+  // Voting state for the current round
+  let votes = {}; // answerIndex -> competitorId
+  let answersData = [];
+  let playersData = [];
+
+  // Initialize
+  function init() {
+    connectSocket();
+    setupEventListeners();
+    checkUrlParameters();
+  }
+
+  // Check URL parameters for auto-fill room code from QR scan
+  function checkUrlParameters() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const roomCode = urlParams.get('room');
+
+    if (roomCode) {
+      const roomCodeInput = document.getElementById('room-code');
+      if (roomCodeInput) {
+        roomCodeInput.value = roomCode.toUpperCase();
+        document.getElementById('player-name')?.focus();
+      }
+    }
+  }
+
+  // Connect to Socket.io
+  function connectSocket() {
+    socket = io();
+
+    socket.on('connect', () => {
+      console.log('Connected to server');
+
+      // Rejoin after a page reload
+      const storedSession = ui.retrieve('audience_session');
+      if (storedSession) {
+        socket.emit('reconnect_audience', {
+          spectatorId: storedSession.spectatorId,
+          sessionToken: storedSession.sessionToken,
+          roomCode: storedSession.roomCode
+        });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Disconnected from server');
+    });
+
+    // Join events
+    socket.on('audience_joined', handleAudienceJoined);
+    socket.on('audience_reconnected', handleAudienceJoined);
+    socket.on('join_error', handleJoinError);
+    socket.on('reconnect_failed', handleReconnectFailed);
+
+    // Game events
+    socket.on('game_started', handleGameStarted);
+    socket.on('phase_changed', handlePhaseChanged);
+    socket.on('theme_selected', handleThemeSelected);
+    socket.on('timer_update', handleTimerUpdate);
+    socket.on('game_paused', handleGamePaused);
+    socket.on('settings_updated', handleSettingsUpdated);
+    socket.on('audience_voting_start', handleVotingStart);
+    socket.on('matching_answers_updated', handleAnswersUpdated);
+    socket.on('audience_vote_recorded', handleVoteRecorded);
+    socket.on('audience_score', handleAudienceScore);
+    socket.on('reveal_result', handleRevealResult);
+    socket.on('round_end', handleRoundEnd);
+    socket.on('sudden_death_start', handleSuddenDeathStart);
+    socket.on('game_over', handleGameOver);
+    socket.on('game_reset', handleGameReset);
+    socket.on('sound_pack_changed', (data) => ui.audio?.loadPack(data.soundPack));
+    socket.on('error', handleError);
+  }
+
+  // Setup event listeners
+  function setupEventListeners() {
+    const joinForm = document.getElementById('join-form');
+    if (joinForm) {
+      joinForm.addEventListener('submit', handleJoinSubmit);
+    }
+
+    const roomCodeInput = document.getElementById('room-code');
+    if (roomCodeInput) {
+      roomCodeInput.addEventListener('input', (e) => {
+        e.target.value = e.target.value.toUpperCase();
+      });
+    }
+  }
+
+  // Handle join form submission
+  function handleJoinSubmit(e) {
+    e.preventDefault();
+
+    const roomCode = document.getElementById('room-code').value.trim().toUpperCase();
+    const name = document.getElementById('player-name').value.trim();
+
+    if (!roomCode || !name) {
+      ui.showError('join-error', 'Please enter room code and name');
+      return;
+    }
+
+    socket.emit('join_audience', { roomCode, name });
+  }
+
+  // Handle joining (or rejoining) the audience
+  function handleAudienceJoined(data) {
+    spectator = data.spectator;
+    gameState = data.gameState;
+    votes = { ...(data.gameState.audienceVotes || {}) };
+    ui.audio?.loadPack(gameState.soundPack);
+
+    ui.store('audience_session', {
+      spectatorId: spectator.id,
+      sessionToken: spectator.sessionToken,
+      roomCode: gameState.roomCode
+    });
+
+    ui.hideError('join-error');
+    ui.setText('your-name', spectator.name);
+    ui.setText('your-score', spectator.score);
+    ui.setText('your-final-score', spectator.score);
+    updateDisplayForCurrentPhase();
+    ui.showPausedOverlay(!!gameState.isPaused);
+    ui.vibrate(50);
+  }
+
+  // Handle join error
+  function handleJoinError(data) {
+    ui.showError('join-error', data.message);
+  }
+
+  // Handle reconnection failure
+  function handleReconnectFailed() {
+    ui.clearStore('audience_session');
+    ui.showScreen('join-screen');
+  }
+
+  // Handle game started
+  function handleGameStarted(data) {
+    if (!gameState) return;
+    gameState.totalRounds = data.totalRounds;
+  }
+
+  // Handle phase change
+  function handlePhaseChanged(data) {
+    if (!gameState) return;
+    gameState.phase = data.phase;
+    if (data.currentHost) {
+      gameState.currentHost = data.currentHost;
+    }
+    if (data.currentRound) {
+      gameState.currentRound = data.currentRound;
+    }
+    if (data.theme) {
+      gameState.selectedTheme = data.theme;
+    }
+
+    switch (data.phase) {
+      case 'theme_select':
+        votes = {};
+        gameState.selectedTheme = null;
+        showWatchScreen(`${data.currentHost?.name || 'The host'} is picking a theme for round ${gameState.currentRound}...`);
+        break;
+      case 'answering':
+        showWatchScreen('Players are writing their answers...');
+        break;
+      case 'voting':
+        showWatchScreen('The players are voting on who said what...');
+        break;
+      case 'reveal':
+        ui.showScreen('reveal-screen');
+        break;
+    }
+  }
+
+  // Show the watching screen with a status line (and the theme once there is one)
+  function showWatchScreen(status) {
+    ui.showScreen('watch-screen');
+    ui.setText('watch-status', status);
+    ui.setText('watch-timer', '');
+
+    if (gameState.selectedTheme) {
+      ui.setText('theme-text', gameState.selectedTheme);
+      ui.toggleElement('watch-theme', true);
+    } else {
+      ui.toggleElement('watch-theme', false);
+    }
+  }
+
+  // Handle theme selected
+  function handleThemeSelected(data) {
+    if (!gameState) return;
+    gameState.selectedTheme = data.theme;
+  }
+
+  // The display changed the timers or rounds - new timers show from the next phase
+  function handleSettingsUpdated(data) {
+    if (gameState) gameState.totalRounds = data.totalRounds;
+  }
+
+  // The main display paused or resumed the game
+  function handleGamePaused(data) {
+    if (gameState) gameState.isPaused = data.paused;
+    ui.showPausedOverlay(data.paused);
+  }
+
+  // Handle timer updates
+  function handleTimerUpdate(data) {
+    const timerMap = {
+      'themeSelection': 'watch-timer',
+      'answering': 'watch-timer',
+      'matching': 'vote-timer',
+      'voting': 'watch-timer'
+    };
+
+    const timerId = timerMap[data.phase];
+    if (timerId) {
+      ui.updateTimer(timerId, data.remaining);
+    }
+    ui.playTimerSound(data);
+  }
+
+  // Voting opens with the anonymous answers the host is matching
+  function handleVotingStart(data) {
+    if (!spectator) return;
+
+    answersData = data.answers || [];
+    playersData = data.players || [];
+
+    ui.showScreen('vote-screen');
+    ui.setText('vote-host-name', gameState?.currentHost?.name || 'the host');
+    buildVotingUI();
+  }
+
+  // The host vetoed an answer (votes for it are dropped), its rewrite came in, or a player was removed
+  function handleAnswersUpdated(data) {
+    if (!spectator || !gameState || gameState.phase !== 'matching') return;
+
+    answersData = data.answers || [];
+    playersData = data.players || playersData;
+    Object.keys(votes).forEach(answerIndex => {
+      const answer = answersData.find(a => String(a.index) === answerIndex);
+      if (!answer || answer.rewriting) {
+        delete votes[answerIndex];
+      }
+    });
+    buildVotingUI();
+  }
+
+  // Build one card per answer with a button for each possible author
+  function buildVotingUI() {
+    const voteList = document.getElementById('vote-list');
+    if (!voteList) return;
+
+    voteList.innerHTML = answersData.map((a, idx) => {
+      const answerIndex = a.index !== undefined ? a.index : idx;
+      if (a.rewriting) {
+        return '<div class="vote-card rewriting"><p class="answer-text">✏️ Being rewritten...</p></div>';
+      }
+      const options = playersData.map(p => {
+        const chosen = votes[answerIndex] === p.id ? ' chosen' : '';
+        return `<button type="button" class="vote-option${chosen}" data-answer="${answerIndex}" data-player="${p.id}">${ui.escapeHtml(p.name)}</button>`;
+      }).join('');
+
+      return `
+        <div class="vote-card">
+          <p class="answer-text">"${ui.escapeHtml(a.answer)}"</p>
+          <div class="vote-options">${options}</div>
+        </div>
+      `;
+    }).join('');
+
+    voteList.querySelectorAll('.vote-option').forEach(option => {
+      option.addEventListener('click', () => {
+        socket.emit('audience_vote', {
+          answerIndex: parseInt(option.dataset.answer, 10),
+          playerId: option.dataset.player
+        });
+        ui.vibrate(25);
+      });
+    });
+
+    updateVoteProgress();
+  }
+
+  // Server confirmed a vote - mark every choice made so far
+  function handleVoteRecorded(data) {
+    votes = { ...data.votes };
+
+    document.querySelectorAll('.vote-option').forEach(option => {
+      option.classList.toggle('chosen', votes[option.dataset.answer] === option.dataset.player);
+    });
+
+    updateVoteProgress();
+  }
+
+  // Update the voted counter
+  function updateVoteProgress() {
+    ui.setText('votes-count', Object.keys(votes).length);
+    ui.setText('votes-total', answersData.length);
+  }
+
+  // Handle this spectator's updated score
+  function handleAudienceScore(data) {
+    if (!spectator) return;
+    spectator.score = data.score;
+    ui.setText('your-score', data.score);
+    ui.setText('your-final-score', data.score);
+  }
+
+  // Handle reveal result
+  function handleRevealResult(data) {
+    if (!spectator) return;
+    ui.showScreen('reveal-screen');
+
+    ui.setText('reveal-answer-text', `"${data.answer}"`);
+    ui.setText('reveal-actual', data.actualPlayer.name);
+    ui.setText('reveal-progress', `${data.index + 1}/${data.total}`);
+
+    const myVote = votes[data.answerIndex];
+    const votedFor = playersData.find(p => p.id === myVote);
+    if (votedFor) {
+      ui.setText('reveal-your-vote', `${votedFor.name} ${myVote === data.actualPlayer.id ? '✓' : '✗'}`);
+    } else {
+      ui.setText('reveal-your-vote', '-');
+    }
+
+    ui.setText('reveal-audience', data.audience
+      ? `Audience got it right: ${data.audience.accuracy}% (${data.audience.correct}/${data.audience.votes})`
+      : '');
+
+    if (myVote === data.actualPlayer.id) {
+      ui.vibrate(100);
+    }
+    if (myVote) {
+      ui.playSound(myVote === data.actualPlayer.id ? 'correct' : 'wrong');
+    }
+  }
+
+  // Handle round end
+  function handleRoundEnd(data) {
+    if (!spectator) return;
+    ui.showScreen('round-end-screen');
+    ui.setText('round-number', data.currentRound);
+
+    ui.updateScoreboard('scoreboard-list', data.scoreboard, {
+      currentRound: data.currentRound,
+      totalRounds: gameState?.totalRounds
+    });
+    showAudienceLeaderboard('audience-board', 'audience-leaderboard', data.audienceLeaderboard);
+  }
+
+  // Show the audience leaderboard (hidden when it's switched off)
+  function showAudienceLeaderboard(containerId, listId, leaderboard) {
+    const hasLeaderboard = Array.isArray(leaderboard) && leaderboard.length > 0;
+    ui.toggleElement(containerId, hasLeaderboard);
+    if (hasLeaderboard) {
+      ui.updateScoreboard(listId, leaderboard, { currentPlayerId: spectator?.id });
+    }
+  }
+
+  // Handle sudden death
+  function handleSuddenDeathStart(data) {
+    if (!gameState) return;
+    gameState.selectedTheme = null;
+    showWatchScreen(`⚡ Sudden death! ${data.message}`);
+    ui.playSound('suddenDeath');
+  }
+
+  // Handle game over
+  function handleGameOver(data) {
+    if (!spectator) return;
+    ui.showScreen('game-over-screen');
+    ui.playSound('winner');
+
+    ui.setText('winner-name', data.winner.name);
+    ui.setText('winner-score', data.winner.score);
+    showAudienceLeaderboard('final-audience-board', 'final-audience-leaderboard', data.audienceLeaderboard);
+  }
+
+  // Handle game reset (play again) - audience scores start over too
+  function handleGameReset() {
+    if (!spectator) return;
+    gameState.phase = 'lobby';
+    gameState.selectedTheme = null;
+    spectator.score = 0;
+    votes = {};
+    ui.setText('your-score', 0);
+    ui.setText('your-final-score', 0);
+    showWatchScreen('Waiting for the game to start...');
+  }
+
+  // Handle error
+  function handleError(data) {
+    console.error('Error:', data.message);
+  }
+
+  // Show the screen for the phase the game is in (after joining mid-game)
+  function updateDisplayForCurrentPhase() {
+    switch (gameState.phase) {
+      case 'theme_select':
+        showWatchScreen(`${gameState.currentHost?.name || 'The host'} is picking a theme...`);
+        break;
+      case 'answering':
+        showWatchScreen('Players are writing their answers...');
+        break;
+      case 'matching':
+        // audience_voting_start follows straight after
+        ui.showScreen('vote-screen');
+        break;
+      case 'voting':
+        showWatchScreen('The players are voting on who said what...');
+        break;
+      case 'reveal':
+      case 'round_end':
+        ui.showScreen('reveal-screen');
+        break;
+      case 'sudden_death':
+        showWatchScreen('⚡ Sudden death!');
+        break;
+      case 'game_over':
+        ui.showScreen('game-over-screen');
+        break;
+      default:
+        showWatchScreen('Waiting for the game to start...');
+    }
+  }
+
+  // Initialize on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,255 @@
+/**
+ * Audio Manager - Sound effects and music for every screen
+ * Plays the room's sound pack through Web Audio: sound files the pack brings, and
+ * the built-in synth notes for anything it leaves out. Music and sound effects have
+ * their own volume, kept per device. Browsers (phones especially) only allow audio
+ * after the first tap, so sounds before then are skipped and music waits for it.
+ */
+class AudioManager {
+  constructor() {
+    this.settings = { music: 0.4, sfx: 0.8, muted: false, ...this.loadSettings() };
+    this.context = null;
+    this.packId = null;
+    this.sounds = {}; // cue -> {type: 'sfx'|'music', url} or {type, wave, notes}
+    this.buffers = {}; // cue -> decoded AudioBuffer of the pack's file
+    this.loading = null; // Pack id being fetched - a newer pick wins
+    this.musicName = null; // Music that should be playing (starts once audio is unlocked)
+    this.musicNodes = [];
+    this.musicTimer = null;
+
+    this.createContext();
+    this.listenForUnlock();
+  }
+
+  // Web Audio graph: music and sound effects each through their own gain, then the master (mute)
+  createContext() {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (!Context) return;
+
+    this.context = new Context();
+    this.master = this.context.createGain();
+    this.musicGain = this.context.createGain();
+    this.sfxGain = this.context.createGain();
+    this.musicGain.connect(this.master);
+    this.sfxGain.connect(this.master);
+    this.master.connect(this.context.destination);
+    this.applySettings();
+  }
+
+  // Resume audio on the first tap, click or key press
+  listenForUnlock() {
+    if (!this.context) return;
+
+    const events = ['pointerdown', 'touchend', 'keydown'];
+    const unlock = () => {
+      this.context.resume().then(() => {
+        // iOS wants something played from inside the gesture
+        const source = this.context.createBufferSource();
+        source.buffer = this.context.createBuffer(1, 1, 22050);
+        source.connect(this.context.destination);
+        source.start(0);
+
+        events.forEach(event => document.removeEventListener(event, unlock, true));
+        this.startMusic();
+      }).catch(err => console.error('Failed to unlock audio:', err));
+    };
+
+    events.forEach(event => document.addEventListener(event, unlock, true));
+  }
+
+  get isUnlocked() {
+    return !!this.context && this.context.state === 'running';
+  }
+
+  /**
+   * Load a sound pack and preload its files (unknown packs fall back to the built-in sounds)
+   * @param {string} packId - From the room's soundPack
+   * @param {string} base - Server URL prefix ('' on the server's own pages)
+   */
+  async loadPack(packId, base = '') {
+    packId = packId || 'builtin';
+    if (packId === this.packId || packId === this.loading) return;
+    this.loading = packId;
+
+    try {
+      let res = await fetch(`${base}/api/sound-packs/${encodeURIComponent(packId)}`);
+      if (!res.ok && packId !== 'builtin') {
+        res = await fetch(`${base}/api/sound-packs/builtin`);
+      }
+      const manifest = await res.json();
+      if (this.loading !== packId) return;
+
+      const buffers = {};
+      await Promise.all(Object.entries(manifest.sounds).filter(([, sound]) => sound.url).map(async ([cue, sound]) => {
+        try {
+          const file = await fetch(`${base}${sound.url}`);
+          if (this.context && file.ok) {
+            buffers[cue] = await this.context.decodeAudioData(await file.arrayBuffer());
+          }
+        } catch (err) {
+          console.error(`Failed to load sound ${cue}:`, err);
+        }
+      }));
+      if (this.loading !== packId) return;
+
+      this.packId = packId;
+      this.sounds = manifest.sounds;
+      this.buffers = buffers;
+      this.loading = null;
+
+      // Music carries on with the new pack's version
+      this.haltMusic();
+      this.startMusic();
+    } catch (err) {
+      console.error('Failed to load sound pack:', err);
+      this.loading = null;
+    }
+  }
+
+  /**
+   * Play a sound effect once
+   */
+  play(cue) {
+    const sound = this.sounds[cue];
+    if (!sound || !this.isUnlocked) return;
+
+    const output = sound.type === 'music' ? this.musicGain : this.sfxGain;
+    if (this.buffers[cue]) {
+      this.playBuffer(this.buffers[cue], output);
+    } else if (sound.notes) {
+      this.playNotes(sound, output);
+    }
+  }
+
+  /**
+   * Loop a music cue until stopMusic() (or another playMusic())
+   */
+  playMusic(name) {
+    if (this.musicName === name) return;
+    this.haltMusic();
+    this.musicName = name;
+    this.startMusic();
+  }
+
+  stopMusic() {
+    this.musicName = null;
+    this.haltMusic();
+  }
+
+  // Start the music that should be playing, if it can
+  startMusic() {
+    const sound = this.sounds[this.musicName];
+    if (!sound || !this.isUnlocked || this.musicNodes.length > 0) return;
+
+    if (this.buffers[this.musicName]) {
+      this.musicNodes = [this.playBuffer(this.buffers[this.musicName], this.musicGain, true)];
+      return;
+    }
+
+    // Synth music: play the notes, then again once they've finished
+    const loop = () => {
+      const { nodes, duration } = this.playNotes(sound, this.musicGain);
+      this.musicNodes = nodes;
+      this.musicTimer = setTimeout(loop, duration * 1000);
+    };
+    loop();
+  }
+
+  // Stop whatever music is sounding (without forgetting which music should play)
+  haltMusic() {
+    clearTimeout(this.musicTimer);
+    this.musicTimer = null;
+    this.musicNodes.forEach(node => {
+      try {
+        node.stop();
+      } catch (e) {
+        // Already finished
+      }
+    });
+    this.musicNodes = [];
+  }
+
+  playBuffer(buffer, output, loop = false) {
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+    source.connect(output);
+    source.start();
+    return source;
+  }
+
+  // Built-in sounds: each [frequency, seconds] note as a short enveloped tone (frequency 0 is a rest)
+  playNotes(sound, output) {
+    const start = this.context.currentTime + 0.01;
+    const nodes = [];
+    let time = start;
+
+    sound.notes.forEach(([frequency, seconds]) => {
+      if (frequency > 0) {
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        oscillator.type = sound.wave || 'sine';
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(0.3, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + seconds);
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(time);
+        oscillator.stop(time + seconds + 0.02);
+        nodes.push(oscillator);
+      }
+      time += seconds;
+    });
+
+    return { nodes, duration: time - start };
+  }
+
+  /**
+   * Volume of 'music' or 'sfx', 0 to 1 (kept on this device)
+   */
+  setVolume(kind, value) {
+    if (!['music', 'sfx'].includes(kind)) return;
+    this.settings[kind] = Math.min(Math.max(Number(value) || 0, 0), 1);
+    this.saveSettings();
+  }
+
+  setMuted(muted) {
+    this.settings.muted = !!muted;
+    this.saveSettings();
+  }
+
+  toggleMuted() {
+    this.setMuted(!this.settings.muted);
+    return this.settings.muted;
+  }
+
+  applySettings() {
+    if (!this.context) return;
+    this.master.gain.value = this.settings.muted ? 0 : 1;
+    this.musicGain.gain.value = this.settings.music;
+    this.sfxGain.gain.value = this.settings.sfx;
+  }
+
+  saveSettings() {
+    this.applySettings();
+    try {
+      localStorage.setItem('kyc_audio', JSON.stringify(this.settings));
+    } catch (e) {
+      console.error('Failed to store audio settings:', e);
+    }
+  }
+
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem('kyc_audio')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.AudioManager = AudioManager;
+}
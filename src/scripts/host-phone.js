@@ -77,7 +77,7 @@
     const playersList = document.getElementById('players-list');
     if (playersList) {
       playersList.innerHTML = playersData.map(p => 
-        `<div class="item player" data-id="${p.id}">${ui.escapeHtml(p.name)}</div>`
+        `<div class="item player" data-id="${p.id}">${ui.escapeHtml(p.name)}${ui.botBadge(p)}</div>`
       ).join('');
       
       // Add tap listeners to players
@@ -231,10 +231,13 @@
     socket.on('theme_selected', handleThemeSelected);
     socket.on('submission_progress', handleSubmissionProgress);
     socket.on('timer_update', handleTimerUpdate);
+    socket.on('game_paused', handleGamePaused);
+    socket.on('settings_updated', handleSettingsUpdated);
     socket.on('matching_phase_start', handleMatchingStart);
     socket.on('round_end', handleRoundEnd);
     socket.on('game_over', handleGameOver);
     socket.on('game_reset', handleGameReset);
+    socket.on('sound_pack_changed', (data) => ui.audio?.loadPack(data.soundPack));
     socket.on('error', handleError);
   }
 
@@ -242,7 +245,8 @@
   function attemptReconnect(session) {
     socket.emit('reconnect_player', {
       playerId: session.playerId,
-      sessionToken: session.sessionToken
+      sessionToken: session.sessionToken,
+      roomCode: session.roomCode
     });
   }
 
@@ -297,6 +301,7 @@
   function handleRoomJoined(data) {
     player = data.player;
     gameState = { players: data.players, phase: 'lobby' };
+    ui.audio?.loadPack(data.soundPack);
 
     // Store session for reconnection
     ui.store('session', {
@@ -320,6 +325,7 @@
   function handleReconnected(data) {
     player = data.player;
     gameState = data.gameState;
+    ui.audio?.loadPack(gameState.soundPack);
     
     // Store themes if provided (for theme selection phase)
     if (data.themes) {
@@ -327,6 +333,7 @@
     }
     
     updateDisplayForCurrentPhase();
+    ui.showPausedOverlay(!!gameState.isPaused);
   }
 
   // Handle reconnect failed
@@ -458,7 +465,7 @@
     if (statusList) {
       statusList.innerHTML = nonHostPlayers.map(p => `
         <li>
-          <span>${ui.escapeHtml(p.name)}</span>
+          <span>${ui.escapeHtml(p.name)}${ui.botBadge(p)}</span>
           <span class="status-icon pending">⏳</span>
         </li>
       `).join('');
@@ -483,6 +490,17 @@
     }
   }
 
+  // The display changed the timers or rounds - new timers show from the next phase
+  function handleSettingsUpdated(data) {
+    if (gameState) gameState.totalRounds = data.totalRounds;
+  }
+
+  // The main display paused or resumed the game
+  function handleGamePaused(data) {
+    if (gameState) gameState.isPaused = data.paused;
+    ui.showPausedOverlay(data.paused);
+  }
+
   // Handle timer update
   function handleTimerUpdate(data) {
     const timerMap = {
@@ -495,6 +513,7 @@
     if (timerId) {
       ui.updateTimer(timerId, data.remaining);
     }
+    ui.playTimerSound(data);
   }
 
   // Handle matching phase start
@@ -530,6 +549,7 @@
     
     if (data.hostScore.isPerfect) {
       ui.toggleElement('perfect-bonus', true);
+      ui.playSound('perfectRound');
     } else {
       ui.toggleElement('perfect-bonus', false);
     }
@@ -540,6 +560,7 @@
   // Handle game over
   function handleGameOver(data) {
     ui.showScreen('game-over-screen');
+    ui.playSound('winner');
     
     ui.setText('winner-name', data.winner.name);
     ui.setText('winner-score', data.winner.score);
@@ -0,0 +1,112 @@
+/**
+ * Host Voice - Reads the game out on the main display with the browser's own speech (Web Speech API)
+ * Only voices installed on the machine are offered, so it works without the internet.
+ * A line never cuts off the one before it: each is fitted into the time the screen
+ * stays up - a shorter wording, then a faster rate - and queued behind anything still being said.
+ */
+class HostVoice {
+  constructor() {
+    this.synth = typeof window !== 'undefined' ? window.speechSynthesis : null;
+    this.settings = { enabled: false, voice: null, rate: 1, pitch: 1, ...this.loadSettings() };
+    this.WORDS_PER_SECOND = 2.6; // At rate 1 - roughly how fast the voices talk
+    this.MAX_RATE = 1.8;
+    this.onVoicesChanged = null; // Chrome loads its voices after the page - set to refresh a voice picker
+
+    this.synth?.addEventListener?.('voiceschanged', () => this.onVoicesChanged?.());
+  }
+
+  get isSupported() {
+    return !!this.synth && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /**
+   * Voices installed on this machine (every voice if none says it's local)
+   * @returns {Array} [{id, name, lang}]
+   */
+  getVoices() {
+    if (!this.isSupported) return [];
+    const voices = this.synth.getVoices();
+    const local = voices.filter(v => v.localService);
+    return (local.length > 0 ? local : voices).map(v => ({ id: v.voiceURI, name: v.name, lang: v.lang }));
+  }
+
+  /**
+   * Say the first wording that fits in maxSeconds, speeding up (to MAX_RATE) if none does
+   * @param {string|Array} wordings - Longest first
+   * @param {number} maxSeconds - How long until the screen moves on (no limit if left out)
+   * @returns {Promise} Resolves when the line has been said (or straight away when the voice is off)
+   */
+  say(wordings, maxSeconds = Infinity) {
+    if (!this.settings.enabled || !this.isSupported) return Promise.resolve();
+
+    const options = (Array.isArray(wordings) ? wordings : [wordings]).filter(Boolean);
+    if (options.length === 0) return Promise.resolve();
+
+    const rate = this.settings.rate;
+    const fits = options.find(text => this.estimateSeconds(text, rate) <= maxSeconds);
+    const text = fits || options[options.length - 1];
+    const fittedRate = fits ? rate : Math.min(this.MAX_RATE, Math.max(rate, rate * this.estimateSeconds(text, rate) / maxSeconds));
+
+    return this.speak(text, fittedRate);
+  }
+
+  // Queue a line (speechSynthesis plays lines one after another)
+  speak(text, rate = this.settings.rate) {
+    return new Promise(resolve => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voice = this.synth.getVoices().find(v => v.voiceURI === this.settings.voice);
+      if (voice) utterance.voice = voice;
+      utterance.rate = rate;
+      utterance.pitch = this.settings.pitch;
+      utterance.onend = resolve;
+      utterance.onerror = resolve;
+      this.synth.speak(utterance);
+    });
+  }
+
+  // Rough length of a line: words at the voice's pace, plus a beat for each pause ("..." or a comma)
+  estimateSeconds(text, rate) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const pauses = (text.match(/\.\.\.|,|!|\?/g) || []).length;
+    return (words / this.WORDS_PER_SECOND + pauses * 0.3) / rate;
+  }
+
+  /**
+   * Stop talking and drop anything queued (a new game, a replay)
+   */
+  stop() {
+    if (this.isSupported) this.synth.cancel();
+  }
+
+  /**
+   * Change enabled, voice, rate (0.5 - 1.5) or pitch (0 - 2), kept on this device
+   */
+  update(changes) {
+    const settings = { ...this.settings, ...changes };
+    settings.enabled = !!settings.enabled;
+    settings.rate = Math.min(Math.max(Number(settings.rate) || 1, 0.5), 1.5);
+    const pitch = Number(settings.pitch);
+    settings.pitch = Number.isFinite(pitch) ? Math.min(Math.max(pitch, 0), 2) : 1;
+    this.settings = settings;
+
+    if (!settings.enabled) this.stop();
+    try {
+      localStorage.setItem('kyc_voice', JSON.stringify(settings));
+    } catch (e) {
+      console.error('Failed to store voice settings:', e);
+    }
+  }
+
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem('kyc_voice')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.HostVoice = HostVoice;
+}
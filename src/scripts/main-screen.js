@@ -3,11 +3,23 @@
  */
 (function() {
   const ui = new UIController();
+  const voice = new HostVoice();
   let socket;
   let gameState = null;
   let serverInfo = null;
   let timerIntervals = {};
   let previousScoreboard = null; // Track previous round's scoreboard for comparison
+  let pendingPackAction = null; // {action: 'edit'|'export', packId} waiting for theme_pack_data
+  let editingPackId = null;
+  let replay = null; // {game, steps, index, timer, roundIndicator} while a past game plays back on this screen
+  let previousReplayScores = null; // The replay's own previousScoreboard
+  let announcerTimer = null; // Hides the announcer's lower third
+  let soundPacks = []; // Sound packs for the settings, from /api/sound-packs
+  let revealAck = null; // {index, timer} - the reveal step on screen, acknowledged once it has been shown
+  const ANNOUNCER_SECONDS = 6;
+  const REVEAL_ANIMATION_SECONDS = 2; // The reveal card's result pops in after 1.5s and settles by 2s
+  // Room this display shows - from /display?room=XXXX, otherwise assigned by the server
+  let roomCode = new URLSearchParams(window.location.search).get('room');
 
   // Initialize
   function init() {
@@ -35,17 +47,18 @@
       showApiSetupModal();
     });
 
+    // Keyboard shortcuts from the app window
+    window.electronAPI.onGameControl?.((action) => {
+      if (action === 'toggle-pause') togglePause();
+      if (action === 'extend-time') extendTime();
+    });
+
     // Also proactively request server info in case the event already fired
     try {
       const info = await window.electronAPI.getServerInfo();
       if (info && !serverInfo) {
         serverInfo = info;
         connectSocket(info);
-        // Fetch QR code from server
-        fetch(`http://localhost:${info.port}/qr`)
-          .then(res => res.json())
-          .then(data => updateConnectionInfo(data))
-          .catch(err => console.error('Failed to get QR:', err));
       }
     } catch (err) {
       console.error('Failed to get server info:', err);
@@ -57,13 +70,14 @@
     // Connect to current host
     const host = window.location.origin;
     connectSocket({ url: host });
-    
-    // Fetch connection info
-    fetch('/qr')
+  }
+
+  // Fetch the QR code and join URL for this display's room
+  function fetchConnectionInfo(code) {
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    fetch(`${base}/qr?room=${encodeURIComponent(code)}`)
       .then(res => res.json())
-      .then(data => {
-        updateConnectionInfo(data);
-      })
+      .then(data => updateConnectionInfo(data))
       .catch(err => console.error('Failed to get QR:', err));
   }
 
@@ -74,7 +88,7 @@
 
     socket.on('connect', () => {
       console.log('Connected to server');
-      socket.emit('join_as_display');
+      socket.emit('join_as_display', { roomCode, revealAcks: true });
     });
 
     socket.on('disconnect', () => {
@@ -83,21 +97,35 @@
 
     // Game state updates
     socket.on('game_state', handleGameState);
+    socket.on('game_paused', handleGamePaused);
+    socket.on('settings_updated', handleSettingsUpdated);
     socket.on('player_joined', handlePlayerJoined);
+    socket.on('late_joiners_admitted', handleLateJoinersAdmitted);
+    socket.on('teams_updated', handleTeamsUpdated);
     socket.on('player_disconnected', handlePlayerDisconnected);
     socket.on('game_started', handleGameStarted);
     socket.on('phase_changed', handlePhaseChanged);
     socket.on('themes_generated', handleThemesGenerated);
     socket.on('theme_selected', handleThemeSelected);
     socket.on('submission_progress', handleSubmissionProgress);
+    socket.on('voting_progress', handleVotingProgress);
     socket.on('timer_update', handleTimerUpdate);
     socket.on('matching_phase_start', handleMatchingStart);
+    socket.on('matching_answers_updated', handleMatchingAnswersUpdated);
     socket.on('matches_submitted', handleMatchesSummary);
     socket.on('reveal_result', handleRevealResult);
+    socket.on('audience_updated', handleAudienceUpdated);
     socket.on('round_end', handleRoundEnd);
+    socket.on('announcer_line', handleAnnouncerLine);
     socket.on('sudden_death_start', handleSuddenDeathStart);
     socket.on('game_over', handleGameOver);
     socket.on('game_reset', handleGameReset);
+
+    // Theme pack library (settings)
+    socket.on('theme_packs_updated', handleThemePacksUpdated);
+    socket.on('theme_pack_data', handleThemePackData);
+    socket.on('sound_pack_changed', handleSoundPackChanged);
+    socket.on('error', handleError);
   }
 
   // Update connection info display
@@ -117,6 +145,7 @@
 
     if (info.url) {
       ui.setText('server-url', info.url);
+      ui.setText('audience-url', `${info.url}&audience=1`);
     }
   }
 
@@ -128,6 +157,58 @@
       startBtn.addEventListener('click', handleStartGame);
     }
 
+    // Team mode buttons
+    const teamModeBtn = document.getElementById('team-mode-btn');
+    if (teamModeBtn) {
+      teamModeBtn.addEventListener('click', toggleTeamMode);
+    }
+
+    const shuffleTeamsBtn = document.getElementById('shuffle-teams-btn');
+    if (shuffleTeamsBtn) {
+      shuffleTeamsBtn.addEventListener('click', () => socket?.emit('shuffle_teams'));
+    }
+
+    // Family-friendly moderation toggle
+    const familyFriendlyBtn = document.getElementById('family-friendly-btn');
+    if (familyFriendlyBtn) {
+      familyFriendlyBtn.addEventListener('click', () => socket?.emit('set_family_friendly', { enabled: !gameState?.familyFriendly }));
+    }
+
+    // Scoring preset picker
+    const gamePresetSelect = document.getElementById('game-preset-select');
+    if (gamePresetSelect) {
+      gamePresetSelect.addEventListener('change', () => socket?.emit('set_game_preset', { preset: gamePresetSelect.value || null }));
+    }
+
+    const scoringSelect = document.getElementById('scoring-preset-select');
+    if (scoringSelect) {
+      scoringSelect.addEventListener('change', () => socket?.emit('set_scoring_preset', { preset: scoringSelect.value }));
+    }
+
+    // Bot players - pick a persona and add as many as the room has space for
+    const botSelect = document.getElementById('bot-persona-select');
+    botSelect?.addEventListener('change', updateBotPicker);
+    document.getElementById('add-bot-btn')?.addEventListener('click', () => socket?.emit('add_bot', { persona: botSelect?.value }));
+
+    // Pause and "+30s" (also Ctrl/Cmd P and Ctrl/Cmd + in the app)
+    document.getElementById('pause-btn')?.addEventListener('click', togglePause);
+    document.getElementById('extend-time-btn')?.addEventListener('click', extendTime);
+    document.getElementById('next-reveal-btn')?.addEventListener('click', nextReveal);
+
+    // Player controls (kick, ban, rename, hosting order)
+    document.getElementById('players-btn')?.addEventListener('click', showPlayersModal);
+    document.getElementById('close-players')?.addEventListener('click', () => ui.toggleElement('players-modal', false));
+
+    // Past games and their replays
+    document.getElementById('history-btn')?.addEventListener('click', showHistoryModal);
+    document.getElementById('close-history')?.addEventListener('click', () => ui.toggleElement('history-modal', false));
+    document.getElementById('replay-skip')?.addEventListener('click', skipReplayRound);
+    document.getElementById('replay-stop')?.addEventListener('click', stopReplay);
+
+    // Lifetime profiles
+    document.getElementById('hall-of-fame-btn')?.addEventListener('click', showHallOfFame);
+    document.getElementById('close-hall-of-fame')?.addEventListener('click', () => ui.toggleElement('hall-of-fame-modal', false));
+
     // Fullscreen button
     const fullscreenBtn = document.getElementById('fullscreen-btn');
     if (fullscreenBtn) {
@@ -140,6 +221,39 @@
       settingsBtn.addEventListener('click', showSettingsModal);
     }
 
+    // Theme pack settings
+    document.getElementById('theme-source-ai')?.addEventListener('change', saveThemeSources);
+    document.getElementById('theme-pack-file')?.addEventListener('change', importThemePack);
+    document.getElementById('save-theme-pack')?.addEventListener('click', saveEditedThemePack);
+    document.getElementById('cancel-theme-pack')?.addEventListener('click', closeThemePackEditor);
+
+    // Sound - this screen's volumes and mute, and the room's sound pack
+    document.getElementById('mute-btn')?.addEventListener('click', toggleMute);
+    document.getElementById('sound-muted')?.addEventListener('change', (e) => {
+      ui.audio?.setMuted(e.target.checked);
+      if (e.target.checked) voice.stop();
+      updateSoundControls();
+    });
+    ['music', 'sfx'].forEach(kind => {
+      const slider = document.getElementById(`${kind}-volume`);
+      slider?.addEventListener('input', () => ui.audio?.setVolume(kind, slider.value / 100));
+    });
+    document.getElementById('sfx-volume')?.addEventListener('change', () => ui.playSound('correct'));
+    document.getElementById('sound-pack-select')?.addEventListener('change', (e) => socket?.emit('set_sound_pack', { packId: e.target.value }));
+    document.getElementById('refresh-sound-packs')?.addEventListener('click', loadSoundPacks);
+    updateSoundControls();
+
+    // Host voice - read out on this screen
+    document.getElementById('voice-enabled')?.addEventListener('change', (e) => voice.update({ enabled: e.target.checked }));
+    document.getElementById('voice-select')?.addEventListener('change', (e) => voice.update({ voice: e.target.value || null }));
+    document.getElementById('voice-rate')?.addEventListener('change', (e) => voice.update({ rate: e.target.value }));
+    document.getElementById('voice-pitch')?.addEventListener('change', (e) => voice.update({ pitch: e.target.value }));
+    document.getElementById('voice-test')?.addEventListener('click', () => {
+      voice.stop();
+      voice.speak('Welcome to Know Your Crowd!');
+    });
+    voice.onVoicesChanged = updateVoiceControls;
+
     // Settings modal buttons
     const saveSettingsBtn = document.getElementById('save-settings');
     if (saveSettingsBtn) {
@@ -166,6 +280,38 @@
     loadSettings();
   }
 
+  // Pause a running game, or resume a paused one
+  function togglePause() {
+    if (!gameState || ['lobby', 'game_over'].includes(gameState.phase)) return;
+    socket?.emit(gameState.isPaused ? 'resume_game' : 'pause_game');
+  }
+
+  // Give the current phase 30 more seconds
+  function extendTime() {
+    if (!gameState || ['lobby', 'game_over'].includes(gameState.phase)) return;
+    socket?.emit('extend_time');
+  }
+
+  // Move the reveal on (the only way on in manual pacing)
+  function nextReveal() {
+    if (gameState?.phase !== 'reveal') return;
+    socket?.emit('next_reveal');
+  }
+
+  // Paused or resumed - the overlay here has the Resume button
+  function handleGamePaused(data) {
+    if (gameState) gameState.isPaused = data.paused;
+    updatePauseControls();
+  }
+
+  function updatePauseControls() {
+    const inGame = !['lobby', 'game_over'].includes(gameState.phase);
+    ui.toggleElement('pause-btn', inGame);
+    ui.toggleElement('extend-time-btn', inGame);
+    ui.setText('pause-btn', gameState.isPaused ? '▶' : '⏸');
+    ui.showPausedOverlay(inGame && gameState.isPaused, togglePause);
+  }
+
   // Toggle fullscreen
   function toggleFullscreen() {
     if (window.electronAPI) {
@@ -209,6 +355,12 @@
 
   // Settings Modal Functions
   function showSettingsModal() {
+    ui.hideError('theme-pack-error');
+    loadSettings();
+    updateThemePackList();
+    updateSoundControls();
+    loadSoundPacks();
+    updateVoiceControls();
     ui.toggleElement('settings-modal', true);
   }
 
@@ -217,19 +369,21 @@
   }
 
   function loadSettings() {
-    // Load from localStorage or use defaults
-    const settings = JSON.parse(localStorage.getItem('kycSettings') || '{}');
-    
-    const themeTimer = document.getElementById('theme-timer-setting');
-    const answerTimer = document.getElementById('answer-timer-setting');
-    const matchingTimer = document.getElementById('matching-timer-setting');
-    const roundsPerPlayer = document.getElementById('rounds-per-player');
+    // The server's timers and rounds - or the ones waiting for the next round
+    const settings = gameState?.settings;
+    const current = settings?.pending || settings;
     const settingsApiKey = document.getElementById('settings-api-key');
 
-    if (themeTimer) themeTimer.value = settings.themeTimer || '15';
-    if (answerTimer) answerTimer.value = settings.answerTimer || '60';
-    if (matchingTimer) matchingTimer.value = settings.matchingTimer || '90';
-    if (roundsPerPlayer) roundsPerPlayer.value = settings.roundsPerPlayer || '1';
+    if (current) {
+      setSelectValue('timer-theme', current.timers.themeSelection);
+      setSelectValue('timer-answer', current.timers.answering);
+      setSelectValue('timer-matching', current.timers.matching);
+      setSelectValue('rounds-per-player', current.rotations);
+      setSelectValue('reveal-pacing', current.revealPacing);
+      setSelectValue('reveal-order', current.revealOrder);
+      setSelectValue('round-mix', current.roundMix);
+    }
+    ui.toggleElement('settings-pending', !!settings?.pending);
     
     // Load API key if in Electron
     if (window.electronAPI && settingsApiKey) {
@@ -239,21 +393,29 @@
     }
   }
 
+  // Pick a value in a settings dropdown, adding it if the config has one the list doesn't
+  function setSelectValue(elementId, value) {
+    const select = document.getElementById(elementId);
+    if (!select) return;
+    if (![...select.options].some(o => o.value === String(value))) {
+      select.add(new Option(String(value), String(value)));
+    }
+    select.value = String(value);
+  }
+
   async function saveSettings() {
-    const themeTimer = document.getElementById('theme-timer-setting')?.value;
-    const answerTimer = document.getElementById('answer-timer-setting')?.value;
-    const matchingTimer = document.getElementById('matching-timer-setting')?.value;
-    const roundsPerPlayer = document.getElementById('rounds-per-player')?.value;
     const settingsApiKey = document.getElementById('settings-api-key')?.value?.trim();
-
-    // Save to localStorage
     const settings = {
-      themeTimer: themeTimer || '15',
-      answerTimer: answerTimer || '60',
-      matchingTimer: matchingTimer || '90',
-      roundsPerPlayer: roundsPerPlayer || '1'
+      timers: {
+        themeSelection: Number(document.getElementById('timer-theme')?.value),
+        answering: Number(document.getElementById('timer-answer')?.value),
+        matching: Number(document.getElementById('timer-matching')?.value)
+      },
+      rotations: Number(document.getElementById('rounds-per-player')?.value),
+      revealPacing: document.getElementById('reveal-pacing')?.value,
+      revealOrder: document.getElementById('reveal-order')?.value,
+      roundMix: document.getElementById('round-mix')?.value
     };
-    localStorage.setItem('kycSettings', JSON.stringify(settings));
 
     // Save API key if provided (in Electron)
     if (settingsApiKey && window.electronAPI) {
@@ -264,7 +426,7 @@
       }
     }
 
-    // Notify server of settings change if connected
+    // The server checks and applies them, then sends settings_updated
     if (socket && socket.connected) {
       socket.emit('update_settings', settings);
     }
@@ -272,9 +434,54 @@
     hideSettingsModal();
   }
 
+  // The server took new settings - keep them in the config file so the next launch starts with them
+  async function handleSettingsUpdated(data) {
+    if (gameState) {
+      gameState.settings = {
+        timers: data.timers,
+        rotations: data.rotations,
+        revealPacing: data.revealPacing,
+        revealOrder: data.revealOrder,
+        roundMix: data.roundMix,
+        pending: data.pending,
+        preset: data.preset
+      };
+      gameState.totalRounds = data.totalRounds;
+    }
+
+    // A game preset's timers are for this game only
+    if (!window.electronAPI?.saveConfig || data.preset) return;
+    const chosen = data.pending || data;
+    const config = await window.electronAPI.getConfig();
+    if (!config) return;
+    config.timers = { ...config.timers, ...chosen.timers };
+    config.rotations = chosen.rotations;
+    config.reveal = { ...config.reveal, pacing: chosen.revealPacing, order: chosen.revealOrder };
+    config.rounds = { ...config.rounds, mix: chosen.roundMix };
+    const result = await window.electronAPI.saveConfig(config);
+    if (!result.success) {
+      console.error('Failed to save settings:', result.error);
+    }
+  }
+
   // Game state handler
   function handleGameState(state) {
+    // First state for this room - remember it so a refresh or reconnect rejoins the same room
+    if (state.roomCode && state.roomCode !== roomCode) {
+      roomCode = state.roomCode;
+      const url = new URL(window.location.href);
+      url.searchParams.set('room', roomCode);
+      window.history.replaceState(null, '', url);
+    }
+    if (state.roomCode && state.roomCode !== gameState?.roomCode) {
+      fetchConnectionInfo(state.roomCode);
+    }
+
     gameState = state;
+    loadSoundPack(state.soundPack);
+    if (state.phase !== 'reveal') {
+      clearRevealAck();
+    }
     updateDisplay();
   }
 
@@ -285,13 +492,642 @@
     }
   }
 
+  // Switch the lobby between individual and team play
+  function toggleTeamMode() {
+    if (socket && socket.connected) {
+      socket.emit('set_game_mode', { mode: gameState?.mode === 'teams' ? 'individual' : 'teams' });
+    }
+  }
+
+  // Lobby list - players, or team rosters in team mode
+  function updateLobbyList() {
+    const isTeamMode = gameState.mode === 'teams';
+
+    if (isTeamMode) {
+      ui.updateTeamList('player-list', gameState.teams || []);
+    } else {
+      ui.updatePlayerList('player-list', gameState.players);
+    }
+    ui.setText('player-count', gameState.players.length);
+
+    const teamModeBtn = document.getElementById('team-mode-btn');
+    if (teamModeBtn) teamModeBtn.textContent = isTeamMode ? 'Play Solo' : 'Play in Teams';
+    ui.toggleElement('shuffle-teams-btn', isTeamMode);
+    ui.setText('family-friendly-btn', `Family Friendly: ${gameState.familyFriendly ? 'On' : 'Off'}`);
+  }
+
+  // Theme pack list - a tick box per pack (the room's selection) plus edit/export/delete for user packs
+  function updateThemePackList() {
+    if (!gameState) return;
+    const sources = gameState.themeSources || { packs: [], ai: true };
+    const locked = gameState.phase !== 'lobby';
+
+    const aiBox = document.getElementById('theme-source-ai');
+    if (aiBox) {
+      aiBox.checked = sources.ai;
+      aiBox.disabled = locked;
+    }
+
+    const list = document.getElementById('theme-pack-list');
+    if (!list) return;
+
+    list.innerHTML = (gameState.themePacks || []).map(pack => {
+      const id = ui.escapeHtml(pack.id);
+      const count = pack.themeCount !== null ? ` · ${pack.themeCount} themes` : '';
+      const actions = pack.builtIn ? '' : `
+        <button type="button" class="gameshow-button secondary small" data-action="edit" data-pack="${id}">Edit</button>
+        <button type="button" class="gameshow-button secondary small" data-action="export" data-pack="${id}">Export</button>
+        <button type="button" class="gameshow-button secondary small" data-action="delete" data-pack="${id}">Delete</button>`;
+
+      return `
+        <div class="theme-pack-item">
+          <label>
+            <input type="checkbox" value="${id}" ${sources.packs.includes(pack.id) ? 'checked' : ''} ${locked ? 'disabled' : ''}>
+            <strong>${ui.escapeHtml(pack.name)}</strong>
+            <span class="theme-pack-meta">${ui.escapeHtml(pack.rating)}${count}</span>
+          </label>
+          <p class="theme-pack-description">${ui.escapeHtml(pack.description)}</p>
+          <div class="theme-pack-actions">${actions}</div>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('input[type="checkbox"]').forEach(box => {
+      box.addEventListener('change', saveThemeSources);
+    });
+    list.querySelectorAll('button[data-action]').forEach(button => {
+      button.addEventListener('click', () => handleThemePackAction(button.dataset.action, button.dataset.pack));
+    });
+  }
+
+  // Send the ticked packs and the AI option to the server for this room
+  function saveThemeSources() {
+    const packs = [...document.querySelectorAll('#theme-pack-list input[type="checkbox"]:checked')].map(box => box.value);
+    const ai = !!document.getElementById('theme-source-ai')?.checked;
+    ui.hideError('theme-pack-error');
+    socket?.emit('set_theme_sources', { packs, ai });
+  }
+
+  // Edit, export or delete a user pack
+  function handleThemePackAction(action, packId) {
+    ui.hideError('theme-pack-error');
+
+    if (action === 'delete') {
+      if (confirm('Delete this theme pack?')) {
+        socket?.emit('delete_theme_pack', { id: packId });
+      }
+      return;
+    }
+
+    // The pack's contents come back in theme_pack_data
+    pendingPackAction = { action, packId };
+    socket?.emit('get_theme_pack', { id: packId });
+  }
+
+  // A pack's contents - open it in the editor or download it
+  function handleThemePackData(data) {
+    if (!pendingPackAction) return;
+    const { action, packId } = pendingPackAction;
+    pendingPackAction = null;
+
+    if (action === 'edit') {
+      editingPackId = packId;
+      document.getElementById('theme-pack-json').value = JSON.stringify(data.pack, null, 2);
+      ui.toggleElement('theme-pack-editor', true);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(data.pack, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = data.filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // Import a pack from a JSON file
+  function importThemePack(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+      socket?.emit('import_theme_pack', { pack: JSON.parse(text) });
+    }).catch(() => {
+      ui.showError('theme-pack-error', `${file.name} is not a valid JSON file`);
+    }).finally(() => {
+      e.target.value = '';
+    });
+  }
+
+  function saveEditedThemePack() {
+    try {
+      const pack = JSON.parse(document.getElementById('theme-pack-json').value);
+      socket?.emit('update_theme_pack', { id: editingPackId, pack });
+      closeThemePackEditor();
+    } catch (err) {
+      ui.showError('theme-pack-error', 'The pack is not valid JSON');
+    }
+  }
+
+  function closeThemePackEditor() {
+    editingPackId = null;
+    ui.toggleElement('theme-pack-editor', false);
+  }
+
+  // Theme pack library changed (import, edit, delete)
+  function handleThemePacksUpdated(data) {
+    if (!gameState) return;
+    gameState.themePacks = data.packs;
+    updateThemePackList();
+  }
+
+  // Sound controls show this screen's saved volumes and mute
+  function updateSoundControls() {
+    const settings = ui.audio?.settings;
+    if (!settings) return;
+
+    document.getElementById('music-volume').value = Math.round(settings.music * 100);
+    document.getElementById('sfx-volume').value = Math.round(settings.sfx * 100);
+    document.getElementById('sound-muted').checked = settings.muted;
+
+    const muteBtn = document.getElementById('mute-btn');
+    if (muteBtn) {
+      muteBtn.textContent = settings.muted ? '🔇' : '🔊';
+      muteBtn.title = settings.muted ? 'Unmute sound' : 'Mute sound';
+    }
+  }
+
+  function toggleMute() {
+    if (ui.audio?.toggleMuted()) voice.stop();
+    updateSoundControls();
+  }
+
+  // Sound packs in the app's sound-packs folder (read again each time, so new ones show up)
+  function loadSoundPacks() {
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    fetch(`${base}/api/sound-packs`)
+      .then(res => res.json())
+      .then(data => {
+        soundPacks = data.packs || [];
+        updateSoundPackPicker();
+      })
+      .catch(err => console.error('Failed to load sound packs:', err));
+  }
+
+  function updateSoundPackPicker() {
+    const select = document.getElementById('sound-pack-select');
+    if (!select) return;
+
+    select.innerHTML = soundPacks.map(pack => {
+      const count = pack.builtIn ? '' : ` (${pack.cues.length} sounds)`;
+      return `<option value="${ui.escapeHtml(pack.id)}" title="${ui.escapeHtml(pack.description)}">${ui.escapeHtml(pack.name)}${count}</option>`;
+    }).join('');
+    select.value = gameState?.soundPack || 'builtin';
+  }
+
+  // The room's sound pack changed - every screen loads it
+  function handleSoundPackChanged(data) {
+    if (gameState) gameState.soundPack = data.soundPack;
+    loadSoundPack(data.soundPack);
+    updateSoundPackPicker();
+  }
+
+  function loadSoundPack(packId) {
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    ui.audio?.loadPack(packId, base);
+  }
+
+  // Host voice settings - the voices on this computer and this screen's saved choices
+  function updateVoiceControls() {
+    ui.toggleElement('voice-unsupported', !voice.isSupported);
+    document.getElementById('voice-enabled').checked = voice.settings.enabled;
+    document.getElementById('voice-rate').value = voice.settings.rate;
+    document.getElementById('voice-pitch').value = voice.settings.pitch;
+    ['voice-enabled', 'voice-select', 'voice-rate', 'voice-pitch', 'voice-test'].forEach(id => {
+      document.getElementById(id).disabled = !voice.isSupported;
+    });
+
+    const select = document.getElementById('voice-select');
+    select.innerHTML = '<option value="">Default voice</option>' + voice.getVoices().map(v =>
+      `<option value="${ui.escapeHtml(v.id)}">${ui.escapeHtml(v.name)} (${ui.escapeHtml(v.lang)})</option>`
+    ).join('');
+    select.value = voice.getVoices().some(v => v.id === voice.settings.voice) ? voice.settings.voice : '';
+  }
+
+  // Read a line out (longest wording first) - nothing while this screen is muted
+  // Resolves once the line has been said
+  function speak(wordings, maxSeconds) {
+    if (ui.audio?.settings.muted) return Promise.resolve();
+    return voice.say(wordings, maxSeconds);
+  }
+
+  // Music follows the game - the lobby's tune, thinking music while answers are written and matched
+  function updateMusic(phase) {
+    const music = { lobby: 'lobbyMusic', answering: 'thinkingMusic', matching: 'thinkingMusic' }[phase];
+    if (music) {
+      ui.audio?.playMusic(music);
+    } else {
+      ui.audio?.stopMusic();
+    }
+  }
+
+  // Errors from the server - shown in the settings or the player controls when they're open
+  function handleError(data) {
+    console.error('Error:', data.message);
+    if (!document.getElementById('settings-modal')?.classList.contains('hidden')) {
+      ui.showError('theme-pack-error', data.message);
+    }
+    if (!document.getElementById('players-modal')?.classList.contains('hidden')) {
+      ui.showError('players-error', data.message);
+    }
+  }
+
+  // Player controls
+  // Game history - finished games, newest first, each with a replay
+  function showHistoryModal() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+    list.innerHTML = '<p class="hint">Loading...</p>';
+    ui.toggleElement('history-modal', true);
+
+    // Replays take over the screen, so not while a game is being played
+    const canReplay = !gameState || ['lobby', 'game_over'].includes(gameState.phase);
+    ui.toggleElement('history-busy', !canReplay);
+
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    fetch(`${base}/api/history?limit=30`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) {
+          list.innerHTML = `<p class="hint">${ui.escapeHtml(data.error)}</p>`;
+          return;
+        }
+        list.innerHTML = data.games.length === 0
+          ? '<p class="hint">No finished games yet</p>'
+          : data.games.map(g => `
+            <div class="manage-row">
+              <span class="manage-name">🏆 ${ui.escapeHtml(g.winnerName || 'No winner')} <span class="theme-pack-meta">${g.winnerScore ?? 0} pts</span>
+                <span class="theme-pack-meta">${ui.escapeHtml(formatHistoryDate(g.completedAt))} · ${g.playerCount} players · ${g.roundsPlayed} rounds${g.mode === 'teams' ? ' · teams' : ''}</span>
+              </span>
+              <button type="button" class="gameshow-button secondary small" data-history="${ui.escapeHtml(g.id)}" ${canReplay && g.replayRounds > 0 ? '' : 'disabled'}>▶ Replay</button>
+            </div>`).join('');
+
+        list.querySelectorAll('button[data-history]').forEach(button => {
+          button.addEventListener('click', () => startReplay(button.dataset.history));
+        });
+      })
+      .catch(err => {
+        console.error('Failed to load game history:', err);
+        list.innerHTML = '<p class="hint">Could not load the game history</p>';
+      });
+  }
+
+  // Database times are UTC ('2026-05-01 20:15:00')
+  function formatHistoryDate(completedAt) {
+    const date = new Date(`${completedAt.replace(' ', 'T')}Z`);
+    return isNaN(date) ? completedAt : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // Play a finished game back round by round: the host's matches, each reveal, then the scores
+  function startReplay(historyId) {
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    fetch(`${base}/api/history/${encodeURIComponent(historyId)}`)
+      .then(res => res.json())
+      .then(game => {
+        if (game.error || game.rounds.length === 0) return;
+        stopReplay();
+        ui.toggleElement('history-modal', false);
+
+        replay = {
+          game,
+          steps: buildReplaySteps(game),
+          index: 0,
+          timer: null,
+          roundIndicator: document.getElementById('round-indicator')?.textContent
+        };
+        previousReplayScores = null;
+        ui.setText('round-indicator', 'REPLAY');
+        ui.toggleElement('replay-banner', true);
+        updateMusic(null);
+        voice.stop();
+        runReplayStep();
+      })
+      .catch(err => console.error('Failed to load game replay:', err));
+  }
+
+  // Each step shows one screen for a while - the last (the winner) stays until the replay is closed
+  function buildReplaySteps(game) {
+    const steps = [];
+    const totalRounds = game.rounds.filter(r => !r.isSuddenDeath).length;
+    const finalScores = [...game.rounds].reverse().find(r => r.scoreboard)?.scoreboard || [];
+
+    game.rounds.forEach((round, roundIndex) => {
+      const previous = game.rounds[roundIndex - 1];
+      const label = `${round.isSuddenDeath ? 'Sudden death' : `Round ${round.roundNumber} of ${totalRounds}`} · ${round.hostName} hosts · "${round.theme || '?'}"`;
+
+      if (round.isSuddenDeath && !previous?.isSuddenDeath) {
+        const scores = previous?.scoreboard || [];
+        const tied = scores.filter(s => s.score === scores[0]?.score);
+        steps.push({ label, roundIndex, duration: 3000, show: () => handleSuddenDeathStart({
+          message: `Tied on ${scores[0]?.score ?? 0} points!`,
+          tiedPlayers: tied
+        }) });
+      }
+
+      steps.push({ label, roundIndex, duration: 3000, show: () => handleMatchesSummary({
+        host: { name: round.hostName },
+        roundType: round.roundType,
+        matches: round.matches.map(m => ({ answer: m.answer, guessedPlayer: { name: m.guessedName } }))
+      }) });
+
+      round.matches.forEach((m, index) => {
+        steps.push({ label, roundIndex, duration: 2500, show: () => showReveal({
+          index,
+          total: round.matches.length,
+          answer: m.answer,
+          guessedPlayer: { name: m.guessedName },
+          actualPlayer: { name: m.authorName },
+          isCorrect: m.isCorrect,
+          votes: m.votes ? { tally: m.votes } : null
+        }, getGuesserName(round.roundType, round.hostName)) });
+      });
+
+      // Games played before replays existed have no scores per round
+      if (round.scoreboard) {
+        steps.push({ label, roundIndex, duration: 5000, show: () => showReplayRoundEnd(round, game.rounds[roundIndex + 1], totalRounds) });
+      }
+    });
+
+    steps.push({ label: 'Final results', roundIndex: game.rounds.length, duration: null, show: () => {
+      showGameOver({
+        winner: { name: game.winnerName || 'No winner', score: game.winnerScore ?? 0 },
+        scoreboard: finalScores,
+        wasSuddenDeath: game.rounds.some(r => r.isSuddenDeath),
+        historyId: game.id
+      }, previousReplayScores, totalRounds);
+      ui.toggleElement('play-again-notice', false);
+    } });
+    return steps;
+  }
+
+  // Round end with the scores after this round (the host's points are what their score went up by)
+  function showReplayRoundEnd(round, nextRound, totalRounds) {
+    const hostEntry = round.scoreboard.find(s => s.id === round.hostId || (s.members || []).includes(round.hostName));
+    const before = previousReplayScores?.find(s => s.id === hostEntry?.id)?.score ?? 0;
+    const correct = round.matches.filter(m => m.isCorrect).length;
+
+    showRoundEnd({
+      currentRound: round.roundNumber,
+      roundType: round.roundType,
+      currentHost: { id: hostEntry?.id, name: round.hostName },
+      hostScore: { correctMatches: correct, totalMatches: round.matches.length, score: hostEntry ? hostEntry.score - before : 0 },
+      nextHost: { name: nextRound?.hostName || '🏁 Final results' },
+      scoreboard: round.scoreboard
+    }, previousReplayScores, totalRounds);
+    ui.toggleElement('round-end-countdown', false);
+    previousReplayScores = round.scoreboard;
+  }
+
+  function runReplayStep() {
+    if (!replay) return;
+    const step = replay.steps[replay.index];
+    step.show();
+    ui.setText('replay-progress', step.label);
+    ui.toggleElement('replay-skip', step.duration !== null);
+
+    if (step.duration !== null) {
+      replay.timer = setTimeout(() => {
+        replay.index++;
+        runReplayStep();
+      }, step.duration);
+    }
+  }
+
+  // Jump to the start of the next round (or the final results)
+  function skipReplayRound() {
+    if (!replay) return;
+    clearTimeout(replay.timer);
+    const roundIndex = replay.steps[replay.index].roundIndex;
+    const next = replay.steps.findIndex(s => s.roundIndex > roundIndex);
+    replay.index = next === -1 ? replay.steps.length - 1 : next;
+
+    // Skipped round ends still move the scores on
+    const skipped = replay.game.rounds.slice(0, replay.steps[replay.index].roundIndex).reverse().find(r => r.scoreboard);
+    previousReplayScores = skipped ? skipped.scoreboard : previousReplayScores;
+    runReplayStep();
+  }
+
+  // Back to the live game
+  function stopReplay() {
+    if (!replay) return;
+    clearTimeout(replay.timer);
+    ui.setText('round-indicator', replay.roundIndicator);
+    replay = null;
+    ui.toggleElement('replay-banner', false);
+    ui.toggleElement('play-again-notice', true);
+    updateDisplay();
+  }
+
+  // Hall of Fame - the best lifetime profiles from every game played on this machine
+  function showHallOfFame() {
+    const list = document.getElementById('hall-of-fame-list');
+    if (!list) return;
+    list.innerHTML = '<p class="hint">Loading...</p>';
+    ui.toggleElement('hall-of-fame-modal', true);
+
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    fetch(`${base}/api/profiles?limit=20`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) {
+          list.innerHTML = `<p class="hint">${ui.escapeHtml(data.error)}</p>`;
+          return;
+        }
+        list.innerHTML = data.profiles.length === 0
+          ? '<p class="hint">No finished games yet</p>'
+          : data.profiles.map((p, index) => `
+            <div class="manage-row fame-row">
+              <span class="fame-rank">${index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `#${index + 1}`}</span>
+              <span class="manage-name">${ui.escapeHtml(p.name)}
+                <span class="theme-pack-meta">${p.favouriteThemes.map(t => ui.escapeHtml(t)).join(' · ')}</span>
+              </span>
+              <span class="fame-stat"><strong>${p.wins}/${p.gamesPlayed}</strong> won (${p.winRate}%)</span>
+              <span class="fame-stat"><strong>${p.hostAccuracy === null ? '–' : `${p.hostAccuracy}%`}</strong> host accuracy</span>
+              <span class="fame-stat"><strong>${p.fooledHost}</strong> fooled</span>
+            </div>`).join('');
+      })
+      .catch(err => {
+        console.error('Failed to load Hall of Fame:', err);
+        list.innerHTML = '<p class="hint">Could not load the Hall of Fame</p>';
+      });
+  }
+
+  function showPlayersModal() {
+    ui.hideError('players-error');
+    updateManagePlayerList();
+    ui.toggleElement('players-modal', true);
+  }
+
+  // Players (or teams with their members) in hosting order, with move, rename, kick and ban buttons
+  // Mid-game only those who haven't hosted yet this rotation can move
+  function updateManagePlayerList() {
+    const list = document.getElementById('manage-player-list');
+    if (!list || !gameState) return;
+
+    const isTeamMode = gameState.mode === 'teams';
+    const competitors = isTeamMode ? (gameState.teams || []) : gameState.players;
+    const inLobby = gameState.phase === 'lobby';
+    const canReorder = !gameState.isSuddenDeath && gameState.phase !== 'game_over';
+    const firstMovable = inLobby ? 0 : (gameState.currentHostIndex % competitors.length) + 1;
+
+    const moveButtons = (index) => {
+      const movable = canReorder && index >= firstMovable;
+      return `
+        <button type="button" class="gameshow-button secondary small" data-action="up" data-index="${index}" ${movable && index > firstMovable ? '' : 'disabled'}>▲</button>
+        <button type="button" class="gameshow-button secondary small" data-action="down" data-index="${index}" ${movable && index < competitors.length - 1 ? '' : 'disabled'}>▼</button>`;
+    };
+
+    const playerRow = (p, index, extraClass = '') => {
+      const id = ui.escapeHtml(p.id);
+      const notes = [
+        p.isHost ? (inLobby ? 'lobby host' : 'hosting') : '',
+        p.isConnected === false ? 'offline' : ''
+      ].filter(Boolean).join(' · ');
+      return `
+        <div class="manage-row ${extraClass} ${p.isHost && !inLobby ? 'hosting' : ''}">
+          <span class="manage-name">${ui.escapeHtml(p.name)}${ui.botBadge(p)} <span class="theme-pack-meta">${notes}</span></span>
+          ${index !== null ? moveButtons(index) : ''}
+          <button type="button" class="gameshow-button secondary small" data-action="rename" data-player="${id}">Rename</button>
+          <button type="button" class="gameshow-button secondary small" data-action="kick" data-player="${id}">Kick</button>
+          <button type="button" class="gameshow-button secondary small" data-action="ban" data-player="${id}">Ban</button>
+        </div>`;
+    };
+
+    list.innerHTML = competitors.length === 0 ? '<p class="hint">No players yet</p>' : competitors.map((c, index) => {
+      if (!isTeamMode) return playerRow(c, index);
+      return `
+        <div class="manage-row ${c.isHost && !inLobby ? 'hosting' : ''}">
+          <span class="manage-name">${ui.escapeHtml(c.name)}</span>
+          ${moveButtons(index)}
+        </div>
+        ${(c.players || []).map(member => playerRow(gameState.players.find(p => p.id === member.id) || member, null, 'member')).join('')}`;
+    }).join('');
+
+    // Mid-game joiners waiting for the next round can only be turned away
+    list.innerHTML += (gameState.lateJoiners || []).map(p => {
+      const id = ui.escapeHtml(p.id);
+      return `
+        <div class="manage-row member">
+          <span class="manage-name">${ui.escapeHtml(p.name)} <span class="theme-pack-meta">waiting to join${p.isConnected === false ? ' · offline' : ''}</span></span>
+          <button type="button" class="gameshow-button secondary small" data-action="kick" data-player="${id}">Kick</button>
+          <button type="button" class="gameshow-button secondary small" data-action="ban" data-player="${id}">Ban</button>
+        </div>`;
+    }).join('');
+
+    list.querySelectorAll('button[data-action]').forEach(button => {
+      button.addEventListener('click', () => handlePlayerAction(button.dataset));
+    });
+  }
+
+  // Send a player control to the server
+  function handlePlayerAction({ action, index, player: playerId }) {
+    ui.hideError('players-error');
+
+    if (action === 'up' || action === 'down') {
+      const competitors = gameState.mode === 'teams' ? gameState.teams : gameState.players;
+      const order = competitors.map(c => c.id);
+      const from = parseInt(index, 10);
+      const to = action === 'up' ? from - 1 : from + 1;
+      [order[from], order[to]] = [order[to], order[from]];
+      socket?.emit('reorder_rotation', { order });
+      return;
+    }
+
+    const player = [...gameState.players, ...(gameState.lateJoiners || [])].find(p => p.id === playerId);
+    if (!player) return;
+
+    if (action === 'rename') {
+      const name = prompt(`New name for ${player.name}:`, player.name);
+      if (name && name.trim() && name.trim() !== player.name) {
+        socket?.emit('rename_player', { playerId, name });
+      }
+    } else if (action === 'kick' && confirm(`Kick ${player.name}? They won't be able to rejoin this game from that phone.`)) {
+      socket?.emit('kick_player', { playerId });
+    } else if (action === 'ban' && confirm(`Ban ${player.name}? Their phone can't join this game again.`)) {
+      socket?.emit('kick_player', { playerId, ban: true });
+    }
+  }
+
+  // Game preset picker (timers, rounds, penalties) - "Standard" plays with the app's settings
+  function updateGamePresetPicker() {
+    const select = document.getElementById('game-preset-select');
+    const presets = gameState.gamePresets || [];
+    if (!select) return;
+
+    if (select.options.length !== presets.length + 1) {
+      select.innerHTML = '<option value="">Standard</option>' + presets
+        .map(p => `<option value="${ui.escapeHtml(p.id)}">${ui.escapeHtml(p.name)}</option>`)
+        .join('');
+    }
+    select.value = gameState.gamePreset || '';
+    select.disabled = gameState.phase !== 'lobby';
+
+    const preset = presets.find(p => p.id === gameState.gamePreset);
+    ui.setText('game-preset-description', preset ? preset.description : 'Timers and rounds from Settings');
+  }
+
+  // Scoring preset picker - options come with the game state
+  function updateScoringPicker() {
+    const select = document.getElementById('scoring-preset-select');
+    const presets = gameState.scoringPresets || [];
+    if (!select) return;
+
+    if (select.options.length !== presets.length) {
+      select.innerHTML = presets
+        .map(p => `<option value="${ui.escapeHtml(p.id)}">${ui.escapeHtml(p.name)}</option>`)
+        .join('');
+    }
+    select.value = gameState.scoringPreset;
+    select.disabled = gameState.phase !== 'lobby';
+
+    const preset = presets.find(p => p.id === gameState.scoringPreset);
+    ui.setText('scoring-preset-description', preset ? preset.description : '');
+  }
+
+  // Bot persona picker - bots can only be added in the lobby (a full room refuses them like any player)
+  function updateBotPicker() {
+    const select = document.getElementById('bot-persona-select');
+    const personas = gameState.botPersonas || [];
+    if (!select) return;
+
+    if (select.options.length !== personas.length) {
+      select.innerHTML = personas
+        .map(p => `<option value="${ui.escapeHtml(p.id)}">${ui.escapeHtml(p.name)}</option>`)
+        .join('');
+    }
+    select.disabled = gameState.phase !== 'lobby';
+    const addBtn = document.getElementById('add-bot-btn');
+    if (addBtn) addBtn.disabled = gameState.phase !== 'lobby';
+
+    const persona = personas.find(p => p.id === select.value);
+    ui.setText('bot-persona-description', persona ? persona.description : '');
+  }
+
+  // Teams updated handler (lobby)
+  function handleTeamsUpdated(data) {
+    if (!gameState) return;
+    gameState.mode = data.mode;
+    gameState.teams = data.teams;
+    updateLobbyList();
+  }
+
   // Player joined handler
   function handlePlayerJoined(data) {
     if (!gameState) gameState = { players: [], phase: 'lobby' };
     gameState.players = data.players;
     
-    ui.updatePlayerList('player-list', data.players);
-    ui.setText('player-count', data.players.length);
+    updateLobbyList();
+    ui.playSound('join');
     
     // Update start button and notice
     const startBtn = document.getElementById('start-game-btn');
@@ -308,13 +1144,13 @@
   function handlePlayerDisconnected(data) {
     if (gameState) {
       gameState.players = gameState.players.filter(p => p.id !== data.playerId);
-      ui.updatePlayerList('player-list', gameState.players);
-      ui.setText('player-count', gameState.players.length);
+      updateLobbyList();
     }
   }
 
   // Game started handler
   function handleGameStarted(data) {
+    stopReplay();
     gameState.totalRounds = data.totalRounds;
     gameState.currentRound = data.currentRound;
     ui.setText('round-indicator', `ROUND ${data.currentRound}/${data.totalRounds}`);
@@ -323,6 +1159,16 @@
   // Phase changed handler
   function handlePhaseChanged(data) {
     gameState.phase = data.phase;
+    if (data.phase !== 'theme_select') {
+      ui.toggleElement('late-join-announcement', false);
+    }
+    if (data.currentHost) {
+      gameState.currentHost = data.currentHost;
+    }
+    if (data.roundType) {
+      gameState.roundType = data.roundType;
+    }
+    updateMusic(data.phase);
     
     switch (data.phase) {
       case 'theme_select':
@@ -334,12 +1180,78 @@
       case 'matching':
         showMatchingPhase(data);
         break;
+      case 'voting':
+        showVotingPhase(data);
+        break;
       case 'reveal':
         showRevealPhase(data);
         break;
     }
   }
 
+  // Whose guesses the reveal shows - the host's, or in a vote round the crowd's picks
+  function getGuesserName(roundType, hostName) {
+    return roundType === 'vote' ? 'The Crowd' : hostName;
+  }
+
+  // The host's guesses are on screen (matches_submitted) - they stay up for introSeconds before the first answer
+  function showRevealPhase(data) {
+    let notice = 'Revealing results in a moment...';
+    if (data.revealOrder === 'hostPicks') {
+      notice = `${data.currentHost?.name || 'The host'} picks which answer to reveal first...`;
+    } else if (data.pacing === 'manual') {
+      notice = 'Tap Next to reveal the first answer';
+    }
+    ui.setText('summary-notice', notice);
+    showRevealStep(-1, data, data.introSeconds);
+  }
+
+  // A reveal step is on screen: show Next in manual pacing, otherwise tell the server
+  // once it has had holdSeconds and any line being read out is over (reveal step -1 is the host's guesses)
+  function showRevealStep(index, data, holdSeconds, line = Promise.resolve()) {
+    clearRevealAck();
+    ui.toggleElement('next-reveal-btn', data.pacing === 'manual');
+    if (data.pacing !== 'display') return;
+
+    const ack = { index, timer: null };
+    const held = new Promise(resolve => {
+      ack.timer = setTimeout(resolve, holdSeconds * 1000);
+    });
+    revealAck = ack;
+    Promise.all([held, line]).then(() => {
+      if (revealAck !== ack) return;
+      revealAck = null;
+      socket?.emit('reveal_ack', { index });
+    });
+  }
+
+  // Nothing left to acknowledge (the reveal is over, or a new game started)
+  function clearRevealAck() {
+    if (revealAck) {
+      clearTimeout(revealAck.timer);
+      revealAck = null;
+    }
+    ui.toggleElement('next-reveal-btn', false);
+  }
+
+  // Players who joined mid-game are in - announce them with the new round count and scoreboard
+  function handleLateJoinersAdmitted(data) {
+    const names = data.joined.map(p => p.name).join(', ');
+    const roundsNote = data.roundsAdded > 0
+      ? `+${data.roundsAdded} round${data.roundsAdded === 1 ? '' : 's'} - now ${data.totalRounds} rounds`
+      : `Still ${data.totalRounds} rounds`;
+
+    ui.setText('late-join-title', `Welcome ${names}!`);
+    ui.playSound('join');
+    ui.setText('late-join-rounds', roundsNote);
+    ui.updateScoreboard('late-join-scoreboard', data.scoreboard, {
+      previousScores: previousScoreboard,
+      totalRounds: data.totalRounds
+    });
+    ui.toggleElement('late-join-announcement', true);
+    previousScoreboard = JSON.parse(JSON.stringify(data.scoreboard));
+  }
+
   // Show theme selection phase
   function showThemeSelectPhase(data) {
     ui.showScreen('theme-select-phase');
@@ -355,6 +1267,7 @@
   // Theme selected handler
   function handleThemeSelected(data) {
     gameState.selectedTheme = data.theme;
+    speak([`Our theme is... ${data.theme}!`, data.theme]);
   }
 
   // Show answering phase
@@ -362,7 +1275,9 @@
     ui.showScreen('answering-phase');
     ui.setText('current-theme', data.theme);
     
-    const nonHostCount = gameState.players.filter(p => !p.isHost).length;
+    // Team mode: one answer per team
+    const answering = gameState.mode === 'teams' ? gameState.teams : gameState.players;
+    const nonHostCount = answering.filter(p => !p.isHost).length;
     ui.setText('total-to-submit', nonHostCount);
     ui.setText('submitted-count', '0');
     ui.updateSubmissionIndicators('submission-indicators', 0, nonHostCount);
@@ -380,6 +1295,7 @@
       'themeSelection': 'theme-timer',
       'answering': 'answer-timer',
       'matching': 'matching-timer',
+      'voting': 'voting-timer',
       'roundEnd': 'round-end-timer'
     };
 
@@ -387,6 +1303,7 @@
     if (timerId) {
       ui.updateTimer(timerId, data.remaining, data.totalSeconds || null);
     }
+    ui.playTimerSound(data);
   }
 
   // Matching phase start handler
@@ -398,26 +1315,66 @@
   function showMatchingPhase(data) {
     ui.showScreen('matching-phase');
     
-    const host = gameState.players.find(p => p.isHost);
-    ui.setText('matching-host-name', host ? host.name : 'Host');
+    ui.setText('matching-host-name', gameState.currentHost?.name || 'Host');
+    ui.setText('audience-voters', 0);
 
-    // Display answers
+    showMatchingAnswers(data);
+    showMatchingPlayers(data);
+  }
+
+  // Answers or players changed while the host matches (a veto, a rewrite, a removed player)
+  function handleMatchingAnswersUpdated(data) {
+    showMatchingAnswers(data);
+    showMatchingPlayers(data);
+  }
+
+  // Display players
+  function showMatchingPlayers(data) {
+    const playersList = document.getElementById('matching-players-list');
+    if (playersList && data.players) {
+      playersList.innerHTML = data.players.map(p => 
+        `<div class="player-name-item">${ui.escapeHtml(p.name)}</div>`
+      ).join('');
+    }
+  }
+
+  // Display answers (also when the host vetoes one and when its rewrite comes in)
+  function showMatchingAnswers(data) {
     const answersList = document.getElementById('answers-list');
     if (answersList && data.answers) {
-      answersList.innerHTML = data.answers.map(a => 
-        `<div class="answer-item">"${ui.escapeHtml(a.answer)}"</div>`
+      answersList.innerHTML = data.answers.map(a => a.rewriting
+        ? '<div class="answer-item rewriting">✏️ Being rewritten...</div>'
+        : `<div class="answer-item">"${ui.escapeHtml(a.answer)}"</div>`
       ).join('');
     }
+  }
 
-    // Display players
-    const playersList = document.getElementById('matching-players-list');
-    if (playersList && data.players) {
-      playersList.innerHTML = data.players.map(p => 
+  // Vote round: every answer and every author, while the phones vote
+  function showVotingPhase(data) {
+    ui.showScreen('voting-phase');
+    
+    const answersList = document.getElementById('voting-answers-list');
+    if (answersList) {
+      answersList.innerHTML = data.answers.map(a =>
+        `<div class="answer-item">"${ui.escapeHtml(a.answer)}"</div>`
+      ).join('');
+    }
+    
+    const playersList = document.getElementById('voting-players-list');
+    if (playersList) {
+      playersList.innerHTML = data.players.map(p =>
         `<div class="player-name-item">${ui.escapeHtml(p.name)}</div>`
       ).join('');
     }
   }
 
+  // Voting progress handler
+  function handleVotingProgress(data) {
+    ui.setText('voted-count', data.voted);
+    ui.setText('total-voters', data.total);
+    ui.updateSubmissionIndicators('voting-indicators', data.voted, data.total);
+  }
+
   // Matches summary colors (same as tap matching)
   const matchColors = [
     '#ff9f9f', '#ffd29f', '#ffff9f',
@@ -428,7 +1385,7 @@
   // Handle matches summary (shown after host submits, before reveal)
   function handleMatchesSummary(data) {
     ui.showScreen('matches-summary-phase');
-    ui.setText('summary-host-name', data.host.name);
+    ui.setText('summary-host-name', getGuesserName(data.roundType, data.host.name));
     
     const summaryList = document.getElementById('matches-summary-list');
     if (summaryList) {
@@ -444,11 +1401,27 @@
 
   // Reveal result handler
   function handleRevealResult(data) {
+    showReveal(data, getGuesserName(data.roundType, gameState.currentHost?.name || 'Host'));
+    ui.playSound(data.isCorrect ? 'correct' : 'wrong');
+
+    // Fitted into the time before the next reveal, so the next one never cuts it off
+    // (with display pacing the server waits for the line, up to maxWait)
+    const author = data.actualPlayer.name;
+    const line = speak([
+      `...and "${data.answer}" was written by... ${author}!`,
+      `"${data.answer}"... ${author}!`,
+      `${author}!`
+    ], { display: data.maxWait ?? data.revealSeconds, manual: Infinity }[data.pacing] ?? data.revealSeconds);
+    showRevealStep(data.index, data, Math.max(REVEAL_ANIMATION_SECONDS, data.revealSeconds), line);
+  }
+
+  // One answer's reveal card (also used by replays)
+  function showReveal(data, hostName) {
     ui.showScreen('reveal-phase');
     
-    // Show host name in title
-    const host = gameState.players.find(p => p.isHost);
-    ui.setText('reveal-host-name', host ? host.name : 'Host');
+    // Show host name in title (the crowd in a vote round)
+    ui.setText('reveal-host-name', hostName);
+    ui.setText('reveal-guessed-label', data.votes ? 'Crowd guessed:' : 'Host guessed:');
     
     ui.setText('reveal-answer-text', `"${data.answer}"`);
     ui.setText('reveal-guessed', data.guessedPlayer.name);
@@ -462,38 +1435,96 @@
       resultEl.classList.add(data.isCorrect ? 'correct' : 'wrong');
       resultEl.querySelector('.result-icon').textContent = data.isCorrect ? '✓' : '✗';
     }
+
+    // How the audience voted on this answer (only when someone voted)
+    ui.toggleElement('audience-accuracy', !!data.audience);
+    if (data.audience) {
+      ui.setText('audience-accuracy-text', `${data.audience.accuracy}% (${data.audience.correct}/${data.audience.votes})`);
+      const fill = document.getElementById('audience-accuracy-fill');
+      if (fill) {
+        fill.style.width = `${data.audience.accuracy}%`;
+      }
+    }
+
+    // Vote rounds: who the voters named, the real author highlighted
+    ui.toggleElement('vote-tally', !!data.votes);
+    const tallyList = document.getElementById('vote-tally-list');
+    if (data.votes && tallyList) {
+      tallyList.innerHTML = data.votes.tally.length === 0
+        ? '<span class="vote-chip">Nobody voted</span>'
+        : data.votes.tally.map(t => `
+          <span class="vote-chip ${t.name === data.actualPlayer.name ? 'author' : ''}">${ui.escapeHtml(t.name)} ×${t.count}</span>
+        `).join('');
+    }
+  }
+
+  // Audience size and live vote count
+  function handleAudienceUpdated(data) {
+    if (gameState) {
+      gameState.audienceSize = data.audienceSize;
+    }
+    ui.setText('audience-count', data.audienceSize);
+    ui.setText('audience-watching', data.audienceSize);
+    ui.setText('audience-voters', data.voters);
+  }
+
+  // Top spectators (hidden when the leaderboard is off or nobody is watching)
+  function showAudienceLeaderboard(containerId, listId, leaderboard) {
+    const hasLeaderboard = Array.isArray(leaderboard) && leaderboard.length > 0;
+    ui.toggleElement(containerId, hasLeaderboard);
+    if (hasLeaderboard) {
+      ui.updateScoreboard(listId, leaderboard);
+    }
   }
 
   // Round end handler
   function handleRoundEnd(data) {
+    clearRevealAck();
+    showRoundEnd(data, previousScoreboard, gameState.totalRounds);
+    ui.toggleElement('round-end-countdown', true);
+    updateMusic('round_end');
+    if (data.hostScore.isPerfect) {
+      ui.playSound('perfectRound');
+    }
+
+    // Store current scoreboard for next round comparison
+    previousScoreboard = JSON.parse(JSON.stringify(data.scoreboard));
+  }
+
+  // Round results and the scoreboard, compared with the scores before the round (also used by replays)
+  function showRoundEnd(data, previousScores, totalRounds) {
     ui.showScreen('round-end-phase');
     
     ui.setText('round-end-number', data.currentRound);
-    ui.setText('round-host-name', data.currentHost.name);
+    ui.setText('round-host-name', getGuesserName(data.roundType, data.currentHost.name));
+    ui.setText('correct-matches-label', data.roundType === 'vote' ? 'Answers the crowd got right' : 'Correct matches');
+    ui.toggleElement('host-round-score-line', data.roundType !== 'vote');
     ui.setText('correct-matches', data.hostScore.correctMatches);
     ui.setText('total-matches', data.hostScore.totalMatches);
     ui.setText('host-round-score', `+${data.hostScore.score}`);
     ui.setText('next-host-name', data.nextHost.name);
 
-    // Show perfect bonus if applicable
-    if (data.hostScore.isPerfect) {
+    // Show perfect bonus if applicable (the amount depends on the scoring preset)
+    const hostDelta = (data.scoreDeltas || []).find(d => d.id === data.currentHost.id);
+    const perfectBonus = hostDelta?.events.find(e => e.rule === 'perfectBonus');
+    if (perfectBonus) {
+      ui.setText('perfect-bonus', `🎯 Perfect Round Bonus: +${perfectBonus.points}`);
       ui.toggleElement('perfect-bonus', true);
     } else {
       ui.toggleElement('perfect-bonus', false);
     }
 
     // Update round context in scoreboard header
-    ui.setText('scoreboard-round-info', `Round ${data.currentRound} of ${gameState.totalRounds}`);
+    ui.setText('scoreboard-round-info', `Round ${data.currentRound} of ${totalRounds}`);
 
     // Update scoreboard with enhanced options
     ui.updateScoreboard('scoreboard-list', data.scoreboard, {
-      previousScores: previousScoreboard,
+      previousScores,
       currentRound: data.currentRound,
-      totalRounds: gameState.totalRounds
+      totalRounds
     });
 
-    // Store current scoreboard for next round comparison
-    previousScoreboard = JSON.parse(JSON.stringify(data.scoreboard));
+    showAudienceLeaderboard('audience-board', 'audience-leaderboard', data.audienceLeaderboard);
   }
 
   // Sudden death start handler
@@ -507,12 +1538,22 @@
     // Show tied players
     const tiedPlayersList = data.tiedPlayers.map(p => p.name).join(' vs ');
     ui.setText('sudden-death-players', tiedPlayersList);
+    updateMusic('sudden_death');
+    ui.playSound('suddenDeath');
     
     console.log('Sudden death started:', data);
   }
 
   // Game over handler
   function handleGameOver(data) {
+    showGameOver(data, previousScoreboard, gameState.totalRounds);
+    updateMusic('game_over');
+    ui.playSound('winner');
+    speak([`And the winner is... ${data.winner.name}, with ${data.winner.score} points!`, `The winner is ${data.winner.name}!`]);
+  }
+
+  // The winner and final standings (also used by replays)
+  function showGameOver(data, previousScores, totalRounds) {
     ui.showScreen('game-over-phase');
     
     ui.setText('winner-name', data.winner.name);
@@ -522,22 +1563,54 @@
     if (data.wasSuddenDeath) {
       const winnerEl = document.getElementById('winner-name');
       if (winnerEl) {
-        winnerEl.innerHTML = `${data.winner.name} <span class="sudden-death-badge">⚡ SUDDEN DEATH WINNER!</span>`;
+        winnerEl.innerHTML = `${ui.escapeHtml(data.winner.name)} <span class="sudden-death-badge">⚡ SUDDEN DEATH WINNER!</span>`;
       }
     }
     
     // Update final scoreboard with enhanced options (no previous scores for final)
     ui.updateScoreboard('final-scoreboard', data.scoreboard, {
-      previousScores: previousScoreboard,
-      currentRound: gameState.totalRounds,
-      totalRounds: gameState.totalRounds
+      previousScores,
+      currentRound: totalRounds,
+      totalRounds
+    });
+    showAudienceLeaderboard('final-audience-board', 'final-audience-leaderboard', data.audienceLeaderboard);
+    showExportLinks(data.historyId);
+  }
+
+  // Download links for the finished game's results (only games saved to the database can be exported)
+  function showExportLinks(historyId) {
+    ui.toggleElement('export-results', !!historyId);
+    if (!historyId) return;
+    
+    const base = serverInfo ? `http://localhost:${serverInfo.port}` : '';
+    ['html', 'csv', 'json'].forEach(format => {
+      const link = document.getElementById(`export-${format}`);
+      if (link) link.href = `${base}/api/games/${encodeURIComponent(historyId)}/export?format=${format}`;
     });
   }
 
+  // Announcer line in the lower third for a few seconds - it sits over whatever screen is showing
+  function handleAnnouncerLine(data) {
+    const banner = document.getElementById('announcer-banner');
+    if (!banner || replay) return;
+    
+    ui.setText('announcer-text', data.text);
+    // Restart the slide-in for a new line
+    banner.classList.add('hidden');
+    void banner.offsetWidth;
+    banner.classList.remove('hidden');
+    
+    clearTimeout(announcerTimer);
+    announcerTimer = setTimeout(() => ui.toggleElement('announcer-banner', false), ANNOUNCER_SECONDS * 1000);
+  }
+
   // Game reset handler
   function handleGameReset(data) {
     gameState = {
       players: data.players,
+      mode: data.mode,
+      teams: data.teams,
+      soundPack: gameState?.soundPack,
       phase: 'lobby',
       currentRound: 0,
       totalRounds: 0
@@ -545,10 +1618,13 @@
     
     // Clear previous scoreboard for new game
     previousScoreboard = null;
+    stopReplay();
+    ui.toggleElement('announcer-banner', false);
     
     ui.showScreen('lobby-phase');
-    ui.updatePlayerList('player-list', data.players);
-    ui.setText('player-count', data.players.length);
+    updateLobbyList();
+    updateMusic('lobby');
+    voice.stop();
     ui.setText('round-indicator', 'LOBBY');
     
     // Re-enable start button
@@ -563,8 +1639,16 @@
     if (!gameState) return;
 
     // Update player list
-    ui.updatePlayerList('player-list', gameState.players);
-    ui.setText('player-count', gameState.players.length);
+    updateLobbyList();
+    updateGamePresetPicker();
+    updateScoringPicker();
+    updateBotPicker();
+    updateThemePackList();
+    updateManagePlayerList();
+    updatePauseControls();
+    updateMusic(replay ? null : gameState.phase);
+    ui.setText('audience-count', gameState.audienceSize || 0);
+    ui.setText('audience-watching', gameState.audienceSize || 0);
 
     // Update start button state in lobby
     if (gameState.phase === 'lobby') {
@@ -574,8 +1658,8 @@
       ui.setText('min-notice', canStart ? 'Ready to start!' : 'Need at least 3 players to start');
     }
 
-    // Show appropriate phase
-    switch (gameState.phase) {
+    // Show appropriate phase (a replay keeps the screen until it's closed)
+    switch (replay ? null : gameState.phase) {
       case 'lobby':
         ui.showScreen('lobby-phase');
         break;
@@ -588,6 +1672,9 @@
       case 'matching':
         ui.showScreen('matching-phase');
         break;
+      case 'voting':
+        ui.showScreen('voting-phase');
+        break;
       case 'reveal':
         ui.showScreen('reveal-phase');
         break;
@@ -603,7 +1690,7 @@
     }
 
     // Update round indicator
-    if (gameState.currentRound > 0) {
+    if (gameState.currentRound > 0 && !replay) {
       ui.setText('round-indicator', `ROUND ${gameState.currentRound}/${gameState.totalRounds}`);
     }
   }
@@ -8,6 +8,7 @@
   let player = null;
   let gameState = null;
   let submittedAnswer = null;
+  let isRewriting = false; // Writing a new answer after the host vetoed ours
   
   // Host mode variables - simple tap matching
   let isInHostMode = false;
@@ -17,6 +18,11 @@
   let answersData = [];
   let playersData = [];
   
+  // Vote rounds - this player's picks, answerIndex -> playerId
+  let ballot = {};
+  let ballotAnswers = [];
+  let ballotPlayers = [];
+  
   // UX Enhancement variables
   let previousScoreboard = null;
   let submissionPosition = 0;
@@ -98,34 +104,51 @@
     socket.on('join_error', handleJoinError);
     socket.on('reconnected', handleReconnected);
     socket.on('reconnect_failed', handleReconnectFailed);
+    socket.on('kicked', handleKicked);
 
     // Game events
     socket.on('player_joined', handlePlayerJoined);
+    socket.on('late_joiners_admitted', handleLateJoinersAdmitted);
+    socket.on('players_updated', handlePlayersUpdated);
+    socket.on('teams_updated', handleTeamsUpdated);
+    socket.on('team_proposal', handleTeamProposal);
     socket.on('player_disconnected', handlePlayerDisconnected);
     socket.on('game_started', handleGameStarted);
     socket.on('phase_changed', handlePhaseChanged);
     socket.on('theme_selected', handleThemeSelected);
     socket.on('answer_submitted', handleAnswerSubmitted);
+    socket.on('answer_rejected', handleAnswerRejected);
+    socket.on('answer_vetoed', handleAnswerVetoed);
     socket.on('submission_progress', handleSubmissionProgress);
     socket.on('timer_update', handleTimerUpdate);
+    socket.on('game_paused', handleGamePaused);
+    socket.on('settings_updated', handleSettingsUpdated);
     socket.on('penalty_applied', handlePenaltyApplied);
     socket.on('reveal_result', handleRevealResult);
     socket.on('round_end', handleRoundEnd);
     socket.on('sudden_death_start', handleSuddenDeathStart);
     socket.on('game_over', handleGameOver);
     socket.on('game_reset', handleGameReset);
+    socket.on('sound_pack_changed', (data) => ui.audio?.loadPack(data.soundPack));
     socket.on('error', handleError);
     
     // Host-specific events
     socket.on('themes_generated', handleThemesGenerated);
     socket.on('matching_phase_start', handleMatchingStart);
+    socket.on('matching_answers_updated', handleMatchingAnswersUpdated);
+    
+    // Vote round events
+    socket.on('voting_start', handleVotingStart);
+    socket.on('votes_submitted', handleVotesSubmitted);
+    socket.on('voting_progress', handleVotingProgress);
   }
 
   // Attempt reconnection
   function attemptReconnect(session) {
     socket.emit('reconnect_player', {
       playerId: session.playerId,
-      sessionToken: session.sessionToken
+      sessionToken: session.sessionToken,
+      roomCode: session.roomCode
     });
   }
 
@@ -196,6 +219,15 @@
       });
     }
     
+    // Approve a teammate's proposed answer (team mode)
+    const approveBtn = document.getElementById('approve-answer-btn');
+    if (approveBtn) {
+      approveBtn.addEventListener('click', () => {
+        socket.emit('approve_answer');
+        ui.vibrate(50);
+      });
+    }
+    
     // Host mode button - switch to host view
     const switchToHostBtn = document.getElementById('switch-to-host-btn');
     if (switchToHostBtn) {
@@ -213,6 +245,15 @@
     if (submitMatchesBtn) {
       submitMatchesBtn.addEventListener('click', submitMatches);
     }
+
+    // Submit votes button (vote rounds)
+    document.getElementById('submit-votes')?.addEventListener('click', submitVotes);
+
+    // Next reveal button (host, manual reveal pacing)
+    document.getElementById('reveal-next-btn')?.addEventListener('click', () => {
+      socket.emit('next_reveal');
+      ui.vibrate(50);
+    });
     
     // Start tip rotation for lobby
     startTipRotation();
@@ -315,13 +356,62 @@
       joinBtn.textContent = 'Joining...';
     }
 
-    socket.emit('join_room', { roomCode, name });
+    socket.emit('join_room', { roomCode, name, deviceToken: getDeviceToken() });
+  }
+
+  // This phone's device token - links every game played on it to one lifetime profile
+  function getDeviceToken() {
+    let token = ui.retrieve('device');
+    if (!token) {
+      token = Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 10)).join('');
+      ui.store('device', token);
+    }
+    return token;
+  }
+
+  // Fill the profile cards (lobby and game over) with this player's lifetime stats
+  function loadProfileCard() {
+    const cards = ['lobby-profile-card', 'final-profile-card'].map(id => document.getElementById(id)).filter(Boolean);
+    if (!player?.profileId) {
+      cards.forEach(card => card.classList.add('hidden'));
+      return;
+    }
+
+    fetch(`/api/profiles/${encodeURIComponent(player.profileId)}`)
+      .then(res => res.ok ? res.json() : null)
+      .then(profile => {
+        cards.forEach(card => {
+          card.classList.toggle('hidden', !profile);
+          if (profile) card.innerHTML = renderProfileCard(profile);
+        });
+      })
+      .catch(err => console.error('Failed to load profile:', err));
+  }
+
+  function renderProfileCard(profile) {
+    const stats = [
+      ['Games', profile.gamesPlayed],
+      ['Win rate', `${profile.winRate}%`],
+      ['Host accuracy', profile.hostAccuracy === null ? '–' : `${profile.hostAccuracy}%`],
+      ['Fooled the host', profile.fooledHost]
+    ];
+    const themes = profile.favouriteThemes.length > 0
+      ? `<p class="hint">Favourite themes: ${profile.favouriteThemes.map(t => ui.escapeHtml(t)).join(', ')}</p>`
+      : '';
+    return `
+      <h3>📇 ${ui.escapeHtml(profile.name)}'s Profile</h3>
+      <div class="profile-stats">
+        ${stats.map(([label, value]) => `<div class="profile-stat"><span class="highlight">${value}</span><small>${label}</small></div>`).join('')}
+      </div>
+      ${themes}
+    `;
   }
 
   // Handle room joined
   function handleRoomJoined(data) {
     player = data.player;
-    gameState = { players: data.players, phase: 'lobby' };
+    gameState = { players: data.players, phase: 'lobby', mode: data.mode, teams: data.teams || [] };
+    ui.audio?.loadPack(data.soundPack);
 
     // Store session for reconnection
     ui.store('session', {
@@ -339,16 +429,37 @@
     }
 
     ui.hideError('join-error');
-    ui.showScreen('lobby-screen');
     ui.setText('your-name', player.name);
-    updateLobbyDisplay();
     ui.vibrate(50);
+    
+    // Joined mid-game - wait to be let in at the start of a round
+    if (data.lateJoin) {
+      gameState.phase = 'late_join';
+      ui.showScreen('late-join-screen');
+      ui.setText('late-join-name', player.name);
+      ui.setText('late-join-message', data.lateJoin.nextGame
+        ? "This game is nearly over - you'll join the next one..."
+        : "You'll join when the next round starts...");
+      return;
+    }
+    
+    ui.showScreen('lobby-screen');
+    updateLobbyDisplay();
+    loadProfileCard();
   }
 
   // Handle join error
   function handleJoinError(data) {
     ui.showError('join-error', data.message);
     
+    // Can't play right now - the audience has no player limit and can join mid-game
+    const roomCode = document.getElementById('room-code')?.value.trim().toUpperCase();
+    const audienceLink = document.getElementById('audience-link');
+    if (audienceLink && roomCode && ['Game already in progress', 'Room is full'].includes(data.message)) {
+      audienceLink.href = `/?room=${encodeURIComponent(roomCode)}&audience=1`;
+      audienceLink.classList.remove('hidden');
+    }
+    
     // Reset join button
     const joinBtn = document.getElementById('join-btn');
     if (joinBtn) {
@@ -366,6 +477,7 @@
   function handleReconnected(data) {
     player = data.player;
     gameState = data.gameState;
+    ui.audio?.loadPack(gameState.soundPack);
     
     // Restore submitted answer if any
     if (data.submittedAnswer) {
@@ -379,12 +491,31 @@
     
     ui.setText('your-name', player.name);
     updateDisplayForCurrentPhase();
+    ui.showPausedOverlay(!!gameState.isPaused);
+    loadProfileCard();
+    
+    // Team answer still waiting for approval
+    if (data.teamProposal && gameState.phase === 'answering' && !submittedAnswer) {
+      handleTeamProposal(data.teamProposal);
+    }
   }
 
   // Handle reconnect failed
   function handleReconnectFailed(data) {
     ui.clearStore('session');
     ui.showScreen('join-screen');
+    if (data.kicked) {
+      ui.showError('join-error', data.message);
+    }
+  }
+
+  // Removed by the main display - back to the join screen for good
+  function handleKicked(data) {
+    player = null;
+    gameState = null;
+    isInHostMode = false;
+    handleReconnectFailed({ ...data, kicked: true });
+    ui.vibrate([100, 50, 100]);
   }
 
   // Handle player joined
@@ -394,6 +525,41 @@
     updateLobbyDisplay();
   }
 
+  // Players who joined mid-game were let in as a round starts (maybe us)
+  function handleLateJoinersAdmitted(data) {
+    if (!gameState || !player) return;
+    gameState.players = data.players;
+    gameState.mode = data.mode;
+    gameState.teams = data.teams;
+    gameState.totalRounds = data.totalRounds;
+    
+    const me = data.joined.find(p => p.id === player.id);
+    if (me) {
+      player.score = me.score;
+      player.teamId = me.teamId;
+      ui.vibrate([50, 50, 50]);
+    }
+  }
+
+  // The main display renamed, reordered or removed players
+  function handlePlayersUpdated(data) {
+    if (!gameState || !player) return;
+    gameState.players = data.players;
+    gameState.mode = data.mode;
+    gameState.teams = data.teams;
+    
+    const me = data.players.find(p => p.id === player.id);
+    if (me) {
+      player.name = me.name;
+      player.isHost = me.isHost;
+      ui.setText('your-name', me.name);
+    }
+    
+    if (gameState.phase === 'lobby') {
+      updateLobbyDisplay();
+    }
+  }
+
   // Handle player disconnected
   function handlePlayerDisconnected(data) {
     if (gameState) {
@@ -406,6 +572,49 @@
   function updateLobbyDisplay() {
     ui.updatePlayerList('player-list', gameState.players);
     ui.setText('player-count', gameState.players.length);
+    
+    // Team mode: tap a team to join it
+    const isTeamMode = gameState.mode === 'teams';
+    ui.toggleElement('team-picker', isTeamMode);
+    if (isTeamMode) {
+      ui.updateTeamList('team-list', gameState.teams || [], {
+        currentTeamId: player?.teamId,
+        onSelect: (team) => {
+          if (team.id !== player?.teamId) {
+            socket.emit('join_team', { teamId: team.id });
+            ui.vibrate(50);
+          }
+        }
+      });
+    }
+  }
+
+  // Handle team changes in the lobby
+  function handleTeamsUpdated(data) {
+    if (!gameState) return;
+    gameState.mode = data.mode;
+    gameState.teams = data.teams;
+    
+    if (player) {
+      const myTeam = data.teams.find(t => t.players.some(p => p.id === player.id));
+      player.teamId = myTeam ? myTeam.id : null;
+    }
+    
+    updateLobbyDisplay();
+  }
+
+  // Players, or teams in team mode - whoever answers and gets matched
+  function getCompetitors() {
+    if (!gameState) return [];
+    return gameState.mode === 'teams' ? (gameState.teams || []) : gameState.players;
+  }
+
+  // ID this player scores under (their team's in team mode)
+  function getMyCompetitorId() {
+    if (gameState?.mode === 'teams' && player?.teamId) {
+      return player.teamId;
+    }
+    return player?.id;
   }
 
   // Handle game started
@@ -417,9 +626,10 @@
   // Handle phase changed
   function handlePhaseChanged(data) {
     gameState.phase = data.phase;
+    isRewriting = false;
     
-    // Check if this player is the host
-    const isHost = data.currentHost && data.currentHost.id === player?.id;
+    // Check if this player is the host (or on the hosting team)
+    const isHost = data.currentHost && data.currentHost.id === getMyCompetitorId();
     
     if (isHost) {
       isInHostMode = true;
@@ -437,8 +647,11 @@
             showHostMatchingScreen(data);
           }
           break;
+        case 'voting':
+          showVotingWaitScreen('Everyone is voting on who said what...');
+          break;
         case 'reveal':
-          showRevealScreen();
+          showRevealScreen(data);
           break;
       }
       return;
@@ -457,6 +670,10 @@
       case 'matching':
         showMatchingWaitScreen(data);
         break;
+      case 'voting':
+        // The ballot (voting_start) follows straight after
+        showVotingWaitScreen('Everyone is voting on who said what...');
+        break;
       case 'reveal':
         showRevealScreen();
         break;
@@ -485,6 +702,9 @@
     submittedAnswer = null;
     submissionPosition = 0;
     ui.showScreen('answer-screen');
+    ui.toggleElement('team-proposal', false);
+    ui.toggleElement('veto-notice', false);
+    ui.hideError('answer-error');
     ui.setText('theme-text', data.theme || gameState.selectedTheme);
     
     const answerInput = document.getElementById('answer-input');
@@ -532,9 +752,63 @@
     ui.vibrate(50);
   }
 
+  // Handle a team answer waiting for approval (team mode)
+  function handleTeamProposal(data) {
+    const isMine = data.proposedBy.id === player?.id;
+    
+    // The answer box stays open so anyone on the team can suggest something else
+    const answerInput = document.getElementById('answer-input');
+    if (answerInput) {
+      answerInput.disabled = false;
+    }
+    const submitBtn = document.getElementById('submit-answer-btn');
+    if (submitBtn) {
+      submitBtn.classList.remove('loading');
+      submitBtn.textContent = 'Submit Answer';
+    }
+    
+    ui.setText('proposal-label', isMine
+      ? 'Waiting for a teammate to approve:'
+      : `${data.proposedBy.name} suggests:`);
+    ui.setText('proposal-text', `"${data.answer}"`);
+    ui.toggleElement('approve-answer-btn', !isMine);
+    ui.toggleElement('team-proposal', true);
+    
+    if (!isMine) {
+      ui.vibrate([50, 30, 50]);
+    }
+  }
+
+  // Moderation turned the answer down - let the player try another
+  function handleAnswerRejected(data) {
+    const answerInput = document.getElementById('answer-input');
+    if (answerInput) {
+      answerInput.disabled = false;
+      answerInput.focus();
+    }
+    const submitBtn = document.getElementById('submit-answer-btn');
+    if (submitBtn) {
+      submitBtn.classList.remove('loading');
+      submitBtn.textContent = 'Submit Answer';
+    }
+    
+    ui.showError('answer-error', data.message);
+    ui.vibrate(200);
+  }
+
+  // The host vetoed our answer - write a new one while they keep matching
+  function handleAnswerVetoed(data) {
+    showAnswerScreen({ theme: data.theme });
+    isRewriting = true;
+    ui.toggleElement('veto-notice', true);
+    ui.updateTimer('answer-timer', data.timeLimit);
+    ui.vibrate([100, 50, 100]);
+  }
+
   // Handle answer submitted confirmation
   function handleAnswerSubmitted(data) {
     submittedAnswer = data.answer;
+    isRewriting = false;
     
     // Track submission position from progress data
     submissionPosition = data.position || (submissionPosition + 1);
@@ -606,12 +880,24 @@
     }
   }
 
+  // The display changed the timers or rounds - new timers show from the next phase
+  function handleSettingsUpdated(data) {
+    if (gameState) gameState.totalRounds = data.totalRounds;
+  }
+
+  // The main display paused or resumed the game
+  function handleGamePaused(data) {
+    if (gameState) gameState.isPaused = data.paused;
+    ui.showPausedOverlay(data.paused);
+  }
+
   // Handle timer update
   function handleTimerUpdate(data) {
     const timerMap = {
       'themeSelection': 'theme-timer',
       'answering': 'answer-timer',
       'matching': 'matching-timer',
+      'voting': 'voting-timer',
       'roundEnd': 'round-end-timer'
     };
 
@@ -620,6 +906,15 @@
       ui.updateTimer(timerId, data.remaining);
     }
     
+    // A rewrite has until the host's matching time runs out
+    if (isRewriting && data.phase === 'matching') {
+      ui.updateTimer('answer-timer', data.remaining);
+    }
+    
+    if (data.phase === 'voting') {
+      ui.updateTimer('voting-wait-timer', data.remaining);
+    }
+    
     if (isInHostMode) {
       const hostTimerMap = {
         'themeSelection': 'host-theme-timer',
@@ -631,6 +926,7 @@
         ui.updateTimer(hostTimerId, data.remaining);
       }
     }
+    ui.playTimerSound(data);
   }
 
   // Handle penalty applied
@@ -657,40 +953,69 @@
     }
   }
 
-  // Show reveal screen
-  function showRevealScreen() {
+  // Show reveal screen - the host gets a Next button when the reveal waits for them,
+  // or the answers still to reveal when they pick the order
+  function showRevealScreen(data = {}) {
     ui.showScreen('reveal-screen');
+    const choices = isInHostMode && data.choices?.length > 0 ? data.choices : null;
+    ui.toggleElement('reveal-next-btn', isInHostMode && data.pacing === 'manual' && !choices);
+    ui.toggleElement('reveal-choices', !!choices);
+
+    const list = document.getElementById('reveal-choices-list');
+    if (list && choices) {
+      list.innerHTML = choices.map(c =>
+        `<div class="item answer" data-answer-index="${c.answerIndex}">"${ui.escapeHtml(c.answer)}"</div>`
+      ).join('');
+      list.querySelectorAll('[data-answer-index]').forEach(item => {
+        item.addEventListener('click', () => {
+          socket.emit('host_pick_reveal', { answerIndex: Number(item.dataset.answerIndex) });
+          ui.vibrate(50);
+        });
+      });
+    }
   }
 
   // Handle reveal result
   function handleRevealResult(data) {
-    ui.showScreen('reveal-screen');
+    showRevealScreen(data);
     
     ui.setText('reveal-answer-text', `"${data.answer}"`);
     ui.setText('reveal-guessed', data.guessedPlayer.name);
     ui.setText('reveal-actual', data.actualPlayer.name);
     ui.setText('reveal-progress', `${data.index + 1}/${data.total}`);
     
+    // Vote rounds - how many of the crowd named the right author
+    ui.toggleElement('reveal-votes', !!data.votes);
+    if (data.votes) {
+      ui.setText('reveal-votes', `${data.votes.correct}/${data.votes.votes} votes were right`);
+    }
+    
     const resultIcon = document.getElementById('reveal-result-icon');
     if (resultIcon) {
       resultIcon.classList.remove('correct', 'wrong');
       resultIcon.classList.add(data.isCorrect ? 'correct' : 'wrong');
     }
     
-    if (data.actualPlayer.id === player?.id) {
+    if (data.actualPlayer.id === getMyCompetitorId()) {
       ui.vibrate(100);
     }
+    // The host hears every guess, everyone else just the one about their own answer
+    if (isInHostMode || data.actualPlayer.id === getMyCompetitorId()) {
+      ui.playSound(data.isCorrect ? 'correct' : 'wrong');
+    }
   }
 
   // Handle round end
   function handleRoundEnd(data) {
-    if (isInHostMode && data.hostScore) {
+    // Vote rounds have no host results - the host voted like everyone else
+    if (isInHostMode && data.hostScore && data.roundType !== 'vote') {
       ui.showScreen('host-results-screen');
       ui.setText('host-round-score', data.hostScore.score);
       ui.setText('host-next-host', data.nextHost.name);
       
       if (data.hostScore.isPerfect) {
         ui.toggleElement('perfect-bonus', true);
+        ui.playSound('perfectRound');
       } else {
         ui.toggleElement('perfect-bonus', false);
       }
@@ -718,7 +1043,7 @@
     
     // Use enhanced scoreboard with previous scores for comparison
     ui.updateScoreboard('scoreboard-list', data.scoreboard, {
-      currentPlayerId: player?.id,
+      currentPlayerId: getMyCompetitorId(),
       previousScores: previousScoreboard,
       currentRound: data.currentRound,
       totalRounds: gameState?.totalRounds
@@ -727,13 +1052,14 @@
     // Store current scoreboard for next round comparison
     previousScoreboard = JSON.parse(JSON.stringify(data.scoreboard));
     
-    const playerRank = data.scoreboard.findIndex(p => p.id === player?.id) + 1;
-    const playerScore = data.scoreboard.find(p => p.id === player?.id)?.score || 0;
+    const playerRank = data.scoreboard.findIndex(p => p.id === getMyCompetitorId()) + 1;
+    const playerScore = data.scoreboard.find(p => p.id === getMyCompetitorId())?.score || 0;
     
     ui.setText('your-rank', `#${playerRank}`);
     ui.setText('your-score', playerScore);
+    showRoundBreakdown(data.scoreDeltas);
 
-    if (data.nextHost.id === player?.id) {
+    if (data.nextHost.id === getMyCompetitorId()) {
       setTimeout(() => {
         ui.showScreen('host-turn-screen');
       }, 3000);
@@ -742,6 +1068,20 @@
 
   // ============ HOST MODE FUNCTIONS - SIMPLE TAP MATCHING ============
   
+  // Where this round's points came from - one line per score event
+  function showRoundBreakdown(scoreDeltas) {
+    const mine = (scoreDeltas || []).find(d => d.id === getMyCompetitorId());
+    ui.toggleElement('round-breakdown', !!mine);
+    if (!mine) return;
+    
+    const formatPoints = points => (points > 0 ? `+${points}` : `${points}`);
+    
+    ui.setText('round-delta', formatPoints(mine.delta));
+    ui.setHtml('round-breakdown-list', mine.events
+      .map(e => `<li>${ui.escapeHtml(e.reason)} <span class="highlight">${formatPoints(e.points)}</span></li>`)
+      .join(''));
+  }
+
   // Reset matching state
   function resetMatchingState() {
     selectedAnswer = null;
@@ -801,7 +1141,8 @@
     ui.showScreen('host-waiting-answers-screen');
     ui.setText('host-selected-theme-text', data.theme || gameState.selectedTheme);
     
-    const nonHostPlayers = gameState.players.filter(p => !p.isHost);
+    // Everyone but this host (other teams in team mode)
+    const nonHostPlayers = getCompetitors().filter(p => p.id !== getMyCompetitorId());
     ui.setText('host-answers-total', nonHostPlayers.length);
     ui.setText('host-answers-submitted', '0');
 
@@ -809,7 +1150,7 @@
     if (statusList) {
       statusList.innerHTML = nonHostPlayers.map(p => `
         <li>
-          <span>${ui.escapeHtml(p.name)}</span>
+          <span>${ui.escapeHtml(p.name)}${ui.botBadge(p)}</span>
           <span class="status-icon pending">⏳</span>
         </li>
       `).join('');
@@ -825,6 +1166,7 @@
   // Show host matching screen - simple tap system
   function showHostMatchingScreen(data) {
     ui.showScreen('host-matching-screen');
+    ui.hideError('matching-error');
     
     // Reset state
     selectedAnswer = null;
@@ -835,18 +1177,44 @@
     
     // Update progress
     ui.setText('matches-total', playersData.length);
-    ui.setText('matches-count', '0');
-
-    // Build answers list
+    renderMatchingLists();
+  }
+  
+  // Answers changed while matching (a vetoed answer left, its rewrite came in, or a player was removed)
+  function handleMatchingAnswersUpdated(data) {
+    if (!isInHostMode) return;
+    
+    answersData = data.answers || [];
+    playersData = data.players || playersData;
+    
+    // A match for an answer that's being rewritten (or for a removed player) no longer counts
+    Object.entries(matches).forEach(([answerIndex, playerId]) => {
+      const answer = answersData.find(a => String(a.index) === answerIndex);
+      if (!answer || answer.rewriting || !playersData.some(p => p.id === playerId)) {
+        delete matches[answerIndex];
+      }
+    });
+    selectedAnswer = null;
+    ui.setText('matches-total', playersData.length);
+    renderMatchingLists();
+  }
+  
+  // Build the answer and player lists, keeping the matches made so far
+  function renderMatchingLists() {
     const answersList = document.getElementById('answers-list');
     if (answersList) {
-      answersList.innerHTML = answersData.map((a, index) => 
-        `<div class="item answer" data-id="${index}">"${ui.escapeHtml(a.answer)}"</div>`
+      answersList.innerHTML = answersData.map(a => a.rewriting
+        ? `<div class="item answer rewriting" data-id="${a.index}">✏️ Being rewritten...</div>`
+        : `<div class="item answer" data-id="${a.index}">"${ui.escapeHtml(a.answer)}"<button type="button" class="veto-btn" title="Veto this answer">🚫</button></div>`
       ).join('');
 
       // Add tap listeners
-      answersList.querySelectorAll('.answer').forEach(ans => {
+      answersList.querySelectorAll('.answer:not(.rewriting)').forEach(ans => {
         ans.addEventListener('click', () => handleAnswerTap(ans));
+        ans.querySelector('.veto-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          vetoAnswer(ans.dataset.id);
+        });
       });
     }
 
@@ -854,7 +1222,7 @@
     const playersList = document.getElementById('players-list');
     if (playersList) {
       playersList.innerHTML = playersData.map(p => 
-        `<div class="item player" data-id="${p.id}">${ui.escapeHtml(p.name)}</div>`
+        `<div class="item player" data-id="${p.id}">${ui.escapeHtml(p.name)}${ui.botBadge(p)}</div>`
       ).join('');
 
       // Add tap listeners
@@ -863,9 +1231,30 @@
       });
     }
 
+    // Colour the matches back in
+    colorIndex = 0;
+    Object.entries(matches).forEach(([answerId, playerId]) => {
+      const color = colors[colorIndex++ % colors.length];
+      [answersList?.querySelector(`[data-id="${answerId}"]`), playersList?.querySelector(`[data-id="${playerId}"]`)]
+        .filter(Boolean)
+        .forEach(el => {
+          el.style.background = color;
+          el.classList.add('matched');
+        });
+    });
+
+    ui.setText('matches-count', Object.keys(matches).length);
     updateSubmitButton();
   }
   
+  // Veto an answer - it leaves the TV and its author writes a new one
+  function vetoAnswer(answerIndex) {
+    if (!confirm('Veto this answer? Its author will have to write a new one.')) return;
+    
+    socket.emit('veto_answer', { answerIndex: parseInt(answerIndex, 10) });
+    ui.vibrate(100);
+  }
+  
   // Handle answer tap
   function handleAnswerTap(answerElement) {
     // If already matched, ignore
@@ -972,6 +1361,86 @@
   
   // ============ END HOST MODE FUNCTIONS ============
 
+  // ============ VOTE ROUNDS ============
+
+  // Waiting for a ballot, or for everyone else to vote
+  function showVotingWaitScreen(status) {
+    ui.showScreen('voting-wait-screen');
+    ui.setText('voting-wait-status', status);
+  }
+
+  // A ballot with every answer but our own
+  function handleVotingStart(data) {
+    ballot = {};
+    ballotAnswers = data.answers || [];
+    ballotPlayers = data.players || [];
+
+    ui.showScreen('voting-screen');
+    ui.hideError('voting-error');
+    if (data.timeLimit) {
+      ui.updateTimer('voting-timer', data.timeLimit);
+    }
+    renderBallot();
+  }
+
+  // One card per answer with a button for each possible author
+  function renderBallot() {
+    const ballotList = document.getElementById('ballot-list');
+    if (!ballotList) return;
+
+    ballotList.innerHTML = ballotAnswers.map(a => {
+      const options = ballotPlayers.map(p => {
+        const chosen = ballot[a.index] === p.id ? ' chosen' : '';
+        return `<button type="button" class="vote-option${chosen}" data-answer="${a.index}" data-player="${p.id}">${ui.escapeHtml(p.name)}${ui.botBadge(p)}</button>`;
+      }).join('');
+
+      return `
+        <div class="vote-card">
+          <p class="answer-text">"${ui.escapeHtml(a.answer)}"</p>
+          <div class="vote-options">${options}</div>
+        </div>
+      `;
+    }).join('');
+
+    ballotList.querySelectorAll('.vote-option').forEach(option => {
+      option.addEventListener('click', () => {
+        ballot[option.dataset.answer] = option.dataset.player;
+        renderBallot();
+        ui.vibrate(25);
+      });
+    });
+
+    const votedCount = Object.keys(ballot).length;
+    ui.setText('ballot-count', votedCount);
+    ui.setText('ballot-total', ballotAnswers.length);
+    ui.setButtonEnabled('submit-votes', votedCount === ballotAnswers.length && votedCount > 0);
+  }
+
+  // Lock in the ballot
+  function submitVotes() {
+    const votes = Object.entries(ballot).map(([answerIndex, playerId]) => ({
+      answerIndex: parseInt(answerIndex, 10),
+      playerId
+    }));
+
+    socket.emit('submit_votes', { votes });
+    ui.vibrate(100);
+  }
+
+  // The server took our votes
+  function handleVotesSubmitted(data) {
+    showVotingWaitScreen('Votes locked in! Waiting for everyone else...');
+    ui.vibrate([50, 50, 50]);
+  }
+
+  // How many players have voted so far
+  function handleVotingProgress(data) {
+    ui.setText('voting-wait-voted', data.voted);
+    ui.setText('voting-wait-total', data.total);
+  }
+
+  // ============ END VOTE ROUNDS ============
+
   // Handle sudden death start
   function handleSuddenDeathStart(data) {
     ui.showScreen('sudden-death-screen');
@@ -981,11 +1450,12 @@
     ui.setText('sudden-death-message', data.message);
     
     // Check if we're one of the tied players
-    const iAmTied = data.tiedPlayers.some(p => p.id === player?.id);
+    const iAmTied = data.tiedPlayers.some(p => p.id === getMyCompetitorId());
     
     if (iAmTied) {
       ui.setText('sudden-death-status', "You're in SUDDEN DEATH! Time to prove yourself!");
       ui.vibrate([200, 100, 200, 100, 200]);
+      ui.playSound('suddenDeath');
     } else {
       ui.setText('sudden-death-status', "You're spectating - watch the tied players battle it out!");
     }
@@ -996,28 +1466,35 @@
   // Handle game over
   function handleGameOver(data) {
     ui.showScreen('game-over-screen');
+    ui.playSound('winner');
     
     ui.setText('winner-name', data.winner.name);
     ui.setText('winner-score', data.winner.score);
     
     // Use enhanced scoreboard
     ui.updateScoreboard('final-scoreboard', data.scoreboard, {
-      currentPlayerId: player?.id,
+      currentPlayerId: getMyCompetitorId(),
       previousScores: previousScoreboard
     });
     
-    const playerRank = data.scoreboard.findIndex(p => p.id === player?.id) + 1;
+    const playerRank = data.scoreboard.findIndex(p => p.id === getMyCompetitorId()) + 1;
     ui.setText('your-final-rank', `#${playerRank}`);
     
-    if (data.winner.id === player?.id) {
+    if (data.winner.id === getMyCompetitorId()) {
       ui.vibrate([100, 50, 100, 50, 200]);
       triggerConfetti();
     }
+    
+    // Stats now include this game
+    loadProfileCard();
   }
 
   // Handle game reset
   function handleGameReset(data) {
-    gameState = { players: data.players, phase: 'lobby' };
+    gameState = { players: data.players, phase: 'lobby', mode: data.mode, teams: data.teams || [] };
+    if (player) {
+      player.teamId = gameState.teams.find(t => t.players.some(p => p.id === player.id))?.id || null;
+    }
     submittedAnswer = null;
     isInHostMode = false;
     previousScoreboard = null;
@@ -1030,6 +1507,16 @@
   // Handle error
   function handleError(data) {
     console.error('Error:', data.message);
+    
+    // Refused vetoes and submissions while matching
+    if (isInHostMode && gameState?.phase === 'matching') {
+      ui.showError('matching-error', data.message);
+    }
+    
+    // Refused ballots in a vote round
+    if (gameState?.phase === 'voting') {
+      ui.showError('voting-error', data.message);
+    }
   }
 
   // Update display for current phase
@@ -1060,6 +1547,10 @@
         case 'matching':
           ui.showScreen('host-matching-screen');
           return;
+        case 'voting':
+          // voting_start follows straight after when the host hasn't voted yet
+          showVotingWaitScreen('Votes locked in! Waiting for everyone else...');
+          return;
         case 'reveal':
           showRevealScreen();
           return;
@@ -1094,6 +1585,12 @@
       case 'matching':
         showMatchingWaitScreen({});
         break;
+      case 'voting':
+        // voting_start follows straight after when this player hasn't voted yet
+        showVotingWaitScreen(currentPlayer?.hasVoted
+          ? 'Votes locked in! Waiting for everyone else...'
+          : 'Everyone is voting on who said what...');
+        break;
       case 'reveal':
         showRevealScreen();
         break;
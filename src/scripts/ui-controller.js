@@ -5,6 +5,9 @@ class UIController {
   constructor() {
     this.activeScreen = null;
     this.timerInterval = null;
+    this.audio = typeof AudioManager !== 'undefined' ? new AudioManager() : null;
+    this.timerSounds = {}; // timerName -> seconds left at its last update
+    this.timeUpTimeout = null;
   }
 
   /**
@@ -80,6 +83,13 @@ class UIController {
     }
   }
 
+  /**
+   * 🤖 tag after a bot player's name (nothing for people)
+   */
+  botBadge(player) {
+    return player && player.isBot ? '<span class="bot-badge" title="Bot player">🤖</span>' : '';
+  }
+
   /**
    * Create player list item
    */
@@ -88,7 +98,7 @@ class UIController {
     li.className = 'player-item';
     li.dataset.playerId = player.id;
     
-    let html = `<span class="player-name">${this.escapeHtml(player.name)}</span>`;
+    let html = `<span class="player-name">${this.escapeHtml(player.name)}${this.botBadge(player)}</span>`;
     if (player.isHost) {
       html += `<span class="host-badge">HOST</span>`;
     }
@@ -121,10 +131,56 @@ class UIController {
     });
   }
 
+  /**
+   * Update team list (team mode lobby)
+   * @param {string} elementId - The list element ID
+   * @param {Array} teams - [{id, name, isHost, players: [{id, name}]}]
+   * @param {Object} options
+   * @param {string} options.currentTeamId - Highlight this team
+   * @param {Function} options.onSelect - Makes teams tappable, called with the team
+   */
+  updateTeamList(elementId, teams, options = {}) {
+    const list = document.getElementById(elementId);
+    if (!list) return;
+    
+    const { currentTeamId, onSelect } = options;
+    
+    list.innerHTML = '';
+    
+    teams.forEach(team => {
+      const li = document.createElement('li');
+      li.className = 'team-card';
+      li.dataset.teamId = team.id;
+      
+      if (team.id === currentTeamId) {
+        li.classList.add('your-team');
+      }
+      if (team.isHost) {
+        li.classList.add('host-team');
+      }
+      
+      const members = team.players.map(p => `${this.escapeHtml(p.name)}${this.botBadge(p)}`).join(', ');
+      li.innerHTML = `
+        <h4>
+          <span>${this.escapeHtml(team.name)}</span>
+          ${team.isHost ? '<span class="host-badge">HOST</span>' : ''}
+        </h4>
+        <p class="team-members">${members || 'No players yet'}</p>
+      `;
+      
+      if (onSelect) {
+        li.classList.add('selectable');
+        li.addEventListener('click', () => onSelect(team));
+      }
+      
+      list.appendChild(li);
+    });
+  }
+
   /**
    * Create scoreboard with enhanced UI
    * @param {string} elementId - The scoreboard list element ID
-   * @param {Array} scores - Current scoreboard array
+   * @param {Array} scores - Current scoreboard array (team entries list their members)
    * @param {Object} options - Additional options
    * @param {string} options.currentPlayerId - Highlight current player
    * @param {Array} options.previousScores - Previous round's scoreboard for comparison
@@ -214,9 +270,14 @@ class UIController {
       const medalIcon = index < 3 ? `<span class="medal-icon">${medalIcons[index]}</span>` : '';
       const rankDisplay = index < 3 ? medalIcon : `${index + 1}`;
       
+      // Team mode: show who is on each team
+      const membersHtml = player.members
+        ? `<span class="team-members">${player.members.map(name => this.escapeHtml(name)).join(', ')}</span>`
+        : '';
+      
       li.innerHTML = `
         <span class="rank">${rankDisplay}</span>
-        <span class="name">${this.escapeHtml(player.name)}${rankChangeHtml}</span>
+        <span class="name">${this.escapeHtml(player.name)}${this.botBadge(player)}${membersHtml}${rankChangeHtml}</span>
         <span class="score-section">
           ${scoreDeltaHtml}
           <span class="score">${player.score}</span>
@@ -334,6 +395,35 @@ class UIController {
     }
   }
 
+  /**
+   * Show or hide the PAUSED overlay (the same on every device)
+   * @param {boolean} paused
+   * @param {Function} onResume - Adds a Resume button (main display only)
+   */
+  showPausedOverlay(paused, onResume = null) {
+    let overlay = document.getElementById('paused-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'paused-overlay';
+      overlay.className = 'paused-overlay hidden';
+      overlay.innerHTML = `
+        <div class="paused-content">
+          <h1>PAUSED</h1>
+          <p>The game will carry on in a moment</p>
+        </div>`;
+      if (onResume) {
+        const resumeBtn = document.createElement('button');
+        resumeBtn.className = 'gameshow-button';
+        resumeBtn.textContent = '▶ Resume';
+        resumeBtn.addEventListener('click', onResume);
+        overlay.querySelector('.paused-content').appendChild(resumeBtn);
+      }
+      document.body.appendChild(overlay);
+    }
+    
+    overlay.classList.toggle('hidden', !paused);
+  }
+
   /**
    * Store data in localStorage
    */
@@ -379,12 +469,33 @@ class UIController {
   }
 
   /**
-   * Play sound (if available)
+   * Play a sound cue from the room's sound pack (join, timerWarning, timeUp, correct, wrong,
+   * perfectRound, suddenDeath, winner)
    */
   playSound(soundName) {
-    // Placeholder for sound implementation
-    // Could be extended to play actual sounds
-    console.log('Sound:', soundName);
+    this.audio?.play(soundName);
+  }
+
+  /**
+   * Countdown sounds from a timer_update - a warning at 10 seconds left and a buzzer as time runs out
+   * Only for the timers players race against (not the round end screen's)
+   */
+  playTimerSound(data) {
+    if (!['themeSelection', 'answering', 'matching'].includes(data.phase)) return;
+
+    const last = this.timerSounds[data.phase];
+    this.timerSounds[data.phase] = data.remaining;
+    clearTimeout(this.timeUpTimeout);
+
+    if (data.remaining <= 10 && data.remaining > 1 && !(last <= 10) && data.totalSeconds > 10) {
+      this.playSound('timerWarning');
+    }
+    // The server's last tick shows 1 second left - the buzzer goes when it's up (unless another tick comes first)
+    if (data.remaining === 1) {
+      this.timeUpTimeout = setTimeout(() => this.playSound('timeUp'), 1000);
+    } else if (data.remaining === 0 && last === 1) {
+      this.playSound('timeUp');
+    }
   }
 }
 
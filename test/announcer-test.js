@@ -0,0 +1,192 @@
+/**
+ * Announcer Test - Game show announcer lines for reveals and round ends
+ * Simulates 3 players playing a full game on a server without an API key (canned lines),
+ * then checks the AI path directly with a stand-in for Claude
+ *
+ * SCENARIO:
+ * - Alice hosts round 1 and matches everything correctly
+ * - Bob and Charlie host rounds 2 and 3 and get every answer wrong
+ * - The Announcer is given a Claude reply with quotes and extra lines, then no reply at all
+ *
+ * PASSES WHEN:
+ * - Round 1 ends with a summary naming the leader
+ * - Rounds 2 and 3 get one reveal line (for the first wrong guess) and end with a roast of the host
+ * - Lines come straight after what they react to and carry their round
+ * - Without an API key the canned lines are used
+ * - Claude's reply is trimmed to one line, and a missing reply falls back to a canned line
+ */
+
+const io = require('socket.io-client');
+const Announcer = require('../services/announcer');
+
+const SERVER_URL = 'http://localhost:3000';
+
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  lines: [], // announcer_line events, with what the display saw just before
+  gameOver: null,
+  aiLine: null,
+  aiPrompt: null,
+  fallbackLine: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  socket.on('error', (err) => {
+    testResults.errors.push({ player: name, error: err.message });
+    log(`❌ ${name} error: ${err.message}`);
+  });
+  return { name, socket, id: data.player.id };
+}
+
+// Play every round as it comes: hosts pick the first theme and everyone else answers.
+// Alice matches correctly, Bob and Charlie swap the two answers (Alice wins outright, so no sudden death)
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      const authors = data.answers.map(a => players.find(p => a.answer.startsWith(p.name)));
+      const guesses = player.name === 'Alice' ? authors : [...authors].reverse();
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map((a, i) => ({ answerIndex: a.index, playerId: guesses[i].id }))
+      });
+    });
+  });
+}
+
+// Record each line with the last reveal or round end the display saw before it
+function watchLines() {
+  let last = null;
+  display.on('reveal_result', (data) => { last = { event: 'reveal_result', isCorrect: data.isCorrect, index: data.index }; });
+  display.on('round_end', (data) => { last = { event: 'round_end', round: data.currentRound }; });
+  display.on('announcer_line', (data) => {
+    testResults.lines.push({ ...data, after: last });
+    log(`🎙️  Round ${data.round} ${data.event} (${data.source}): ${data.text}`);
+  });
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  ANNOUNCER TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 3 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      players.push(await joinPlayer(name));
+    }
+    autoPlay();
+    watchLines();
+
+    log('\nStep 2: Playing a full game...');
+    const gameOver = waitForEvent(display, 'game_over', 120000);
+    display.emit('display_start_game');
+    testResults.gameOver = await gameOver;
+    log(`Winner: ${testResults.gameOver.winner.name}`);
+
+    log('\nStep 3: The announcer with a stand-in for Claude...');
+    const context = { theme: 'Favorite snack', host: 'Bob', author: 'Alice', guess: 'Charlie', answer: 'Crisps',
+      answers: [{ answer: 'Crisps', author: 'Alice' }] };
+    const replying = new Announcer({ announcer: { maxTokens: 60, timeout: 4 } }, {
+      generateAnnouncerLine: async (prompt, options) => {
+        testResults.aiPrompt = { prompt, options };
+        return '"Bob just got bamboozled by the crisps!"\nSecond line';
+      }
+    });
+    testResults.aiLine = await replying.announce('reveal', context);
+    const silent = new Announcer({ announcer: { maxTokens: 60, timeout: 4 } }, { generateAnnouncerLine: async () => null });
+    testResults.fallbackLine = await silent.announce('hostRoast', { ...context, total: 2 });
+    log(`AI: ${testResults.aiLine.text} / fallback: ${testResults.fallbackLine.text}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { lines, aiLine, aiPrompt, fallbackLine } = testResults;
+    const linesFor = (round) => lines.filter(l => l.round === round);
+    const checks = {
+      'Round 1 ends with a summary naming the leader': linesFor(1).length === 1 && linesFor(1)[0].event === 'roundSummary' &&
+        linesFor(1)[0].text.includes('Alice') && linesFor(1)[0].after.event === 'round_end',
+      'One reveal line for the first wrong guess': [2, 3].every(round => {
+        const reveals = linesFor(round).filter(l => l.event === 'reveal');
+        return reveals.length === 1 && reveals[0].after.event === 'reveal_result' &&
+          reveals[0].after.isCorrect === false && reveals[0].after.index === 0;
+      }),
+      'Zero-score hosts get roasted': linesFor(2).some(l => l.event === 'hostRoast' && l.text.includes('Bob')) &&
+        linesFor(3).some(l => l.event === 'hostRoast' && l.text.includes('Charlie')),
+      'Roasts come at the round end': lines.filter(l => l.event === 'hostRoast').every(l => l.after.event === 'round_end'),
+      'Canned lines without an API key': lines.length === 5 && lines.every(l => l.source === 'canned' && l.text.length > 0),
+      'Claude gets the theme, answers and budget': aiPrompt.prompt.includes('Favorite snack') && aiPrompt.prompt.includes('"Crisps" (by Alice)') &&
+        aiPrompt.options.maxTokens === 60 && aiPrompt.options.timeout === 4000,
+      'Claude\'s reply is trimmed to one line': aiLine.source === 'ai' && aiLine.text === 'Bob just got bamboozled by the crisps!',
+      'No reply falls back to a canned line': fallbackLine.source === 'canned' && fallbackLine.text.includes('Bob'),
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
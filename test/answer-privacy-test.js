@@ -0,0 +1,350 @@
+/**
+ * Answer Privacy Test - Authorship must not reach any client before the reveal
+ * Simulates 4 players playing one round and records every payload each client receives
+ *
+ * CLIENTS OBSERVED:
+ * - Main display (and a second display that joins mid-matching)
+ * - The current host (including a request_matching_data fallback request)
+ * - Regular players
+ * - A player who disconnects and reconnects during matching
+ * - The /api/game-state HTTP endpoint (before the reveal, and again after the first reveal)
+ *
+ * PASSES WHEN:
+ * - No answer object carries playerId / playerName / actualPlayer before the reveal
+ * - No client ever receives another player's session token
+ * - reveal_result does carry the actual author once the reveal starts
+ * - Mid-reveal the game state shows the author of the revealed answer only
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+
+const SERVER_URL = 'http://localhost:3000';
+const NUM_PLAYERS = 4;
+
+// Store connections and state
+const players = [];
+let roomCode = null;
+let currentHost = null;
+let matchingPlayers = [];
+let firstReveal = null;
+let done = false;
+
+// Test results tracking
+const testResults = {
+  payloadsChecked: 0,
+  leaks: [],
+  errors: [],
+  matchingDataReceived: false,
+  matchingFallbackReceived: false,
+  reconnectReceived: false,
+  lateDisplayState: false,
+  httpStateChecked: false,
+  midRevealState: null
+};
+
+// Keys that would identify who wrote an answer
+const AUTHOR_KEYS = ['playerId', 'playerName', 'actualPlayer', 'actualPlayerId'];
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Walk a payload and report anything that exposes authorship or another player's session
+function findLeaks(value, ownToken, path = '') {
+  const leaks = [];
+  if (!value || typeof value !== 'object') return leaks;
+
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => leaks.push(...findLeaks(item, ownToken, `${path}[${i}]`)));
+    return leaks;
+  }
+
+  if (typeof value.answer === 'string') {
+    AUTHOR_KEYS.forEach(key => {
+      if (value[key] !== undefined) {
+        leaks.push(`${path}.${key} on answer "${value.answer}"`);
+      }
+    });
+  }
+
+  if (value.sessionToken && value.sessionToken !== ownToken) {
+    leaks.push(`${path}.sessionToken belongs to another player`);
+  }
+
+  Object.entries(value).forEach(([key, child]) => {
+    leaks.push(...findLeaks(child, ownToken, `${path}.${key}`));
+  });
+
+  return leaks;
+}
+
+// Record every event a client receives and check it until that client sees the reveal
+function observe(socket, label, getOwnToken = () => null) {
+  let revealed = false;
+
+  socket.onAny((event, payload) => {
+    if (event === 'phase_changed' && payload?.phase === 'reveal') {
+      revealed = true;
+    }
+    if (revealed || event === 'reveal_result') return;
+
+    // room_joined is where this client's own session token is first issued
+    const ownToken = event === 'room_joined' ? payload?.player?.sessionToken : getOwnToken();
+
+    testResults.payloadsChecked++;
+    findLeaks(payload, ownToken).forEach(leak => {
+      testResults.leaks.push({ client: label, event, leak });
+      log(`❌ LEAK to ${label} in ${event}: ${leak}`);
+    });
+  });
+}
+
+async function connectDisplay() {
+  return new Promise((resolve) => {
+    const displaySocket = io(SERVER_URL, {
+      transports: ['websocket'],
+      forceNew: true
+    });
+
+    observe(displaySocket, 'DISPLAY');
+
+    displaySocket.on('reveal_result', (data) => {
+      if (!firstReveal) {
+        firstReveal = data;
+        log(`First reveal: "${data.answer}" was written by ${data.actualPlayer?.name}`);
+      }
+    });
+
+    displaySocket.on('connect', () => {
+      log('Display connected');
+      displaySocket.emit('join_as_display');
+    });
+
+    displaySocket.once('game_state', (data) => {
+      roomCode = data.roomCode;
+      log(`Display got game_state, room: ${roomCode}`);
+      resolve(displaySocket);
+    });
+  });
+}
+
+async function joinWithRoomCode(name, code) {
+  return new Promise((resolve, reject) => {
+    const socket = io(SERVER_URL, {
+      transports: ['websocket'],
+      forceNew: true
+    });
+
+    const player = { name, socket, id: null, sessionToken: null, isHost: false };
+    observe(socket, name, () => player.sessionToken);
+    attachPlayerHandlers(player, socket);
+
+    socket.on('connect', () => {
+      socket.emit('join_room', { name, roomCode: code });
+    });
+
+    socket.on('room_joined', (data) => {
+      player.id = data.player.id;
+      player.sessionToken = data.player.sessionToken;
+      log(`${name} joined room`);
+      resolve(player);
+    });
+
+    socket.on('join_error', (data) => {
+      reject(new Error(data.message));
+    });
+
+    setTimeout(() => {
+      if (!player.id) reject(new Error(`${name} timeout`));
+    }, 10000);
+  });
+}
+
+function attachPlayerHandlers(player, socket) {
+  socket.on('phase_changed', (data) => {
+    currentHost = data.currentHost;
+    player.isHost = currentHost?.id === player.id;
+
+    if (data.phase === 'answering' && !player.isHost) {
+      setTimeout(() => {
+        socket.emit('submit_answer', { answer: `${player.name}'s secret answer` });
+      }, 200 + Math.random() * 300);
+    }
+
+    if (data.phase === 'matching' && player.isHost) {
+      setTimeout(probeMatchingPhase, 300);
+    }
+  });
+
+  socket.on('themes_generated', (data) => {
+    if (player.isHost) {
+      setTimeout(() => socket.emit('host_select_theme', { theme: data.themes[0] }), 200);
+    }
+  });
+
+  socket.on('matching_phase_start', (data) => {
+    if (!player.isHost) return;
+
+    if (testResults.matchingDataReceived) {
+      testResults.matchingFallbackReceived = true;
+    }
+    testResults.matchingDataReceived = true;
+    matchingPlayers = data.players || [];
+  });
+
+  socket.on('reconnected', () => {
+    testResults.reconnectReceived = true;
+    log(`${player.name} reconnected during matching`);
+  });
+
+  socket.on('error', (data) => {
+    testResults.errors.push({ player: player.name, error: data.message });
+    log(`❌ ${player.name} error: ${data.message}`);
+  });
+}
+
+// Exercise every other path that can send state during matching, then submit
+async function probeMatchingPhase() {
+  const host = players.find(p => p.isHost);
+  const regular = players.find(p => !p.isHost);
+
+  log('Matching phase: probing fallback, reconnect, late display and HTTP paths...');
+
+  // 1. Host fallback request
+  host.socket.emit('request_matching_data');
+
+  // 2. A regular player drops and reconnects
+  regular.socket.disconnect();
+  const socket = io(SERVER_URL, { transports: ['websocket'], forceNew: true });
+  regular.socket = socket;
+  observe(socket, `${regular.name} (reconnected)`, () => regular.sessionToken);
+  attachPlayerHandlers(regular, socket);
+  socket.on('connect', () => {
+    socket.emit('reconnect_player', { playerId: regular.id, sessionToken: regular.sessionToken });
+  });
+
+  // 3. A second display joins mid-matching
+  const lateDisplay = io(SERVER_URL, { transports: ['websocket'], forceNew: true });
+  observe(lateDisplay, 'LATE DISPLAY');
+  lateDisplay.on('connect', () => lateDisplay.emit('join_as_display'));
+  lateDisplay.once('game_state', () => {
+    testResults.lateDisplayState = true;
+  });
+
+  // 4. The HTTP endpoint
+  await new Promise((resolve) => {
+    http.get(`${SERVER_URL}/api/game-state?room=${roomCode}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        findLeaks(JSON.parse(body), null).forEach(leak => {
+          testResults.leaks.push({ client: 'HTTP', event: '/api/game-state', leak });
+          log(`❌ LEAK in /api/game-state: ${leak}`);
+        });
+        testResults.httpStateChecked = true;
+        resolve();
+      });
+    }).on('error', (err) => {
+      testResults.errors.push({ player: 'HTTP', error: err.message });
+      resolve();
+    });
+  });
+
+  await new Promise(r => setTimeout(r, 1500));
+
+  // Host has no way to know authors - match in order
+  const matches = matchingPlayers.map((p, idx) => ({ answerIndex: idx, playerId: p.id }));
+  log(`Host submitting ${matches.length} matches`);
+  host.socket.emit('host_submit_matches', { matches });
+  lateDisplay.disconnect();
+}
+
+function fetchGameState() {
+  return new Promise((resolve) => {
+    http.get(`${SERVER_URL}/api/game-state?room=${roomCode}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(res.statusCode === 200 ? JSON.parse(body) : null));
+    }).on('error', () => resolve(null));
+  });
+}
+
+async function waitForReveal(timeoutMs = 120000) {
+  const startTime = Date.now();
+  while (!firstReveal && (Date.now() - startTime) < timeoutMs) {
+    await new Promise(r => setTimeout(r, 500));
+  }
+  return !!firstReveal;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  ANSWER PRIVACY TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Connecting display...');
+    const displaySocket = await connectDisplay();
+
+    log(`\nStep 2: Connecting ${NUM_PLAYERS} players...`);
+    const names = ['Alice', 'Bob', 'Charlie', 'Diana'];
+    for (let i = 0; i < NUM_PLAYERS; i++) {
+      players.push(await joinWithRoomCode(names[i], roomCode));
+      await new Promise(r => setTimeout(r, 100));
+    }
+
+    log('\nStep 3: Starting game and playing to the first reveal...\n');
+    displaySocket.emit('display_start_game');
+
+    const revealed = await waitForReveal();
+    done = true;
+
+    // The display moves the reveal on, so the game waits here after the first one
+    testResults.midRevealState = await fetchGameState();
+    const authored = (testResults.midRevealState?.shuffledAnswers || []).filter(a => a.playerId);
+    log(`Mid-reveal state: ${authored.length} of ${testResults.midRevealState?.shuffledAnswers.length} authors shown`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const checks = {
+      'Reveal reached': revealed,
+      'Host received matching data': testResults.matchingDataReceived,
+      'Host fallback request answered': testResults.matchingFallbackReceived,
+      'Player reconnected during matching': testResults.reconnectReceived,
+      'Late display received game_state': testResults.lateDisplayState,
+      'HTTP game state checked': testResults.httpStateChecked,
+      'No authorship or session leaks before reveal': testResults.leaks.length === 0,
+      'Authorship revealed in reveal_result': !!firstReveal?.actualPlayer?.id,
+      'Mid-reveal state shows only the revealed author': testResults.midRevealState?.phase === 'reveal' &&
+        authored.length === 1 && authored[0].answer === firstReveal.answer &&
+        authored[0].playerId === firstReveal.actualPlayer.id,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    log(`\nPayloads checked before reveal: ${testResults.payloadsChecked}`);
+
+    allPassed = Object.values(checks).every(Boolean);
+
+    displaySocket.disconnect();
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket?.disconnect());
+
+  log(`\nTest ${allPassed && done ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+// Run the test
+runTest();
@@ -0,0 +1,261 @@
+/**
+ * Audience Test - Spectators watch and vote on who wrote each answer
+ * Simulates 3 players and 12 spectators (more than maxPlayers) playing one round
+ *
+ * SCENARIO:
+ * - 11 spectators join in the lobby, one more joins mid-game (a player joining then waits for the next round)
+ * - While the host matches, one spectator votes every answer right and one votes every answer wrong
+ * - A spectator reloads the page and rejoins with their session token
+ *
+ * PASSES WHEN:
+ * - Spectators never count as players and can't submit answers
+ * - Voting data is anonymous and votes are only accepted during matching
+ * - Every reveal_result carries 50% audience accuracy, spectator scores are 2 and 0,
+ *   and round_end carries the audience leaderboard
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+
+const SERVER_URL = 'http://localhost:3000';
+const SPECTATOR_COUNT = 12;
+
+let display = null;
+let roomCode = null;
+const players = [];
+const spectators = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  lateJoinQueued: false,
+  lateSpectatorJoined: false,
+  spectatorAnswerRejected: false,
+  earlyVoteRejected: false,
+  votingAnonymous: false,
+  votingOpenedForAll: false,
+  voterCountShown: false,
+  reconnected: false,
+  reveals: [],
+  scores: {},
+  roundEnd: null,
+  playerCount: null,
+  audienceSize: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function fetchGameState() {
+  return new Promise((resolve) => {
+    http.get(`${SERVER_URL}/api/game-state?room=${roomCode}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(res.statusCode === 200 ? JSON.parse(body) : null));
+    }).on('error', () => resolve(null));
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id };
+
+  socket.on('error', (err) => {
+    testResults.errors.push({ player: name, error: err.message });
+  });
+
+  return player;
+}
+
+async function joinSpectator(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_audience', { name, roomCode }));
+  const data = await waitForEvent(socket, 'audience_joined');
+  const spectator = { name, socket, id: data.spectator.id, sessionToken: data.spectator.sessionToken };
+  watchSpectator(spectator);
+  return spectator;
+}
+
+function watchSpectator(spectator) {
+  spectator.socket.on('audience_score', (data) => {
+    testResults.scores[spectator.name] = data.score;
+  });
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  AUDIENCE TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display, 3 players and 11 spectators join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      players.push(await joinPlayer(name));
+    }
+    for (let i = 1; i < SPECTATOR_COUNT; i++) {
+      spectators.push(await joinSpectator(`Fan${i}`));
+    }
+
+    log('\nStep 2: Starting the game...');
+    const [host, bob, charlie] = players;
+    const themes = waitForEvent(host.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    host.socket.emit('start_game');
+    host.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    await answering;
+
+    log('\nStep 3: Latecomers - a player waits for the next round, a spectator gets in...');
+    const late = connect();
+    late.on('connect', () => late.emit('join_room', { name: 'Latecomer', roomCode }));
+    testResults.lateJoinQueued = !!(await waitForEvent(late, 'room_joined')).lateJoin;
+    late.disconnect();
+
+    const lateSpectator = await joinSpectator(`Fan${SPECTATOR_COUNT}`);
+    spectators.push(lateSpectator);
+    testResults.lateSpectatorJoined = true;
+
+    const rejected = waitForEvent(lateSpectator.socket, 'error', 5000);
+    lateSpectator.socket.emit('submit_answer', { answer: 'Sneaky answer' });
+    testResults.spectatorAnswerRejected = (await rejected).message === 'Player not found';
+
+    const closed = waitForEvent(lateSpectator.socket, 'error', 5000);
+    lateSpectator.socket.emit('audience_vote', { answerIndex: 0, playerId: bob.id });
+    testResults.earlyVoteRejected = (await closed).message === 'Voting is closed';
+
+    const [rightFan, wrongFan] = spectators;
+    const votingStarts = spectators.map(s => waitForEvent(s.socket, 'audience_voting_start'));
+    bob.socket.emit('submit_answer', { answer: "Bob's answer" });
+    charlie.socket.emit('submit_answer', { answer: "Charlie's answer" });
+
+    log('\nStep 4: Audience votes while the host matches...');
+    const voting = await Promise.all(votingStarts);
+    testResults.votingOpenedForAll = voting.length === SPECTATOR_COUNT;
+    const { answers, players: choices } = voting[0];
+    testResults.votingAnonymous = answers.every(a => a.playerId === undefined) &&
+      choices.length === 2 && !choices.some(c => c.id === host.id);
+
+    const authorOf = a => players.find(p => a.answer.startsWith(p.name)).id;
+    const otherThan = id => choices.find(c => c.id !== id).id;
+
+    for (const a of answers) {
+      const right = waitForEvent(rightFan.socket, 'audience_vote_recorded');
+      rightFan.socket.emit('audience_vote', { answerIndex: a.index, playerId: authorOf(a) });
+      await right;
+      const wrong = waitForEvent(wrongFan.socket, 'audience_vote_recorded');
+      wrongFan.socket.emit('audience_vote', { answerIndex: a.index, playerId: otherThan(authorOf(a)) });
+      await wrong;
+    }
+
+    const voterCount = waitForEvent(display, 'audience_updated', 5000);
+    log('Reloading a spectator page mid-vote...');
+    const reloaded = spectators[2];
+    reloaded.socket.disconnect();
+    reloaded.socket = connect();
+    reloaded.socket.on('connect', () => reloaded.socket.emit('reconnect_audience', {
+      spectatorId: reloaded.id,
+      sessionToken: reloaded.sessionToken,
+      roomCode
+    }));
+    watchSpectator(reloaded);
+    const [rejoined, revoting] = await Promise.all([
+      waitForEvent(reloaded.socket, 'audience_reconnected'),
+      waitForEvent(reloaded.socket, 'audience_voting_start')
+    ]);
+    testResults.reconnected = rejoined.spectator.id === reloaded.id && revoting.answers.length === 2;
+    testResults.voterCountShown = (await voterCount).voters === 2;
+
+    log('\nStep 5: Host submits (all correct), reveals run...');
+    reloaded.socket.on('reveal_result', data => testResults.reveals.push(data));
+    const roundEnd = waitForEvent(display, 'round_end', 30000);
+    host.socket.emit('host_submit_matches', {
+      matches: answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a) }))
+    });
+    testResults.roundEnd = await roundEnd;
+    const state = await fetchGameState();
+    testResults.playerCount = state.players.length;
+    testResults.audienceSize = state.audienceSize;
+
+    testResults.reveals.forEach(r => {
+      log(`  "${r.answer}" by ${r.actualPlayer.name} - audience ${r.audience?.accuracy}% (${r.audience?.correct}/${r.audience?.votes})`);
+    });
+    log(`Audience leaderboard: ${testResults.roundEnd.audienceLeaderboard.map(s => `${s.name} ${s.score}`).join(', ')}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const leaderboard = testResults.roundEnd.audienceLeaderboard;
+    const checks = {
+      'Late player waits for the next round': testResults.lateJoinQueued,
+      'Spectator joined mid-game': testResults.lateSpectatorJoined,
+      'Spectator answer rejected': testResults.spectatorAnswerRejected,
+      'Vote before matching rejected': testResults.earlyVoteRejected,
+      'Every spectator got the voting data': testResults.votingOpenedForAll,
+      'Voting data was anonymous': testResults.votingAnonymous,
+      'Display saw the voter count': testResults.voterCountShown,
+      'Spectator rejoined mid-vote': testResults.reconnected,
+      'Spectators never counted as players': testResults.playerCount === 3 && testResults.audienceSize === SPECTATOR_COUNT,
+      'Every reveal showed 50% audience accuracy': testResults.reveals.length === 2 &&
+        testResults.reveals.every(r => r.audience && r.audience.votes === 2 && r.audience.accuracy === 50),
+      'Spectator scores were 2 and 0': testResults.scores[rightFan.name] === 2 && testResults.scores[wrongFan.name] === 0,
+      'round_end carried the audience leaderboard': leaderboard.length === 5 &&
+        leaderboard[0].name === rightFan.name && leaderboard[0].score === 2,
+      'Player scores untouched by the audience': testResults.roundEnd.scoreboard.find(p => p.id === host.id).score === 5,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  spectators.forEach(s => s.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -11,6 +11,10 @@
  * - Eve (Round 5): Gets 4 correct out of 5 (near-perfect)
  * - Frank (Round 6): Gets ALL correct (another perfect round)
  * 
+ * Alice and Frank tie at 8 points → SUDDEN DEATH:
+ * - Alice (Round 7): Gets ALL correct again
+ * - Frank (Round 8): Gets ALL wrong, so Alice wins
+ * 
  * EDGE CASES TESTED:
  * - Perfect round bonus (+3)
  * - Zero score round
@@ -41,6 +45,7 @@ const testResults = {
   phaseChanges: [],
   revealResults: [],
   roundsCompleted: 0,
+  suddenDeathRounds: 0,
   hostScores: [],
   scores: {},
   errors: [],
@@ -118,6 +123,25 @@ const matchingStrategies = {
       answerIndex: idx,
       playerId: answer.playerId
     }));
+  },
+  
+  // Round 7 (Alice, SD): ALL CORRECT - stays ahead
+  7: (answers, players) => {
+    return answers.map((answer, idx) => ({
+      answerIndex: idx,
+      playerId: answer.playerId
+    }));
+  },
+  
+  // Round 8 (Frank, SD): ALL WRONG - loses the tie
+  8: (answers, playersList) => {
+    return answers.map((answer, idx) => {
+      const wrongPlayer = playersList.find(p => p.id !== answer.playerId);
+      return {
+        answerIndex: idx,
+        playerId: wrongPlayer?.id || playersList[0].id
+      };
+    });
   }
 };
 
@@ -128,13 +152,24 @@ const expectedScores = {
   3: { correct: 2, bonus: false, total: 2 },  // Charlie: ~2-3 (depends on 5 answers)
   4: { correct: 1, bonus: false, total: 1 },  // Diana: 1
   5: { correct: 4, bonus: false, total: 4 },  // Eve: 4
-  6: { correct: 5, bonus: true, total: 8 }    // Frank: 5 + 3 bonus = 8
+  6: { correct: 5, bonus: true, total: 8 },   // Frank: 5 + 3 bonus = 8
+  7: { correct: 5, bonus: true, total: 8 },   // Alice (SD): 5 + 3 bonus = 8
+  8: { correct: 0, bonus: false, total: 0 }   // Frank (SD): 0
 };
 
 function log(msg) {
   console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
 }
 
+// Answers reach clients anonymised, so the test works out authorship from the
+// text each simulated player submits ("<name>'s answer R<round>")
+function withAuthors(answers, playersList) {
+  return answers.map(answer => {
+    const author = playersList.find(p => answer.answer.startsWith(`${p.name}'s answer`));
+    return { ...answer, playerId: author ? author.id : null };
+  });
+}
+
 async function joinWithRoomCode(name, code, playerIndex) {
   return new Promise((resolve, reject) => {
     const socket = io(SERVER_URL, {
@@ -193,8 +228,8 @@ async function joinWithRoomCode(name, code, playerIndex) {
     });
 
     socket.on('matching_phase_start', (data) => {
-      matchingAnswers = data.answers || [];
       matchingPlayers = data.players || [];
+      matchingAnswers = withAuthors(data.answers || [], matchingPlayers);
       
       if (player.isHost && matchingAnswers.length > 0 && matchingPlayers.length > 0) {
         setTimeout(() => {
@@ -231,7 +266,11 @@ async function joinWithRoomCode(name, code, playerIndex) {
         return;
       }
       testResults.processedRounds.add(roundNum);
-      testResults.roundsCompleted++;
+      if (roundNum > data.totalRounds) {
+        testResults.suddenDeathRounds++;
+      } else {
+        testResults.roundsCompleted++;
+      }
       
       const hostScore = data.hostScore || {};
       
@@ -312,7 +351,9 @@ function getStrategyName(round) {
     3: '50% CORRECT (Mixed)',
     4: 'ONLY FIRST CORRECT (Minimal)',
     5: 'ONLY LAST WRONG (Near-Perfect)',
-    6: 'ALL CORRECT (Perfect)'
+    6: 'ALL CORRECT (Perfect)',
+    7: 'SUDDEN DEATH - ALL CORRECT',
+    8: 'SUDDEN DEATH - ALL WRONG'
   };
   return names[round] || 'Unknown';
 }
@@ -408,7 +449,10 @@ async function runTest() {
   log('  Round 4 (Diana):   1 CORRECT   → Minimal score');
   log('  Round 5 (Eve):     4/5 CORRECT → Near-perfect');
   log('  Round 6 (Frank):   ALL CORRECT → Perfect bonus (+8 total)');
-  log('\nExpected winner: Alice or Frank (tied at 8 points)\n');
+  log('  Alice and Frank tie at 8 points → sudden death:');
+  log('  Round 7 (Alice):   ALL CORRECT → 16 points');
+  log('  Round 8 (Frank):   ALL WRONG   → 8 points');
+  log('\nExpected winner: Alice with 16 points after sudden death\n');
 
   try {
     // 1. Connect display first
@@ -451,7 +495,7 @@ async function runTest() {
     log('═'.repeat(50));
     
     log(`\nGame completed: ${completed ? 'YES ✅' : 'NO (timeout) ❌'}`);
-    log(`Rounds completed: ${testResults.roundsCompleted}/${NUM_PLAYERS}`);
+    log(`Rounds completed: ${testResults.roundsCompleted}/${NUM_PLAYERS} (+${testResults.suddenDeathRounds} sudden death)`);
     
     const correctTotal = testResults.revealResults.filter(r => r.isCorrect).length;
     const incorrectTotal = testResults.revealResults.filter(r => !r.isCorrect).length;
@@ -514,9 +558,11 @@ async function runTest() {
       'All rounds played': testResults.roundsCompleted === NUM_PLAYERS,
       'Timer updates work': testResults.timerUpdates.filter(t => t.player === 'DISPLAY').length > 0,
       'Reveals work': testResults.revealResults.length > 0,
+      'Reveals say how long they stay up': testResults.revealResults.every(r => typeof r.revealSeconds === 'number' && r.revealSeconds >= 0),
       'Mixed results (correct+wrong)': correctTotal > 0 && incorrectTotal > 0,
       'Perfect bonus awarded': testResults.hostScores.some(h => h.isPerfect && h.score > h.correctMatches),
       'Zero score possible': testResults.hostScores.some(h => h.score === 0),
+      'Sudden death broke the tie': testResults.suddenDeathRounds === 2 && !!testResults.gameOverData?.wasSuddenDeath && winner?.name === 'Alice',
       'Game over received': !!testResults.gameOverData,
       'Winner declared': !!winner,
       'No errors': testResults.errors.length === 0
@@ -0,0 +1,261 @@
+/**
+ * Bots Test - Bot players added from the display lobby, answering and hosting from the server
+ * Simulates 2 players and a bot playing a full game on a server without an API key (canned answers),
+ * then checks the bots' matching and Claude path directly with a stand-in for Claude
+ *
+ * SCENARIO:
+ * - A player tries to add a bot (only the display may)
+ * - The display adds the nerd persona, then a bot without picking one (the joker), and kicks the nerd
+ * - Alice hosts round 1, the bot hosts round 2 and Bob hosts round 3
+ * - Alice and Bob get every answer wrong as hosts; the bot has seen Bob's answer before it hosts
+ * - The display tries to add a bot mid-game
+ * - The BotManager is given answers with known authors, a Claude reply with quotes, then no reply at all
+ *
+ * PASSES WHEN:
+ * - Only the display can add bots, and only in the lobby
+ * - Bots join under their persona's name and are tagged as bots in every player list
+ * - A kicked bot leaves the game
+ * - The bot picks a theme, answers every round it doesn't host and matches before time runs out
+ * - The bot matches its round perfectly from the answers it has seen, and wins
+ * - Bot matches pair every answer with a different player, favouring whoever wrote similar answers before
+ * - Claude's answer is trimmed to one line, and a missing reply falls back to a canned answer for the theme
+ */
+
+const io = require('socket.io-client');
+const BotManager = require('../services/bot-manager');
+
+const SERVER_URL = 'http://localhost:3000';
+
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  playerError: null,
+  lateError: null,
+  joined: [], // player_joined payloads seen by Alice
+  botsAdded: null, // Display's game state once both bots joined
+  lobbyState: null, // Display's game state once Bob joined
+  bobJoined: null,
+  rounds: [], // Every round played [{host, theme, answers: [{answer, author, isCorrect}], matchedIn}]
+  gameOver: null,
+  matches: null,
+  aiAnswer: null,
+  aiPrompt: null,
+  fallbackAnswer: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  players.push({ name, socket, id: data.player.id });
+  return data;
+}
+
+// The display's next game state after doing something in the lobby
+async function displayStateAfter(action) {
+  const state = waitForEvent(display, 'game_state');
+  await action();
+  return state;
+}
+
+// Play every round as it comes: hosts pick the first theme, everyone else answers
+// Alice and Bob swap the two answers they get (the bot's answer is the one that isn't a player's)
+function autoPlay() {
+  players.forEach((player) => {
+    let hosting = false;
+    player.socket.on('themes_generated', (data) => {
+      hosting = true;
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+    player.socket.on('theme_selected', () => {
+      if (!hosting) player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+    });
+    player.socket.on('matching_phase_start', (data) => {
+      const authors = data.answers.map(a => data.players.find(p => a.answer.startsWith(p.name)) || data.players.find(p => p.isBot));
+      const guesses = [...authors].reverse();
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map((a, i) => ({ answerIndex: a.index, playerId: guesses[i].id }))
+      });
+    });
+    player.socket.on('round_end', () => { hosting = false; });
+    player.socket.on('error', (err) => {
+      testResults.errors.push({ player: player.name, error: err.message });
+      log(`❌ ${player.name} error: ${err.message}`);
+    });
+  });
+}
+
+// Follow each round on the display: who hosts, the theme, how long matching took and who wrote what
+function watchRounds() {
+  let matchingStartedAt = null;
+  const current = () => testResults.rounds[testResults.rounds.length - 1];
+  display.on('theme_selected', (data) => {
+    testResults.rounds.push({ host: data.hostName, theme: data.theme, answers: [], matchedIn: null });
+  });
+  display.on('matching_phase_start', () => { matchingStartedAt = Date.now(); });
+  display.on('matches_submitted', () => { current().matchedIn = (Date.now() - matchingStartedAt) / 1000; });
+  display.on('reveal_result', (data) => {
+    current().answers.push({ answer: data.answer, author: data.actualPlayer.name, isCorrect: data.isCorrect });
+  });
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  BOTS TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and Alice join...');
+    await connectDisplay();
+    await joinPlayer('Alice');
+    const [alice] = players;
+    alice.socket.on('player_joined', data => testResults.joined.push(data));
+
+    log('\nStep 2: Alice tries to add a bot...');
+    const playerError = waitForEvent(alice.socket, 'error');
+    alice.socket.emit('add_bot', { persona: 'joker' });
+    testResults.playerError = (await playerError).message;
+    log(`Refused: ${testResults.playerError}`);
+
+    log('\nStep 3: The display adds two bots and kicks one...');
+    await displayStateAfter(() => display.emit('add_bot', { persona: 'nerd' }));
+    testResults.botsAdded = await displayStateAfter(() => display.emit('add_bot', {}));
+    log(`Players: ${testResults.botsAdded.players.map(p => `${p.name}${p.isBot ? ' (bot)' : ''}`).join(', ')}`);
+    const byte = testResults.botsAdded.players.find(p => p.name === 'Byte');
+    await displayStateAfter(() => display.emit('kick_player', { playerId: byte.id }));
+
+    log('\nStep 4: Bob joins...');
+    testResults.lobbyState = await displayStateAfter(async () => {
+      testResults.bobJoined = await joinPlayer('Bob');
+    });
+    log(`Players: ${testResults.lobbyState.players.map(p => `${p.name}${p.isBot ? ' (bot)' : ''}`).join(', ')}`);
+
+    log('\nStep 5: Playing a full game...');
+    autoPlay();
+    watchRounds();
+    const gameOver = waitForEvent(display, 'game_over', 120000);
+    display.emit('display_start_game');
+    await waitForEvent(display, 'theme_selected');
+
+    const lateError = waitForEvent(display, 'error');
+    display.emit('add_bot', { persona: 'kid' });
+    testResults.lateError = (await lateError).message;
+    log(`Mid-game bot refused: ${testResults.lateError}`);
+
+    testResults.gameOver = await gameOver;
+    testResults.rounds.forEach((round, index) => {
+      log(`Round ${index + 1}: ${round.host} hosts "${round.theme}", matched in ${round.matchedIn}s - ` +
+        round.answers.map(a => `${a.author}: ${a.answer} ${a.isCorrect ? '✓' : '✗'}`).join(', '));
+    });
+    log(`Final: ${testResults.gameOver.scoreboard.map(s => `${s.name}:${s.score}`).join(', ')}`);
+
+    log('\nStep 6: Bot decisions without the server...');
+    const bots = new BotManager({ bots: { minThink: 0, maxThink: 0, timeout: 6 } });
+    bots.rememberRound([
+      { answer: 'Pepperoni pizza', actualPlayer: { id: 'a' } },
+      { answer: 'Rock climbing', actualPlayer: { id: 'b' } }
+    ]);
+    testResults.matches = await bots.makeMatches('Favorite food', {
+      answers: [{ index: 0, answer: 'Indoor climbing walls' }, { index: 1, answer: 'Chocolate cake' }, { index: 2, answer: 'Cold pizza' }],
+      players: [{ id: 'a', name: 'Ann' }, { id: 'b', name: 'Ben' }, { id: 'c', name: 'Cat', isBot: true, botPersona: 'kid' }]
+    });
+
+    const replying = new BotManager({ bots: { timeout: 6 } }, {
+      generateBotReply: async (prompt, options) => {
+        testResults.aiPrompt = { prompt, options };
+        return '"Tiny banana phones."\nSecond line';
+      }
+    });
+    testResults.aiAnswer = await replying.writeAnswer('joker', 'Favorite snack', { familyFriendly: true });
+    const silent = new BotManager({ bots: { timeout: 6 } }, { generateBotReply: async () => null });
+    testResults.fallbackAnswer = await silent.writeAnswer('nerd', 'Favorite snack');
+    log(`Matches: ${testResults.matches.map(m => `${m.answerIndex}->${m.playerId}`).join(', ')}`);
+    log(`AI: ${testResults.aiAnswer} / fallback: ${testResults.fallbackAnswer}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { joined, botsAdded, lobbyState, bobJoined, rounds, gameOver: over, matches, aiAnswer, aiPrompt, fallbackAnswer } = testResults;
+    const isTagged = (list) => list.every(p => p.isBot === ['Chuckles', 'Byte'].includes(p.name));
+    const botRound = rounds[1];
+    const matchFor = (index) => matches.find(m => m.answerIndex === index)?.playerId;
+
+    const checks = {
+      'Only the display can add bots': testResults.playerError === 'Bots can only be added from the main screen',
+      'Bots join under their persona\'s name': botsAdded.players.map(p => p.name).join() === 'Alice,Byte,Chuckles',
+      'Bots are tagged in the lobby': isTagged(botsAdded.players) && isTagged(lobbyState.players),
+      'Bots are tagged when they join': joined.filter(j => j.player.isBot).map(j => j.player.name).join() === 'Byte,Chuckles' &&
+        joined.every(j => isTagged(j.players)) && isTagged(bobJoined.players),
+      'Personas offered to the display': lobbyState.botPersonas.length === 5 && lobbyState.botPersonas.every(p => p.id && p.name && p.description),
+      'Kicked bot leaves': lobbyState.players.map(p => p.name).join() === 'Alice,Chuckles,Bob',
+      'No bots mid-game': testResults.lateError === 'Bots can only join in the lobby',
+      'Everyone hosts a round': rounds.map(r => r.host).join() === 'Alice,Chuckles,Bob',
+      'The bot picks a theme': !!botRound.theme,
+      'The bot answers when it isn\'t hosting': [rounds[0], rounds[2]].every(r => r.answers.length === 2 &&
+        r.answers.some(a => a.author === 'Chuckles' && a.answer && a.answer !== '[No Answer]')),
+      'The bot matches before time runs out': botRound.matchedIn !== null && botRound.matchedIn < 9,
+      'The bot matches from answers it has seen': botRound.answers.length === 2 && botRound.answers.every(a => a.isCorrect),
+      'The bot wins': over.winner.name === 'Chuckles' && over.scoreboard.map(s => `${s.name}:${s.score}`)[0] === 'Chuckles:5',
+      'Bots are tagged on the scoreboard': isTagged(over.scoreboard),
+      'Every answer matched to a different player': matches.length === 3 && new Set(matches.map(m => m.playerId)).size === 3,
+      'Matches favour earlier answers and personas': matchFor(0) === 'b' && matchFor(1) === 'c' && matchFor(2) === 'a',
+      'Claude gets the persona and theme': aiPrompt.prompt.includes('class clown') && aiPrompt.prompt.includes('Favorite snack') &&
+        aiPrompt.prompt.includes('family friendly') && aiPrompt.options.timeout === 6000,
+      'Claude\'s answer is trimmed to one line': aiAnswer === 'Tiny banana phones',
+      'No reply falls back to a canned answer': ['Pizza', 'Sushi', 'Cheese on toast', 'Tacos', 'Chocolate', 'Instant noodles',
+        'Pancakes', 'Crisps', 'Star Trek', 'Quantum physics'].includes(fallbackAnswer),
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
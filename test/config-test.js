@@ -0,0 +1,252 @@
+/**
+ * Config Test - Config validation, environment overrides and game presets
+ * Checks the config loader directly, then picks presets in a lobby on the running server
+ *
+ * SCENARIO:
+ * - Load a config with missing sections, bad values and environment variables
+ * - Bob tries to pick a preset, the display picks one that doesn't exist
+ * - The display picks Kids, then Marathon, then Quick Game and starts the game
+ *
+ * PASSES WHEN:
+ * - Missing settings get their defaults and bad values are reported and replaced
+ * - Environment variables win over the file
+ * - Presets leave the loaded config alone
+ * - Only the host or display can pick a preset, and unknown presets are refused
+ * - Kids switches family-friendly answers on, Marathon gives 3 rounds per player
+ * - The game plays with Quick Game's 30 second answer timer
+ * - A preset's late joining, bot, moderation, audience and team settings reach the game's helpers
+ *   (checked on a game built directly), and picking no preset puts the app's settings back
+ * - An answer timer set in that game's lobby stays under a preset without timers of its own,
+ *   gives way to Quick Game's, and is back with no preset
+ */
+
+const io = require('socket.io-client');
+const ConfigManager = require('../services/config-manager');
+const GameLogic = require('../services/game-logic');
+const ScoreCalculator = require('../services/score-calculator');
+const defaultConfig = require('../config/default-config.json');
+
+const SERVER_URL = 'http://localhost:3000';
+
+let display = null;
+let roomCode = null;
+const players = {};
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  loaded: null,
+  loadErrors: [],
+  kids: null,
+  quickConfig: null,
+  bobError: null,
+  unknownError: null,
+  kidsSettings: null,
+  kidsModeration: null,
+  marathonSettings: null,
+  quickSettings: null,
+  presetHelpers: null,
+  displayState: null,
+  started: null,
+  answering: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  players[name] = { name, socket, id: data.player.id };
+  return players[name];
+}
+
+// Pick a preset from the display and wait for the settings it brings
+async function pickPreset(preset) {
+  const settings = waitForEvent(players.Alice.socket, 'settings_updated', 5000, d => d.preset === preset);
+  display.emit('set_game_preset', { preset });
+  return settings;
+}
+
+// What the game's helpers read from the config with a made-up preset, and again without it
+function checkPresetHelpers() {
+  const config = {
+    ...defaultConfig,
+    presets: {
+      party: {
+        name: 'Party',
+        overrides: {
+          lateJoin: { enabled: false },
+          bots: { maxThink: 1 },
+          moderation: { action: 'reject' },
+          audience: { enabled: false },
+          teams: { minTeams: 4 }
+        }
+      }
+    }
+  };
+  const silentIo = { to: () => ({ emit: () => {} }) };
+  const game = new GameLogic(silentIo, null, { setThemeSources: () => null }, new ScoreCalculator(config), config);
+  const helpers = () => [
+    game.lateJoinManager.isEnabled(),
+    game.bots.config.maxThink,
+    game.moderator.config.action,
+    game.audienceManager.isEnabled(),
+    game.teamManager.getMinTeams(),
+    game.config.timers.answering
+  ].join();
+
+  game.applySettings(game.validateSettings({ timers: { answering: 42 } }));
+  game.useGamePreset('party');
+  const party = helpers();
+  game.useGamePreset('quick');
+  const quick = helpers();
+  game.useGamePreset(null);
+  return { party, quick, standard: helpers() };
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  CONFIG TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Loading a broken config...');
+    const configManager = new ConfigManager(null, { KYC_ROTATIONS: '2', KYC_TIMERS_ROUND_END: '4' });
+    testResults.loaded = configManager.load({
+      maxPlayers: 'lots',
+      rotations: 5,
+      timers: { answering: 30, matching: -10 },
+      bonuses: 7,
+      moderation: { familyFriendly: false }
+    });
+    testResults.loadErrors = configManager.errors;
+    testResults.kids = configManager.forPreset('kids');
+    testResults.quickConfig = configManager.forPreset('quick');
+    log(`Errors: ${testResults.loadErrors.join(' | ')}`);
+    testResults.presetHelpers = checkPresetHelpers();
+    log(`Helpers with a preset: ${testResults.presetHelpers.party}, with Quick Game: ${testResults.presetHelpers.quick}, ` +
+      `without: ${testResults.presetHelpers.standard}`);
+
+    log('\nStep 2: Display and 3 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      await joinPlayer(name);
+    }
+    const { Alice: alice, Bob: bob } = players;
+
+    const bobError = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('set_game_preset', { preset: 'quick' });
+    testResults.bobError = await bobError;
+
+    const unknownError = waitForEvent(display, 'error', 5000);
+    display.emit('set_game_preset', { preset: 'speedrun' });
+    testResults.unknownError = await unknownError;
+
+    [...Object.values(players), { name: 'Display', socket: display }].forEach(p =>
+      p.socket.on('error', err => testResults.errors.push({ player: p.name, error: err.message }))
+    );
+
+    log('\nStep 3: The display tries the presets...');
+    const kidsModeration = waitForEvent(alice.socket, 'moderation_updated', 5000);
+    testResults.kidsSettings = await pickPreset('kids');
+    testResults.kidsModeration = await kidsModeration;
+    testResults.marathonSettings = await pickPreset('marathon');
+
+    const displayState = waitForEvent(display, 'game_state', 5000, s => s.gamePreset === 'quick');
+    testResults.quickSettings = await pickPreset('quick');
+    testResults.displayState = await displayState;
+    log(`Quick Game: ${JSON.stringify(testResults.quickSettings.timers)}`);
+
+    log('\nStep 4: The game starts with Quick Game...');
+    const started = waitForEvent(alice.socket, 'game_started');
+    const themes = waitForEvent(alice.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    display.emit('display_start_game');
+    testResults.started = await started;
+    alice.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    testResults.answering = await answering;
+    log(`${testResults.started.totalRounds} rounds, ${testResults.answering.timeLimit}s to answer`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { loaded, loadErrors, kids } = testResults;
+    const checks = {
+      'Missing settings get their defaults': loaded.minPlayers === 3 && loaded.penalties.noSubmission === -3 && loaded.timers.reveal === 5,
+      'File values are kept': loaded.timers.answering === 30 && loaded.moderation.familyFriendly === false,
+      'Bad values are replaced by defaults': loaded.maxPlayers === 10 && loaded.timers.matching === 90 && loaded.bonuses.perfectRound === 3,
+      'Bad values are reported': loadErrors.length === 3 &&
+        ['maxPlayers', 'timers.matching', 'bonuses'].every(name => loadErrors.some(e => e.startsWith(name))),
+      'Environment variables win over the file': loaded.rotations === 2 && loaded.timers.roundEnd === 4,
+      'Presets leave the loaded config alone': kids.penalties.noSubmission === 0 && kids.moderation.familyFriendly === true &&
+        loaded.penalties.noSubmission === -3 && loaded.moderation.familyFriendly === false,
+      'Preset keeps the rest of the config': testResults.quickConfig.timers.answering === 30 && testResults.quickConfig.rotations === 2,
+      'Only the host or display can pick a preset': testResults.bobError.message === 'Only the host can change the game preset',
+      'Unknown preset refused': testResults.unknownError.message === 'Unknown game preset',
+      'Kids switches family-friendly on': testResults.kidsModeration.familyFriendly === true && testResults.kidsSettings.timers.answering === 90,
+      'Marathon gives 3 rounds per player': testResults.marathonSettings.rotations === 3,
+      'Quick Game has short timers and 1 round per player': testResults.quickSettings.rotations === 1 &&
+        testResults.quickSettings.timers.themeSelection === 10 && testResults.quickSettings.timers.matching === 45,
+      'Display lists the presets': ['quick', 'marathon', 'kids'].every(id => testResults.displayState.gamePresets.some(p => p.id === id)),
+      'Game has 3 rounds': testResults.started.totalRounds === 3,
+      'Answers get 30 seconds': testResults.answering.timeLimit === 30,
+      'A preset reaches the game\'s helpers': testResults.presetHelpers.party === 'false,1,reject,false,4,42' &&
+        testResults.presetHelpers.standard === `true,${defaultConfig.bots.maxThink},mask,true,3,42`,
+      'A preset\'s own timer wins over the lobby\'s': testResults.presetHelpers.quick === `true,${defaultConfig.bots.maxThink},mask,true,3,30`,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  Object.values(players).forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
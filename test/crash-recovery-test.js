@@ -0,0 +1,276 @@
+/**
+ * Crash Recovery Test - Resume an in-progress game after the server dies
+ * Unlike the other tests this one starts its own server (port 3100, temporary database)
+ * because it needs to kill it mid-game and start it again
+ *
+ * SCENARIO:
+ * - 4 players join and start; 2 of the 3 answers are in and the display has added 30s
+ *   when the server is killed
+ * - Server restarts: the room is restored in the answering phase with both answers
+ *   and the added time
+ * - Players rejoin with their saved session tokens via reconnect_player
+ * - The round finishes; the server is killed again after the first reveal
+ * - Server restarts: scores and the reveal are restored
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const PORT = 3100;
+const SERVER_URL = `http://localhost:${PORT}`;
+const DB_PATH = path.join(os.tmpdir(), `kyc-crash-test-${process.pid}.db`);
+
+let server = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  restoredAnswering: false,
+  answersKept: false,
+  extendedTimeLeft: null,
+  restoredTimeLeft: null,
+  scoresKept: false,
+  restoredAfterReveal: false,
+  matchingResent: false,
+  revealAfterRestart: false
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/crash-recovery-test.js --server <dbPath>
+function runServer(dbPath) {
+  const DatabaseService = require('../services/database');
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  const db = new DatabaseService(dbPath);
+  db.initialize();
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    timers: { themeSelection: 5, answering: 20, matching: 20, reveal: 0.5, roundEnd: 30 }
+  }, db).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', DB_PATH], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+// Simulate a crash - no shutdown handlers run
+function killServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill('SIGKILL');
+  });
+}
+
+function fetchGameState() {
+  return new Promise((resolve) => {
+    http.get(`${SERVER_URL}/api/game-state?room=${roomCode}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(res.statusCode === 200 ? JSON.parse(body) : null));
+    }).on('error', () => resolve(null));
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+function watchErrors(player) {
+  player.socket.on('error', (data) => {
+    testResults.errors.push({ player: player.name, error: data.message });
+    log(`❌ ${player.name} error: ${data.message}`);
+  });
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id, sessionToken: data.player.sessionToken };
+  watchErrors(player);
+  return player;
+}
+
+// Rejoin with the saved session, the way a phone does after the page reloads
+async function reconnectPlayer(player) {
+  player.socket.disconnect();
+  player.socket = connect();
+  player.socket.on('connect', () => {
+    player.socket.emit('reconnect_player', {
+      playerId: player.id,
+      sessionToken: player.sessionToken,
+      roomCode
+    });
+  });
+  watchErrors(player);
+  return waitForEvent(player.socket, 'reconnected');
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  CRASH RECOVERY TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting server and joining 4 players...');
+    roomCode = await startServerProcess();
+    for (const name of ['Alice', 'Bob', 'Charlie', 'Diana']) {
+      players.push(await joinPlayer(name));
+    }
+
+    log('\nStep 2: Playing until 2 of 3 answers are in...');
+    const host = players[0];
+    const [bob, charlie, diana] = players.slice(1);
+
+    host.socket.once('themes_generated', (data) => {
+      host.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+    host.socket.emit('start_game');
+    await waitForEvent(bob.socket, 'theme_selected');
+
+    const submitted = Promise.all([
+      waitForEvent(bob.socket, 'answer_submitted'),
+      waitForEvent(charlie.socket, 'answer_submitted')
+    ]);
+    bob.socket.emit('submit_answer', { answer: "Bob's answer" });
+    charlie.socket.emit('submit_answer', { answer: "Charlie's answer" });
+    await submitted;
+
+    const display = connect();
+    display.on('connect', () => display.emit('join_as_display', { roomCode }));
+    await waitForEvent(display, 'game_state');
+    const extended = waitForEvent(display, 'timer_update');
+    display.emit('extend_time');
+    testResults.extendedTimeLeft = (await extended).remaining;
+    log(`Display added 30s: ${testResults.extendedTimeLeft}s left`);
+    display.disconnect();
+    await new Promise(r => setTimeout(r, 300));
+
+    log('\nStep 3: Killing the server mid-answering and restarting...');
+    await killServer();
+    const defaultRoom = await startServerProcess();
+
+    const restored = await fetchGameState();
+    log(`Restored room ${restored?.roomCode} in phase ${restored?.phase} (default room: ${defaultRoom})`);
+    testResults.restoredAnswering = restored?.phase === 'answering' && defaultRoom === roomCode;
+
+    const bobState = await reconnectPlayer(bob);
+    testResults.restoredTimeLeft = (await waitForEvent(bob.socket, 'timer_update')).remaining;
+    log(`Answering resumed with ${testResults.restoredTimeLeft}s left`);
+    await reconnectPlayer(charlie);
+    await reconnectPlayer(diana);
+    testResults.answersKept = bobState.submittedAnswer === "Bob's answer" &&
+      bobState.gameState.players.filter(p => p.hasSubmitted).length === 2;
+
+    log('\nStep 4: Finishing the round...');
+    const hostState = await reconnectPlayer(host);
+    const matchingStart = waitForEvent(host.socket, 'matching_phase_start');
+    diana.socket.emit('submit_answer', { answer: "Diana's answer" });
+    const matchingData = await matchingStart;
+    log(`Host (${hostState.player.name}) matching ${matchingData.answers.length} answers`);
+
+    const matches = matchingData.answers.map(a => ({
+      answerIndex: a.index,
+      playerId: players.find(p => a.answer.startsWith(p.name)).id
+    }));
+    host.socket.emit('host_submit_matches', { matches });
+    await waitForEvent(bob.socket, 'reveal_result', 15000);
+    const scoresBefore = (await fetchGameState()).players.map(p => `${p.name}:${p.score}`).join(',');
+    log(`Scores before second crash: ${scoresBefore}`);
+
+    log('\nStep 5: Killing the server mid-reveal and restarting...');
+    await killServer();
+    await startServerProcess();
+
+    const afterReveal = await fetchGameState();
+    const scoresAfter = afterReveal?.players.map(p => `${p.name}:${p.score}`).join(',');
+    log(`Restored phase ${afterReveal?.phase}, scores: ${scoresAfter}`);
+    testResults.scoresKept = scoresAfter === scoresBefore;
+    testResults.restoredAfterReveal = ['reveal', 'round_end'].includes(afterReveal?.phase);
+
+    const revealed = new Promise((resolve) => {
+      reconnectPlayer(bob).then(() => {
+        waitForEvent(bob.socket, 'reveal_result', 15000).then(resolve, () => resolve(null));
+      });
+    });
+    testResults.revealAfterRestart = !!(await revealed)?.actualPlayer;
+    testResults.matchingResent = matchingData.answers.length === 3;
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const checks = {
+      'Room restored in answering phase as default room': testResults.restoredAnswering,
+      'Submitted answers survived the crash': testResults.answersKept,
+      'Added time survived the crash': testResults.extendedTimeLeft > 20 &&
+        testResults.restoredTimeLeft > 20 && testResults.restoredTimeLeft <= testResults.extendedTimeLeft,
+      'Matching covered all 3 answers': testResults.matchingResent,
+      'Scores survived the second crash': testResults.scoresKept,
+      'Round restored at reveal/round end': testResults.restoredAfterReveal,
+      'Reveals replayed after restart': testResults.revealAfterRestart,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  players.forEach(p => p.socket?.disconnect());
+  if (server && server.exitCode === null) {
+    await killServer();
+  }
+  [DB_PATH, `${DB_PATH}-wal`, `${DB_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}
@@ -0,0 +1,250 @@
+/**
+ * Export Test - A finished game's results as JSON, CSV and an HTML recap from /api/games/:id/export
+ * Like the crash recovery test this one starts its own server (port 3103, temporary database)
+ * because exports are made from the game history in the database
+ *
+ * SCENARIO:
+ * - 3 players play a full game: Alice matches everything correctly as host,
+ *   Bob and Charlie each swap the two answers they get
+ * - Charlie's answers start with "=" and have commas and quotes in them
+ * - The game is exported in each format using the history id from game_over
+ *
+ * PASSES WHEN:
+ * - The JSON record has the players, final standings and every round's theme, answers, guesses and score changes
+ * - The score changes add up to the final scores
+ * - The CSV has a row per answer, per score change and per final standing, with answers safely quoted
+ * - The HTML recap is a single page with the winner, every theme and every answer, with answers escaped
+ * - Each format is a download, unknown formats are a 400 and unknown games a 404
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const PORT = 3103;
+const SERVER_URL = `http://localhost:${PORT}`;
+const DB_PATH = path.join(os.tmpdir(), `kyc-export-test-${process.pid}.db`);
+
+let server = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  themes: [], // Theme picked each round, in order
+  gameOver: null,
+  exports: {},
+  badFormat: null,
+  missing: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/export-test.js --server <dbPath>
+function runServer(dbPath) {
+  const DatabaseService = require('../services/database');
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  const db = new DatabaseService(dbPath);
+  db.initialize();
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    rotations: 1,
+    timers: { themeSelection: 5, answering: 10, matching: 10, reveal: 0.2, roundEnd: 1 }
+  }, db).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', DB_PATH], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function fetchText(urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get(`${SERVER_URL}${urlPath}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  socket.on('error', (err) => {
+    testResults.errors.push({ player: name, error: err.message });
+    log(`❌ ${name} error: ${err.message}`);
+  });
+  return { name, socket, id: data.player.id };
+}
+
+// Play every round as it comes: hosts pick the first theme and everyone else answers.
+// Alice matches correctly, Bob and Charlie swap the two answers (Alice wins outright, so no sudden death)
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      testResults.themes.push(data.themes[0]);
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: answerOf(player.name) });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      const authors = data.answers.map(a => players.find(p => a.answer === answerOf(p.name)));
+      const guesses = player.name === 'Alice' ? authors : [...authors].reverse();
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map((a, i) => ({ answerIndex: a.index, playerId: guesses[i].id }))
+      });
+    });
+  });
+}
+
+// Charlie's answer would be a formula in a spreadsheet, and needs quoting in CSV and escaping in HTML
+function answerOf(name) {
+  return name === 'Charlie' ? '=1+1, "quoted" <b>' : `${name}'s answer`;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  EXPORT TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting server and joining 3 players...');
+    roomCode = await startServerProcess();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      players.push(await joinPlayer(name));
+    }
+    const [alice] = players;
+    autoPlay();
+
+    log('\nStep 2: Playing a full game...');
+    const gameOver = waitForEvent(alice.socket, 'game_over', 120000);
+    alice.socket.emit('start_game');
+    testResults.gameOver = await gameOver;
+    const { historyId, scoreboard } = testResults.gameOver;
+    log(`Winner: ${testResults.gameOver.winner.name} (${scoreboard.map(s => `${s.name}:${s.score}`).join(', ')}), history ${historyId}`);
+
+    log('\nStep 3: Exporting the game...');
+    for (const format of ['json', 'csv', 'html']) {
+      testResults.exports[format] = await fetchText(`/api/games/${historyId}/export?format=${format}`);
+      log(`${format}: ${testResults.exports[format].status}, ${testResults.exports[format].body.length} bytes`);
+    }
+    testResults.badFormat = await fetchText(`/api/games/${historyId}/export?format=pdf`);
+    testResults.missing = await fetchText('/api/games/not-a-game/export?format=json');
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { json, csv, html } = testResults.exports;
+    const record = JSON.parse(json.body);
+    const csvLines = csv.body.trim().split('\r\n');
+    const rowsOf = (type) => csvLines.filter(line => line.startsWith(`${type},`));
+    const totals = {};
+    record.rounds.forEach(round => round.scores.forEach(s => { totals[s.name] = (totals[s.name] || 0) + s.points; }));
+
+    const checks = {
+      'game_over has the history id': typeof historyId === 'string' && historyId.length > 0,
+      'JSON lists the players': record.players.slice().sort().join() === 'Alice,Bob,Charlie',
+      'JSON has the final standings': record.standings.map(s => `${s.name}:${s.score}`).join() ===
+        scoreboard.map(s => `${s.name}:${s.score}`).join() && record.standings[0].rank === 1 && record.winner.name === 'Alice',
+      'JSON has every round\'s theme and host': record.rounds.map(r => r.theme).join() === testResults.themes.join() &&
+        record.rounds.map(r => r.host).join() === 'Alice,Bob,Charlie',
+      'JSON has every answer with the host\'s guess': record.rounds.every(r => r.answers.length === 2 &&
+        r.answers.every(a => a.answer === answerOf(a.author) && a.isCorrect === (a.hostGuess === a.author))),
+      'Score changes add up to the final scores': scoreboard.every(s => totals[s.name] === s.score),
+      'CSV has a row per answer, score change and standing': rowsOf('answer').length === 6 &&
+        rowsOf('score').length === 9 && rowsOf('final').length === 3,
+      'CSV quotes answers and stops formulas': csv.body.includes('"\'=1+1, ""quoted"" <b>"'),
+      'HTML recap has the winner, themes and answers': html.body.startsWith('<!DOCTYPE html>') &&
+        html.body.includes('Alice') && testResults.themes.every(t => html.body.includes(t)) && html.body.includes("Bob&#39;s answer"),
+      'HTML escapes answers': html.body.includes('&lt;b&gt;') && !html.body.includes(answerOf('Charlie')) &&
+        !html.body.includes('<link') && !html.body.includes('<script'),
+      'Each format is a download': ['json', 'csv', 'html'].every(f =>
+        testResults.exports[f].status === 200 && testResults.exports[f].headers['content-disposition'].includes(`.${f}`)),
+      'Content types match': json.headers['content-type'].startsWith('application/json') &&
+        csv.headers['content-type'].startsWith('text/csv') && html.headers['content-type'].startsWith('text/html'),
+      'Unknown format is a 400': testResults.badFormat.status === 400,
+      'Unknown game is a 404': testResults.missing.status === 404,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  players.forEach(p => p.socket?.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+  [DB_PATH, `${DB_PATH}-wal`, `${DB_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}
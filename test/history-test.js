@@ -0,0 +1,250 @@
+/**
+ * History Test - Past games and their round-by-round replays from /api/history
+ * Like the crash recovery test this one starts its own server (port 3102, temporary database)
+ * because game history is only kept in the database
+ *
+ * SCENARIO:
+ * - 3 players play a full game: Alice matches everything correctly as host,
+ *   Bob and Charlie each swap the two answers they get
+ * - The host plays again and the same game is played a second time
+ * - The history list and both replays are read from /api/history
+ *
+ * PASSES WHEN:
+ * - Both games are listed, newest first, with their winner and round count
+ * - Each replay has only its own game's 3 rounds, with host, theme, every answer and the host's guesses
+ * - The scores after each round add up to the game's final scoreboard
+ * - Unknown games are a 404
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const PORT = 3102;
+const SERVER_URL = `http://localhost:${PORT}`;
+const DB_PATH = path.join(os.tmpdir(), `kyc-history-test-${process.pid}.db`);
+
+let server = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  themes: [], // Theme picked each round, in order
+  gameOvers: [],
+  history: null,
+  replays: [],
+  missing: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/history-test.js --server <dbPath>
+function runServer(dbPath) {
+  const DatabaseService = require('../services/database');
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  const db = new DatabaseService(dbPath);
+  db.initialize();
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    rotations: 1,
+    timers: { themeSelection: 5, answering: 10, matching: 10, reveal: 0.2, roundEnd: 1 }
+  }, db).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', DB_PATH], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function fetchJson(urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get(`${SERVER_URL}${urlPath}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  socket.on('error', (err) => {
+    testResults.errors.push({ player: name, error: err.message });
+    log(`❌ ${name} error: ${err.message}`);
+  });
+  return { name, socket, id: data.player.id };
+}
+
+// Play every round as it comes: hosts pick the first theme and everyone else answers.
+// Alice matches correctly, Bob and Charlie swap the two answers (Alice wins outright, so no sudden death)
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      testResults.themes.push(data.themes[0]);
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      const authors = data.answers.map(a => players.find(p => a.answer.startsWith(p.name)));
+      const guesses = player.name === 'Alice' ? authors : [...authors].reverse();
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map((a, i) => ({ answerIndex: a.index, playerId: guesses[i].id }))
+      });
+    });
+  });
+}
+
+async function playGame(start) {
+  const gameOver = waitForEvent(players[0].socket, 'game_over', 120000);
+  start();
+  const data = await gameOver;
+  testResults.gameOvers.push(data);
+  log(`Winner: ${data.winner.name} (${data.scoreboard.map(s => `${s.name}:${s.score}`).join(', ')})`);
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  HISTORY TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting server and joining 3 players...');
+    roomCode = await startServerProcess();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      players.push(await joinPlayer(name));
+    }
+    const [alice] = players;
+    autoPlay();
+
+    log('\nStep 2: Playing the first game...');
+    await playGame(() => alice.socket.emit('start_game'));
+
+    log('\nStep 3: Playing again...');
+    const reset = waitForEvent(alice.socket, 'game_reset');
+    alice.socket.emit('play_again');
+    await reset;
+    await playGame(() => alice.socket.emit('start_game'));
+
+    log('\nStep 4: Reading the history and replays...');
+    testResults.history = (await fetchJson('/api/history')).body;
+    for (const game of testResults.history.games) {
+      testResults.replays.push((await fetchJson(`/api/history/${game.id}`)).body);
+    }
+    testResults.missing = await fetchJson('/api/history/not-a-game');
+    testResults.replays.forEach((replay, i) => {
+      log(`Listed game ${i + 1}: ${replay.rounds.map(r => `R${r.roundNumber} ${r.hostName} "${r.theme}" ${r.matches.filter(m => m.isCorrect).length}/${r.matches.length}`).join(', ')}`);
+    });
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { history, replays, gameOvers } = testResults;
+    // Newest first: the second game is listed (and replayed) first
+    const [second, first] = replays;
+    const finalScores = (replay) => replay.rounds[replay.rounds.length - 1].scoreboard.map(s => `${s.name}:${s.score}`).join(',');
+    const gameOverScores = (data) => data.scoreboard.map(s => `${s.name}:${s.score}`).join(',');
+
+    const checks = {
+      'Both games listed': history.games.length === 2 && history.games[0].id !== history.games[1].id,
+      'Listed with winner, players and rounds': history.games.every(g =>
+        g.winnerName === 'Alice' && g.playerCount === 3 && g.roundsPlayed === 3 && g.replayRounds === 3),
+      'Newest first': history.games[0].completedAt >= history.games[1].completedAt && second.id === history.games[0].id,
+      'Each replay has its own 3 rounds': replays.every(r => r.rounds.map(round => round.roundNumber).join() === '1,2,3'),
+      'Rounds have their host and theme': first.rounds.map(r => r.hostName).join() === 'Alice,Bob,Charlie' &&
+        [...first.rounds, ...second.rounds].map(r => r.theme).join() === testResults.themes.join(),
+      'Every answer with the host\'s guess': replays.every(r => r.rounds.every(round => round.matches.length === 2 &&
+        round.matches.every(m => m.answer === `${m.authorName}'s answer` && m.isCorrect === (m.guessedName === m.authorName)))),
+      'Host guesses kept': replays.every(r => r.rounds[0].matches.every(m => m.isCorrect) &&
+        r.rounds.slice(1).every(round => round.matches.every(m => !m.isCorrect))),
+      'Scores after round 1 start from zero': second.rounds[0].scoreboard.find(s => s.name === 'Alice').score ===
+        first.rounds[0].scoreboard.find(s => s.name === 'Alice').score,
+      'Round scores end on the final scoreboard': finalScores(first) === gameOverScores(gameOvers[0]) &&
+        finalScores(second) === gameOverScores(gameOvers[1]),
+      'No sudden death': replays.every(r => r.rounds.every(round => !round.isSuddenDeath)),
+      'Unknown game is a 404': testResults.missing.status === 404,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  players.forEach(p => p.socket?.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+  [DB_PATH, `${DB_PATH}-wal`, `${DB_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}
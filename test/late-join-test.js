@@ -0,0 +1,231 @@
+/**
+ * Late Join Test - Players who join a game already in progress
+ * Simulates 3 players starting a game and 3 more arriving during round 1
+ *
+ * SCENARIO:
+ * - Alice, Bob and Charlie start a 3 round game, Alice hosts round 1
+ * - While they answer, Dana, Eve and Frank join; Eve reloads her phone and the display kicks Frank
+ * - Round 1 is played out without the newcomers
+ * - Round 2 (Bob hosts) starts with Dana and Eve in the game, and everyone but Bob answers
+ *
+ * PASSES WHEN:
+ * - Mid-game joiners are told to wait, and get no game events until they're let in
+ * - A waiting player can reconnect, and a kicked one never gets in
+ * - Dana and Eve join at the end of the host rotation on the lowest score so far,
+ *   and the game grows to 5 rounds
+ * - The display gets the newcomers, the new round count and the scoreboard announced
+ * - The newcomers answer round 2 like everyone else
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+
+let display = null;
+let roomCode = null;
+const players = {};
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  startRounds: null,
+  waiting: {},
+  eveReconnect: null,
+  frankKicked: null,
+  queuedOnTv: null,
+  renameRefusal: null,
+  eventsWhileWaiting: 0,
+  roundEnd: null,
+  admitted: null,
+  secondRound: null,
+  danaPhase: null,
+  order: null,
+  matching: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  players[name] = { name, socket, id: data.player.id, sessionToken: data.player.sessionToken };
+  socket.on('error', err => testResults.errors.push({ player: name, error: err.message }));
+  return { player: players[name], lateJoin: data.lateJoin };
+}
+
+// Everyone but the host answers, and the host matches every answer right
+async function playRound(host, answerers) {
+  const matching = waitForEvent(host.socket, 'matching_phase_start', 30000);
+  answerers.forEach(p => p.socket.emit('submit_answer', { answer: `${p.name}'s answer` }));
+  const { answers } = await matching;
+
+  const roundEnd = waitForEvent(display, 'round_end', 30000);
+  const authorOf = a => answerers.find(p => a.answer.startsWith(p.name)).id;
+  host.socket.emit('host_submit_matches', {
+    matches: answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a) }))
+  });
+  return roundEnd;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  LATE JOIN TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 3 players join, the game starts...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      await joinPlayer(name);
+    }
+    const { Alice: alice, Bob: bob, Charlie: charlie } = players;
+
+    const started = waitForEvent(alice.socket, 'game_started');
+    const themes = waitForEvent(alice.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    display.emit('display_start_game');
+    testResults.startRounds = (await started).totalRounds;
+    alice.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    await answering;
+
+    log('\nStep 2: Dana, Eve and Frank arrive mid-round...');
+    for (const name of ['Dana', 'Eve', 'Frank']) {
+      testResults.waiting[name] = (await joinPlayer(name)).lateJoin;
+      // Count game events that reach a waiting phone before it's let in
+      let letIn = false;
+      players[name].socket.onAny(event => {
+        if (event === 'late_joiners_admitted') letIn = true;
+        if (!letIn && ['phase_changed', 'matching_phase_start', 'round_end'].includes(event)) testResults.eventsWhileWaiting++;
+      });
+    }
+    const { Dana: dana, Eve: eve, Frank: frank } = players;
+
+    eve.socket.disconnect();
+    const evePhone = connect();
+    evePhone.on('connect', () => evePhone.emit('reconnect_player', {
+      playerId: eve.id, sessionToken: eve.sessionToken, roomCode
+    }));
+    testResults.eveReconnect = await waitForEvent(evePhone, 'room_joined', 5000);
+    eve.socket = evePhone;
+    log(`Eve reconnected and is still waiting: ${!!testResults.eveReconnect.lateJoin}`);
+
+    const kicked = waitForEvent(frank.socket, 'kicked', 5000);
+    const tvQueue = waitForEvent(display, 'game_state', 5000, s => s.lateJoiners.length === 2);
+    display.emit('kick_player', { playerId: frank.id });
+    testResults.frankKicked = await kicked;
+    testResults.queuedOnTv = (await tvQueue).lateJoiners.map(p => p.name);
+    frank.socket.disconnect();
+    delete players.Frank;
+    log(`Waiting on the TV: ${testResults.queuedOnTv.join(', ')}`);
+
+    const refusal = waitForEvent(display, 'error', 5000);
+    display.emit('rename_player', { playerId: alice.id, name: 'dana' });
+    testResults.renameRefusal = (await refusal).message;
+    log(`Renaming Alice to a waiting player's name: ${testResults.renameRefusal}`);
+
+    log('\nStep 3: Round 1 is played out...');
+    const admitted = waitForEvent(display, 'late_joiners_admitted', 30000);
+    const secondRound = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'theme_select' && d.currentRound === 2);
+    const danaPhase = waitForEvent(dana.socket, 'phase_changed', 30000);
+    const roundTwoState = waitForEvent(display, 'game_state', 30000, s => s.phase === 'theme_select' && s.currentRound === 2);
+    const bobThemes = waitForEvent(bob.socket, 'themes_generated', 30000);
+    testResults.roundEnd = await playRound(alice, [bob, charlie]);
+    log(`Round 1 scores: ${testResults.roundEnd.scoreboard.map(s => `${s.name} ${s.score}`).join(', ')}`);
+
+    log('\nStep 4: Round 2 starts with the newcomers...');
+    testResults.admitted = await admitted;
+    testResults.secondRound = await secondRound;
+    testResults.danaPhase = await danaPhase;
+    log(`Joined: ${testResults.admitted.joined.map(p => `${p.name} on ${p.score}`).join(', ')} - now ${testResults.admitted.totalRounds} rounds`);
+
+    testResults.order = (await roundTwoState).players.map(p => p.name);
+
+    const roundTwoAnswering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    bob.socket.emit('host_select_theme', { theme: (await bobThemes).themes[0] });
+    await roundTwoAnswering;
+
+    const matching = waitForEvent(bob.socket, 'matching_phase_start', 30000);
+    [alice, charlie, dana, eve].forEach(p => p.socket.emit('submit_answer', { answer: `${p.name}'s answer` }));
+    testResults.matching = await matching;
+    log(`Bob matches ${testResults.matching.answers.length} answers`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const lowest = Math.min(...testResults.roundEnd.scoreboard.map(s => s.score));
+    const { admitted: joined, secondRound: round2 } = testResults;
+    const checks = {
+      'Game started with 3 rounds': testResults.startRounds === 3,
+      'Late joiners were told to wait': ['Dana', 'Eve', 'Frank'].every(name => testResults.waiting[name] && !testResults.waiting[name].nextGame),
+      'Waiting player reconnected to the queue': !!testResults.eveReconnect.lateJoin,
+      'Queued player could be kicked': testResults.frankKicked.message === 'You were removed from this game',
+      'TV showed who is waiting': JSON.stringify(testResults.queuedOnTv) === '["Dana","Eve"]',
+      'Rename to a waiting player\'s name refused': testResults.renameRefusal === 'That name is already taken',
+      'Round 1 went on without the newcomers': testResults.roundEnd.scoreboard.length === 3,
+      'No game events while waiting': testResults.eventsWhileWaiting === 0,
+      'Dana and Eve joined (not Frank)': joined.joined.map(p => p.name).join(',') === 'Dana,Eve',
+      'Catch-up score is the lowest score': joined.joined.every(p => p.score === lowest),
+      'Two rounds added': joined.totalRounds === 5 && joined.roundsAdded === 2 && round2.totalRounds === 5,
+      'Scoreboard announced with everyone': joined.scoreboard.length === 5,
+      'Newcomers host last': JSON.stringify(testResults.order) === '["Alice","Bob","Charlie","Dana","Eve"]',
+      'Bob hosts round 2': round2.currentHost.id === bob.id,
+      'Dana got round 2': testResults.danaPhase.phase === 'theme_select',
+      'Newcomers answered round 2': testResults.matching.answers.length === 4 &&
+        ['Dana', 'Eve'].every(name => testResults.matching.answers.some(a => a.answer.startsWith(name))),
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  Object.values(players).forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -0,0 +1,243 @@
+/**
+ * Moderation Test - Family-friendly answer masking and the host's veto
+ * Simulates 4 players playing one round with family-friendly mode on
+ *
+ * SCENARIO:
+ * - A player (not the host) can't switch moderation, the display switches family-friendly mode on
+ * - Bob swears in his answer, Charlie and Dana answer normally
+ * - While matching, the host vetoes Charlie's answer and then Dana's, and both rewrite theirs
+ * - The host then matches everything correctly
+ *
+ * PASSES WHEN:
+ * - Bob's answer reaches the TV masked, never as typed
+ * - A vetoed answer leaves the TV and the host's list (same slot), its author is sent back with extra time
+ * - The host can't submit while a rewrite is pending, and can't veto more than twice a round
+ * - The rewrites are revealed and scored in place of the vetoed answers
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+
+const SWEARING = 'What a sh!t day';
+const MASKED = 'What a s*** day';
+
+// Refusals the test asks for (checked on their own)
+const EXPECTED_ERRORS = [
+  'Only the host can veto answers',
+  'Wait for the vetoed answer to be rewritten',
+  'No vetoes left this round'
+];
+
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  playerRefused: false,
+  familyFriendlyOn: false,
+  bobConfirmed: null,
+  tvAnswers: [],
+  vetoRefused: false,
+  vetoed: null,
+  tvAfterVeto: null,
+  submitRefused: false,
+  rewriteSlot: null,
+  secondRewriteIn: false,
+  thirdVetoRefused: false,
+  reveals: [],
+  roundEnd: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  return { name, socket, id: data.player.id };
+}
+
+// Host vetoes an answer and waits for its author to be sent back
+async function veto(host, author, answers) {
+  const index = answers.find(a => a.answer.startsWith(author.name)).index;
+  const sentBack = waitForEvent(author.socket, 'answer_vetoed', 5000);
+  const hostList = waitForEvent(host.socket, 'matching_answers_updated', 5000);
+  host.socket.emit('veto_answer', { answerIndex: index });
+  return { index, vetoed: await sentBack, hostList: await hostList };
+}
+
+// A vetoed author sends a new answer and the host's list fills the slot back in
+async function rewrite(host, author, index) {
+  const filled = waitForEvent(host.socket, 'matching_answers_updated', 5000,
+    d => !d.answers[index].rewriting);
+  author.socket.emit('submit_answer', { answer: `${author.name}'s second answer` });
+  return (await filled).answers;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  MODERATION TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 4 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie', 'Dana']) {
+      players.push(await joinPlayer(name));
+    }
+    const [host, bob, charlie, dana] = players;
+
+    log('\nStep 2: Switching family-friendly mode on...');
+    const refused = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('set_family_friendly', { enabled: true });
+    testResults.playerRefused = (await refused).message === 'Only the host can change the moderation';
+
+    const switched = waitForEvent(display, 'game_state', 5000, s => s.familyFriendly);
+    display.emit('set_family_friendly', { enabled: true });
+    testResults.familyFriendlyOn = !!(await switched);
+    players.forEach(p => p.socket.on('error', err => {
+      if (!EXPECTED_ERRORS.includes(err.message)) {
+        testResults.errors.push({ player: p.name, error: err.message });
+      }
+    }));
+
+    log('\nStep 3: Starting the game - Bob swears...');
+    const themes = waitForEvent(host.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    host.socket.emit('start_game');
+    host.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    await answering;
+
+    const bobConfirmed = waitForEvent(bob.socket, 'answer_submitted', 5000);
+    const tvMatching = waitForEvent(display, 'matching_phase_start', 30000);
+    const hostMatching = waitForEvent(host.socket, 'matching_phase_start', 30000);
+    bob.socket.emit('submit_answer', { answer: SWEARING });
+    testResults.bobConfirmed = (await bobConfirmed).answer;
+    log(`Bob's answer came back as: ${testResults.bobConfirmed}`);
+    charlie.socket.emit('submit_answer', { answer: "Charlie's answer" });
+    dana.socket.emit('submit_answer', { answer: "Dana's answer" });
+
+    testResults.tvAnswers = (await tvMatching).answers.map(a => a.answer);
+    let { answers } = await hostMatching;
+    log(`TV shows: ${testResults.tvAnswers.join(' | ')}`);
+
+    log('\nStep 4: Host vetoes Charlie\'s answer...');
+    const playerVeto = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('veto_answer', { answerIndex: 0 });
+    testResults.vetoRefused = (await playerVeto).message === 'Only the host can veto answers';
+
+    const tvUpdate = waitForEvent(display, 'matching_answers_updated', 5000);
+    const first = await veto(host, charlie, answers);
+    testResults.vetoed = first;
+    testResults.tvAfterVeto = await tvUpdate;
+    log(`Charlie sent back with ${first.vetoed.timeLimit}s to rewrite`);
+
+    const waitForRewrite = waitForEvent(host.socket, 'error', 5000);
+    host.socket.emit('host_submit_matches', { matches: [] });
+    testResults.submitRefused = (await waitForRewrite).message === 'Wait for the vetoed answer to be rewritten';
+
+    answers = await rewrite(host, charlie, first.index);
+    testResults.rewriteSlot = answers[first.index];
+    log(`Slot ${first.index} now: ${testResults.rewriteSlot.answer}`);
+
+    log('\nStep 5: Second veto (Dana), then a third is refused...');
+    const second = await veto(host, dana, answers);
+    answers = await rewrite(host, dana, second.index);
+    testResults.secondRewriteIn = answers[second.index].answer === "Dana's second answer";
+
+    const noVetoesLeft = waitForEvent(host.socket, 'error', 5000);
+    host.socket.emit('veto_answer', { answerIndex: answers.find(a => a.answer === MASKED).index });
+    testResults.thirdVetoRefused = (await noVetoesLeft).message === 'No vetoes left this round';
+
+    log('\nStep 6: Host matches everything correctly...');
+    display.on('reveal_result', data => testResults.reveals.push(data));
+    const roundEnd = waitForEvent(display, 'round_end', 30000);
+    const authorOf = a => players.find(p => a.answer.startsWith(p.name) || (p === bob && a.answer === MASKED)).id;
+    host.socket.emit('host_submit_matches', {
+      matches: answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a) }))
+    });
+    testResults.roundEnd = await roundEnd;
+
+    testResults.reveals.forEach(r => log(`  "${r.answer}" by ${r.actualPlayer.name}`));
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const revealed = testResults.reveals.map(r => r.answer).sort().join(',');
+    const { hostScore } = testResults.roundEnd;
+    const checks = {
+      'Non-host player refused': testResults.playerRefused,
+      'Family-friendly mode switched on': testResults.familyFriendlyOn,
+      'Bob was told his masked answer': testResults.bobConfirmed === MASKED,
+      'TV only showed the masked answer': testResults.tvAnswers.includes(MASKED) &&
+        !testResults.tvAnswers.includes(SWEARING),
+      'Player could not veto': testResults.vetoRefused,
+      'Veto came with extra time': testResults.vetoed.vetoed.timeLimit >= 30,
+      'Vetoed answer left the TV and the host\'s list': [testResults.tvAfterVeto, testResults.vetoed.hostList].every(d =>
+        d.answers[testResults.vetoed.index].rewriting && !d.answers.some(a => a.answer === "Charlie's answer")),
+      'Submitting during a rewrite refused': testResults.submitRefused,
+      'Rewrite filled the same slot': testResults.rewriteSlot?.answer === "Charlie's second answer" &&
+        !testResults.rewriteSlot.rewriting,
+      'Second rewrite came in': testResults.secondRewriteIn,
+      'Third veto refused': testResults.thirdVetoRefused,
+      'Rewrites were revealed': revealed === [MASKED, "Charlie's second answer", "Dana's second answer"].sort().join(','),
+      'Host matched everything': hostScore?.isPerfect,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -0,0 +1,290 @@
+/**
+ * Multi-Room Test - Two games running side by side on one server
+ * Simulates two displays (two TVs) each with their own players
+ *
+ * VERIFIES:
+ * - Each display without ?room= gets its own room code
+ * - Players only join the room they asked for; unknown codes are rejected
+ * - A display can rejoin an existing room by code (/display?room=XXXX)
+ * - /api/game-state?room=XXXX returns that room's state
+ * - Starting one game does not touch the other room
+ * - Settings saved from one display leave the other room's settings as they were
+ * - No client ever receives an event that mentions a player from the other room
+ * - A player who reconnects without sending a room code is routed back to their own room
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+
+const SERVER_URL = 'http://localhost:3000';
+
+// Per-room state
+const rooms = {
+  A: { label: 'A', code: null, display: null, players: [], names: ['Alice', 'Bob', 'Charlie'], firstReveal: null },
+  B: { label: 'B', code: null, display: null, players: [], names: ['Xavier', 'Yvonne', 'Zack'], firstReveal: null }
+};
+
+// Test results tracking
+const testResults = {
+  crossRoomEvents: [],
+  errors: [],
+  invalidRoomRejected: false,
+  displayRejoined: false,
+  httpStateCorrect: false,
+  otherRoomUntouched: false,
+  otherSettingsUntouched: false,
+  reconnectRouted: false
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function otherRoom(room) {
+  return room === rooms.A ? rooms.B : rooms.A;
+}
+
+// Flag any payload that names a player from the other room
+function watchForCrossTalk(socket, room, label) {
+  socket.onAny((event, payload) => {
+    const text = JSON.stringify(payload || {});
+    otherRoom(room).names.forEach(name => {
+      if (text.includes(`"${name}"`) || text.includes(`${name}'s`)) {
+        testResults.crossRoomEvents.push({ client: label, event, name });
+        log(`❌ ${label} (room ${room.label}) received ${event} mentioning ${name}`);
+      }
+    });
+  });
+}
+
+function connectDisplay(room, roomCode = null) {
+  return new Promise((resolve) => {
+    const socket = io(SERVER_URL, { transports: ['websocket'], forceNew: true });
+
+    socket.on('connect', () => {
+      socket.emit('join_as_display', { roomCode });
+    });
+
+    socket.on('reveal_result', (data) => {
+      if (!room.firstReveal) {
+        room.firstReveal = data;
+        log(`Room ${room.label} first reveal: "${data.answer}"`);
+      }
+    });
+
+    socket.once('game_state', (data) => {
+      resolve({ socket, state: data });
+    });
+  });
+}
+
+function joinRoom(room, name, code) {
+  return new Promise((resolve, reject) => {
+    const socket = io(SERVER_URL, { transports: ['websocket'], forceNew: true });
+    const player = { name, socket, id: null, sessionToken: null, isHost: false };
+
+    watchForCrossTalk(socket, room, name);
+    attachPlayerHandlers(room, player, socket);
+
+    socket.on('connect', () => {
+      socket.emit('join_room', { name, roomCode: code });
+    });
+
+    socket.on('room_joined', (data) => {
+      player.id = data.player.id;
+      player.sessionToken = data.player.sessionToken;
+      log(`${name} joined room ${data.roomCode}`);
+      resolve(player);
+    });
+
+    socket.on('join_error', (data) => {
+      socket.disconnect();
+      reject(new Error(data.message));
+    });
+
+    setTimeout(() => {
+      if (!player.id) reject(new Error(`${name} timeout`));
+    }, 10000);
+  });
+}
+
+function attachPlayerHandlers(room, player, socket) {
+  socket.on('phase_changed', (data) => {
+    player.isHost = data.currentHost?.id === player.id;
+
+    if (data.phase === 'answering' && !player.isHost) {
+      setTimeout(() => {
+        socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }, 200 + Math.random() * 300);
+    }
+  });
+
+  socket.on('themes_generated', (data) => {
+    if (player.isHost) {
+      setTimeout(() => socket.emit('host_select_theme', { theme: data.themes[0] }), 200);
+    }
+  });
+
+  socket.on('matching_phase_start', (data) => {
+    if (!player.isHost) return;
+    const matches = (data.players || []).map((p, idx) => ({ answerIndex: idx, playerId: p.id }));
+    setTimeout(() => socket.emit('host_submit_matches', { matches }), 300);
+  });
+
+  socket.on('error', (data) => {
+    testResults.errors.push({ player: player.name, error: data.message });
+    log(`❌ ${player.name} error: ${data.message}`);
+  });
+}
+
+function fetchGameState(code) {
+  return new Promise((resolve) => {
+    http.get(`${SERVER_URL}/api/game-state?room=${code}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(JSON.parse(body)));
+    }).on('error', (err) => {
+      testResults.errors.push({ player: 'HTTP', error: err.message });
+      resolve(null);
+    });
+  });
+}
+
+async function waitFor(predicate, timeoutMs = 60000) {
+  const startTime = Date.now();
+  while (!predicate() && (Date.now() - startTime) < timeoutMs) {
+    await new Promise(r => setTimeout(r, 250));
+  }
+  return predicate();
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  MULTI-ROOM TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Connecting two displays...');
+    for (const room of Object.values(rooms)) {
+      const { socket, state } = await connectDisplay(room);
+      room.display = socket;
+      room.code = state.roomCode;
+      watchForCrossTalk(socket, room, `DISPLAY ${room.label}`);
+      log(`Display ${room.label} got room ${room.code}`);
+    }
+
+    log('\nStep 2: Joining players to each room...');
+    for (const room of Object.values(rooms)) {
+      for (const name of room.names) {
+        room.players.push(await joinRoom(room, name, room.code));
+        await new Promise(r => setTimeout(r, 100));
+      }
+    }
+
+    try {
+      await joinRoom(rooms.A, 'Nobody', '0000');
+    } catch (err) {
+      testResults.invalidRoomRejected = err.message === 'Invalid room code';
+      log(`Unknown room rejected: ${err.message}`);
+    }
+
+    log('\nStep 3: Rejoining room A from a second display...');
+    const rejoin = await connectDisplay(rooms.A, rooms.A.code.toLowerCase());
+    testResults.displayRejoined = rejoin.state.roomCode === rooms.A.code &&
+      rejoin.state.players.length === rooms.A.names.length;
+    rejoin.socket.disconnect();
+
+    const stateB = await fetchGameState(rooms.B.code);
+    testResults.httpStateCorrect = stateB?.roomCode === rooms.B.code &&
+      stateB.players.map(p => p.name).join(',') === rooms.B.names.join(',');
+
+    log('\nStep 4: Changing room A\'s settings...');
+    const settingsBefore = stateB.settings;
+    const savedA = new Promise(resolve => rooms.A.display.once('settings_updated', resolve));
+    rooms.A.display.emit('update_settings', {
+      timers: { answering: settingsBefore.timers.answering + 51 },
+      rotations: settingsBefore.rotations + 1,
+      revealOrder: 'random',
+      roundMix: 'alternate'
+    });
+    const settingsA = await savedA;
+    const settingsB = (await fetchGameState(rooms.B.code))?.settings;
+    testResults.otherSettingsUntouched = settingsA.timers.answering === settingsBefore.timers.answering + 51 &&
+      JSON.stringify({ ...settingsB, pending: null }) === JSON.stringify({ ...settingsBefore, pending: null });
+    log(`Room B answering timer after A saved: ${settingsB?.timers.answering}s (A: ${settingsA.timers.answering}s)`);
+
+    log('\nStep 5: Starting room A only...');
+    rooms.A.display.emit('display_start_game');
+    await new Promise(r => setTimeout(r, 1500));
+
+    const stateAfterStart = await fetchGameState(rooms.B.code);
+    testResults.otherRoomUntouched = stateAfterStart?.phase === 'lobby';
+    log(`Room B phase while A plays: ${stateAfterStart?.phase}`);
+
+    log('\nStep 6: Reconnecting a room B player without a room code...');
+    const mover = rooms.B.players[1];
+    mover.socket.disconnect();
+    await new Promise((resolve) => {
+      const socket = io(SERVER_URL, { transports: ['websocket'], forceNew: true });
+      mover.socket = socket;
+      watchForCrossTalk(socket, rooms.B, `${mover.name} (reconnected)`);
+      attachPlayerHandlers(rooms.B, mover, socket);
+      socket.on('connect', () => {
+        socket.emit('reconnect_player', { playerId: mover.id, sessionToken: mover.sessionToken });
+      });
+      socket.on('reconnected', (data) => {
+        testResults.reconnectRouted = data.gameState.roomCode === rooms.B.code;
+        resolve();
+      });
+      socket.on('reconnect_failed', () => resolve());
+    });
+
+    log('\nStep 7: Starting room B and playing both rooms to their first reveal...');
+    rooms.B.display.emit('display_start_game');
+
+    await waitFor(() => rooms.A.firstReveal && rooms.B.firstReveal);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const checks = {
+      'Displays got different rooms': !!rooms.A.code && !!rooms.B.code && rooms.A.code !== rooms.B.code,
+      'Unknown room code rejected': testResults.invalidRoomRejected,
+      'Display rejoined room by code': testResults.displayRejoined,
+      'HTTP state returned requested room': testResults.httpStateCorrect,
+      'Starting A left B in the lobby': testResults.otherRoomUntouched,
+      'Room A\'s settings left B\'s alone': testResults.otherSettingsUntouched,
+      'Reconnect routed to own room': testResults.reconnectRouted,
+      'Room A reached reveal': !!rooms.A.firstReveal,
+      'Room B reached reveal': !!rooms.B.firstReveal,
+      'Room A revealed its own answer': rooms.A.names.some(n => rooms.A.firstReveal?.answer.startsWith(n)),
+      'Room B revealed its own answer': rooms.B.names.some(n => rooms.B.firstReveal?.answer.startsWith(n)),
+      'No cross-room events': testResults.crossRoomEvents.length === 0,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  Object.values(rooms).forEach(room => {
+    room.display?.disconnect();
+    room.players.forEach(p => p.socket?.disconnect());
+  });
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+// Run the test
+runTest();
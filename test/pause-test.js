@@ -0,0 +1,232 @@
+/**
+ * Pause Test - Pause, resume and "+30s" from the main display
+ * Simulates 3 players answering a round while the display pauses the game
+ *
+ * SCENARIO:
+ * - Alice, Bob and Charlie start a game, Alice hosts round 1
+ * - While they answer, Bob tries to pause, then the display pauses
+ * - Charlie reloads his phone while the game is paused
+ * - The display adds 30 seconds, then resumes
+ * - Bob and Charlie answer and the round moves on to matching
+ * - The display pauses again and Alice (hosting) drops out for longer than the reconnect grace period
+ *
+ * PASSES WHEN:
+ * - Only the display can pause
+ * - Every phone is told the game is paused, and the clock and phase stand still
+ * - A reconnecting phone learns the game is paused
+ * - "+30s" adds 30 seconds while paused, and the game resumes with the time it had left
+ * - The round carries on after resuming
+ * - A host dropping out while paused doesn't move the phase on - Alice comes back still matching
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+const PAUSE_MS = 3000;
+const GRACE_WAIT_MS = 16000; // Longer than the server's 15 second reconnect grace period
+
+let display = null;
+let roomCode = null;
+const players = {};
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  bobPause: null,
+  pausedOn: {},
+  displayPaused: null,
+  beforePause: null,
+  ticksWhilePaused: 0,
+  phaseChangesWhilePaused: 0,
+  charlieReconnect: null,
+  extended: null,
+  resumed: null,
+  afterResume: null,
+  matching: null,
+  phasesWhileHostAway: 0,
+  hostBack: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  players[name] = { name, socket, id: data.player.id, sessionToken: data.player.sessionToken };
+  return players[name];
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  PAUSE TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 3 players join, the game starts...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      await joinPlayer(name);
+    }
+    const { Alice: alice, Bob: bob, Charlie: charlie } = players;
+
+    const themes = waitForEvent(alice.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    display.emit('display_start_game');
+    alice.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    await answering;
+    testResults.beforePause = await waitForEvent(display, 'timer_update', 5000, d => d.phase === 'answering');
+    log(`Answering with ${testResults.beforePause.remaining}s left`);
+
+    log('\nStep 2: Bob tries to pause, then the display pauses...');
+    const bobError = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('pause_game');
+    testResults.bobPause = await bobError;
+    [...Object.values(players), { name: 'Display', socket: display }].forEach(p =>
+      p.socket.on('error', err => testResults.errors.push({ player: p.name, error: err.message }))
+    );
+
+    const paused = Object.values(players).map(p =>
+      waitForEvent(p.socket, 'game_paused', 5000).then(d => { testResults.pausedOn[p.name] = d.paused; })
+    );
+    const displayState = waitForEvent(display, 'game_state', 5000, s => s.isPaused);
+    const pausedTimer = waitForEvent(display, 'timer_update', 5000);
+    display.emit('pause_game');
+    await Promise.all(paused);
+    testResults.displayPaused = await displayState;
+    const frozenAt = (await pausedTimer).remaining;
+    log(`Paused with ${frozenAt}s left`);
+
+    // Nothing should move while paused
+    const countTick = () => testResults.ticksWhilePaused++;
+    const countPhase = () => testResults.phaseChangesWhilePaused++;
+    display.on('timer_update', countTick);
+    display.on('phase_changed', countPhase);
+
+    charlie.socket.disconnect();
+    const charliePhone = connect();
+    charliePhone.on('connect', () => charliePhone.emit('reconnect_player', {
+      playerId: charlie.id, sessionToken: charlie.sessionToken, roomCode
+    }));
+    testResults.charlieReconnect = await waitForEvent(charliePhone, 'reconnected', 5000);
+    charlie.socket = charliePhone;
+
+    await sleep(PAUSE_MS);
+    display.off('timer_update', countTick);
+    display.off('phase_changed', countPhase);
+    log(`Timer updates while paused: ${testResults.ticksWhilePaused}`);
+
+    log('\nStep 3: The display adds 30 seconds and resumes...');
+    const extended = waitForEvent(display, 'timer_update', 5000);
+    display.emit('extend_time');
+    testResults.extended = { frozenAt, ...(await extended) };
+    log(`Extended to ${testResults.extended.remaining}s`);
+
+    const resumed = waitForEvent(alice.socket, 'game_paused', 5000);
+    display.emit('resume_game');
+    testResults.resumed = await resumed;
+    testResults.afterResume = await waitForEvent(display, 'timer_update', 5000);
+    log(`Resumed, ${testResults.afterResume.remaining}s left`);
+
+    log('\nStep 4: Bob and Charlie answer...');
+    const matching = waitForEvent(alice.socket, 'matching_phase_start', 10000);
+    [bob, charlie].forEach(p => p.socket.emit('submit_answer', { answer: `${p.name}'s answer` }));
+    testResults.matching = await matching;
+
+    log('\nStep 5: Paused again, Alice drops out while matching...');
+    const pausedAgain = waitForEvent(bob.socket, 'game_paused', 5000, d => d.paused);
+    display.emit('pause_game');
+    await pausedAgain;
+    const countHostAway = () => testResults.phasesWhileHostAway++;
+    display.on('phase_changed', countHostAway);
+    display.on('matches_submitted', countHostAway);
+    alice.socket.disconnect();
+    await sleep(GRACE_WAIT_MS);
+    display.off('phase_changed', countHostAway);
+    display.off('matches_submitted', countHostAway);
+    log(`Phase changes while the host was away: ${testResults.phasesWhileHostAway}`);
+
+    const alicePhone = connect();
+    alicePhone.on('connect', () => alicePhone.emit('reconnect_player', {
+      playerId: alice.id, sessionToken: alice.sessionToken, roomCode
+    }));
+    testResults.hostBack = await waitForEvent(alicePhone, 'reconnected', 5000);
+    alice.socket = alicePhone;
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { extended: ext, afterResume } = testResults;
+    const checks = {
+      'Only the display can pause': testResults.bobPause.message === 'Only the main display can pause the game',
+      'Every phone was told the game paused': ['Alice', 'Bob', 'Charlie'].every(name => testResults.pausedOn[name] === true),
+      'Display state shows paused': testResults.displayPaused.isPaused === true && testResults.displayPaused.phase === 'answering',
+      'Clock stood still while paused': testResults.ticksWhilePaused === 0,
+      'Phase stood still while paused': testResults.phaseChangesWhilePaused === 0,
+      'Reconnecting phone learned the game is paused': testResults.charlieReconnect.gameState.isPaused === true,
+      '+30s added 30 seconds': ext.remaining === ext.frozenAt + 30 && ext.totalSeconds >= 30,
+      'Resume told the phones': testResults.resumed.paused === false,
+      'Resumed with the time it had left': afterResume.remaining <= ext.remaining && afterResume.remaining >= ext.remaining - 2,
+      'Round carried on after resuming': testResults.matching.answers.length === 2,
+      'Host dropping out while paused didn\'t move the phase on': testResults.phasesWhileHostAway === 0 &&
+        testResults.hostBack.gameState.phase === 'matching',
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  Object.values(players).forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
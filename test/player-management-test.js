@@ -0,0 +1,307 @@
+/**
+ * Player Management Test - Kick, ban, rename and reorder players from the main display
+ * Simulates 6 players: one ghost is kicked in the lobby, the rest play while players are removed mid-game
+ *
+ * SCENARIO:
+ * - Lobby: a player can't kick anyone, the display renames Eve and moves Dana to host first, then kicks Ghost
+ * - Round 1 (Dana hosts): hosted players can't be moved but Bob can; Charlie is kicked while answering
+ *   and Evie while the host matches
+ * - Round 2 (Bob hosts): Bob is kicked before picking a theme, so the round starts again with Alice
+ * - Dana is banned, leaving one player: her phone can't join again under a new name,
+ *   another phone on the same network (every test phone shares an address) can, even as Dana
+ *
+ * PASSES WHEN:
+ * - Names stay unique, the new first player hosts the lobby, and a kicked phone can't reconnect
+ * - The answering phase ends as soon as the last remaining answer is in
+ * - A removed player's answer leaves the host's and the TV's lists and the round still scores
+ * - Every removal takes that player's hosting turn off the round count
+ * - The game ends when only one player is left, and a ban blocks the phone, not the network
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+
+// Refusals the test asks for (checked on their own)
+const EXPECTED_ERRORS = [
+  'Players can only be managed from the main screen',
+  'That name is already taken',
+  'Only those who haven\'t hosted yet this rotation can move'
+];
+
+let display = null;
+let roomCode = null;
+const players = {};
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  playerRefused: false,
+  duplicateRefused: false,
+  renamed: null,
+  lobbyHost: null,
+  ghostKicked: null,
+  ghostReconnect: null,
+  startRounds: null,
+  hostedMoveRefused: false,
+  roundsAfterAnsweringKick: null,
+  matchingStarted: null,
+  hostAfterKick: null,
+  tvAfterKick: null,
+  roundsAfterMatchingKick: null,
+  roundEnd: null,
+  secondHost: null,
+  restartedRound: null,
+  gameOver: null,
+  bannedDevice: null,
+  otherPhone: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+// Every phone has its own device token (kept in the browser's storage)
+async function joinPlayer(name, deviceToken = `${name.toLowerCase()}-phone`) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode, deviceToken }));
+  const data = await waitForEvent(socket, 'room_joined');
+  players[name] = { name, socket, deviceToken, id: data.player.id, sessionToken: data.player.sessionToken };
+  return players[name];
+}
+
+// Try to join and return the reason it was refused
+async function joinRefusal(name, deviceToken) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode, deviceToken }));
+  const refusal = await waitForEvent(socket, 'join_error', 5000);
+  socket.disconnect();
+  return refusal.message;
+}
+
+// Send a display request and wait for the display state it leads to
+function displayRequest(event, data, filter) {
+  const state = waitForEvent(display, 'game_state', 5000, filter);
+  display.emit(event, data);
+  return state;
+}
+
+// Send a display request the server should refuse and return the reason
+// (only the error counts - state broadcasts from elsewhere in the room don't)
+async function displayRefusal(event, data) {
+  const refusal = waitForEvent(display, 'error', 5000);
+  display.emit(event, data);
+  return (await refusal).message;
+}
+
+// Display kicks (or bans) a player and waits for their phone to be told
+async function kick(player, ban = false) {
+  const kicked = waitForEvent(player.socket, 'kicked', 5000);
+  display.emit('kick_player', { playerId: player.id, ban });
+  const data = await kicked;
+  log(`${player.name} ${ban ? 'banned' : 'kicked'}: "${data.message}"`);
+  return data;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  PLAYER MANAGEMENT TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 6 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie', 'Dana', 'Eve', 'Ghost']) {
+      await joinPlayer(name);
+    }
+    const { Alice: alice, Bob: bob, Charlie: charlie, Dana: dana, Eve: eve, Ghost: ghost } = players;
+
+    log('\nStep 2: Managing the lobby...');
+    const refused = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('kick_player', { playerId: alice.id });
+    testResults.playerRefused = (await refused).message === 'Players can only be managed from the main screen';
+
+    const duplicate = await displayRefusal('rename_player', { playerId: eve.id, name: 'bob' });
+    testResults.duplicateRefused = duplicate === 'That name is already taken';
+
+    const renamed = waitForEvent(eve.socket, 'players_updated', 5000);
+    display.emit('rename_player', { playerId: eve.id, name: '  Evie  ' });
+    testResults.renamed = (await renamed).players.find(p => p.id === eve.id)?.name;
+    eve.name = testResults.renamed;
+    log(`Eve is now ${testResults.renamed}`);
+
+    const order = [dana, alice, bob, charlie, eve, ghost].map(p => p.id);
+    const reordered = await displayRequest('reorder_rotation', { order }, s => s.players[0]?.id === dana.id);
+    testResults.lobbyHost = reordered.players.filter(p => p.isHost).map(p => p.name);
+    log(`Lobby order: ${reordered.players.map(p => p.name).join(', ')}`);
+
+    testResults.ghostKicked = await kick(ghost);
+    ghost.socket.disconnect();
+    const ghostPhone = connect();
+    ghostPhone.on('connect', () => ghostPhone.emit('reconnect_player', {
+      playerId: ghost.id, sessionToken: ghost.sessionToken, roomCode
+    }));
+    testResults.ghostReconnect = await waitForEvent(ghostPhone, 'reconnect_failed', 5000);
+    ghostPhone.disconnect();
+    delete players.Ghost;
+
+    Object.values(players).forEach(p => p.socket.on('error', err => {
+      if (!EXPECTED_ERRORS.includes(err.message)) {
+        testResults.errors.push({ player: p.name, error: err.message });
+      }
+    }));
+
+    log('\nStep 3: Round 1 - Dana hosts, Bob moves up...');
+    const started = waitForEvent(dana.socket, 'game_started');
+    const themes = waitForEvent(dana.socket, 'themes_generated');
+    display.emit('display_start_game');
+    testResults.startRounds = (await started).totalRounds;
+
+    const hostedMove = await displayRefusal('reorder_rotation', {
+      order: [alice, dana, bob, charlie, eve].map(p => p.id)
+    });
+    testResults.hostedMoveRefused = hostedMove === 'Only those who haven\'t hosted yet this rotation can move';
+    await displayRequest('reorder_rotation', {
+      order: [dana, bob, alice, charlie, eve].map(p => p.id)
+    }, s => s.players[1]?.id === bob.id);
+
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    dana.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    await answering;
+
+    log('\nStep 4: Charlie is kicked while everyone else has answered...');
+    const hostMatching = waitForEvent(dana.socket, 'matching_phase_start', 30000);
+    for (const p of [alice, bob, eve]) {
+      const confirmed = waitForEvent(p.socket, 'answer_submitted', 5000);
+      p.socket.emit('submit_answer', { answer: `${p.name}'s answer` });
+      await confirmed;
+    }
+    const kickedAt = Date.now();
+    const afterCharlie = waitForEvent(display, 'game_state', 5000, s => !s.players.some(p => p.id === charlie.id));
+    await kick(charlie);
+    testResults.roundsAfterAnsweringKick = (await afterCharlie).totalRounds;
+    testResults.matchingStarted = await hostMatching;
+    log(`Matching started ${Date.now() - kickedAt}ms after the kick, ${testResults.matchingStarted.answers.length} answers`);
+    delete players.Charlie;
+
+    log('\nStep 5: Evie is kicked while Dana matches...');
+    // Lists without Evie's answer (one sent as matching started may still be on its way)
+    const withoutEvie = d => !d.answers.some(a => a.answer.startsWith('Evie'));
+    const hostUpdate = waitForEvent(dana.socket, 'matching_answers_updated', 5000, withoutEvie);
+    const tvUpdate = waitForEvent(display, 'matching_answers_updated', 5000, withoutEvie);
+    const afterEvie = waitForEvent(display, 'game_state', 5000, s => !s.players.some(p => p.id === eve.id));
+    await kick(eve);
+    testResults.hostAfterKick = await hostUpdate;
+    testResults.tvAfterKick = await tvUpdate;
+    testResults.roundsAfterMatchingKick = (await afterEvie).totalRounds;
+    delete players.Eve;
+
+    const roundEnd = waitForEvent(display, 'round_end', 30000);
+    const secondRound = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'theme_select' && d.currentRound === 2);
+    const authorOf = a => [alice, bob].find(p => a.answer.startsWith(p.name)).id;
+    dana.socket.emit('host_submit_matches', {
+      matches: testResults.hostAfterKick.answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a) }))
+    });
+    testResults.roundEnd = await roundEnd;
+
+    log('\nStep 6: Round 2 - Bob is kicked before picking a theme...');
+    testResults.secondHost = (await secondRound).currentHost.name;
+    const restarted = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'theme_select' && d.currentHost.id === alice.id);
+    await kick(bob);
+    testResults.restartedRound = await restarted;
+    log(`Round ${testResults.restartedRound.currentRound}/${testResults.restartedRound.totalRounds} restarted with ${testResults.restartedRound.currentHost.name}`);
+    delete players.Bob;
+
+    log('\nStep 7: Dana is banned...');
+    const gameOver = waitForEvent(display, 'game_over', 30000);
+    await kick(dana, true);
+    testResults.gameOver = await gameOver;
+    delete players.Dana;
+
+    testResults.bannedDevice = await joinRefusal('Someone New', dana.deviceToken);
+    testResults.otherPhone = (await joinPlayer('Dana', 'friends-phone')).name;
+    log(`Another phone joined as ${testResults.otherPhone}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const hostList = testResults.hostAfterKick;
+    const checks = {
+      'Player could not kick': testResults.playerRefused,
+      'Duplicate name refused': testResults.duplicateRefused,
+      'Rename reached the player': testResults.renamed === 'Evie',
+      'First in the order hosts the lobby': JSON.stringify(testResults.lobbyHost) === '["Dana"]',
+      'Kicked player was told': testResults.ghostKicked.message === 'You were removed from this game',
+      'Kicked player could not reconnect': testResults.ghostReconnect.message === 'You were removed from this game',
+      'Game started with 5 rounds': testResults.startRounds === 5,
+      'Hosted player could not move': testResults.hostedMoveRefused,
+      'Kick while answering took a round off': testResults.roundsAfterAnsweringKick === 4,
+      'Matching started without waiting for the kicked player': testResults.matchingStarted.answers.length === 3 &&
+        testResults.matchingStarted.players.length === 3,
+      'Kicked answer left the host\'s list': hostList.answers.length === 2 && hostList.players.length === 2 &&
+        !hostList.answers.some(a => a.answer.startsWith('Evie')),
+      'Kicked answer left the TV': testResults.tvAfterKick.answers.length === 2,
+      'Kick while matching took a round off': testResults.roundsAfterMatchingKick === 3,
+      'Round 1 scored the answers left': testResults.roundEnd.hostScore?.isPerfect &&
+        testResults.roundEnd.scoreboard.length === 3,
+      'Bob hosted round 2 after moving up': testResults.secondHost === 'Bob',
+      'Round 2 restarted with Alice': testResults.restartedRound.currentRound === 2 &&
+        testResults.restartedRound.totalRounds === 2,
+      'Game ended with one player left': testResults.gameOver.winner?.name === 'Alice' &&
+        testResults.gameOver.scoreboard.length === 1,
+      'Banned phone refused under a new name': testResults.bannedDevice === 'You are banned from this game',
+      'Another phone on the same network can join': testResults.otherPhone === 'Dana',
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  Object.values(players).forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
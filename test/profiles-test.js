@@ -0,0 +1,257 @@
+/**
+ * Profiles Test - Lifetime player profiles linked by the phone's device token
+ * Like the crash recovery test this one starts its own server (port 3101, temporary database)
+ * because profiles are only kept in the database
+ *
+ * SCENARIO:
+ * - Alice, Bob and Charlie join with device tokens, Diana's phone doesn't send one
+ * - A full game is played: Bob mixes up Charlie's and Diana's answers when he hosts,
+ *   Diana mixes up Alice's and Charlie's, Alice and Charlie match everything correctly
+ * - The Hall of Fame and each profile are read from /api/profiles
+ * - After Play Again a new player joins from Alice's phone under another name
+ *
+ * PASSES WHEN:
+ * - Only players with a device token get a profile
+ * - Each profile has 1 game, a win for the winner only, and the host's accuracy
+ * - Charlie fooled the host twice, Bob never did
+ * - A profile's favourite theme is the one they picked as host
+ * - The Hall of Fame lists the 3 profiles, most wins first, without device tokens
+ * - The same phone gets the same profile back, under its new name
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const PORT = 3101;
+const SERVER_URL = `http://localhost:${PORT}`;
+const DB_PATH = path.join(os.tmpdir(), `kyc-profiles-test-${process.pid}.db`);
+
+let server = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  themes: {},
+  gameOver: null,
+  profiles: {},
+  hallOfFame: null,
+  missing: null,
+  rejoined: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/profiles-test.js --server <dbPath>
+function runServer(dbPath) {
+  const DatabaseService = require('../services/database');
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  const db = new DatabaseService(dbPath);
+  db.initialize();
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    rotations: 1,
+    timers: { themeSelection: 5, answering: 10, matching: 10, reveal: 0.2, roundEnd: 1 },
+    // Fooling the host scores, so Alice and Charlie don't finish tied
+    bonuses: { ...config.bonuses, bluff: 1, mostBlamed: 2 }
+  }, db).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', DB_PATH], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function fetchJson(urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get(`${SERVER_URL}${urlPath}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function joinPlayer(name, deviceToken) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode, deviceToken }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id, profileId: data.player.profileId, deviceToken };
+  socket.on('error', (err) => {
+    testResults.errors.push({ player: name, error: err.message });
+    log(`❌ ${name} error: ${err.message}`);
+  });
+  return player;
+}
+
+// Play every round as it comes: hosts pick the first theme, everyone else answers,
+// and the host matches correctly - except Bob and Diana, who each swap two answers (no tie, so no sudden death)
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      testResults.themes[player.name] = testResults.themes[player.name] || data.themes[0];
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      const swaps = {
+        Bob: { Charlie: 'Diana', Diana: 'Charlie' },
+        Diana: { Alice: 'Charlie', Charlie: 'Alice' }
+      }[player.name] || {};
+      const matches = data.answers.map((a) => {
+        const author = players.find(p => a.answer.startsWith(p.name));
+        const guess = players.find(p => p.name === (swaps[author.name] || author.name));
+        return { answerIndex: a.index, playerId: guess.id };
+      });
+      player.socket.emit('host_submit_matches', { matches });
+    });
+  });
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  PROFILES TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting server and joining 4 players...');
+    roomCode = await startServerProcess();
+    players.push(await joinPlayer('Alice', 'alice-phone-token'));
+    players.push(await joinPlayer('Bob', 'bob-phone-token'));
+    players.push(await joinPlayer('Charlie', 'charlie-phone-token'));
+    players.push(await joinPlayer('Diana'));
+    const [alice, bob, charlie, diana] = players;
+    players.forEach(p => log(`${p.name}: profile ${p.profileId || 'none'}`));
+
+    log('\nStep 2: Playing a full game...');
+    autoPlay();
+    const gameOver = waitForEvent(alice.socket, 'game_over', 120000);
+    alice.socket.emit('start_game');
+    testResults.gameOver = await gameOver;
+    const winner = testResults.gameOver.winner;
+    log(`Winner: ${winner.name} (${testResults.gameOver.scoreboard.map(s => `${s.name}:${s.score}`).join(', ')})`);
+
+    log('\nStep 3: Reading the profiles...');
+    for (const player of [alice, bob, charlie]) {
+      testResults.profiles[player.name] = (await fetchJson(`/api/profiles/${player.profileId}`)).body;
+      log(`${player.name}: ${JSON.stringify(testResults.profiles[player.name])}`);
+    }
+    testResults.hallOfFame = (await fetchJson('/api/profiles')).body;
+    testResults.missing = await fetchJson('/api/profiles/not-a-profile');
+
+    log('\nStep 4: Play again - Alice\'s phone joins under another name...');
+    const reset = waitForEvent(alice.socket, 'game_reset');
+    alice.socket.emit('play_again');
+    await reset;
+    const ally = await joinPlayer('Ally', alice.deviceToken);
+    players.push(ally);
+    testResults.rejoined = { profileId: ally.profileId, profile: (await fetchJson(`/api/profiles/${ally.profileId}`)).body };
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { profiles, hallOfFame } = testResults;
+    const profiled = [alice, bob, charlie];
+    const fameNames = hallOfFame.profiles.map(p => p.name);
+    const checks = {
+      'Players with a device token get a profile': profiled.every(p => p.profileId) && new Set(profiled.map(p => p.profileId)).size === 3,
+      'No device token, no profile': diana.profileId === null,
+      'Each profile has played 1 game': profiled.every(p => profiles[p.name].gamesPlayed === 1),
+      'Only the winner has a win': profiled.every(p => profiles[p.name].wins === (p.id === winner.id ? 1 : 0) &&
+        profiles[p.name].winRate === (p.id === winner.id ? 100 : 0)),
+      'Correct matching gives 100% host accuracy': profiles.Alice.hostAccuracy === 100 && profiles.Charlie.hostAccuracy === 100,
+      'Mixed-up answers lower host accuracy': profiles.Bob.hostAccuracy === 33 && profiles.Bob.totalMatches === 3,
+      'Charlie fooled the host twice': profiles.Charlie.fooledHost === 2,
+      'Bob never fooled the host': profiles.Bob.fooledHost === 0,
+      'Favourite theme is the one picked as host': profiles.Alice.favouriteThemes[0] === testResults.themes.Alice,
+      'Hall of Fame lists the 3 profiles': hallOfFame.profiles.length === 3 && ['Alice', 'Bob', 'Charlie'].every(n => fameNames.includes(n)),
+      'Hall of Fame puts the most wins first': hallOfFame.profiles.every((p, i) => i === 0 || p.wins <= hallOfFame.profiles[i - 1].wins),
+      'Device tokens never leave the server': !JSON.stringify(testResults.hallOfFame).includes('phone-token') &&
+        !JSON.stringify(profiles).includes('phone-token'),
+      'Unknown profile is a 404': testResults.missing.status === 404,
+      'Same phone, same profile': testResults.rejoined.profileId === alice.profileId,
+      'Profile takes the new name': testResults.rejoined.profile.name === 'Ally' && testResults.rejoined.profile.gamesPlayed === 1,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  players.forEach(p => p.socket?.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+  [DB_PATH, `${DB_PATH}-wal`, `${DB_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}
@@ -0,0 +1,419 @@
+/**
+ * Reveal Order Test - Wrong guesses first, the host picking each answer, random and suspense reveal orders
+ * Like the export test this one starts its own server (port 3106, temporary database)
+ * because the order each round used is recorded with the round
+ *
+ * SCENARIO:
+ * - A display and 4 players join; the display picks "wrong guesses first" in the lobby
+ * - Each host matches the first answer correctly and swaps the other two
+ * - Round 1 (wrong first), then the display switches to "host picks" mid-round
+ * - Round 2 (host picks): a player who isn't hosting tries to pick, the host picks the last answer,
+ *   then one already revealed, the display moves the reveal on and the host picks the last one and ends the round;
+ *   random is picked for round 3
+ * - Round 3 (random), then suspense for round 4
+ * - The suspense order is also checked directly with a made-up history
+ * - The same Cutthroat round is scored directly in every reveal order: right, wrong, wrong, right
+ *
+ * PASSES WHEN:
+ * - The host's guesses are summarised in the order everyone saw the answers, whatever the reveal order
+ * - Wrong first reveals both wrong guesses before the right one
+ * - Host picks waits for the host, who gets the answers still to reveal; only the host can pick,
+ *   and only an answer that hasn't been revealed
+ * - Random and suspense reveal every answer once
+ * - Each round's reveal order is saved with the round
+ * - Suspense saves the least expected outcome for last (from how the host did on each author before)
+ * - The reveal order never changes the scores - streaks count in the order the host matched
+ * - The host's matches must be a list of the round's answers, each once, guessed on a player other than the host
+ */
+
+const io = require('socket.io-client');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const RevealOrderer = require('../services/reveal-orderer');
+const GameLogic = require('../services/game-logic');
+const ScoreCalculator = require('../services/score-calculator');
+const defaultConfig = require('../config/default-config.json');
+
+const PORT = 3106;
+const SERVER_URL = `http://localhost:${PORT}`;
+const DB_PATH = path.join(os.tmpdir(), `kyc-reveal-order-test-${process.pid}.db`);
+
+let server = null;
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  displayErrors: [],
+  rounds: {} // round -> {host, phase, summary, answers, reveals: [{answerIndex, isCorrect, choices}]}
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/reveal-order-test.js --server <dbPath>
+function runServer(dbPath) {
+  const DatabaseService = require('../services/database');
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  const db = new DatabaseService(dbPath);
+  db.initialize();
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    rotations: 1,
+    timers: { themeSelection: 5, answering: 10, matching: 10, reveal: 0.2, roundEnd: 1 },
+    reveal: { pacing: 'timer', order: 'matched', maxWait: 15, intro: 0.5 }
+  }, db).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', DB_PATH], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  display.on('error', (err) => {
+    testResults.displayErrors.push(err.message);
+    log(`Display error: ${err.message}`);
+  });
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id, errors: [] };
+  socket.on('error', (err) => player.errors.push(err.message));
+  players.push(player);
+  return player;
+}
+
+// Hosts pick the first theme and match the first answer right and the other two swapped; everyone else answers
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      const authors = data.answers.map(a => players.find(p => a.answer.startsWith(p.name)));
+      const guesses = [authors[0], authors[2], authors[1]];
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map((a, i) => ({ answerIndex: a.index, playerId: guesses[i].id }))
+      });
+    });
+  });
+}
+
+// Record each round's answers (in matching order), summary and reveals as the display sees them
+function watchReveals() {
+  let round = 0;
+  let answers = [];
+  let summary = null;
+  display.on('phase_changed', (data) => {
+    if (data.phase === 'theme_select') round = data.currentRound || round + 1;
+    if (data.phase === 'reveal') {
+      testResults.rounds[round] = { host: data.currentHost, phase: data, answers, summary, reveals: [] };
+    }
+  });
+  display.on('matching_phase_start', (data) => { answers = data.answers.map(a => a.answer); });
+  display.on('matches_submitted', (data) => { summary = data.matches.map(m => m.answer); });
+  display.on('reveal_result', (data) => {
+    testResults.rounds[round].reveals.push({ answerIndex: data.answerIndex, isCorrect: data.isCorrect, choices: data.choices });
+    log(`Round ${round} reveal ${data.index + 1}/${data.total} (${data.revealOrder}): ${data.isCorrect ? 'right' : 'wrong'}`);
+  });
+}
+
+// Wait until a round's reveal has started
+async function waitForRevealPhase(round) {
+  while (!testResults.rounds[round]) {
+    await waitForEvent(display, 'phase_changed');
+  }
+}
+
+// Saved reveal order of every round, read once the server has stopped
+function readSavedOrders() {
+  const DatabaseService = require('../services/database');
+  const db = new DatabaseService(DB_PATH);
+  db.initialize();
+  const rows = db.db.prepare('SELECT round_number, reveal_order FROM rounds ORDER BY round_number ASC').all();
+  db.close();
+  return rows.map(r => r.reveal_order);
+}
+
+// Suspense straight from the RevealOrderer: the host always gets Bea wrong and Cal right
+function checkSuspense() {
+  const orderer = new RevealOrderer();
+  orderer.rememberRound('host', [
+    { actualPlayerId: 'bea', isCorrect: false },
+    { actualPlayerId: 'cal', isCorrect: true },
+    { actualPlayerId: 'bea', isCorrect: false },
+    { actualPlayerId: 'cal', isCorrect: true },
+    { actualPlayerId: 'dee', isCorrect: false, isNoAnswer: true }
+  ]);
+  const results = [
+    { actualPlayerId: 'bea', isCorrect: true }, // Finally right about Bea - the big surprise
+    { actualPlayerId: 'cal', isCorrect: true }, // Right about Cal as always
+    { actualPlayerId: 'dee', isCorrect: false } // Nothing to go on
+  ];
+  const ordered = orderer.order(results, 'suspense', 'host').map(r => r.actualPlayerId);
+  const otherHost = orderer.order(results, 'suspense', 'someone else').map(r => r.actualPlayerId);
+  const shuffled = orderer.order(results, 'random', 'host');
+  return {
+    ordered,
+    otherHost,
+    untouched: results[0].actualPlayerId === 'bea' && shuffled !== results && shuffled.length === 3 &&
+      results.every(r => shuffled.includes(r))
+  };
+}
+
+// Score one Cutthroat round in every reveal order, without a server
+// The host gets the first and last answers right - no streak in the order they were matched
+function checkScoresAcrossOrders() {
+  const silentIo = { to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } };
+  const authors = ['amy', 'ben', 'cat', 'dan'];
+  const guesses = ['amy', 'cat', 'ben', 'dan'];
+
+  return RevealOrderer.STRATEGIES.map(order => {
+    const config = { ...defaultConfig, reveal: { ...defaultConfig.reveal, order } };
+    const game = new GameLogic(silentIo, null, { setThemeSources: () => null }, new ScoreCalculator(config), config);
+    Object.assign(game.gameState, {
+      players: ['hal', ...authors].map(id => ({ id, name: id, score: 0, isHost: id === 'hal' })),
+      currentHostIndex: 0,
+      scoringPreset: 'cutthroat',
+      answers: authors.map((id, index) => ({ id: `answer-${index}`, playerId: id, answer: `${id}'s answer` })),
+      matches: guesses.map((playerId, answerIndex) => ({ answerIndex, playerId }))
+    });
+    game.gameState.matchingAnswers = game.gameState.answers.map((a, index) => ({ index, answer: a.answer, playerId: a.playerId }));
+
+    game.resolveMatches();
+    return { order, scores: game.gameState.players.map(p => `${p.id}:${p.score}`).join() };
+  });
+}
+
+// Send the host's matches with one thing wrong each time, without a server
+// Every one is refused and the round stays in matching
+function checkInvalidMatches() {
+  const silentIo = { to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } };
+  const game = new GameLogic(silentIo, null, { setThemeSources: () => null }, new ScoreCalculator(defaultConfig), defaultConfig);
+  const authors = ['amy', 'ben', 'cat'];
+  Object.assign(game.gameState, {
+    phase: 'matching',
+    players: ['hal', ...authors].map(id => ({ id, name: id, score: 0, isHost: id === 'hal' })),
+    currentHostIndex: 0,
+    matchingAnswers: authors.map((id, index) => ({ index, answer: `${id}'s answer`, playerId: id }))
+  });
+  const errors = [];
+  const hostSocket = { playerId: 'hal', emit: (event, data) => errors.push(data.message) };
+
+  [
+    'not a list',
+    [{ answerIndex: 0, playerId: null }],
+    [{ playerId: 'amy' }],
+    [{ answerIndex: 7, playerId: 'amy' }],
+    [{ answerIndex: 0, playerId: 'amy' }, { answerIndex: 0, playerId: 'ben' }],
+    [{ answerIndex: 0, playerId: 'hal' }],
+    [{ answerIndex: 0, playerId: 'zed' }]
+  ].forEach(matches => game.handleMatchesSubmit(hostSocket, { matches }));
+
+  return { errors, phase: game.gameState.phase, checked: game.checkMatches([{ answerIndex: 2, playerId: 'amy', extra: true }]) };
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  REVEAL ORDER TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting the server, display and 4 players join...');
+    fs.rmSync(DB_PATH, { force: true });
+    await startServerProcess();
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie', 'Dave']) {
+      await joinPlayer(name);
+    }
+    autoPlay();
+    watchReveals();
+
+    log('\nStep 2: Round 1 - wrong guesses first...');
+    display.emit('update_settings', { revealOrder: 'wrongFirst' });
+    await waitForEvent(display, 'settings_updated');
+    display.emit('display_start_game');
+    await waitForRevealPhase(1);
+    display.emit('update_settings', { revealOrder: 'hostPicks' });
+    await waitForEvent(display, 'round_end');
+
+    log('\nStep 3: Round 2 - the host picks...');
+    await waitForRevealPhase(2);
+    const round2 = testResults.rounds[2];
+    const host = players.find(p => p.id === round2.host.id);
+    const bystander = players.find(p => p !== host);
+    const waitsForHost = await (async () => {
+      await delay(1000);
+      return round2.reveals.length === 0;
+    })();
+
+    const lastChoice = round2.phase.choices[round2.phase.choices.length - 1];
+    bystander.socket.emit('host_pick_reveal', { answerIndex: lastChoice.answerIndex });
+    await delay(300);
+    const picked = waitForEvent(display, 'reveal_result');
+    host.socket.emit('host_pick_reveal', { answerIndex: lastChoice.answerIndex });
+    await picked;
+    host.socket.emit('host_pick_reveal', { answerIndex: lastChoice.answerIndex });
+    await delay(300);
+    const moved = waitForEvent(display, 'reveal_result');
+    display.emit('next_reveal');
+    await moved;
+    display.emit('update_settings', { revealOrder: 'random' });
+    await waitForEvent(display, 'settings_updated');
+    const lastPick = waitForEvent(display, 'reveal_result');
+    host.socket.emit('host_pick_reveal', { answerIndex: round2.reveals[1].choices[0].answerIndex });
+    await lastPick;
+    const roundEnd2 = waitForEvent(display, 'round_end');
+    host.socket.emit('next_reveal');
+    await roundEnd2;
+
+    log('\nStep 4: Round 3 - random...');
+    await waitForRevealPhase(3);
+    display.emit('update_settings', { revealOrder: 'suspense' });
+    await waitForEvent(display, 'round_end');
+
+    log('\nStep 5: Round 4 - suspense...');
+    await waitForRevealPhase(4);
+    await waitForEvent(display, 'round_end');
+
+    log('\nStep 6: Suspense from a made-up history...');
+    const suspense = checkSuspense();
+    log(`Suspense order: ${suspense.ordered.join(', ')}`);
+
+    log('\nStep 7: One round scored in every reveal order...');
+    const orderScores = checkScoresAcrossOrders();
+    orderScores.forEach(({ order, scores }) => log(`${order}: ${scores}`));
+
+    log('\nStep 8: Matches the round doesn\'t have...');
+    const invalidMatches = checkInvalidMatches();
+    log(`Refused: ${invalidMatches.errors.join(', ')}`);
+
+    display.disconnect();
+    players.forEach(p => p.socket.disconnect());
+    await stopServer();
+    const savedOrders = readSavedOrders();
+    log(`Saved reveal orders: ${savedOrders.join(', ')}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const rounds = [1, 2, 3, 4].map(n => testResults.rounds[n]);
+    const [round1, , round3, round4] = rounds;
+    const revealsEveryAnswer = (round) => round.reveals.length === 3 &&
+      round.reveals.map(r => r.answerIndex).sort().join() === '0,1,2';
+    const checks = {
+      'Summaries follow the matching order': rounds.every(r => r.summary.join() === r.answers.join()),
+      'Wrong guesses are revealed first': round1.phase.revealOrder === 'wrongFirst' &&
+        round1.reveals.map(r => r.isCorrect).join() === 'false,false,true',
+      'Host picks waits for the host': round2.phase.revealOrder === 'hostPicks' && round2.phase.pacing === 'manual' && waitsForHost,
+      'The host gets the answers still to reveal': round2.phase.choices.map(c => c.answer).join() === round2.answers.join() &&
+        round2.reveals[0].choices.length === 2 && !round2.reveals[0].choices.some(c => c.answerIndex === lastChoice.answerIndex) &&
+        round2.reveals[2].choices.length === 0,
+      'The host\'s pick is revealed next': round2.reveals[0].answerIndex === lastChoice.answerIndex && revealsEveryAnswer(round2),
+      'Only the host picks, and only answers still to reveal': bystander.errors.join() === 'Only the host can pick the next reveal' &&
+        host.errors.join() === 'That answer has already been revealed',
+      'Random and suspense reveal every answer once': round3.phase.revealOrder === 'random' && revealsEveryAnswer(round3) &&
+        round4.phase.revealOrder === 'suspense' && revealsEveryAnswer(round4) && round3.reveals[0].choices === null,
+      'Each round\'s order is saved': savedOrders.join() === 'wrongFirst,hostPicks,random,suspense',
+      'Suspense saves the biggest surprise for last': suspense.ordered.join() === 'cal,dee,bea' &&
+        suspense.otherHost.join() === 'bea,cal,dee' && suspense.untouched,
+      'Scores don\'t depend on the reveal order': orderScores.every(({ scores }) => scores === 'hal:2,amy:0,ben:2,cat:2,dan:0'),
+      'Matches are checked before the reveal': invalidMatches.errors.length === 7 &&
+        invalidMatches.errors.every(e => e === 'Invalid matches') && invalidMatches.phase === 'matching' &&
+        JSON.stringify(invalidMatches.checked) === '{"matches":[{"answerIndex":2,"playerId":"amy"}]}',
+      'No other errors': testResults.displayErrors.length === 0 && players.every(p => [host, bystander].includes(p) || p.errors.length === 0)
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  display?.disconnect();
+  players.forEach(p => p.socket.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+  fs.rmSync(DB_PATH, { force: true });
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}
@@ -0,0 +1,307 @@
+/**
+ * Reveal Pacing Test - The reveal moves on when the display has shown each answer, on a timer, or when the host taps Next
+ * Like the export test this one starts its own server (port 3105), with a short reveal.maxWait and reveal.intro
+ *
+ * SCENARIO:
+ * - A display that acknowledges reveals and 3 players join; each host matches straight away
+ * - Round 1 (display pacing): the display acknowledges the host's guesses at once, a player and a stale
+ *   acknowledgement try to move the reveal on, then the display acknowledges the first answer and not the second
+ * - The display switches to manual pacing mid-round (and tries a pacing that doesn't exist)
+ * - Round 2 (manual): a player who isn't hosting taps Next, then the host and the display move the reveal on
+ * - The display switches to timer pacing for round 3
+ *
+ * PASSES WHEN:
+ * - Display pacing waits for the display's reveal_ack: an ack moves on straight away, and without one
+ *   the reveal moves on once maxWait runs out; acks from players or for an earlier step are ignored
+ * - Every reveal step says how it moves on (pacing, maxWait, introSeconds)
+ * - Pacing changes wait for the next round; unknown pacings are refused
+ * - Manual pacing never moves on by itself; only the host and the display can tap Next
+ * - Timer pacing moves on after timers.reveal without any ack
+ */
+
+const io = require('socket.io-client');
+const { spawn } = require('child_process');
+
+const PORT = 3105;
+const SERVER_URL = `http://localhost:${PORT}`;
+const MAX_WAIT = 2;
+const INTRO = 1;
+
+let server = null;
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  displayErrors: [],
+  rounds: {} // round -> {phase, reveals: [{index, pacing, maxWait, at}], roundEndAt}
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/reveal-pacing-test.js --server
+function runServer() {
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    timers: { themeSelection: 5, answering: 10, matching: 10, reveal: 0.2, roundEnd: 1 },
+    reveal: { pacing: 'display', maxWait: MAX_WAIT, intro: INTRO }
+  }, null).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server'], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display', { revealAcks: true }));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  display.on('error', (err) => {
+    testResults.displayErrors.push(err.message);
+    log(`Display error: ${err.message}`);
+  });
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id, errors: [] };
+  socket.on('error', (err) => player.errors.push(err.message));
+  players.push(player);
+  return player;
+}
+
+// Hosts pick the first theme and match in answer order; everyone else answers
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      const others = players.filter(p => p !== player);
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map((a, i) => ({ answerIndex: a.index, playerId: others[i].id }))
+      });
+    });
+  });
+}
+
+// Record when each reveal step and round end reaches the display
+function watchReveals() {
+  let round = 0;
+  display.on('game_state', (state) => { round = state.currentRound || round; });
+  display.on('phase_changed', (data) => {
+    if (data.phase === 'theme_select') round = data.currentRound || round + 1;
+    if (data.phase === 'reveal') {
+      testResults.rounds[round] = { host: data.currentHost, phase: { ...data, at: Date.now() }, reveals: [] };
+    }
+  });
+  display.on('reveal_result', (data) => {
+    testResults.rounds[round].reveals.push({ index: data.index, pacing: data.pacing, maxWait: data.maxWait, at: Date.now() });
+    log(`Round ${round} reveal ${data.index + 1}/${data.total} (${data.pacing})`);
+  });
+  display.on('round_end', () => {
+    if (testResults.rounds[round]) testResults.rounds[round].roundEndAt = Date.now();
+    log(`Round ${round} ended`);
+  });
+}
+
+// Whether nothing new was revealed in a round for a while
+async function staysPut(round, ms) {
+  const before = testResults.rounds[round].reveals.length;
+  await delay(ms);
+  return testResults.rounds[round].reveals.length === before && !testResults.rounds[round].roundEndAt;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  REVEAL PACING TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting the server, display and 3 players join...');
+    await startServerProcess();
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      await joinPlayer(name);
+    }
+    autoPlay();
+    watchReveals();
+
+    log('\nStep 2: Round 1 - display pacing...');
+    const intro1 = waitForEvent(display, 'phase_changed');
+    display.emit('display_start_game');
+    let phase = await intro1;
+    while (phase.phase !== 'reveal') {
+      phase = await waitForEvent(display, 'phase_changed');
+    }
+    const round1 = testResults.rounds[1];
+    const firstReveal = waitForEvent(display, 'reveal_result');
+    display.emit('reveal_ack', { index: -1 });
+    await firstReveal;
+
+    // A player's ack and one for the host's guesses (already past) don't count
+    players[1].socket.emit('reveal_ack', { index: 0 });
+    display.emit('reveal_ack', { index: -1 });
+    const ignoredAcks = await staysPut(1, 700);
+
+    const secondReveal = waitForEvent(display, 'reveal_result');
+    display.emit('reveal_ack', { index: 0 });
+    await secondReveal;
+
+    log('\nStep 3: Switching to manual pacing mid-round...');
+    const roundEnd1 = waitForEvent(display, 'round_end', 10000);
+    display.emit('update_settings', { revealPacing: 'fast' });
+    const pending = waitForEvent(display, 'settings_updated');
+    display.emit('update_settings', { revealPacing: 'manual' });
+    const pendingSettings = await pending;
+    await roundEnd1;
+
+    log('\nStep 4: Round 2 - manual pacing...');
+    phase = await waitForEvent(display, 'phase_changed');
+    while (phase.phase !== 'reveal') {
+      phase = await waitForEvent(display, 'phase_changed');
+    }
+    const round2 = testResults.rounds[2];
+    const manualWaits = await staysPut(2, (INTRO + 0.5) * 1000);
+
+    const host = players.find(p => p.id === round2.host.id);
+    const bystander = players.find(p => p !== host);
+    bystander.socket.emit('next_reveal');
+    const bystanderIgnored = await staysPut(2, 500);
+
+    const hostNext = waitForEvent(display, 'reveal_result');
+    host.socket.emit('next_reveal');
+    await hostNext;
+    const displayNext = waitForEvent(display, 'reveal_result');
+    display.emit('next_reveal');
+    await displayNext;
+
+    // Acks don't move a manual reveal on, and neither does maxWait
+    display.emit('reveal_ack', { index: 1 });
+    const manualIgnoresAcks = await staysPut(2, (MAX_WAIT + 0.5) * 1000);
+
+    log('\nStep 5: Switching to timer pacing for round 3...');
+    display.emit('update_settings', { revealPacing: 'timer' });
+    await waitForEvent(display, 'settings_updated');
+    const roundEnd2 = waitForEvent(display, 'round_end');
+    host.socket.emit('next_reveal');
+    await roundEnd2;
+
+    log('\nStep 6: Round 3 - timer pacing...');
+    phase = await waitForEvent(display, 'phase_changed');
+    while (phase.phase !== 'reveal') {
+      phase = await waitForEvent(display, 'phase_changed');
+    }
+    await waitForEvent(display, 'round_end', 10000);
+    const round3 = testResults.rounds[3];
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const gap = (from, to) => (to - from) / 1000;
+    const checks = {
+      'Reveal steps say how they move on': round1.phase.pacing === 'display' && round1.phase.maxWait === MAX_WAIT &&
+        round1.phase.introSeconds === INTRO && round1.reveals.every(r => r.pacing === 'display' && r.maxWait === MAX_WAIT),
+      'An ack moves the reveal on straight away': gap(round1.phase.at, round1.reveals[0].at) < INTRO * 0.5 &&
+        gap(round1.reveals[0].at, round1.reveals[1].at) < 1.5,
+      'Player and stale acks are ignored': ignoredAcks,
+      'Without an ack the reveal moves on after maxWait': gap(round1.reveals[1].at, round1.roundEndAt) >= MAX_WAIT - 0.2 &&
+        gap(round1.reveals[1].at, round1.roundEndAt) < MAX_WAIT + 1,
+      'Unknown pacings are refused': testResults.displayErrors.filter(e => e === 'Invalid settings').length === 1,
+      'Pacing changes wait for the next round': pendingSettings.revealPacing === 'display' && pendingSettings.pending?.revealPacing === 'manual' &&
+        round2.phase.pacing === 'manual' && round2.phase.maxWait === null,
+      'Manual pacing waits for Next': manualWaits && round2.reveals.length === 2 && manualIgnoresAcks,
+      'Only the host and the display can tap Next': bystanderIgnored && bystander.errors.some(e => e.includes('host or the main display')),
+      'Timer pacing moves on by itself': round3.phase.pacing === 'timer' && round3.phase.maxWait === null && round3.reveals.length === 2 &&
+        gap(round3.phase.at, round3.roundEndAt) < INTRO + 2,
+      'No other errors': testResults.displayErrors.length === 1 && players.every(p => p === bystander || p.errors.length === 0) &&
+        bystander.errors.length === 1
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  display?.disconnect();
+  players.forEach(p => p.socket.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer();
+} else {
+  runTest();
+}
@@ -0,0 +1,223 @@
+/**
+ * Scoring Presets Test - The lobby picks a scoring preset and round_end itemises the points
+ * Simulates 3 players playing one round with the Cutthroat preset
+ *
+ * SCENARIO:
+ * - A player (not the host) and an unknown preset are refused, the display picks Cutthroat
+ * - Bob answers, Charlie lets the answering timer run out
+ * - The host matches both answers correctly
+ * - Bluff points are also checked directly against the ScoreCalculator
+ *
+ * PASSES WHEN:
+ * - Charlie gets Cutthroat's -5 no-answer penalty
+ * - The host scores 2 correct + 1 streak + 5 perfect = 8, itemised in round_end
+ * - Every scoreboard score adds up from its score events
+ * - The preset can't be changed once the game has started
+ * - The shipped Classic scoring gives no bluff points; turned on in the config, every wrong answer scores
+ *   and the most blamed bonus goes to the one that fooled the most people - nobody gets it on a tie
+ */
+
+const io = require('socket.io-client');
+const ScoreCalculator = require('../services/score-calculator');
+const defaultConfig = require('../config/default-config.json');
+
+const SERVER_URL = 'http://localhost:3000';
+
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  playerRefused: false,
+  unknownRefused: false,
+  presetBroadcast: false,
+  displaySawPreset: false,
+  penalty: null,
+  roundEnd: null,
+  lockedAfterStart: false
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode} (presets: ${state.scoringPresets.map(p => p.id).join(', ')})`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  return { name, socket, id: data.player.id };
+}
+
+function watchErrors(player) {
+  player.socket.on('error', (err) => {
+    testResults.errors.push({ player: player.name, error: err.message });
+  });
+}
+
+// Bluff and most blamed points for two wrong answers, each fooling the host plus the audience's wrong votes
+function checkBluffs() {
+  const round = (audienceA, audienceB) => ({
+    hostId: 'host',
+    answers: [],
+    results: [
+      { actualPlayerId: 'ann', isCorrect: false, audience: audienceA },
+      { actualPlayerId: 'ben', isCorrect: false, audience: audienceB },
+      { actualPlayerId: 'cat', isCorrect: true, audience: null }
+    ]
+  });
+  const bluffs = (config, scored) => new ScoreCalculator(config)
+    .scoreStage('reveal', scored, 'classic', config)
+    .filter(e => e.rule === 'bluff')
+    .map(e => `${e.competitorId}:${e.points}`)
+    .join(',');
+  const bluffConfig = { ...defaultConfig, bonuses: { ...defaultConfig.bonuses, bluff: 1, mostBlamed: 2 } };
+
+  return {
+    offByDefault: bluffs(defaultConfig, round(null, null)) === '',
+    tied: bluffs(bluffConfig, round({ votes: 2, correct: 1 }, { votes: 2, correct: 1 })) === 'ann:1,ben:1',
+    clearWinner: bluffs(bluffConfig, round({ votes: 2, correct: 0 }, { votes: 2, correct: 1 })) === 'ann:1,ben:1,ann:2'
+  };
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  SCORING PRESETS TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 3 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      players.push(await joinPlayer(name));
+    }
+    const [host, bob, charlie] = players;
+
+    log('\nStep 2: Picking the scoring preset...');
+    const refused = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('set_scoring_preset', { preset: 'casual' });
+    testResults.playerRefused = (await refused).message === 'Only the host can change the scoring';
+
+    const unknown = waitForEvent(display, 'error', 5000);
+    display.emit('set_scoring_preset', { preset: 'anything-goes' });
+    testResults.unknownRefused = (await unknown).message === 'Unknown scoring preset';
+
+    const broadcast = waitForEvent(bob.socket, 'scoring_updated', 5000);
+    const displayState = waitForEvent(display, 'game_state', 5000, s => s.scoringPreset === 'cutthroat');
+    display.emit('set_scoring_preset', { preset: 'cutthroat' });
+    testResults.presetBroadcast = (await broadcast).preset === 'cutthroat';
+    testResults.displaySawPreset = !!(await displayState);
+    players.forEach(watchErrors);
+
+    log('\nStep 3: Starting the game - Bob answers, Charlie runs out of time...');
+    const themes = waitForEvent(host.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    host.socket.emit('start_game');
+    host.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    const { timeLimit } = await answering;
+
+    const locked = waitForEvent(display, 'error', 5000);
+    display.emit('set_scoring_preset', { preset: 'classic' });
+    testResults.lockedAfterStart = (await locked).message === 'The scoring can only be changed in the lobby';
+
+    // Charlie's penalty comes when the server's answering timer runs out, however long it's set to
+    const answeringWait = (timeLimit + 10) * 1000;
+    const penalty = waitForEvent(charlie.socket, 'penalty_applied', answeringWait);
+    const matching = waitForEvent(host.socket, 'matching_phase_start', answeringWait);
+    bob.socket.emit('submit_answer', { answer: "Bob's answer" });
+    testResults.penalty = await penalty;
+    log(`Charlie's penalty: ${testResults.penalty.penalty}`);
+
+    log('\nStep 4: Host matches everything correctly...');
+    const { answers } = await matching;
+    const authorOf = a => (a.answer.startsWith('Bob') ? bob : charlie).id;
+    const roundEnd = waitForEvent(display, 'round_end', 30000);
+    host.socket.emit('host_submit_matches', {
+      matches: answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a) }))
+    });
+    testResults.roundEnd = await roundEnd;
+
+    testResults.roundEnd.scoreDeltas.forEach(d => {
+      log(`  ${d.name}: ${d.delta} (${d.events.map(e => `${e.reason} ${e.points}`).join(', ') || 'nothing'})`);
+    });
+
+    log('\nStep 5: Bluff points straight from the ScoreCalculator...');
+    const bluffs = checkBluffs();
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { scoreDeltas, scoreboard, hostScore } = testResults.roundEnd;
+    const deltaOf = player => scoreDeltas.find(d => d.id === player.id);
+    const hostRules = deltaOf(host).events.map(e => `${e.rule}:${e.points}`).join(',');
+
+    const checks = {
+      'Non-host player refused': testResults.playerRefused,
+      'Unknown preset refused': testResults.unknownRefused,
+      'Preset change sent to players': testResults.presetBroadcast,
+      'Display saw the preset': testResults.displaySawPreset,
+      'Preset locked after the start': testResults.lockedAfterStart,
+      'Cutthroat no-answer penalty was -5': testResults.penalty?.penalty === -5 &&
+        deltaOf(charlie).events.some(e => e.rule === 'lateAnswer' && e.points === -5),
+      'Host scored 2 + 1 streak + 5 perfect': hostRules === 'perCorrect:2,streak:1,perfectBonus:5' &&
+        hostScore.score === 8 && hostScore.isPerfect,
+      'round_end named the preset': testResults.roundEnd.scoringPreset === 'cutthroat',
+      'Scores add up from score events': scoreboard.every(p => p.score === deltaOf(p).delta),
+      'Classic gives no bluff points unless the config turns them on': bluffs.offByDefault,
+      'Tied most blamed answers get no bonus': bluffs.tied,
+      'The single most blamed answer gets the bonus': bluffs.clearWinner,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -0,0 +1,142 @@
+/**
+ * Settings Store Test - User settings and the API key kept in the userData folder
+ * Runs on its own (no server): uses a temporary folder as userData
+ *
+ * SCENARIO:
+ * - An old config file with an API key, a changed port and timer and an unchanged player limit is migrated
+ * - The user saves settings (with an API key mixed in) and a new key
+ * - The config is loaded from the shipped file, the user's settings and environment variables
+ * - The key is stored again without encryption available
+ * - A fresh install's shipped file and an old file nobody changed are migrated
+ *
+ * PASSES WHEN:
+ * - The old key moves to the key store and is removed from the old file
+ * - Only the settings changed in the old file move to settings.json, once, never over settings saved since
+ * - A fresh install or an unchanged old file gets no settings.json (the shipped defaults stay defaults)
+ * - settings.json holds only the user's settings, never the key
+ * - The key file is encrypted and readable by the user only
+ * - User settings win over the shipped file, environment variables win over both
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SettingsStore = require('../services/settings-store');
+const ConfigManager = require('../services/config-manager');
+const shippedConfig = require('../config/default-config.json');
+
+// Stands in for Electron's safeStorage (reversible, but never the plain text)
+const fakeSafeStorage = {
+  isEncryptionAvailable: () => true,
+  encryptString: (text) => Buffer.from(text.split('').reverse().join(''), 'utf8'),
+  decryptString: (buffer) => buffer.toString('utf8').split('').reverse().join('')
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Permission bits of a file (0o600 = owner read/write)
+function modeOf(filePath) {
+  return fs.statSync(filePath).mode & 0o777;
+}
+
+function runTest() {
+  log('═'.repeat(50));
+  log('  SETTINGS STORE TEST');
+  log('═'.repeat(50));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-settings-'));
+  const legacyPath = path.join(dir, 'default-config.json');
+  let allPassed = false;
+
+  try {
+    log('Step 1: Migrating the old config file...');
+    fs.writeFileSync(legacyPath, JSON.stringify({ apiKey: 'sk-ant-old', serverPort: 4000, minPlayers: 3, timers: { answering: 45, matching: 90 } }));
+    const store = new SettingsStore(path.join(dir, 'userData'), fakeSafeStorage);
+    const emptyAtFirst = JSON.stringify(store.load()) === '{}';
+    const migrated = store.migrate(legacyPath);
+    const legacyAfter = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    const migratedKey = store.getApiKey();
+    const migratedSettings = fs.readFileSync(store.settingsPath, 'utf8');
+    const migratedAgain = store.migrate(legacyPath);
+    log(`Migrated: ${migrated}, key now ${migratedKey ? 'stored' : 'missing'}`);
+
+    log('\nStep 2: Saving settings and a new key...');
+    store.save({ apiKey: 'sk-ant-new', rotations: 2, timers: { matching: 60 } });
+    const settingsFile = fs.readFileSync(store.settingsPath, 'utf8');
+    const keyFile = fs.readFileSync(store.apiKeyPath, 'utf8');
+    const savedKey = store.getApiKey();
+    store.migrate(legacyPath);
+    const settingsKept = fs.readFileSync(store.settingsPath, 'utf8') === settingsFile;
+
+    log('\nStep 3: Loading the layered config...');
+    const configManager = new ConfigManager(null, { KYC_TIMERS_MATCHING: '75' });
+    const config = configManager.load(legacyAfter, { ...store.load(), apiKey: store.getApiKey() });
+    log(`Timers: ${JSON.stringify(config.timers)}, ${config.rotations} rotations`);
+
+    log('\nStep 4: Storing the key without encryption...');
+    const plainStore = new SettingsStore(path.join(dir, 'plain'), null);
+    plainStore.setApiKey('sk-ant-plain');
+    const plainFile = JSON.parse(fs.readFileSync(plainStore.apiKeyPath, 'utf8'));
+    const plainMode = modeOf(plainStore.apiKeyPath);
+    plainStore.setApiKey('');
+    const keyRemoved = !fs.existsSync(plainStore.apiKeyPath) && plainStore.getApiKey() === '';
+
+    log('\nStep 5: Migrating a fresh install and an old file nobody changed...');
+    const freshPath = path.join(dir, 'fresh-config.json');
+    fs.writeFileSync(freshPath, JSON.stringify(shippedConfig, null, 2));
+    const freshStore = new SettingsStore(path.join(dir, 'fresh'), fakeSafeStorage);
+    const freshMigrated = freshStore.migrate(freshPath);
+    const freshFileKept = fs.readFileSync(freshPath, 'utf8') === JSON.stringify(shippedConfig, null, 2);
+
+    const untouchedPath = path.join(dir, 'untouched-config.json');
+    fs.writeFileSync(untouchedPath, JSON.stringify({ apiKey: '', ...shippedConfig, bonuses: { bluff: 1, mostBlamed: 2 } }));
+    const untouchedStore = new SettingsStore(path.join(dir, 'untouched'), fakeSafeStorage);
+    const untouchedMigrated = untouchedStore.migrate(untouchedPath);
+    const untouchedAfter = JSON.parse(fs.readFileSync(untouchedPath, 'utf8'));
+    log(`Fresh install migrated: ${freshMigrated}, unchanged old file migrated: ${untouchedMigrated}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const checks = {
+      'No settings before the first save': emptyAtFirst,
+      'Old API key migrated': migrated && migratedKey === 'sk-ant-old',
+      'Old key removed from the old file': !('apiKey' in legacyAfter) && legacyAfter.timers.answering === 45,
+      'Only changed old settings moved to settings.json': migratedSettings === JSON.stringify({ serverPort: 4000, timers: { answering: 45 } }, null, 2),
+      'Migration only moves a key once': migratedAgain === false,
+      'Saved settings not overwritten by a later migration': settingsKept,
+      'Settings saved without the key': JSON.parse(settingsFile).rotations === 2 && !settingsFile.includes('sk-ant'),
+      'Key file is encrypted': JSON.parse(keyFile).encrypted === true && !keyFile.includes('sk-ant-new') && savedKey === 'sk-ant-new',
+      'Files readable by the user only': modeOf(store.settingsPath) === 0o600 && modeOf(store.apiKeyPath) === 0o600,
+      'Shipped file value kept': config.timers.answering === 45,
+      'User settings win over the shipped file': config.rotations === 2 && config.apiKey === 'sk-ant-new',
+      'Environment variables win over both': config.timers.matching === 75,
+      'Key stored plainly without encryption, still private': plainFile.encrypted === false &&
+        plainFile.value === 'sk-ant-plain' && plainMode === 0o600,
+      'Empty key removes the key file': keyRemoved,
+      'Fresh install left alone': freshMigrated === false && freshFileKept && !fs.existsSync(freshStore.settingsPath),
+      'Unchanged old file moves nothing': untouchedMigrated === false && !fs.existsSync(untouchedStore.settingsPath) &&
+        !('apiKey' in untouchedAfter) && !fs.existsSync(untouchedStore.apiKeyPath)
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -0,0 +1,207 @@
+/**
+ * Settings Test - Timers and rounds per player from the display's settings modal
+ * Simulates 3 players while the display changes the settings in the lobby and mid-game
+ *
+ * SCENARIO:
+ * - Bob tries to change the settings, the display sends an out-of-range timer
+ * - In the lobby the display sets longer timers and 2 rounds per player, picks the Quick Game preset
+ *   and goes back to no preset, then starts the game
+ * - During round 1 the display goes back to 1 round per player and a 12 second answer timer
+ * - Round 1 is played out and round 2 (Bob hosts) starts
+ *
+ * PASSES WHEN:
+ * - Only the display can change the settings, and bad values are refused
+ * - Lobby changes apply straight away: 6 rounds, 25 second answer timer
+ * - A preset's own timers win over the lobby's, the lobby's rounds per player stay,
+ *   and the lobby's timers are back once the preset is cleared
+ * - Mid-game changes wait for the next round, then every phone gets the new round count
+ * - Round 2 uses the new answer timer
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+
+let display = null;
+let roomCode = null;
+const players = {};
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  bobError: null,
+  invalidError: null,
+  lobbySettings: null,
+  displaySettings: null,
+  quickSettings: null,
+  clearedSettings: null,
+  started: null,
+  roundOneAnswering: null,
+  pending: null,
+  applied: null,
+  roundTwo: null,
+  roundTwoAnswering: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  players[name] = { name, socket, id: data.player.id };
+  return players[name];
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  SETTINGS TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 3 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      await joinPlayer(name);
+    }
+    const { Alice: alice, Bob: bob, Charlie: charlie } = players;
+
+    log('\nStep 2: Bob and a bad timer are refused...');
+    const bobError = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('update_settings', { rotations: 3 });
+    testResults.bobError = await bobError;
+
+    const invalidError = waitForEvent(display, 'error', 5000);
+    display.emit('update_settings', { timers: { answering: 3 } });
+    testResults.invalidError = await invalidError;
+
+    [...Object.values(players), { name: 'Display', socket: display }].forEach(p =>
+      p.socket.on('error', err => testResults.errors.push({ player: p.name, error: err.message }))
+    );
+
+    log('\nStep 3: The display changes the settings in the lobby...');
+    const lobbySettings = waitForEvent(alice.socket, 'settings_updated', 5000);
+    const displaySettings = waitForEvent(display, 'game_state', 5000, s => s.settings.rotations === 2);
+    display.emit('update_settings', { timers: { themeSelection: 20, answering: 25, matching: 30 }, rotations: 2 });
+    testResults.lobbySettings = await lobbySettings;
+    testResults.displaySettings = (await displaySettings).settings;
+    log(`Lobby settings: ${JSON.stringify(testResults.lobbySettings)}`);
+
+    const quickSettings = waitForEvent(alice.socket, 'settings_updated', 5000);
+    display.emit('set_game_preset', { preset: 'quick' });
+    testResults.quickSettings = await quickSettings;
+    const clearedSettings = waitForEvent(alice.socket, 'settings_updated', 5000);
+    display.emit('set_game_preset', { preset: null });
+    testResults.clearedSettings = await clearedSettings;
+    log(`With Quick Game: ${JSON.stringify(testResults.quickSettings.timers)}, ` +
+      `${testResults.quickSettings.rotations} rounds per player; without: ${JSON.stringify(testResults.clearedSettings.timers)}`);
+
+    const started = waitForEvent(alice.socket, 'game_started');
+    const themes = waitForEvent(alice.socket, 'themes_generated');
+    const answering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    display.emit('display_start_game');
+    testResults.started = await started;
+    alice.socket.emit('host_select_theme', { theme: (await themes).themes[0] });
+    testResults.roundOneAnswering = await answering;
+    log(`Game started with ${testResults.started.totalRounds} rounds, ${testResults.roundOneAnswering.timeLimit}s to answer`);
+
+    log('\nStep 4: The display changes the settings mid-round...');
+    const pending = waitForEvent(charlie.socket, 'settings_updated', 5000);
+    display.emit('update_settings', { timers: { answering: 12 }, rotations: 1 });
+    testResults.pending = await pending;
+    log(`Waiting for the next round: ${JSON.stringify(testResults.pending.pending)}`);
+
+    log('\nStep 5: Round 1 is played out...');
+    const applied = waitForEvent(charlie.socket, 'settings_updated', 30000, d => !d.pending);
+    const roundTwo = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'theme_select' && d.currentRound === 2);
+    const bobThemes = waitForEvent(bob.socket, 'themes_generated', 30000);
+    const matching = waitForEvent(alice.socket, 'matching_phase_start', 30000);
+    [bob, charlie].forEach(p => p.socket.emit('submit_answer', { answer: `${p.name}'s answer` }));
+    const { answers } = await matching;
+    alice.socket.emit('host_submit_matches', {
+      matches: answers.map(a => ({ answerIndex: a.index, playerId: a.answer.startsWith('Bob') ? bob.id : charlie.id }))
+    });
+    testResults.applied = await applied;
+    testResults.roundTwo = await roundTwo;
+    log(`Round 2 of ${testResults.roundTwo.totalRounds}`);
+
+    const roundTwoAnswering = waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'answering');
+    bob.socket.emit('host_select_theme', { theme: (await bobThemes).themes[0] });
+    testResults.roundTwoAnswering = await roundTwoAnswering;
+    log(`Round 2 answers get ${testResults.roundTwoAnswering.timeLimit}s`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const { lobbySettings: lobby, quickSettings: quick, clearedSettings: cleared, pending: mid, applied: now } = testResults;
+    const checks = {
+      'Only the display can change the settings': testResults.bobError.message === 'Only the main display can change the settings',
+      'Out-of-range timer refused': testResults.invalidError.message === 'Invalid settings',
+      'Lobby settings applied straight away': lobby.rotations === 2 && lobby.timers.answering === 25 && lobby.pending === null,
+      'Display state shows the settings': testResults.displaySettings.timers.matching === 30,
+      'Preset timers win, lobby rounds stay': quick.preset === 'quick' && quick.timers.answering === 30 &&
+        quick.timers.matching === 45 && quick.rotations === 2,
+      'Lobby settings back without the preset': cleared.preset === null && cleared.timers.answering === 25 &&
+        cleared.timers.matching === 30 && cleared.rotations === 2,
+      'Game has 2 rounds per player': testResults.started.totalRounds === 6,
+      'Round 1 uses the new answer timer': testResults.roundOneAnswering.timeLimit === 25,
+      'Mid-game change waits for the next round': mid.pending?.rotations === 1 && mid.rotations === 2 && mid.totalRounds === 6,
+      'Change applied as round 2 started': now.rotations === 1 && now.timers.answering === 12 && now.totalRounds === 3,
+      'Round 2 of 3': testResults.roundTwo.totalRounds === 3,
+      'Round 2 uses the new answer timer': testResults.roundTwoAnswering.timeLimit === 12,
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  Object.values(players).forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -0,0 +1,298 @@
+/**
+ * Sound Packs Test - Sound packs from the pack folder, their files, and the room's pack on every screen
+ * Like the export test this one starts its own server (port 3104), with a temporary sound pack folder
+ *
+ * SCENARIO:
+ * - The pack folder has a good pack (with a few bad entries in its pack.json), a pack with broken JSON,
+ *   one without a name and one without any sounds
+ * - The packs and their manifests are fetched from /api/sound-packs, and a pack is dropped in while the server runs
+ * - A display and a player join; the player tries to change the pack, then the display picks a broken pack and the good one
+ * - A second player joins after the change
+ *
+ * PASSES WHEN:
+ * - Only the built-in sounds (first) and the good packs are listed, new packs without a restart
+ * - Manifests have every cue: the pack's files as URLs, the built-in notes for anything it leaves out
+ *   (unknown cues, files outside the pack folder, files that aren't audio or don't exist are ignored)
+ * - A pack's files are served with their audio type; anything its pack.json doesn't use is a 404
+ * - Only the display can change the pack, and only to one that works; every screen hears about the change
+ *   and players joining later get the room's pack
+ */
+
+const io = require('socket.io-client');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const PORT = 3104;
+const SERVER_URL = `http://localhost:${PORT}`;
+const PACK_DIR = path.join(os.tmpdir(), `kyc-sound-packs-test-${process.pid}`);
+const COIN_WAV = Buffer.from('RIFF$\u0000\u0000\u0000WAVEfmt coin', 'latin1');
+const ALL_CUES = ['join', 'timerWarning', 'timeUp', 'correct', 'wrong', 'perfectRound', 'suddenDeath', 'winner', 'lobbyMusic', 'thinkingMusic'];
+
+let server = null;
+let display = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  displayErrors: [],
+  packChanges: {} // name -> sound_pack_changed payloads
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/sound-packs-test.js --server <packDir>
+function runServer(packDir) {
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    soundPacksDir: packDir
+  }, null).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', PACK_DIR], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+// A pack folder with its pack.json (an object, or raw text for broken JSON) and files
+function writePack(id, manifest, files = {}) {
+  const folder = path.join(PACK_DIR, id);
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, 'pack.json'), typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  Object.entries(files).forEach(([file, body]) => fs.writeFileSync(path.join(folder, file), body));
+}
+
+function setUpPacks() {
+  fs.rmSync(PACK_DIR, { recursive: true, force: true });
+  fs.mkdirSync(PACK_DIR, { recursive: true });
+  fs.writeFileSync(path.join(PACK_DIR, 'secret.wav'), 'not in a pack');
+
+  writePack('arcade', {
+    name: 'Retro Arcade',
+    description: 'Bleeps and bloops',
+    sounds: {
+      join: 'coin.wav',
+      timeUp: 'buzzer.ogg',
+      lobbyMusic: 'loop.mp3',
+      winner: 'missing.mp3', // No such file
+      wrong: '../secret.wav', // Outside the pack
+      correct: 'notes.txt', // Not audio
+      applause: 'coin.wav' // Not a cue
+    }
+  }, { 'coin.wav': COIN_WAV, 'buzzer.ogg': 'OggS', 'loop.mp3': 'ID3', 'notes.txt': 'hello' });
+  writePack('broken', '{"name": "Broken", "sounds": {');
+  writePack('nameless', { sounds: { join: 'a.wav' } }, { 'a.wav': 'RIFF' });
+  writePack('silent', { name: 'Silent', sounds: {} });
+}
+
+function fetchFile(urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get(`${SERVER_URL}${urlPath}`, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        let json = null;
+        try {
+          json = JSON.parse(body.toString());
+        } catch (e) {
+          // Not JSON - an audio file
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body, json });
+      });
+    }).on('error', reject);
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  display.on('error', (err) => {
+    testResults.displayErrors.push(err.message);
+    log(`Display error: ${err.message}`);
+  });
+  display.on('sound_pack_changed', (data) => {
+    (testResults.packChanges.display = testResults.packChanges.display || []).push(data.soundPack);
+  });
+  return state;
+}
+
+async function joinPlayer(name, roomCode) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  socket.on('sound_pack_changed', (change) => {
+    (testResults.packChanges[name] = testResults.packChanges[name] || []).push(change.soundPack);
+  });
+  const player = { name, socket, joined: data, errors: [] };
+  socket.on('error', (err) => player.errors.push(err.message));
+  players.push(player);
+  return player;
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  SOUND PACKS TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Setting up the pack folder and starting the server...');
+    setUpPacks();
+    await startServerProcess();
+
+    log('\nStep 2: Listing packs and loading manifests...');
+    const listed = await fetchFile('/api/sound-packs');
+    log(`Packs: ${listed.json.packs.map(p => `${p.id} (${p.cues.length})`).join(', ')}`);
+    const builtIn = await fetchFile('/api/sound-packs/builtin');
+    const arcade = await fetchFile('/api/sound-packs/arcade');
+    const unknown = await Promise.all(['broken', 'nameless', 'silent', 'nope', '..%2Farcade'].map(id => fetchFile(`/api/sound-packs/${id}`)));
+
+    log('\nStep 3: Fetching pack files...');
+    const coin = arcade.json.sounds.join.url ? await fetchFile(arcade.json.sounds.join.url) : null;
+    const buzzer = arcade.json.sounds.timeUp.url ? await fetchFile(arcade.json.sounds.timeUp.url) : null;
+    const hiddenFiles = await Promise.all([
+      '/api/sound-packs/arcade/files/notes.txt',
+      '/api/sound-packs/arcade/files/pack.json',
+      '/api/sound-packs/arcade/files/..%2F..%2Fsecret.wav',
+      '/api/sound-packs/arcade/files/missing.mp3',
+      '/api/sound-packs/nameless/files/a.wav',
+      '/api/sound-packs/builtin/files/coin.wav'
+    ].map(fetchFile));
+    log(`coin.wav: ${coin?.status}, hidden files: ${hiddenFiles.map(f => f.status).join(', ')}`);
+
+    log('\nStep 4: Dropping in a pack while the server runs...');
+    writePack('late', { name: 'Late Arrival', sounds: { winner: 'fanfare.ogg' } }, { 'fanfare.ogg': 'OggS' });
+    const relisted = await fetchFile('/api/sound-packs');
+    log(`Packs: ${relisted.json.packs.map(p => p.id).join(', ')}`);
+
+    log('\nStep 5: Display and a player join, the player tries to change the pack...');
+    const firstState = await connectDisplay();
+    const alice = await joinPlayer('Alice', firstState.roomCode);
+    alice.socket.emit('set_sound_pack', { packId: 'arcade' });
+    await delay(300);
+
+    log('\nStep 6: The display picks a broken pack, then the arcade pack...');
+    display.emit('set_sound_pack', { packId: 'broken' });
+    display.emit('set_sound_pack', { packId: 'nope' });
+    await delay(300);
+    const changed = waitForEvent(alice.socket, 'sound_pack_changed');
+    display.emit('set_sound_pack', { packId: 'arcade' });
+    await changed;
+    await delay(200);
+
+    log('\nStep 7: A second player joins after the change...');
+    const nextState = waitForEvent(display, 'game_state');
+    const bob = await joinPlayer('Bob', firstState.roomCode);
+    const stateAfter = await nextState;
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const listedIds = listed.json.packs.map(p => p.id);
+    const arcadeListing = listed.json.packs.find(p => p.id === 'arcade');
+    const sounds = arcade.json.sounds;
+    const isBuiltIn = (sound) => !sound.url && Array.isArray(sound.notes) && sound.notes.length > 0;
+
+    const checks = {
+      'Only working packs are listed, built-in first': listedIds.join() === 'builtin,arcade' && listed.json.packs[0].builtIn === true,
+      'A listed pack has its name, description and cues': arcadeListing.name === 'Retro Arcade' &&
+        arcadeListing.description === 'Bleeps and bloops' && arcadeListing.cues.slice().sort().join() === 'join,lobbyMusic,timeUp',
+      'Built-in manifest has every cue as notes': builtIn.status === 200 &&
+        Object.keys(builtIn.json.sounds).sort().join() === ALL_CUES.slice().sort().join() &&
+        ALL_CUES.every(cue => isBuiltIn(builtIn.json.sounds[cue])),
+      'Pack manifest has every cue': Object.keys(sounds).sort().join() === ALL_CUES.slice().sort().join(),
+      'Pack files are URLs': sounds.join.url === '/api/sound-packs/arcade/files/coin.wav' &&
+        sounds.timeUp.url === '/api/sound-packs/arcade/files/buzzer.ogg' && !!sounds.lobbyMusic.url,
+      'Cues are music or sound effects': sounds.lobbyMusic.type === 'music' && sounds.thinkingMusic.type === 'music' &&
+        sounds.join.type === 'sfx' && sounds.winner.type === 'sfx',
+      'Bad entries play the built-in sounds': ['winner', 'wrong', 'correct', 'thinkingMusic'].every(cue => isBuiltIn(sounds[cue])) &&
+        !('applause' in sounds),
+      'Broken, nameless, empty and unknown packs are 404s': unknown.every(res => res.status === 404),
+      'Pack files are served with their audio type': coin?.status === 200 && coin.body.equals(COIN_WAV) &&
+        coin.headers['content-type'].startsWith('audio/wav') && buzzer?.status === 200 && buzzer.headers['content-type'].startsWith('audio/ogg'),
+      'Files the pack doesn\'t use are 404s': hiddenFiles.every(res => res.status === 404),
+      'New packs show up without a restart': relisted.json.packs.map(p => p.id).sort().join() === 'arcade,builtin,late',
+      'Rooms start with the built-in sounds': firstState.soundPack === 'builtin' && alice.joined.soundPack === 'builtin',
+      'Players can\'t change the pack': alice.errors.some(e => e.includes('main display')) && !(testResults.packChanges.Alice || []).includes('broken'),
+      'Broken and unknown packs are refused': testResults.displayErrors.filter(e => e.includes('missing or broken')).length === 2,
+      'Every screen hears about the change': (testResults.packChanges.display || []).join() === 'arcade' &&
+        (testResults.packChanges.Alice || []).join() === 'arcade',
+      'Later players get the room\'s pack': bob.joined.soundPack === 'arcade' && stateAfter.soundPack === 'arcade',
+      'No other errors': alice.errors.length === 1 && testResults.displayErrors.length === 2
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  display?.disconnect();
+  players.forEach(p => p.socket.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+  fs.rmSync(PACK_DIR, { recursive: true, force: true });
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}
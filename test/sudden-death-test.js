@@ -122,6 +122,15 @@ function log(msg) {
   console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
 }
 
+// Answers reach clients anonymised, so the test works out authorship from the
+// text each simulated player submits ("<name>'s answer R<round>")
+function withAuthors(answers, playersList) {
+  return answers.map(answer => {
+    const author = playersList.find(p => answer.answer.startsWith(`${p.name}'s answer`));
+    return { ...answer, playerId: author ? author.id : null };
+  });
+}
+
 async function joinWithRoomCode(name, code, playerIndex) {
   return new Promise((resolve, reject) => {
     const socket = io(SERVER_URL, {
@@ -175,8 +184,8 @@ async function joinWithRoomCode(name, code, playerIndex) {
     });
 
     socket.on('matching_phase_start', (data) => {
-      matchingAnswers = data.answers || [];
       matchingPlayers = data.players || [];
+      matchingAnswers = withAuthors(data.answers || [], matchingPlayers);
       
       if (player.isHost && matchingAnswers.length > 0 && matchingPlayers.length > 0) {
         setTimeout(() => {
@@ -0,0 +1,321 @@
+/**
+ * Team Mode Test - Teams answer together and the host guesses teams
+ * Simulates 6 players split into 3 teams of 2 playing a full game
+ *
+ * SCENARIO:
+ * - Display switches the lobby to team mode; a player switches team, then teams are reshuffled
+ * - Display picks the Cutthroat scoring, which pays bluff points (they're off in Classic)
+ * - Every round one member proposes the team's answer and a teammate approves it
+ *   (round 1 also has a counter-proposal and a self-approval that must be rejected)
+ * - The hosting team matches answers to teams
+ *   Round 1: all correct (Red 2 + 1 streak + 5 perfect = +8), Round 2: 1 of 2 correct (Blue +1), Round 3: none (Green +0)
+ *
+ * PASSES WHEN:
+ * - Proposals only reach the proposing team; every member of the hosting team gets host events
+ * - Hosting rotates by team and round_end / game_over carry team totals with members
+ * - Teams the host got wrong earn bluff points (round 2's single bluff is also the most blamed,
+ *   round 3's two bluffs tie so neither is)
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+const NAMES = ['Alice', 'Bob', 'Charlie', 'Diana', 'Eve', 'Frank'];
+
+let display = null;
+let roomCode = null;
+let teams = [];
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  teamsCreated: false,
+  teamSwitched: false,
+  teamsShuffled: false,
+  proposalLeaks: [],
+  counterProposalUsed: false,
+  selfApprovalRejected: false,
+  wholeHostTeamGotThemes: true,
+  wholeHostTeamGotMatching: true,
+  hostRotation: [],
+  roundEnds: [],
+  gameOver: null
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  display.on('team_proposal', () => {
+    testResults.proposalLeaks.push('display received a team proposal');
+  });
+  display.on('teams_updated', (data) => {
+    teams = data.teams;
+  });
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id, themes: null };
+
+  socket.on('error', (err) => {
+    testResults.errors.push({ player: name, error: err.message });
+  });
+
+  // Themes can arrive together with the phase change, so keep the latest ones
+  socket.on('themes_generated', (themes) => {
+    player.themes = themes;
+  });
+
+  // Proposals must only ever come from a teammate
+  socket.on('team_proposal', (proposal) => {
+    const team = teamOf(player);
+    if (!team.players.some(p => p.id === proposal.proposedBy.id)) {
+      testResults.proposalLeaks.push(`${name} saw a proposal from ${proposal.proposedBy.name}`);
+    }
+  });
+
+  return player;
+}
+
+function teamOf(player) {
+  return teams.find(t => t.players.some(p => p.id === player.id));
+}
+
+// Themes sent to a player this round (already received, or the next ones to arrive)
+function themesFor(player) {
+  const received = player.themes
+    ? Promise.resolve(player.themes)
+    : waitForEvent(player.socket, 'themes_generated');
+  return received.then((themes) => {
+    player.themes = null;
+    return themes;
+  });
+}
+
+function membersOf(team) {
+  return players.filter(p => team.players.some(m => m.id === p.id));
+}
+
+// The team's first member proposes, the second approves
+async function answerAsTeam(team, roundNumber, counterPropose = false) {
+  const [proposer, approver] = membersOf(team);
+  const answer = `${team.name} answer ${roundNumber}`;
+
+  const submitted = Promise.all(membersOf(team).map(p => waitForEvent(p.socket, 'answer_submitted')));
+
+  if (counterPropose) {
+    // Approver proposes something else first, the proposer's answer then replaces it
+    const seen = waitForEvent(proposer.socket, 'team_proposal');
+    approver.socket.emit('submit_answer', { answer: 'A worse idea' });
+    await seen;
+    testResults.counterProposalUsed = true;
+  }
+
+  const proposed = waitForEvent(approver.socket, 'team_proposal', 10000, p => p.answer === answer);
+  proposer.socket.emit('submit_answer', { answer });
+  await proposed;
+
+  if (counterPropose) {
+    // Approving your own proposal is not allowed
+    const rejected = waitForEvent(proposer.socket, 'error', 5000);
+    proposer.socket.emit('approve_answer');
+    testResults.selfApprovalRejected = (await rejected).message === 'A teammate has to approve your answer';
+    testResults.errors = testResults.errors.filter(e => e.error !== 'A teammate has to approve your answer');
+  }
+
+  approver.socket.emit('approve_answer');
+  const confirmations = await submitted;
+  log(`  ${team.name} submitted "${confirmations[0].answer}"`);
+}
+
+// Theme selection of the next round - waited for before the event that triggers it
+function nextThemeSelect() {
+  return waitForEvent(display, 'phase_changed', 30000, d => d.phase === 'theme_select');
+}
+
+async function playRound(roundNumber, themeSelect, guess) {
+  const phase = await themeSelect;
+  const hostTeam = teams.find(t => t.id === phase.currentHost.id);
+  testResults.hostRotation.push(phase.currentHost.name);
+  log(`\nRound ${roundNumber}: ${phase.currentHost.name} is hosting`);
+
+  const hostMembers = membersOf(hostTeam);
+  const themes = await Promise.all(hostMembers.map(themesFor));
+  if (themes.length !== hostTeam.players.length) testResults.wholeHostTeamGotThemes = false;
+
+  const matchingForAll = Promise.all(hostMembers.map(p => waitForEvent(p.socket, 'matching_phase_start')));
+  const answering = waitForEvent(display, 'phase_changed', 10000, d => d.phase === 'answering');
+  hostMembers[1].socket.emit('host_select_theme', { theme: themes[0].themes[0] });
+  await answering;
+
+  const answeringTeams = teams.filter(t => t.id !== hostTeam.id);
+  for (const team of answeringTeams) {
+    await answerAsTeam(team, roundNumber, roundNumber === 1 && team === answeringTeams[0]);
+  }
+
+  const matching = await matchingForAll.catch(() => {
+    testResults.wholeHostTeamGotMatching = false;
+    return [];
+  });
+  const matchingData = matching[0];
+  log(`  Host team matching ${matchingData.answers.length} answers to ${matchingData.players.map(p => p.name).join(', ')}`);
+
+  const authorOf = a => answeringTeams.find(t => a.answer.startsWith(t.name)).id;
+  const matches = guess(matchingData.answers, authorOf, answeringTeams);
+  const roundEnd = waitForEvent(display, 'round_end', 30000);
+  hostMembers[0].socket.emit('host_submit_matches', { matches });
+
+  const result = await roundEnd;
+  const nextRound = nextThemeSelect();
+  testResults.roundEnds.push(result);
+  log(`  Round end: ${result.scoreboard.map(t => `${t.name} ${t.score} (${t.members.join('+')})`).join(', ')}`);
+  return { nextRound };
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  TEAM MODE TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 6 players join...');
+    await connectDisplay();
+    for (const name of NAMES) {
+      players.push(await joinPlayer(name));
+    }
+
+    log('\nStep 2: Switching to team mode...');
+    let updated = waitForEvent(display, 'teams_updated');
+    display.emit('set_game_mode', { mode: 'teams', teamCount: 3 });
+    teams = (await updated).teams;
+    testResults.teamsCreated = teams.length === 3 && teams.every(t => t.players.length === 2);
+    log(`Teams: ${teams.map(t => `${t.name} (${t.players.map(p => p.name).join(', ')})`).join(' | ')}`);
+
+    const mover = players[0];
+    const target = teams.find(t => t.id !== teamOf(mover).id);
+    updated = waitForEvent(display, 'teams_updated');
+    mover.socket.emit('join_team', { teamId: target.id });
+    teams = (await updated).teams;
+    testResults.teamSwitched = teamOf(mover).id === target.id && target.players.length === 2 &&
+      teams.find(t => t.id === target.id).players.length === 3;
+    log(`${mover.name} switched to ${target.name}`);
+
+    updated = waitForEvent(display, 'teams_updated');
+    display.emit('shuffle_teams');
+    teams = (await updated).teams;
+    testResults.teamsShuffled = teams.every(t => t.players.length === 2);
+
+    const scoring = waitForEvent(display, 'game_state', 5000, s => s.scoringPreset === 'cutthroat');
+    display.emit('set_scoring_preset', { preset: 'cutthroat' });
+    await scoring;
+
+    log('\nStep 3: Playing 3 rounds...');
+    const started = waitForEvent(display, 'game_started');
+    const firstRound = nextThemeSelect();
+    const gameOver = waitForEvent(display, 'game_over', 120000);
+    display.emit('display_start_game');
+    const game = await started;
+    log(`Game started with ${game.totalRounds} rounds`);
+
+    // Round 1: every guess right
+    const { nextRound: secondRound } = await playRound(1, firstRound, (answers, authorOf) =>
+      answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a) })));
+    // Round 2: both answers guessed as the same team - one right
+    const { nextRound: thirdRound } = await playRound(2, secondRound, (answers, authorOf) =>
+      answers.map(a => ({ answerIndex: a.index, playerId: authorOf(answers[0]) })));
+    // Round 3: guesses swapped - none right
+    const { nextRound: afterLastRound } = await playRound(3, thirdRound, (answers, authorOf, answeringTeams) =>
+      answers.map(a => ({ answerIndex: a.index, playerId: answeringTeams.find(t => t.id !== authorOf(a)).id })));
+    afterLastRound.catch(() => {}); // No fourth round
+
+    testResults.gameOver = await gameOver;
+    log(`\nWinner: ${testResults.gameOver.winner.name} with ${testResults.gameOver.winner.score}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const hostScores = testResults.roundEnds.map(r => r.hostScore.score);
+    const finalScores = Object.fromEntries(testResults.gameOver.scoreboard.map(t => [t.name, t.score]));
+    const expectedHosts = teams.map(t => t.name);
+    const totalDelta = name => testResults.roundEnds
+      .reduce((sum, r) => sum + r.scoreDeltas.find(d => d.name === name).delta, 0);
+    const bluffsIn = round => testResults.roundEnds[round - 1].scoreDeltas
+      .map(d => d.events.filter(e => e.rule === 'bluff').map(e => e.points))
+      .filter(points => points.length > 0)
+      .map(points => points.join('+'))
+      .join(',');
+
+    const checks = {
+      'Lobby split into 3 teams of 2': testResults.teamsCreated,
+      'Player switched team': testResults.teamSwitched,
+      'Shuffle evened out the teams': testResults.teamsShuffled,
+      'Proposals stayed within each team': testResults.proposalLeaks.length === 0,
+      'Counter-proposal replaced the first one': testResults.counterProposalUsed,
+      'Own proposal could not be self-approved': testResults.selfApprovalRejected,
+      'Whole hosting team got the themes': testResults.wholeHostTeamGotThemes,
+      'Whole hosting team got the matching data': testResults.wholeHostTeamGotMatching,
+      'Host role rotated by team': JSON.stringify(testResults.hostRotation) === JSON.stringify(expectedHosts),
+      'Host team scores were 8, 1, 0': JSON.stringify(hostScores) === JSON.stringify([8, 1, 0]),
+      'round_end carried team totals': testResults.roundEnds.every(r =>
+        r.mode === 'teams' && r.scoreboard.length === 3 && r.scoreboard.every(t => t.members.length === 2)),
+      'Bluff points: none, one most blamed, two tied': bluffsIn(1) === '' && bluffsIn(2) === '2+3' && bluffsIn(3) === '2,2',
+      'game_over carried team totals': testResults.gameOver.mode === 'teams' &&
+        expectedHosts.every(name => finalScores[name] === totalDelta(name)),
+      'Winning team announced': testResults.gameOver.winner.name === expectedHosts[0],
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.proposalLeaks.forEach(leak => log(`  ❌ ${leak}`));
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
@@ -0,0 +1,224 @@
+/**
+ * Theme Packs Test - Import, edit, export and pick custom theme packs
+ * Simulates a display managing the pack library and 3 players starting a game with one pack
+ *
+ * SCENARIO:
+ * - A player tries to import a pack, the display imports a broken pack and then a good one
+ * - The display edits the pack, exports it, and imports and deletes a throwaway pack
+ * - The lobby picks only the new pack with AI switched off, then the game starts
+ *
+ * PASSES WHEN:
+ * - Only the display can manage packs and broken packs are rejected with a reason
+ * - Pack theme counts follow the edits and the export carries the pack's contents
+ * - Every theme offered to the host comes from the picked pack
+ */
+
+const io = require('socket.io-client');
+
+const SERVER_URL = 'http://localhost:3000';
+
+const OFFICE_PACK = {
+  name: 'Office In-Jokes',
+  description: 'Only makes sense if you were at the 2023 away day',
+  rating: 'teen',
+  templates: ['Best {category} at the away day'],
+  categories: ['karaoke song', 'excuse'],
+  prompts: ['What Dave really keeps in his drawer', 'Next fire drill costume']
+};
+const EXTRA_PROMPT = 'Most passive-aggressive sticky note';
+
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  errors: [],
+  startedWithBuiltIn: false,
+  playerRefused: false,
+  brokenRejected: false,
+  imported: null,
+  edited: null,
+  exported: null,
+  deleted: false,
+  playerSourcesRefused: false,
+  emptySelectionRejected: false,
+  sources: null,
+  themes: []
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000, filter = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  testResults.startedWithBuiltIn = state.themePacks.length === 1 && state.themePacks[0].builtIn &&
+    JSON.stringify(state.themeSources.packs) === '["builtin"]';
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  return { name, socket, id: data.player.id };
+}
+
+// Send a display request and wait for the reply (or the error it caused)
+function displayRequest(event, data, reply = 'theme_packs_updated') {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for ${reply}`));
+    }, 5000);
+    const onReply = (payload) => {
+      cleanup();
+      resolve(payload);
+    };
+    const onError = (err) => {
+      cleanup();
+      resolve({ error: err.message });
+    };
+    function cleanup() {
+      clearTimeout(timer);
+      display.off(reply, onReply);
+      display.off('error', onError);
+    }
+    display.on(reply, onReply);
+    display.on('error', onError);
+    display.emit(event, data);
+  });
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  THEME PACKS TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Display and 3 players join...');
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+      players.push(await joinPlayer(name));
+    }
+    const [host, bob] = players;
+
+    log('\nStep 2: Managing the pack library...');
+    const refused = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('import_theme_pack', { pack: OFFICE_PACK });
+    testResults.playerRefused = (await refused).message === 'Theme packs can only be managed from the main screen';
+
+    const broken = await displayRequest('import_theme_pack', {
+      pack: { ...OFFICE_PACK, templates: ['No placeholder here'] }
+    });
+    testResults.brokenRejected = broken.error === 'Every template needs a {category} placeholder';
+    log(`Broken pack: ${broken.error}`);
+
+    const afterImport = await displayRequest('import_theme_pack', { pack: OFFICE_PACK });
+    testResults.imported = afterImport.packs.find(p => p.id === 'office-in-jokes');
+    log(`Imported: ${testResults.imported?.name} (${testResults.imported?.themeCount} themes)`);
+
+    const afterEdit = await displayRequest('update_theme_pack', {
+      id: 'office-in-jokes',
+      pack: { ...OFFICE_PACK, prompts: [...OFFICE_PACK.prompts, EXTRA_PROMPT] }
+    });
+    testResults.edited = afterEdit.packs.find(p => p.id === 'office-in-jokes');
+
+    testResults.exported = await displayRequest('get_theme_pack', { id: 'office-in-jokes' }, 'theme_pack_data');
+    log(`Exported ${testResults.exported.filename}`);
+
+    const throwaway = await displayRequest('import_theme_pack', { pack: { name: 'Throwaway', prompts: ['Anything'] } });
+    const afterDelete = await displayRequest('delete_theme_pack', { id: 'throwaway' });
+    testResults.deleted = throwaway.packs.length === 3 && !afterDelete.packs.some(p => p.id === 'throwaway');
+
+    log('\nStep 3: Picking only the office pack, no AI...');
+    const playerSourcesRefused = waitForEvent(bob.socket, 'error', 5000);
+    bob.socket.emit('set_theme_sources', { packs: ['builtin'], ai: true });
+    testResults.playerSourcesRefused = (await playerSourcesRefused).message === 'Only the host can change the themes';
+
+    const empty = await displayRequest('set_theme_sources', { packs: ['no-such-pack'], ai: false }, 'game_state');
+    testResults.emptySelectionRejected = empty.error === 'Pick at least one theme pack or AI themes';
+
+    const state = await displayRequest('set_theme_sources', { packs: ['office-in-jokes', 'no-such-pack'], ai: false }, 'game_state');
+    testResults.sources = state.themeSources;
+    log(`Theme sources: ${JSON.stringify(testResults.sources)}`);
+
+    players.forEach(p => p.socket.on('error', err => testResults.errors.push({ player: p.name, error: err.message })));
+
+    log('\nStep 4: Starting the game...');
+    const themes = waitForEvent(host.socket, 'themes_generated');
+    host.socket.emit('start_game');
+    testResults.themes = (await themes).themes;
+    log(`Host was offered: ${testResults.themes.join(' | ')}`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const packThemes = [
+      ...OFFICE_PACK.prompts,
+      EXTRA_PROMPT,
+      ...OFFICE_PACK.categories.map(c => OFFICE_PACK.templates[0].replace('{category}', c))
+    ];
+    const checks = {
+      'Room started with the built-in themes': testResults.startedWithBuiltIn,
+      'Player could not import a pack': testResults.playerRefused,
+      'Broken pack rejected with a reason': testResults.brokenRejected,
+      'Pack imported with 4 themes': testResults.imported?.themeCount === 4 && testResults.imported.rating === 'teen',
+      'Edited pack has 5 themes': testResults.edited?.themeCount === 5,
+      'Export carried the pack': testResults.exported.filename === 'office-in-jokes.json' &&
+        testResults.exported.pack.prompts.includes(EXTRA_PROMPT) && testResults.exported.pack.id === undefined,
+      'Throwaway pack deleted': testResults.deleted,
+      'Player could not pick themes': testResults.playerSourcesRefused,
+      'Empty selection rejected': testResults.emptySelectionRejected,
+      'Unknown pack dropped from the selection': JSON.stringify(testResults.sources) === '{"packs":["office-in-jokes"],"ai":false}',
+      'Every theme came from the pack': testResults.themes.length === 3 && testResults.themes.every(t => packThemes.includes(t)),
+      'No errors': testResults.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+    testResults.errors.forEach(e => log(`  ❌ ${e.player}: ${e.error}`));
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up connections...');
+  players.forEach(p => p.socket.disconnect());
+  display?.disconnect();
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+runTest();
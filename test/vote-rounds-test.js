@@ -0,0 +1,378 @@
+/**
+ * Vote Rounds Test - "Who said it?" rounds where everyone votes instead of the host matching
+ * Like the reveal order test this one starts its own server (port 3107, temporary database)
+ * because each round's type and every vote are saved with the round
+ *
+ * SCENARIO:
+ * - A display and 4 players join; the display sets the round types to alternate in the lobby
+ * - Round 1 (classic): the host matches every answer correctly
+ * - Round 2 (vote): the 3 authors answer and everyone votes -
+ *   the host and the first author vote every answer right, the second author swaps theirs,
+ *   the third tries to vote on their own answer and for the host, then only votes on the first author's answer;
+ *   the first author tries to vote again
+ * - The server stops once round 3 has started
+ * - Split and empty votes are also checked directly against the VoteManager
+ *
+ * PASSES WHEN:
+ * - Round 1 is a classic round and round 2 a vote round (told at theme select, reveal and round end)
+ * - The vote round skips the host's matching and sends every voter a ballot without their own answer,
+ *   naming only the authors of the answers on it
+ * - Votes on your own answer, for someone with no answer on the ballot, and second ballots are refused
+ * - Voting ends as soon as everyone has voted
+ * - The reveal shows the crowd's pick and how every answer's votes went
+ * - Everyone scores a point per right vote and authors a point per voter they fooled
+ * - Round 3 is classic again
+ * - Each round's type and every vote are saved
+ * - A tied vote is a split vote and an answer nobody voted on has no pick
+ */
+
+const io = require('socket.io-client');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const VoteManager = require('../services/vote-manager');
+
+const PORT = 3107;
+const SERVER_URL = `http://localhost:${PORT}`;
+const DB_PATH = path.join(os.tmpdir(), `kyc-vote-rounds-test-${process.pid}.db`);
+const VOTING_TIME = 30;
+
+let server = null;
+let display = null;
+let roomCode = null;
+const players = [];
+
+// Test results tracking
+const testResults = {
+  displayErrors: [],
+  phases: {}, // round -> {phase: phase_changed data}
+  reveals: {}, // round -> [reveal_result]
+  roundEnds: {}, // round -> round_end
+  ballots: {}, // player name -> voting_start data (round 2)
+  matchingStarts: 0
+};
+
+function log(msg) {
+  console.log(`[${new Date().toISOString().substr(11, 8)}] ${msg}`);
+}
+
+// Server process: node test/vote-rounds-test.js --server <dbPath>
+function runServer(dbPath) {
+  const DatabaseService = require('../services/database');
+  const { startServer } = require('../electron/server');
+  const config = require('../config/default-config.json');
+
+  const db = new DatabaseService(dbPath);
+  db.initialize();
+
+  startServer({
+    ...config,
+    serverPort: PORT,
+    rotations: 1,
+    timers: { themeSelection: 5, answering: 10, matching: VOTING_TIME, reveal: 0.2, roundEnd: 1 },
+    reveal: { pacing: 'timer', order: 'matched', maxWait: 15, intro: 0.5 }
+  }, db).then(info => console.log(`ready ${info.roomCode}`));
+}
+
+function startServerProcess() {
+  return new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [__filename, '--server', DB_PATH], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', (chunk) => {
+      const ready = chunk.toString().match(/ready (\w+)/);
+      if (ready) resolve(ready[1]);
+    });
+    server.stderr.on('data', chunk => process.stderr.write(chunk));
+    server.on('exit', code => {
+      if (code) reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise((resolve) => {
+    server.once('exit', () => resolve());
+    server.kill();
+  });
+}
+
+function waitForEvent(socket, event, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function connect() {
+  return io(SERVER_URL, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+async function connectDisplay() {
+  display = connect();
+  display.on('connect', () => display.emit('join_as_display'));
+  const state = await waitForEvent(display, 'game_state');
+  roomCode = state.roomCode;
+  display.on('error', (err) => {
+    testResults.displayErrors.push(err.message);
+    log(`Display error: ${err.message}`);
+  });
+  log(`Display joined room ${roomCode}`);
+}
+
+async function joinPlayer(name) {
+  const socket = connect();
+  socket.on('connect', () => socket.emit('join_room', { name, roomCode }));
+  const data = await waitForEvent(socket, 'room_joined');
+  const player = { name, socket, id: data.player.id, errors: [] };
+  socket.on('error', (err) => player.errors.push(err.message));
+  players.push(player);
+  return player;
+}
+
+// Who wrote an answer ("Alice's answer" is Alice's)
+function authorOf(answer) {
+  return players.find(p => answer.answer.startsWith(p.name));
+}
+
+// Hosts pick the first theme and match every answer right; everyone else answers
+function autoPlay() {
+  let host = null;
+
+  players.forEach((player) => {
+    player.socket.on('themes_generated', (data) => {
+      host = player;
+      player.socket.emit('host_select_theme', { theme: data.themes[0] });
+    });
+
+    player.socket.on('theme_selected', () => {
+      if (player !== host) {
+        player.socket.emit('submit_answer', { answer: `${player.name}'s answer` });
+      }
+    });
+
+    player.socket.on('matching_phase_start', (data) => {
+      testResults.matchingStarts++;
+      player.socket.emit('host_submit_matches', {
+        matches: data.answers.map(a => ({ answerIndex: a.index, playerId: authorOf(a).id }))
+      });
+    });
+
+    player.socket.on('voting_start', (data) => {
+      testResults.ballots[player.name] = data;
+    });
+  });
+}
+
+// Record each round's phases, reveals and round end as the display sees them
+function watchRounds() {
+  let round = 0;
+  display.on('phase_changed', (data) => {
+    if (data.phase === 'theme_select') round = data.currentRound || round + 1;
+    testResults.phases[round] = testResults.phases[round] || {};
+    testResults.phases[round][data.phase] = { ...data, at: Date.now() };
+  });
+  display.on('reveal_result', (data) => {
+    (testResults.reveals[round] = testResults.reveals[round] || []).push(data);
+    log(`Round ${round} reveal ${data.index + 1}/${data.total}: ${data.guessedPlayer.name} (${data.votes ? `${data.votes.correct}/${data.votes.votes} votes right` : 'host'})`);
+  });
+  display.on('round_end', (data) => {
+    testResults.roundEnds[round] = data;
+  });
+}
+
+// Wait until a round has reached a phase
+async function waitForPhase(round, phase) {
+  while (!testResults.phases[round]?.[phase]) {
+    await waitForEvent(display, 'phase_changed');
+  }
+}
+
+// Wait until every player has had their ballot
+async function waitForBallots(names) {
+  for (let i = 0; i < 50 && !names.every(name => testResults.ballots[name]); i++) {
+    await delay(100);
+  }
+}
+
+// Vote for every answer on a ballot, naming whoever picks() says
+function castBallot(player, picks) {
+  const ballot = testResults.ballots[player.name];
+  player.socket.emit('submit_votes', {
+    votes: ballot.answers.map(a => ({ answerIndex: a.index, playerId: picks(a).id }))
+  });
+}
+
+// Round types and votes as saved, read once the server has stopped
+function readSavedRounds() {
+  const DatabaseService = require('../services/database');
+  const db = new DatabaseService(DB_PATH);
+  db.initialize();
+  const roundTypes = db.db.prepare('SELECT round_type FROM rounds ORDER BY round_number ASC').all().map(r => r.round_type);
+  const votes = db.db.prepare('SELECT * FROM votes').all();
+  db.close();
+  return { roundTypes, votes };
+}
+
+// Split and empty votes straight from the VoteManager
+function checkSplitVotes() {
+  const voteManager = new VoteManager();
+  const competitors = ['ann', 'ben', 'cat', 'dan'].map(id => ({ id, name: id }));
+  const answers = [
+    { index: 0, answer: 'A', playerId: 'ann' },
+    { index: 1, answer: 'B', playerId: 'ben' },
+    { index: 2, answer: 'C', playerId: 'cat', penalty: true }
+  ];
+  const votes = {
+    cat: { 0: 'ben' },
+    dan: { 0: 'ann' }
+  };
+  const results = voteManager.calculateRoundResults(votes, answers, competitors);
+  return results.length === 2 &&
+    results[0].guessedPlayer.name === 'Split vote' && !results[0].isCorrect && results[0].votes.votes === 2 &&
+    results[1].guessedPlayer.name === 'No votes' && results[1].votes.votes === 0 &&
+    ['alternate', 'vote', 'classic'].map(mix => voteManager.getRoundType(mix, 4)).join() === 'vote,vote,classic';
+}
+
+async function runTest() {
+  log('═'.repeat(50));
+  log('  VOTE ROUNDS TEST');
+  log('═'.repeat(50));
+
+  let allPassed = false;
+
+  try {
+    log('Step 1: Starting the server, display and 4 players join...');
+    fs.rmSync(DB_PATH, { force: true });
+    await startServerProcess();
+    await connectDisplay();
+    for (const name of ['Alice', 'Bob', 'Charlie', 'Dave']) {
+      await joinPlayer(name);
+    }
+    autoPlay();
+    watchRounds();
+
+    display.emit('update_settings', { roundMix: 'alternate' });
+    const settings = await waitForEvent(display, 'settings_updated');
+
+    log('\nStep 2: Round 1 - classic...');
+    display.emit('display_start_game');
+    await waitForEvent(display, 'round_end');
+
+    log('\nStep 3: Round 2 - everyone votes...');
+    await waitForPhase(2, 'voting');
+    const round2 = testResults.phases[2];
+    const host = players.find(p => p.id === round2.voting.currentHost.id);
+    const [rightVoter, swapper, partialVoter] = players.filter(p => p !== host);
+    await waitForBallots(players.map(p => p.name));
+
+    castBallot(host, authorOf);
+    castBallot(rightVoter, authorOf);
+    const swapperBallot = testResults.ballots[swapper.name];
+    castBallot(swapper, a => authorOf(swapperBallot.answers.find(other => other !== a)));
+
+    const ownAnswer = round2.voting.answers.find(a => authorOf(a) === partialVoter);
+    const rightVotersAnswer = testResults.ballots[partialVoter.name].answers.find(a => authorOf(a) === rightVoter);
+    partialVoter.socket.emit('submit_votes', { votes: [{ answerIndex: ownAnswer.index, playerId: partialVoter.id }] });
+    partialVoter.socket.emit('submit_votes', { votes: [{ answerIndex: rightVotersAnswer.index, playerId: host.id }] });
+    await delay(300);
+    castBallot(rightVoter, authorOf);
+    await delay(300);
+    const lastVoteAt = Date.now();
+    partialVoter.socket.emit('submit_votes', { votes: [{ answerIndex: rightVotersAnswer.index, playerId: rightVoter.id }] });
+    await waitForPhase(2, 'reveal');
+    const votingTook = (round2.reveal.at - lastVoteAt) / 1000;
+    log(`Voting ended ${votingTook.toFixed(1)}s after the last vote`);
+    while (!testResults.roundEnds[2]) {
+      await waitForEvent(display, 'round_end');
+    }
+
+    log('\nStep 4: Round 3 - classic again...');
+    await waitForPhase(3, 'theme_select');
+
+    log('\nStep 5: Split and empty votes...');
+    const splitVotes = checkSplitVotes();
+
+    display.disconnect();
+    players.forEach(p => p.socket.disconnect());
+    await stopServer();
+    const saved = readSavedRounds();
+    log(`Saved round types: ${saved.roundTypes.join(', ')}, ${saved.votes.length} votes`);
+
+    log('\n' + '═'.repeat(50));
+    log('TEST VERIFICATION');
+    log('═'.repeat(50));
+
+    const round1 = testResults.phases[1];
+    const reveals = testResults.reveals[2];
+    const roundEnd = testResults.roundEnds[2];
+    const ballotOk = (player, count) => {
+      const ballot = testResults.ballots[player.name];
+      const authors = ballot.answers.map(a => authorOf(a).id).sort();
+      return ballot.answers.length === count && !authors.includes(player.id) &&
+        ballot.players.map(p => p.id).sort().join() === authors.join();
+    };
+    // How each answer's votes went: [author, right votes, all votes]
+    const expectedTallies = [[rightVoter, 2, 3], [swapper, 2, 2], [partialVoter, 2, 3]];
+    const tallyOf = author => reveals.find(r => r.actualPlayer.id === author.id)?.votes;
+    const deltaOf = player => roundEnd.scoreDeltas.find(d => d.id === player.id);
+
+    const checks = {
+      'The display sets the round types': settings.roundMix === 'alternate',
+      'Round 1 is classic and round 2 a vote round': round1.theme_select.roundType === 'classic' && round1.matching &&
+        testResults.roundEnds[1].roundType === 'classic' && round2.theme_select.roundType === 'vote' &&
+        round2.voting.roundType === 'vote' && round2.reveal.roundType === 'vote' && roundEnd.roundType === 'vote',
+      'The vote round skips the host\'s matching': !round2.matching && testResults.matchingStarts === 1 &&
+        round2.voting.answers.length === 3 && round2.voting.timeLimit === VOTING_TIME,
+      'Ballots leave out your own answer': ballotOk(host, 3) && [rightVoter, swapper, partialVoter].every(p => ballotOk(p, 2)),
+      'Bad and second ballots are refused': partialVoter.errors.join() === 'You can\'t vote on that answer,You can\'t vote for that player' &&
+        rightVoter.errors.join() === 'Already voted',
+      'Voting ends once everyone has voted': votingTook < 5,
+      'The reveal shows how the crowd voted': reveals.length === 3 && reveals.every(r => r.isCorrect && r.guessedPlayer.id === r.actualPlayer.id) &&
+        expectedTallies.every(([author, correct, votes]) => tallyOf(author)?.correct === correct && tallyOf(author)?.votes === votes) &&
+        tallyOf(rightVoter).tally.map(t => `${t.id}:${t.count}`).join() === `${rightVoter.id}:2,${partialVoter.id}:1`,
+      'Right votes and fooled voters score': deltaOf(host).delta === 3 && deltaOf(host).events.map(e => e.reason).join() === '3 correct votes' &&
+        deltaOf(rightVoter).delta === 3 && deltaOf(swapper).delta === 0 &&
+        deltaOf(partialVoter).events.map(e => e.reason).sort().join() === '1 correct vote,Fooled 1 voter',
+      'Round 3 is classic again': testResults.phases[3].theme_select.roundType === 'classic',
+      'Round types and votes are saved': saved.roundTypes.join() === 'classic,vote,classic' &&
+        saved.votes.length === 8 && saved.votes.filter(v => v.is_correct).length === 6,
+      'Tied votes are split and unvoted answers have no pick': splitVotes,
+      'No other errors': testResults.displayErrors.length === 0 && host.errors.length === 0 && swapper.errors.length === 0
+    };
+
+    Object.entries(checks).forEach(([check, passed]) => {
+      log(`  ${passed ? '✅' : '❌'} ${check}`);
+    });
+
+    allPassed = Object.values(checks).every(Boolean);
+  } catch (err) {
+    log(`\n❌ Test error: ${err.message}`);
+    console.error(err);
+  }
+
+  log('\nCleaning up...');
+  display?.disconnect();
+  players.forEach(p => p.socket.disconnect());
+  if (server && server.exitCode === null) {
+    await stopServer();
+  }
+  fs.rmSync(DB_PATH, { force: true });
+
+  log(`\nTest ${allPassed ? 'PASSED ✅' : 'FAILED ❌'}`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+if (process.argv[2] === '--server') {
+  runServer(process.argv[3]);
+} else {
+  runTest();
+}